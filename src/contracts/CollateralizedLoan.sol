@@ -1,16 +1,48 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/metatx/ERC2771ContextUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 //import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+import "./LoanPool.sol";
 
 /**
  * @title CollateralizedLoan
- * @dev Контракт займа с гибкими параметрами и повышенной надежностью
+ * @dev Контракт займа с гибкими параметрами и повышенной надежностью.
+ * Действия заемщика может отправить релейер через доверенный форвардер ERC-2771
+ * (LoanForwarder проверяет подпись EIP-712 заемщика), поэтому отправитель везде берется из _msgSender().
+ *
+ * Контракт разворачивается за прокси UUPS (LoanProxy) и инициализируется через initialize.
+ * Владелец (owner) — кредитор: выдает займы из своих средств, получает платежи и ликвидирует просроченные займы.
+ * Параметры и обновления контракта меняет GOVERNOR_ROLE (в продакшене — TimelockController с задержкой),
+ * выдачу займов и вывод залога приостанавливает GUARDIAN_ROLE; платежи при паузе продолжают работать.
+ * Базовые контракты — upgradeable-версии OpenZeppelin: их состояние лежит в отдельных пространствах
+ * хранилища ERC-7201 и не пересекается с переменными займа. Собственные переменные контракта
+ * не переставляются, новые добавляются в конец за счет резерва __gap
  */
-contract CollateralizedLoan is ReentrancyGuard, Ownable {
+contract CollateralizedLoan is
+    Initializable,
+    UUPSUpgradeable,
+    ReentrancyGuardUpgradeable,
+    OwnableUpgradeable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    ERC2771ContextUpgradeable
+{
+    using SafeERC20 for IERC20;
+
     // Константы
     uint256 public constant SECONDS_PER_DAY = 86400;
     uint256 public constant MONTHS_PER_YEAR = 12;
@@ -19,63 +51,239 @@ contract CollateralizedLoan is ReentrancyGuard, Ownable {
     uint256 public constant DAYS_PER_MONTH = 30;
     uint256 public constant MAX_LOAN_DURATION_MONTHS = 36; // Максимальная длительность займа
     uint256 public constant LIQUIDATION_THRESHOLD_DAYS = 60; // Порог ликвидации в днях
+    uint256 public constant ETH_DECIMALS = 18;
+    uint256 private constant WAD = 1e18; // Точность расчета аннуитетного коэффициента
+    uint256 public constant DEFAULT_MAX_PRICE_AGE = 1 days; // Допустимый возраст цены по умолчанию
+    uint256 public constant DEFAULT_LIQUIDATION_RATIO = 12000; // 120%: ниже этого обеспечения займ можно ликвидировать
+    uint256 public constant DEFAULT_LIQUIDATION_BONUS = 500; // 5% бонуса ликвидатору
+    uint256 public constant MAX_LIQUIDATION_BONUS = 2000; // Максимальный бонус ликвидатору (20%)
+    uint256 public constant DEFAULT_LIQUIDATION_FEE = 500; // 5% комиссии от долга при ликвидации просроченного займа
+    uint256 public constant MAX_LIQUIDATION_FEE = 2000; // Максимальная комиссия за ликвидацию (20%)
+    uint256 public constant DEFAULT_EARLY_REPAYMENT_FEE = 0; // По умолчанию непогашенные проценты при досрочном погашении не взимаются
+    bytes32 public constant GOVERNOR_ROLE = keccak256("GOVERNOR_ROLE"); // Параметры и обновления контракта
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE"); // Приостановка выдачи займов
 
     // Настраиваемые параметры
     uint256 public interestRate; // Годовая процентная ставка (в базисных пунктах)
     uint256 public penaltyRatePerDay; // Штраф за день просрочки (в базисных пунктах)
     uint256 public loanDurationMonths; // Длительность займа в месяцах (настраиваемая)
 
+    // Продукт 0 — займ на текущих глобальных параметрах для любого разрешенного токена
+    uint256 public constant DEFAULT_PRODUCT_ID = 0;
+
+    // Условия займа, зафиксированные при выдаче
+    struct LoanTerms {
+        uint256 productId;          // Продукт, по которому выдан займ
+        uint256 durationMonths;     // Длительность займа в месяцах
+        uint256 interestRate;       // Годовая процентная ставка (в базисных пунктах)
+        uint256 penaltyRatePerDay;  // Штраф за день просрочки (в базисных пунктах)
+        uint256 minCollateralRatio; // Минимальное обеспечение при выдаче и выводе залога (в базисных пунктах)
+        bool amortizing;            // Аннуитетный график (иначе проценты распределены по платежам равномерно)
+    }
+
+    // Кредитный продукт, настраиваемый владельцем
+    struct LoanProduct {
+        uint256 durationMonths;     // Длительность займа в месяцах
+        uint256 interestRate;       // Годовая процентная ставка (в базисных пунктах)
+        uint256 penaltyRatePerDay;  // Штраф за день просрочки (в базисных пунктах)
+        uint256 minCollateralRatio; // Минимальное обеспечение (в базисных пунктах, не ниже MIN_COLLATERAL_RATIO)
+        address token;              // Токен продукта (0 — любой разрешенный токен)
+        bool active;                // Доступен ли продукт для новых займов
+        bool amortizing;            // Аннуитетный график платежей
+    }
+
     struct Loan {
+        uint256 id;               // Идентификатор займа
         address borrower;          // Адрес заемщика
         IERC20 token;             // Токен займа
+        LoanPool pool;            // Пул, из которого выдан займ (0 — средства владельца)
         uint256 principal;        // Основная сумма займа
-        uint256 collateral;       // Сумма залога в ETH
+        uint256 interest;         // Проценты при выдаче (у аннуитетного займа — по графику реструктуризации)
+        uint256 principalOutstanding; // Непогашенная основная сумма
+        uint256 collateral;       // Сумма залога в ETH или в токенах залога
+        IERC20 collateralToken;   // Токен залога (0 — ETH)
         uint256 startTime;        // Время начала займа
         uint256 totalDebt;        // Общая сумма долга с процентами
         uint256 monthlyPayment;   // Ежемесячный платеж
-        uint256 lastPaymentTime;  // Время последнего платежа
+        uint256 lastPaymentTime;  // Время последнего платежа (отсрочка платежей сдвигает его вперед)
         uint256 paymentsMade;     // Количество совершенных платежей
         uint256 paymentsRequired; // Общее количество необходимых платежей
         bool active;             // Статус займа
+        LoanTerms terms;          // Условия, выбранные при выдаче
+        uint256 graceEnd;         // Окончание льготного периода: до него штраф не начисляется (0 — нет)
+        uint256 totalPaid;        // Сумма, внесенная заемщиком: платежи со штрафами и досрочные погашения
     }
 
-    // Маппинг займов
-    mapping(address => Loan) public loans;
+    // Токен, принимаемый в залог, и его минимальное обеспечение
+    struct CollateralToken {
+        bool allowed;               // Можно ли открыть займ под залог токена
+        uint256 collateralRatio;    // Минимальное обеспечение токеном (в базисных пунктах, не ниже MIN_COLLATERAL_RATIO)
+    }
+
+    // Займы по идентификатору (полная запись доступна через getLoan)
+    mapping(uint256 => Loan) private loans;
+
+    // Идентификаторы всех займов заемщика (активных и закрытых)
+    mapping(address => uint256[]) private borrowerLoans;
+
+    // Идентификатор следующего займа (0 не используется)
+    uint256 public nextLoanId;
+
+    // Кредитные продукты по идентификатору (продукт 0 описывает глобальные параметры, см. getProduct)
+    mapping(uint256 => LoanProduct) private products;
+
+    // Идентификатор следующего продукта
+    uint256 public nextProductId;
 
     // Разрешенные токены для займов (для безопасности)
     mapping(address => bool) public allowedTokens;
 
+    // Токены, принимаемые в залог вместо ETH. Цена токена берется из priceFeeds
+    mapping(address => CollateralToken) public collateralTokens;
+
+    // Залог заемщиков на контракте по токенам (0 — ETH)
+    mapping(address => uint256) public totalCollateral;
+
     // Минимальная сумма займа в wei эквиваленте
     uint256 public minLoanAmount;
 
-    event LoanIssued(address indexed borrower, address token, uint256 amount, uint256 collateral, uint256 durationMonths);
-    event PaymentMade(address indexed borrower, uint256 amount, uint256 paymentNumber);
-    event LoanFullyRepaid(address indexed borrower, uint256 totalPaid);
-    event CollateralLiquidated(address indexed borrower, uint256 collateralAmount);
+    // Пулы ликвидности токенов. Без пула займы выдаются из средств владельца
+    mapping(address => LoanPool) public pools;
+
+    // Ценовые фиды токенов: цена 1 токена в ETH (TOKEN/ETH)
+    mapping(address => AggregatorV3Interface) public priceFeeds;
+
+    // Максимальный возраст цены в секундах, после которого цена считается устаревшей
+    uint256 public maxPriceAge;
+
+    // Порог обеспечения для ликвидации любым участником (в базисных пунктах)
+    uint256 public liquidationRatio;
+
+    // Бонус ликвидатору сверх стоимости погашенного долга (в базисных пунктах)
+    uint256 public liquidationBonus;
+
+    // Комиссия за ликвидацию просроченного займа от оставшегося долга (в базисных пунктах)
+    uint256 public liquidationFee;
+
+    // Доля непогашенных процентов, взимаемая при досрочном погашении (в базисных пунктах).
+    // 0 — проценты за оставшиеся месяцы полностью прощаются, BASIS_POINTS — взимаются целиком
+    uint256 public earlyRepaymentFee;
+
+    // Доверенный форвардер ERC-2771 (0 — мета-транзакции отключены)
+    address private forwarder;
+
+    // Остаток залога ликвидированных займов к выводу заемщиком (claimRefund): заемщик => токен залога (0 — ETH)
+    mapping(address => mapping(address => uint256)) public refunds;
+
+    // Резерв слотов для переменных следующих версий: новая переменная уменьшает размер массива
+    uint256[49] private __gap;
+
+    event LoanIssued(uint256 indexed loanId, address indexed borrower, address token, uint256 amount, uint256 collateral, uint256 durationMonths);
+    event PaymentMade(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 paymentNumber);
+    event LoanFullyRepaid(uint256 indexed loanId, address indexed borrower, uint256 totalPaid);
+    event CollateralLiquidated(uint256 indexed loanId, address indexed borrower, uint256 collateralSeized, uint256 collateralRefunded);
     event ParametersUpdated(uint256 interestRate, uint256 penaltyRate, uint256 loanDuration);
     event TokenStatusChanged(address token, bool allowed);
+    event CollateralTokenUpdated(address indexed token, bool allowed, uint256 collateralRatio);
+    event ProductCreated(
+        uint256 indexed productId,
+        address indexed token,
+        uint256 durationMonths,
+        uint256 interestRate,
+        uint256 penaltyRatePerDay,
+        uint256 minCollateralRatio,
+        bool amortizing
+    );
+    event ProductStatusChanged(uint256 indexed productId, bool active);
+    event PriceFeedUpdated(address indexed token, address priceFeed);
+    event PoolUpdated(address indexed token, address pool);
+    event MaxPriceAgeUpdated(uint256 maxPriceAge);
+    event LiquidationParametersUpdated(uint256 liquidationRatio, uint256 liquidationBonus);
+    event LiquidationFeeUpdated(uint256 liquidationFee);
+    event EarlyRepaymentFeeUpdated(uint256 earlyRepaymentFee);
+    event TrustedForwarderUpdated(address forwarder);
+    event PrepaymentMade(
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 amount,
+        uint256 principalRepaid,
+        uint256 interestWaived,
+        uint256 newMonthlyPayment
+    );
+    event CollateralAdded(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 collateral);
+    event CollateralWithdrawn(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 collateral);
+    event LoanRepaidEarly(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 interestWaived);
+    event UndercollateralizedLiquidation(
+        uint256 indexed loanId,
+        address indexed borrower,
+        address indexed liquidator,
+        uint256 debtRepaid,
+        uint256 collateralSeized,
+        uint256 collateralReturned
+    );
+    event RefundClaimed(address indexed borrower, address indexed token, uint256 amount);
+    event GracePeriodGranted(uint256 indexed loanId, uint256 graceDays, uint256 graceEnd);
+    event PaymentsDeferred(uint256 indexed loanId, uint256 count, uint256 nextPaymentDue);
+    event LoanRestructured(uint256 indexed loanId, uint256 paymentsRequired, uint256 monthlyPayment, uint256 totalDebt);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() ERC2771ContextUpgradeable(address(0)) {
+        _disableInitializers();
+    }
 
-    constructor(
+    /**
+     * @dev Инициализация прокси. Отправитель становится владельцем (кредитором) и получает все роли;
+     * при деплое с таймлоком DEFAULT_ADMIN_ROLE и GOVERNOR_ROLE передаются TimelockController
+     */
+    function initialize(
         uint256 _interestRate,
         uint256 _penaltyRatePerDay,
         uint256 _loanDurationMonths,
         uint256 _minLoanAmount
-    ) Ownable(msg.sender) {
+    ) external initializer {
         require(_loanDurationMonths <= MAX_LOAN_DURATION_MONTHS, "Duration exceeds maximum");
+        __Ownable_init(_msgSender());
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        _grantRole(GOVERNOR_ROLE, _msgSender());
+        _grantRole(GUARDIAN_ROLE, _msgSender());
+
         interestRate = _interestRate;
         penaltyRatePerDay = _penaltyRatePerDay;
         loanDurationMonths = _loanDurationMonths;
         minLoanAmount = _minLoanAmount;
+        nextLoanId = 1;
+        nextProductId = 1;
+        maxPriceAge = DEFAULT_MAX_PRICE_AGE;
+        liquidationRatio = DEFAULT_LIQUIDATION_RATIO;
+        liquidationBonus = DEFAULT_LIQUIDATION_BONUS;
+        liquidationFee = DEFAULT_LIQUIDATION_FEE;
+        earlyRepaymentFee = DEFAULT_EARLY_REPAYMENT_FEE;
+    }
+
+    /**
+     * @dev Приостановка выдачи займов и вывода залога (GUARDIAN_ROLE).
+     * Платежи, погашение, пополнение залога и ликвидации продолжают работать
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        _unpause();
     }
 
     /**
-     * @dev Обновление параметров займа (только владелец)
+     * @dev Обновление параметров займа (GOVERNOR_ROLE)
      */
     function updateParameters(
         uint256 _interestRate,
         uint256 _penaltyRatePerDay,
         uint256 _loanDurationMonths
-    ) external onlyOwner {
+    ) external onlyRole(GOVERNOR_ROLE) {
         require(_loanDurationMonths <= MAX_LOAN_DURATION_MONTHS, "Duration exceeds maximum");
         interestRate = _interestRate;
         penaltyRatePerDay = _penaltyRatePerDay;
@@ -83,101 +291,484 @@ contract CollateralizedLoan is ReentrancyGuard, Ownable {
         emit ParametersUpdated(_interestRate, _penaltyRatePerDay, _loanDurationMonths);
     }
 
+    /**
+     * @dev Создание кредитного продукта (GOVERNOR_ROLE). Условия продукта не меняются:
+     * чтобы изменить их, владелец отключает продукт и создает новый
+     */
+    function createProduct(
+        uint256 _durationMonths,
+        uint256 _interestRate,
+        uint256 _penaltyRatePerDay,
+        uint256 _minCollateralRatio,
+        address _token,
+        bool _amortizing
+    ) external onlyRole(GOVERNOR_ROLE) returns (uint256 productId) {
+        require(_durationMonths <= MAX_LOAN_DURATION_MONTHS, "Duration exceeds maximum");
+        require(_durationMonths > 0 && _minCollateralRatio >= MIN_COLLATERAL_RATIO, "Invalid product parameters");
+
+        productId = nextProductId++;
+        products[productId] = LoanProduct({
+            durationMonths: _durationMonths,
+            interestRate: _interestRate,
+            penaltyRatePerDay: _penaltyRatePerDay,
+            minCollateralRatio: _minCollateralRatio,
+            token: _token,
+            active: true,
+            amortizing: _amortizing
+        });
+        emit ProductCreated(
+            productId,
+            _token,
+            _durationMonths,
+            _interestRate,
+            _penaltyRatePerDay,
+            _minCollateralRatio,
+            _amortizing
+        );
+    }
+
+    /**
+     * @dev Включение и отключение продукта для новых займов. Выданные займы сохраняют свои условия
+     */
+    function setProductActive(uint256 _productId, bool _active) external onlyRole(GOVERNOR_ROLE) {
+        require(_productId != DEFAULT_PRODUCT_ID && _productId < nextProductId, "Unknown product");
+        products[_productId].active = _active;
+        emit ProductStatusChanged(_productId, _active);
+    }
+
     /**
      * @dev Управление списком разрешенных токенов
      */
-    function setTokenAllowed(address _token, bool _allowed) external onlyOwner {
+    function setTokenAllowed(address _token, bool _allowed) external onlyRole(GOVERNOR_ROLE) {
         allowedTokens[_token] = _allowed;
         emit TokenStatusChanged(_token, _allowed);
     }
 
     /**
-     * @dev Запрос займа
+     * @dev Управление токенами залога. Займ под залог токена требует обеспечения не ниже
+     * большего из минимального обеспечения продукта и _ratio токена.
+     * Для токена залога нужен ценовой фид (setPriceFeed). Выданные займы сохраняют свое обеспечение
      */
-    function borrow(IERC20 _token, uint256 _amount) external payable nonReentrant {
-        require(loans[msg.sender].borrower == address(0), "Active loan exists");
-        require(allowedTokens[address(_token)], "Token not allowed");
-        require(msg.value > 0, "ETH collateral required");
-        require(_amount >= minLoanAmount, "Amount below minimum");
+    function setCollateralToken(address _token, bool _allowed, uint256 _ratio) external onlyRole(GOVERNOR_ROLE) {
+        require(
+            _token != address(0) && (!_allowed || _ratio >= MIN_COLLATERAL_RATIO),
+            "Invalid collateral parameters"
+        );
+        collateralTokens[_token] = CollateralToken({ allowed: _allowed, collateralRatio: _ratio });
+        emit CollateralTokenUpdated(_token, _allowed, _ratio);
+    }
 
-        uint256 minCollateral = (_amount * MIN_COLLATERAL_RATIO) / BASIS_POINTS;
-        require(msg.value >= minCollateral, "Insufficient collateral");
+    /**
+     * @dev Установка ценового фида токена (цена 1 токена в ETH)
+     */
+    function setPriceFeed(address _token, AggregatorV3Interface _priceFeed) external onlyRole(GOVERNOR_ROLE) {
+        priceFeeds[_token] = _priceFeed;
+        emit PriceFeedUpdated(_token, address(_priceFeed));
+    }
 
-        uint256 yearlyInterest = (_amount * interestRate) / BASIS_POINTS;
-        uint256 totalDebt = _amount + yearlyInterest;
-        uint256 monthlyPayment = totalDebt / loanDurationMonths;
+    /**
+     * @dev Подключение пула ликвидности токена (нулевой адрес — выдача из средств владельца).
+     * Уже выданные займы продолжают рассчитываться с тем источником, из которого были выданы.
+     */
+    function setPool(address _token, LoanPool _pool) external onlyRole(GOVERNOR_ROLE) {
+        require(
+            address(_pool) == address(0) || (_pool.asset() == _token && _pool.loanManager() == address(this)),
+            "Invalid pool"
+        );
+        pools[_token] = _pool;
+        emit PoolUpdated(_token, address(_pool));
+    }
 
-        loans[msg.sender] = Loan({
-            borrower: msg.sender,
-            token: _token,
-            principal: _amount,
-            collateral: msg.value,
-            startTime: block.timestamp,
-            totalDebt: totalDebt,
-            monthlyPayment: monthlyPayment,
-            lastPaymentTime: block.timestamp,
-            paymentsMade: 0,
-            paymentsRequired: loanDurationMonths,
-            active: true
-        });
+    /**
+     * @dev Максимальный возраст цены в секундах
+     */
+    function setMaxPriceAge(uint256 _maxPriceAge) external onlyRole(GOVERNOR_ROLE) {
+        require(_maxPriceAge > 0, "Invalid max price age");
+        maxPriceAge = _maxPriceAge;
+        emit MaxPriceAgeUpdated(_maxPriceAge);
+    }
+
+    /**
+     * @dev Параметры ликвидации по обеспечению: порог (ниже MIN_COLLATERAL_RATIO) и бонус ликвидатору
+     */
+    function setLiquidationParameters(uint256 _liquidationRatio, uint256 _liquidationBonus)
+        external
+        onlyRole(GOVERNOR_ROLE)
+    {
+        require(
+            _liquidationRatio >= BASIS_POINTS &&
+                _liquidationRatio < MIN_COLLATERAL_RATIO &&
+                _liquidationBonus <= MAX_LIQUIDATION_BONUS,
+            "Invalid liquidation parameters"
+        );
+        liquidationRatio = _liquidationRatio;
+        liquidationBonus = _liquidationBonus;
+        emit LiquidationParametersUpdated(_liquidationRatio, _liquidationBonus);
+    }
 
-        require(_token.transferFrom(owner(), msg.sender, _amount), "Token transfer failed");
-        emit LoanIssued(msg.sender, address(_token), _amount, msg.value, loanDurationMonths);
+    /**
+     * @dev Комиссия за ликвидацию просроченного займа в базисных пунктах
+     */
+    function setLiquidationFee(uint256 _liquidationFee) external onlyRole(GOVERNOR_ROLE) {
+        require(_liquidationFee <= MAX_LIQUIDATION_FEE, "Invalid liquidation fee");
+        liquidationFee = _liquidationFee;
+        emit LiquidationFeeUpdated(_liquidationFee);
+    }
+
+    /**
+     * @dev Доля непогашенных процентов, взимаемая при досрочном погашении (в базисных пунктах)
+     */
+    function setEarlyRepaymentFee(uint256 _earlyRepaymentFee) external onlyRole(GOVERNOR_ROLE) {
+        require(_earlyRepaymentFee <= BASIS_POINTS, "Invalid early repayment fee");
+        earlyRepaymentFee = _earlyRepaymentFee;
+        emit EarlyRepaymentFeeUpdated(_earlyRepaymentFee);
     }
 
     /**
-     * @dev Ежемесячный платеж
+     * @dev Подключение доверенного форвардера ERC-2771 (нулевой адрес отключает мета-транзакции).
+     * Форвардер действует от имени любого заемщика, поэтому подключается только проверенный контракт
      */
-    function makeMonthlyPayment() external nonReentrant {
-        Loan storage loan = loans[msg.sender];
+    function setTrustedForwarder(address _forwarder) external onlyRole(GOVERNOR_ROLE) {
+        forwarder = _forwarder;
+        emit TrustedForwarderUpdated(_forwarder);
+    }
+
+    /**
+     * @dev Запрос займа под залог ETH по кредитному продукту. Условия продукта фиксируются в займе.
+     * Заемщик может иметь несколько активных займов одновременно
+     */
+    function borrow(IERC20 _token, uint256 _amount, uint256 _productId)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        returns (uint256 loanId)
+    {
+        require(msg.value > 0, "ETH collateral required");
+        totalCollateral[address(0)] += msg.value;
+        return _borrow(_token, _amount, _productId, IERC20(address(0)), msg.value);
+    }
+
+    /**
+     * @dev Запрос займа под залог разрешенного токена. Залогом считается сумма, фактически
+     * поступившая на контракт (для токенов с комиссией за перевод она меньше _collateralAmount)
+     */
+    function borrowWithCollateral(
+        IERC20 _token,
+        uint256 _amount,
+        uint256 _productId,
+        IERC20 _collateralToken,
+        uint256 _collateralAmount
+    ) external nonReentrant whenNotPaused returns (uint256 loanId) {
+        require(collateralTokens[address(_collateralToken)].allowed, "Collateral token not allowed");
+        require(_collateralAmount > 0, "Collateral required");
+        uint256 received = _pullCollateral(_collateralToken, _collateralAmount);
+        return _borrow(_token, _amount, _productId, _collateralToken, received);
+    }
+
+    /**
+     * @dev Ежемесячный платеж. Последний платеж погашает весь оставшийся долг,
+     * включая остаток от округления ежемесячного платежа
+     */
+    function makeMonthlyPayment(uint256 _loanId) public nonReentrant {
+        Loan storage loan = loans[_loanId];
         require(loan.active, "No active loan");
+        require(loan.borrower == _msgSender(), "Not loan borrower");
         require(loan.paymentsMade < loan.paymentsRequired, "Loan fully paid");
 
-        uint256 timeSinceLastPayment = block.timestamp - loan.lastPaymentTime;
-        require(timeSinceLastPayment >= DAYS_PER_MONTH * SECONDS_PER_DAY, "Payment not due yet");
+        require(block.timestamp >= loan.lastPaymentTime + DAYS_PER_MONTH * SECONDS_PER_DAY, "Payment not due yet");
 
-        uint256 paymentAmount = loan.monthlyPayment;
+        uint256 installment = _nextInstallment(loan);
+        uint256 paymentAmount = installment + _accruedPenalty(loan);
+        uint256 principalRepaid = _installmentPrincipal(loan, installment);
 
-        if (timeSinceLastPayment > DAYS_PER_MONTH * SECONDS_PER_DAY) {
-            uint256 daysLate = (timeSinceLastPayment - (DAYS_PER_MONTH * SECONDS_PER_DAY)) / SECONDS_PER_DAY;
-            uint256 penalty = (loan.monthlyPayment * penaltyRatePerDay * daysLate) / BASIS_POINTS;
-            paymentAmount += penalty;
+        loan.lastPaymentTime = block.timestamp;
+        loan.graceEnd = 0;
+        loan.paymentsMade++;
+        loan.totalPaid += paymentAmount;
+        loan.totalDebt -= installment;
+        loan.principalOutstanding -= principalRepaid;
+        if (loan.paymentsMade == loan.paymentsRequired) {
+            loan.active = false;
         }
 
-        require(loan.token.transferFrom(msg.sender, owner(), paymentAmount), "Payment failed");
+        _collect(loan, _msgSender(), paymentAmount, principalRepaid);
+        emit PaymentMade(_loanId, _msgSender(), paymentAmount, loan.paymentsMade);
 
-        loan.lastPaymentTime = block.timestamp;
-        loan.paymentsMade++;
-        loan.totalDebt -= loan.monthlyPayment;
+        if (!loan.active) {
+            _releaseCollateral(loan, _msgSender(), loan.collateral);
+            emit LoanFullyRepaid(_loanId, _msgSender(), loan.totalPaid);
+        }
+    }
 
-        emit PaymentMade(msg.sender, paymentAmount, loan.paymentsMade);
+    /**
+     * @dev Ежемесячный платеж с разрешением EIP-2612 вместо отдельного approve: заемщик подписывает
+     * permit на _value токенов займа для этого контракта. Ошибка permit игнорируется — подпись могли
+     * уже использовать, отправив permit напрямую; тогда платеж проходит по существующему allowance
+     */
+    function makeMonthlyPaymentWithPermit(
+        uint256 _loanId,
+        uint256 _value,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        IERC20Permit token = IERC20Permit(address(loan.token));
+        try token.permit(_msgSender(), address(this), _value, _deadline, _v, _r, _s) {} catch {}
+        makeMonthlyPayment(_loanId);
+    }
 
-        if (loan.paymentsMade == loan.paymentsRequired) {
-            loan.active = false;
-            payable(msg.sender).transfer(loan.collateral);
-            emit LoanFullyRepaid(msg.sender, loan.principal + (loan.monthlyPayment * loan.paymentsRequired));
+    /**
+     * @dev Пополнение залога активного займа под залог ETH
+     */
+    function addCollateral(uint256 _loanId) external payable nonReentrant {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        require(loan.borrower == _msgSender(), "Not loan borrower");
+        require(address(loan.collateralToken) == address(0), "Wrong collateral type");
+        require(msg.value > 0, "ETH collateral required");
+
+        loan.collateral += msg.value;
+        totalCollateral[address(0)] += msg.value;
+        emit CollateralAdded(_loanId, _msgSender(), msg.value, loan.collateral);
+    }
+
+    /**
+     * @dev Пополнение залога активного займа под залог токена.
+     * В событии — сумма, фактически поступившая на контракт
+     */
+    function addTokenCollateral(uint256 _loanId, uint256 _amount) external nonReentrant {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        require(loan.borrower == _msgSender(), "Not loan borrower");
+        require(address(loan.collateralToken) != address(0), "Wrong collateral type");
+        require(_amount > 0, "Collateral required");
+
+        uint256 received = _pullCollateral(loan.collateralToken, _amount);
+        loan.collateral += received;
+        emit CollateralAdded(_loanId, _msgSender(), received, loan.collateral);
+    }
+
+    /**
+     * @dev Вывод части залога. Оставшийся залог должен покрывать оставшийся долг
+     * не менее чем на минимальное обеспечение продукта займа
+     */
+    function withdrawCollateral(uint256 _loanId, uint256 _amount) external nonReentrant whenNotPaused {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        require(loan.borrower == _msgSender(), "Not loan borrower");
+        require(_amount > 0 && _amount <= loan.collateral, "Invalid withdrawal amount");
+
+        uint256 remaining = loan.collateral - _amount;
+        uint256 minCollateral = (getTokenValueInEth(address(loan.token), loan.totalDebt) * loan.terms.minCollateralRatio) / BASIS_POINTS;
+        require(_collateralValue(loan.collateralToken, remaining) >= minCollateral, "Insufficient collateral");
+
+        loan.collateral = remaining;
+        _releaseCollateral(loan, _msgSender(), _amount);
+        emit CollateralWithdrawn(_loanId, _msgSender(), _amount, remaining);
+    }
+
+    /**
+     * @dev Частичное досрочное погашение основной суммы.
+     * Вместе с основной суммой из долга уходят приходящиеся на нее проценты; из них взимается
+     * только доля earlyRepaymentFee. Ежемесячный платеж пересчитывается на оставшиеся месяцы
+     * (для аннуитетного займа — новый аннуитет на оставшуюся основную сумму).
+     * Пока очередной платеж просрочен, предоплата недоступна: сначала вносится платеж со штрафом.
+     */
+    function prepay(uint256 _loanId, uint256 _amount) external nonReentrant {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        require(loan.borrower == _msgSender(), "Not loan borrower");
+
+        (uint256 payment, uint256 interestWaived) = quotePrepayment(_loanId, _amount);
+        (uint256 interestRemoved, uint256 monthlyPayment) = _prepaymentTerms(loan, _amount);
+
+        loan.totalDebt -= _amount + interestRemoved;
+        loan.principalOutstanding -= _amount;
+        loan.monthlyPayment = monthlyPayment;
+        loan.totalPaid += payment;
+
+        _collect(loan, _msgSender(), payment, _amount);
+
+        emit PrepaymentMade(_loanId, _msgSender(), payment, _amount, interestWaived, loan.monthlyPayment);
+    }
+
+    /**
+     * @dev Полное досрочное погашение: оставшийся долг за вычетом прощенных процентов
+     * плюс штраф за просроченный платеж. Залог возвращается заемщику.
+     */
+    function repayInFull(uint256 _loanId) external nonReentrant {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        require(loan.borrower == _msgSender(), "Not loan borrower");
+
+        (uint256 payoff, uint256 interestWaived) = _payoff(loan);
+        uint256 principalRepaid = loan.principalOutstanding;
+
+        loan.totalDebt = 0;
+        loan.principalOutstanding = 0;
+        loan.active = false;
+        loan.totalPaid += payoff;
+
+        _collect(loan, _msgSender(), payoff, principalRepaid);
+        _releaseCollateral(loan, _msgSender(), loan.collateral);
+
+        emit LoanRepaidEarly(_loanId, _msgSender(), payoff, interestWaived);
+    }
+
+    /**
+     * @dev Ликвидация залога просроченного займа (только владелец).
+     * Владелец получает залог на стоимость оставшегося долга, начисленного штрафа и комиссии
+     * по ценовому фиду токена, остаток залога зачисляется заемщику к выводу через claimRefund:
+     * заемщик, не принимающий ETH, не может заблокировать ликвидацию.
+     * Займ из пула владелец выкупает: оставшийся долг переводится в пул с его баланса токенов.
+     * Льготный период и отсрочка платежей сдвигают порог просрочки вместе с началом штрафа.
+     */
+    function liquidate(uint256 _loanId) external onlyOwner nonReentrant {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+
+        uint256 threshold = (LIQUIDATION_THRESHOLD_DAYS - DAYS_PER_MONTH) * SECONDS_PER_DAY;
+        require(block.timestamp > _penaltyStart(loan) + threshold, "Not enough overdue time");
+
+        uint256 fee = (loan.totalDebt * liquidationFee) / BASIS_POINTS;
+        uint256 claimValue = getTokenValueInEth(address(loan.token), loan.totalDebt + _accruedPenalty(loan) + fee);
+        uint256 collateralSeized = _collateralForValue(loan, claimValue);
+        uint256 collateralRefunded = loan.collateral - collateralSeized;
+        uint256 debtRepaid = loan.totalDebt;
+        uint256 principalRepaid = loan.principalOutstanding;
+
+        loan.totalDebt = 0;
+        loan.principalOutstanding = 0;
+        loan.active = false;
+        if (address(loan.pool) != address(0)) {
+            _collect(loan, owner(), debtRepaid, principalRepaid);
+        }
+        _releaseCollateral(loan, owner(), collateralSeized);
+        refunds[loan.borrower][address(loan.collateralToken)] += collateralRefunded;
+        emit CollateralLiquidated(_loanId, loan.borrower, collateralSeized, collateralRefunded);
+    }
+
+    /**
+     * @dev Вывод остатка залога ликвидированных займов в токене залога _token (0 — ETH)
+     */
+    function claimRefund(IERC20 _token) external nonReentrant {
+        uint256 amount = refunds[_msgSender()][address(_token)];
+        require(amount > 0, "Nothing to claim");
+
+        refunds[_msgSender()][address(_token)] = 0;
+        totalCollateral[address(_token)] -= amount;
+        _sendCollateral(_token, _msgSender(), amount);
+        emit RefundClaimed(_msgSender(), address(_token), amount);
+    }
+
+    /**
+     * @dev Льготный период (только владелец): штраф не начисляется и ликвидация по просрочке
+     * откладывается на _days дней от текущего начала штрафа. Срок платежа не меняется,
+     * льготный период заканчивается с очередным платежом
+     */
+    function grantGracePeriod(uint256 _loanId, uint256 _days) external onlyOwner {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        require(_days > 0, "Invalid grace period");
+
+        loan.graceEnd = _penaltyStart(loan) + _days * SECONDS_PER_DAY;
+        emit GracePeriodGranted(_loanId, _days, loan.graceEnd);
+    }
+
+    /**
+     * @dev Отсрочка _count платежей (только владелец): срок очередного платежа и все последующие
+     * сдвигаются на _count месяцев, срок займа продлевается. Сумма долга не меняется
+     */
+    function deferPayments(uint256 _loanId, uint256 _count) external onlyOwner {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        require(_count > 0 && _count <= MAX_LOAN_DURATION_MONTHS, "Invalid deferral");
+
+        loan.lastPaymentTime += _count * DAYS_PER_MONTH * SECONDS_PER_DAY;
+        emit PaymentsDeferred(_loanId, _count, loan.lastPaymentTime + DAYS_PER_MONTH * SECONDS_PER_DAY);
+    }
+
+    /**
+     * @dev Реструктуризация (только владелец): к графику добавляются _extraPayments платежей,
+     * ежемесячный платеж пересчитывается на оставшиеся платежи. В равномерном займе оставшийся
+     * долг делится поровну без новых процентов, в аннуитетном график строится заново
+     * на непогашенную основную сумму по ставке займа, а проценты займа пересчитываются по новому графику
+     */
+    function restructureLoan(uint256 _loanId, uint256 _extraPayments) external onlyOwner {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        uint256 paymentsRequired = loan.paymentsRequired + _extraPayments;
+        require(_extraPayments > 0 && paymentsRequired <= MAX_LOAN_DURATION_MONTHS, "Invalid restructuring");
+        // Без остатка долга новый платеж был бы нулевым, и займ нельзя было бы погасить
+        require(
+            loan.terms.amortizing ? loan.principalOutstanding > 0 : loan.totalDebt > 0,
+            "Invalid restructuring"
+        );
+
+        uint256 remainingPayments = paymentsRequired - loan.paymentsMade;
+        loan.paymentsRequired = paymentsRequired;
+        if (loan.terms.amortizing) {
+            (loan.monthlyPayment, loan.totalDebt) = _schedule(
+                loan.principalOutstanding,
+                loan.terms.interestRate,
+                remainingPayments,
+                true
+            );
+            loan.interest = loan.totalDebt - loan.principalOutstanding;
+        } else {
+            loan.monthlyPayment = loan.totalDebt / remainingPayments;
         }
+        emit LoanRestructured(_loanId, paymentsRequired, loan.monthlyPayment, loan.totalDebt);
     }
 
     /**
-     * @dev Ликвидация залога
+     * @dev Ликвидация недообеспеченного займа любым участником.
+     * Ликвидатор погашает оставшийся долг токенами и получает залог на сумму долга плюс бонус,
+     * остаток залога, как и при liquidate, зачисляется заемщику к выводу через claimRefund.
      */
-    function liquidate(address _borrower) external onlyOwner nonReentrant {
-        Loan storage loan = loans[_borrower];
+    function liquidateUndercollateralized(uint256 _loanId) external nonReentrant {
+        Loan storage loan = loans[_loanId];
         require(loan.active, "No active loan");
 
-        uint256 timeSinceLastPayment = block.timestamp - loan.lastPaymentTime;
-        require(timeSinceLastPayment > LIQUIDATION_THRESHOLD_DAYS * SECONDS_PER_DAY, "Not enough overdue time");
+        uint256 debtValue = getTokenValueInEth(address(loan.token), loan.totalDebt);
+        uint256 collateralValue = _collateralValue(loan.collateralToken, loan.collateral);
+        require(_collateralRatio(collateralValue, debtValue) < liquidationRatio, "Loan is healthy");
+
+        uint256 collateralSeized = _collateralForValue(
+            loan,
+            (debtValue * (BASIS_POINTS + liquidationBonus)) / BASIS_POINTS
+        );
+        uint256 collateralReturned = loan.collateral - collateralSeized;
+        uint256 debtRepaid = loan.totalDebt;
+        uint256 principalRepaid = loan.principalOutstanding;
 
         loan.active = false;
-        payable(owner()).transfer(loan.collateral);
-        emit CollateralLiquidated(_borrower, loan.collateral);
+        loan.totalDebt = 0;
+        loan.principalOutstanding = 0;
+
+        _collect(loan, _msgSender(), debtRepaid, principalRepaid);
+        _releaseCollateral(loan, _msgSender(), collateralSeized);
+        refunds[loan.borrower][address(loan.collateralToken)] += collateralReturned;
+
+        emit UndercollateralizedLiquidation(
+            _loanId,
+            loan.borrower,
+            _msgSender(),
+            debtRepaid,
+            collateralSeized,
+            collateralReturned
+        );
     }
 
     /**
      * @dev Информация о займе
      */
-    function getLoanDetails(address _borrower) external view returns (
+    function getLoanDetails(uint256 _loanId) external view returns (
+        address borrower,
         address token,
         uint256 principal,
         uint256 collateral,
@@ -186,27 +777,481 @@ contract CollateralizedLoan is ReentrancyGuard, Ownable {
         uint256 nextPaymentDue,
         uint256 paymentsMade,
         uint256 paymentsRequired,
-        bool active
+        bool active,
+        uint256 payoffAmount,
+        LoanTerms memory terms
     ) {
-        Loan memory loan = loans[_borrower];
-        return (
-            address(loan.token),
-            loan.principal,
-            loan.collateral,
-            loan.totalDebt,
-            loan.monthlyPayment,
-            loan.lastPaymentTime + (DAYS_PER_MONTH * SECONDS_PER_DAY),
-            loan.paymentsMade,
-            loan.paymentsRequired,
-            loan.active
+        Loan storage loan = loans[_loanId];
+        borrower = loan.borrower;
+        token = address(loan.token);
+        principal = loan.principal;
+        collateral = loan.collateral;
+        totalDebt = loan.totalDebt;
+        monthlyPayment = loan.monthlyPayment;
+        nextPaymentDue = loan.lastPaymentTime + (DAYS_PER_MONTH * SECONDS_PER_DAY);
+        paymentsMade = loan.paymentsMade;
+        paymentsRequired = loan.paymentsRequired;
+        active = loan.active;
+        // Сумма полного досрочного погашения в текущем блоке
+        if (active) {
+            (payoffAmount, ) = _payoff(loan);
+        }
+        terms = loan.terms;
+    }
+
+    /**
+     * @dev Полная запись займа по идентификатору
+     */
+    function getLoan(uint256 _loanId) external view returns (Loan memory) {
+        return loans[_loanId];
+    }
+
+    /**
+     * @dev Условия кредитного продукта. Продукт 0 отражает текущие глобальные параметры
+     */
+    function getProduct(uint256 _productId) public view returns (LoanProduct memory) {
+        if (_productId == DEFAULT_PRODUCT_ID) {
+            return LoanProduct({
+                durationMonths: loanDurationMonths,
+                interestRate: interestRate,
+                penaltyRatePerDay: penaltyRatePerDay,
+                minCollateralRatio: MIN_COLLATERAL_RATIO,
+                token: address(0),
+                active: true,
+                amortizing: false
+            });
+        }
+        return products[_productId];
+    }
+
+    /**
+     * @dev Сумма к оплате при досрочном погашении _amount основной суммы и размер прощенных процентов.
+     * Отклоняется, пока очередной платеж просрочен (после срока платежа и льготного периода)
+     */
+    function quotePrepayment(uint256 _loanId, uint256 _amount)
+        public
+        view
+        returns (uint256 payment, uint256 interestWaived)
+    {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+        require(block.timestamp <= _penaltyStart(loan), "Installment overdue");
+
+        (uint256 interestRemoved, ) = _prepaymentTerms(loan, _amount);
+        uint256 interestCharged = (interestRemoved * earlyRepaymentFee) / BASIS_POINTS;
+        return (_amount + interestCharged, interestRemoved - interestCharged);
+    }
+
+    /**
+     * @dev Стоимость суммы токенов в wei по ценовому фиду с учетом decimals токена и фида
+     */
+    function getTokenValueInEth(address _token, uint256 _amount) public view returns (uint256) {
+        AggregatorV3Interface priceFeed = priceFeeds[_token];
+        require(address(priceFeed) != address(0), "Price feed not set");
+
+        (uint80 roundId, int256 price, , uint256 updatedAt, uint80 answeredInRound) = priceFeed.latestRoundData();
+        require(price > 0, "Invalid price");
+        require(
+            updatedAt != 0 &&
+                updatedAt <= block.timestamp &&
+                answeredInRound >= roundId &&
+                block.timestamp - updatedAt <= maxPriceAge,
+            "Stale price"
+        );
+
+        uint256 scale = 10 ** (uint256(priceFeed.decimals()) + IERC20Metadata(_token).decimals());
+        return Math.mulDiv(_amount, uint256(price) * 10 ** ETH_DECIMALS, scale);
+    }
+
+    /**
+     * @dev Текущее обеспечение займа: стоимость залога к стоимости оставшегося долга (в базисных пунктах)
+     */
+    function getCollateralRatio(uint256 _loanId) external view returns (uint256) {
+        Loan storage loan = loans[_loanId];
+        require(loan.active, "No active loan");
+
+        return _collateralRatio(
+            _collateralValue(loan.collateralToken, loan.collateral),
+            getTokenValueInEth(address(loan.token), loan.totalDebt)
         );
     }
 
     /**
-     * @dev Аварийное извлечение ETH (только владелец)
+     * @dev Можно ли ликвидировать займ из-за недостаточного обеспечения
+     */
+    function isUndercollateralized(uint256 _loanId) external view returns (bool) {
+        Loan storage loan = loans[_loanId];
+        if (!loan.active) {
+            return false;
+        }
+        uint256 debtValue = getTokenValueInEth(address(loan.token), loan.totalDebt);
+        return _collateralRatio(_collateralValue(loan.collateralToken, loan.collateral), debtValue) < liquidationRatio;
+    }
+
+    /**
+     * @dev Идентификаторы всех займов заемщика в порядке выдачи
+     */
+    function getBorrowerLoans(address _borrower) external view returns (uint256[] memory) {
+        return borrowerLoans[_borrower];
+    }
+
+    /**
+     * @dev История закрытых займов заемщика (погашенных или ликвидированных)
+     */
+    function getLoanHistory(address _borrower) external view returns (Loan[] memory history) {
+        uint256[] storage ids = borrowerLoans[_borrower];
+        uint256 closed;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (!loans[ids[i]].active) {
+                closed++;
+            }
+        }
+
+        history = new Loan[](closed);
+        uint256 index;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (!loans[ids[i]].active) {
+                history[index++] = loans[ids[i]];
+            }
+        }
+    }
+
+    /**
+     * @dev Аварийное извлечение ETH сверх залога заемщиков (только владелец)
      */
     function emergencyWithdrawETH() external onlyOwner {
-        uint256 balance = address(this).balance;
-        payable(owner()).transfer(balance);
+        uint256 excess = address(this).balance - totalCollateral[address(0)];
+        Address.sendValue(payable(owner()), excess);
+    }
+
+    /**
+     * @dev Извлечение токенов, отправленных на контракт напрямую (только владелец).
+     * Залог заемщиков в этом токене (totalCollateral) остается на контракте
+     */
+    function emergencyWithdrawToken(IERC20 _token) external onlyOwner {
+        uint256 excess = _token.balanceOf(address(this)) - totalCollateral[address(_token)];
+        _token.safeTransfer(owner(), excess);
+    }
+
+    /**
+     * @dev Доверенный форвардер задается владельцем (setTrustedForwarder), а не в конструкторе
+     */
+    function trustedForwarder() public view override returns (address) {
+        return forwarder;
+    }
+
+    function _msgSender()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (address)
+    {
+        return ERC2771ContextUpgradeable._msgSender();
+    }
+
+    function _msgData()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (bytes calldata)
+    {
+        return ERC2771ContextUpgradeable._msgData();
+    }
+
+    function _contextSuffixLength()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (uint256)
+    {
+        return ERC2771ContextUpgradeable._contextSuffixLength();
+    }
+
+    /**
+     * @dev Обновление реализации прокси (GOVERNOR_ROLE, то есть через таймлок)
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(GOVERNOR_ROLE) {}
+
+    /**
+     * @dev Выдача займа под уже полученный залог _collateral (в ETH или в токене залога).
+     * Требуемое обеспечение — большее из минимального обеспечения продукта и токена залога
+     */
+    function _borrow(
+        IERC20 _token,
+        uint256 _amount,
+        uint256 _productId,
+        IERC20 _collateralToken,
+        uint256 _collateral
+    ) private returns (uint256 loanId) {
+        require(allowedTokens[address(_token)], "Token not allowed");
+        require(_amount >= minLoanAmount, "Amount below minimum");
+
+        LoanProduct memory product = getProduct(_productId);
+        require(product.active, "Product not available");
+        require(product.token == address(0) || product.token == address(_token), "Token not supported by product");
+
+        uint256 collateralRatio = Math.max(
+            product.minCollateralRatio,
+            collateralTokens[address(_collateralToken)].collateralRatio
+        );
+        uint256 minCollateral = (getTokenValueInEth(address(_token), _amount) * collateralRatio) / BASIS_POINTS;
+        require(_collateralValue(_collateralToken, _collateral) >= minCollateral, "Insufficient collateral");
+
+        (uint256 monthlyPayment, uint256 totalDebt) = _schedule(
+            _amount,
+            product.interestRate,
+            product.durationMonths,
+            product.amortizing
+        );
+        LoanPool pool = pools[address(_token)];
+
+        loanId = nextLoanId++;
+        loans[loanId] = Loan({
+            id: loanId,
+            borrower: _msgSender(),
+            token: _token,
+            pool: pool,
+            principal: _amount,
+            interest: totalDebt - _amount,
+            principalOutstanding: _amount,
+            collateral: _collateral,
+            collateralToken: _collateralToken,
+            startTime: block.timestamp,
+            totalDebt: totalDebt,
+            monthlyPayment: monthlyPayment,
+            lastPaymentTime: block.timestamp,
+            paymentsMade: 0,
+            paymentsRequired: product.durationMonths,
+            active: true,
+            terms: LoanTerms({
+                productId: _productId,
+                durationMonths: product.durationMonths,
+                interestRate: product.interestRate,
+                penaltyRatePerDay: product.penaltyRatePerDay,
+                minCollateralRatio: collateralRatio,
+                amortizing: product.amortizing
+            }),
+            graceEnd: 0,
+            totalPaid: 0
+        });
+        borrowerLoans[_msgSender()].push(loanId);
+
+        if (address(pool) == address(0)) {
+            _token.safeTransferFrom(owner(), _msgSender(), _amount);
+        } else {
+            pool.lend(_msgSender(), _amount);
+        }
+        emit LoanIssued(loanId, _msgSender(), address(_token), _amount, _collateral, product.durationMonths);
+    }
+
+    /**
+     * @dev Перевод залога в токене от заемщика. Возвращает сумму, фактически поступившую
+     * на контракт: токены с комиссией за перевод зачисляются за вычетом комиссии
+     */
+    function _pullCollateral(IERC20 _collateralToken, uint256 _amount) private returns (uint256 received) {
+        uint256 balanceBefore = _collateralToken.balanceOf(address(this));
+        _collateralToken.safeTransferFrom(_msgSender(), address(this), _amount);
+        received = _collateralToken.balanceOf(address(this)) - balanceBefore;
+        totalCollateral[address(_collateralToken)] += received;
+    }
+
+    /**
+     * @dev Возврат _amount залога займа получателю _to: ETH или токены залога
+     */
+    function _releaseCollateral(Loan storage _loan, address _to, uint256 _amount) private {
+        totalCollateral[address(_loan.collateralToken)] -= _amount;
+        _sendCollateral(_loan.collateralToken, _to, _amount);
+    }
+
+    /**
+     * @dev Перевод залога: ETH отправляется через call со всем газом, чтобы его могли принять смарт-кошельки
+     */
+    function _sendCollateral(IERC20 _collateralToken, address _to, uint256 _amount) private {
+        if (address(_collateralToken) == address(0)) {
+            Address.sendValue(payable(_to), _amount);
+        } else {
+            _collateralToken.safeTransfer(_to, _amount);
+        }
+    }
+
+    /**
+     * @dev Стоимость залога в wei: ETH — как есть, токен залога — по его ценовому фиду
+     */
+    function _collateralValue(IERC20 _collateralToken, uint256 _amount) private view returns (uint256) {
+        if (address(_collateralToken) == address(0)) {
+            return _amount;
+        }
+        return getTokenValueInEth(address(_collateralToken), _amount);
+    }
+
+    /**
+     * @dev Часть залога займа стоимостью _value wei, но не больше всего залога
+     */
+    function _collateralForValue(Loan storage _loan, uint256 _value) private view returns (uint256) {
+        if (address(_loan.collateralToken) == address(0)) {
+            return Math.min(_value, _loan.collateral);
+        }
+        uint256 collateralValue = getTokenValueInEth(address(_loan.collateralToken), _loan.collateral);
+        if (_value >= collateralValue) {
+            return _loan.collateral;
+        }
+        return Math.mulDiv(_loan.collateral, _value, collateralValue);
+    }
+
+    /**
+     * @dev Сумма полного досрочного погашения на текущий момент.
+     * Непогашенные проценты — часть оставшегося долга сверх непогашенной основной суммы.
+     */
+    function _payoff(Loan storage _loan) private view returns (uint256 payoff, uint256 interestWaived) {
+        uint256 unearnedInterest = _loan.totalDebt - _loan.principalOutstanding;
+        interestWaived = (unearnedInterest * (BASIS_POINTS - earlyRepaymentFee)) / BASIS_POINTS;
+        payoff = _loan.totalDebt - interestWaived + _accruedPenalty(_loan);
+    }
+
+    /**
+     * @dev Ежемесячный платеж и общий долг по графику.
+     * Равномерный график: проценты пропорциональны сроку (годовая ставка * месяцы / 12)
+     * и делятся на платежи поровну. Аннуитетный: равные платежи, проценты начисляются
+     * ежемесячно на остаток основной суммы. Остаток от округления вносится последним платежом.
+     */
+    function _schedule(
+        uint256 _principal,
+        uint256 _interestRate,
+        uint256 _months,
+        bool _amortizing
+    ) private pure returns (uint256 monthlyPayment, uint256 totalDebt) {
+        if (!_amortizing) {
+            totalDebt = _principal + (_principal * _interestRate * _months) / (BASIS_POINTS * MONTHS_PER_YEAR);
+            return (totalDebt / _months, totalDebt);
+        }
+        if (_interestRate == 0) {
+            return (_principal / _months, _principal);
+        }
+
+        // Аннуитетный платеж: P * r * (1 + r)^n / ((1 + r)^n - 1)
+        uint256 monthlyRate = (_interestRate * WAD) / (BASIS_POINTS * MONTHS_PER_YEAR);
+        uint256 growth = WAD;
+        for (uint256 i = 0; i < _months; i++) {
+            growth = Math.mulDiv(growth, WAD + monthlyRate, WAD);
+        }
+        monthlyPayment = Math.mulDiv(_principal, Math.mulDiv(monthlyRate, growth, WAD), growth - WAD);
+
+        // Долг — сумма платежей по графику: последний погашает остаток с процентами за месяц
+        uint256 balance = _principal;
+        for (uint256 i = 1; i < _months; i++) {
+            balance -= Math.min(monthlyPayment - _monthlyInterest(balance, _interestRate), balance);
+            totalDebt += monthlyPayment;
+        }
+        totalDebt += balance + _monthlyInterest(balance, _interestRate);
+    }
+
+    /**
+     * @dev Проценты за месяц на остаток основной суммы по годовой ставке
+     */
+    function _monthlyInterest(uint256 _balance, uint256 _interestRate) private pure returns (uint256) {
+        return (_balance * _interestRate) / (BASIS_POINTS * MONTHS_PER_YEAR);
+    }
+
+    /**
+     * @dev Очередной платеж без штрафа: последний погашает весь оставшийся долг
+     */
+    function _nextInstallment(Loan storage _loan) private view returns (uint256) {
+        if (_loan.paymentsMade + 1 == _loan.paymentsRequired) {
+            return _loan.totalDebt;
+        }
+        return _loan.monthlyPayment;
+    }
+
+    /**
+     * @dev Основная сумма в составе платежа. В аннуитетном займе платеж сначала покрывает
+     * проценты за месяц на остаток, в равномерном основная сумма и проценты уходят
+     * в той же пропорции, что и в исходном долге.
+     */
+    function _installmentPrincipal(Loan storage _loan, uint256 _installment) private view returns (uint256) {
+        if (_installment == _loan.totalDebt) {
+            return _loan.principalOutstanding;
+        }
+        if (_loan.terms.amortizing) {
+            uint256 interestPart = Math.min(
+                _monthlyInterest(_loan.principalOutstanding, _loan.terms.interestRate),
+                _installment
+            );
+            return Math.min(_installment - interestPart, _loan.principalOutstanding);
+        }
+        uint256 debtAfter = _loan.totalDebt - _installment;
+        uint256 principalAfter = debtAfter - (debtAfter * _loan.interest) / (_loan.principal + _loan.interest);
+        // После досрочного погашения остаток может отличаться от пропорции на 1 wei из-за округления
+        return _loan.principalOutstanding > principalAfter ? _loan.principalOutstanding - principalAfter : 0;
+    }
+
+    /**
+     * @dev Проценты, уходящие из долга при досрочном погашении _amount основной суммы,
+     * и новый ежемесячный платеж на оставшиеся месяцы
+     */
+    function _prepaymentTerms(Loan storage _loan, uint256 _amount)
+        private
+        view
+        returns (uint256 interestRemoved, uint256 monthlyPayment)
+    {
+        uint256 remainingPayments = _loan.paymentsRequired - _loan.paymentsMade;
+        require(_amount > 0 && _amount < _loan.principalOutstanding, "Invalid prepayment amount");
+        if (!_loan.terms.amortizing) {
+            // Проценты округляются вниз: одной проверки долга мало, основная сумма обнулилась бы раньше долга
+            interestRemoved = (_amount * _loan.interest) / _loan.principal;
+            require(_amount + interestRemoved < _loan.totalDebt, "Invalid prepayment amount");
+            return (interestRemoved, (_loan.totalDebt - _amount - interestRemoved) / remainingPayments);
+        }
+
+        uint256 totalDebt;
+        (monthlyPayment, totalDebt) = _schedule(
+            _loan.principalOutstanding - _amount,
+            _loan.terms.interestRate,
+            remainingPayments,
+            true
+        );
+        uint256 debtAfter = _loan.totalDebt - _amount;
+        interestRemoved = debtAfter > totalDebt ? debtAfter - totalDebt : 0;
+    }
+
+    /**
+     * @dev Перевод платежа кредитору займа: владельцу или в пул, из которого выдан займ.
+     * Пул получает погашенную основную сумму, остальное — доход кредиторов.
+     */
+    function _collect(Loan storage _loan, address _payer, uint256 _amount, uint256 _principalRepaid) private {
+        if (address(_loan.pool) == address(0)) {
+            _loan.token.safeTransferFrom(_payer, owner(), _amount);
+            return;
+        }
+        _loan.token.safeTransferFrom(_payer, address(_loan.pool), _amount);
+        _loan.pool.notifyRepayment(_principalRepaid);
+    }
+
+    /**
+     * @dev Штраф за просрочку очередного платежа на текущий момент (за полные дни после начала штрафа)
+     */
+    function _accruedPenalty(Loan storage _loan) private view returns (uint256) {
+        uint256 penaltyStart = _penaltyStart(_loan);
+        if (block.timestamp <= penaltyStart) {
+            return 0;
+        }
+        uint256 daysLate = (block.timestamp - penaltyStart) / SECONDS_PER_DAY;
+        return (_loan.monthlyPayment * _loan.terms.penaltyRatePerDay * daysLate) / BASIS_POINTS;
+    }
+
+    /**
+     * @dev Начало начисления штрафа: срок очередного платежа или окончание льготного периода
+     */
+    function _penaltyStart(Loan storage _loan) private view returns (uint256) {
+        return Math.max(_loan.lastPaymentTime + DAYS_PER_MONTH * SECONDS_PER_DAY, _loan.graceEnd);
+    }
+
+    /**
+     * @dev Отношение стоимости залога к стоимости долга в базисных пунктах
+     */
+    function _collateralRatio(uint256 _collateral, uint256 _debtValue) private pure returns (uint256) {
+        if (_debtValue == 0) {
+            return type(uint256).max;
+        }
+        return (_collateral * BASIS_POINTS) / _debtValue;
     }
 }
\ No newline at end of file
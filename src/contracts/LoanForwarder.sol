@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title LoanForwarder
+ * @dev Форвардер ERC-2771 для подписанных намерений заемщика (займ, платеж, погашение).
+ * Заемщик подписывает ForwardRequest по EIP-712 (домен "LoanForwarder", версия "1"),
+ * релейер отправляет его через execute и платит за газ. Подпись проверяется вместе с nonce
+ * и сроком действия; CollateralizedLoan принимает вызовы форвардера после setTrustedForwarder
+ */
+contract LoanForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("LoanForwarder") {}
+}
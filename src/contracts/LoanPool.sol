@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title LoanPool
+ * @dev Пул ликвидности одного токена в стиле ERC-4626.
+ * Кредиторы вносят токен и получают доли пула. Контракт займов (loanManager) выдает займы
+ * из пула и возвращает в него платежи заемщиков: проценты и штрафы увеличивают стоимость долей.
+ * Выданная, но еще не возвращенная основная сумма учитывается в totalAssets.
+ * Доли имеют на DECIMALS_OFFSET знаков больше токена: виртуальные доли OpenZeppelin делают
+ * «инфляцию» первого депозита пожертвованием токенов в пул убыточной для атакующего.
+ */
+contract LoanPool is ERC4626 {
+    using SafeERC20 for IERC20;
+
+    // Контракт займов, которому разрешено выдавать займы из пула
+    address public immutable loanManager;
+
+    // Основная сумма выданных и еще не погашенных займов
+    uint256 public totalBorrowed;
+
+    // Дополнительные знаки долей пула относительно токена
+    uint8 public constant DECIMALS_OFFSET = 6;
+
+    event Lent(address indexed borrower, uint256 amount);
+    event Repaid(uint256 principal);
+
+    modifier onlyLoanManager() {
+        require(msg.sender == loanManager, "Only loan manager");
+        _;
+    }
+
+    constructor(
+        IERC20 _asset,
+        string memory _name,
+        string memory _symbol,
+        address _loanManager
+    ) ERC20(_name, _symbol) ERC4626(_asset) {
+        loanManager = _loanManager;
+    }
+
+    /**
+     * @dev Стоимость пула: свободные токены плюс основная сумма выданных займов
+     */
+    function totalAssets() public view override returns (uint256) {
+        return availableLiquidity() + totalBorrowed;
+    }
+
+    function _decimalsOffset() internal pure override returns (uint8) {
+        return DECIMALS_OFFSET;
+    }
+
+    /**
+     * @dev Токены, доступные для выдачи займов и вывода кредиторами
+     */
+    function availableLiquidity() public view returns (uint256) {
+        return IERC20(asset()).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Вывод ограничен свободной ликвидностью пула
+     */
+    function maxWithdraw(address _owner) public view override returns (uint256) {
+        return Math.min(super.maxWithdraw(_owner), availableLiquidity());
+    }
+
+    function maxRedeem(address _owner) public view override returns (uint256) {
+        return Math.min(super.maxRedeem(_owner), convertToShares(availableLiquidity()));
+    }
+
+    /**
+     * @dev Выдача займа из пула (только контракт займов)
+     */
+    function lend(address _borrower, uint256 _amount) external onlyLoanManager {
+        require(_amount <= availableLiquidity(), "Insufficient liquidity");
+        totalBorrowed += _amount;
+        IERC20(asset()).safeTransfer(_borrower, _amount);
+        emit Lent(_borrower, _amount);
+    }
+
+    /**
+     * @dev Учет возврата основной суммы. Токены платежа уже переведены в пул контрактом займов,
+     * часть сверх основной суммы (проценты, штрафы) остается в пуле как доход кредиторов.
+     */
+    function notifyRepayment(uint256 _principal) external onlyLoanManager {
+        totalBorrowed -= Math.min(_principal, totalBorrowed);
+        emit Repaid(_principal);
+    }
+}
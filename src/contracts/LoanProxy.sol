@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title LoanProxy
+ * @dev Прокси ERC-1967 для CollateralizedLoan. Логика обновления — в реализации (UUPS),
+ * _data — вызов initialize, выполняемый при деплое
+ */
+contract LoanProxy is ERC1967Proxy {
+    constructor(address _implementation, bytes memory _data) ERC1967Proxy(_implementation, _data) {}
+}
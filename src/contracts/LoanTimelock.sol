@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title LoanTimelock
+ * @dev Таймлок для изменения параметров и обновлений CollateralizedLoan: получает GOVERNOR_ROLE,
+ * изменения ставятся в очередь proposer и выполняются не раньше чем через _minDelay секунд
+ */
+contract LoanTimelock is TimelockController {
+    constructor(uint256 _minDelay, address[] memory _proposers, address[] memory _executors, address _admin)
+        TimelockController(_minDelay, _proposers, _executors, _admin)
+    {}
+}
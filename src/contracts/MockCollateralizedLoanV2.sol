@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./CollateralizedLoan.sol";
+
+/**
+ * @dev Следующая версия CollateralizedLoan для тестов обновления через прокси:
+ * новая переменная добавляется после хранилища первой версии (включая резерв __gap)
+ * и задается миграцией initializeV2
+ */
+contract MockCollateralizedLoanV2 is CollateralizedLoan {
+    uint256 public gracePeriodDays;
+
+    function initializeV2(uint256 _gracePeriodDays) external reinitializer(2) {
+        gracePeriodDays = _gracePeriodDays;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
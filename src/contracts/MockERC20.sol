@@ -2,9 +2,43 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract MockERC20 is ERC20 {
-    constructor(string memory name, string memory symbol, uint256 initialSupply) ERC20(name, symbol) {
+/**
+ * @dev Тестовый токен с разрешениями EIP-2612 (permit)
+ */
+contract MockERC20 is ERC20, ERC20Permit {
+    uint8 private _decimals = 18;
+    uint256 public transferFee; // Комиссия за перевод в базисных пунктах, сжигается
+
+    constructor(string memory name, string memory symbol, uint256 initialSupply) ERC20(name, symbol) ERC20Permit(name) {
         _mint(msg.sender, initialSupply);
     }
-}
\ No newline at end of file
+
+    /**
+     * @dev Изменение decimals для проверки нормализации сумм токенов с разной точностью
+     */
+    function setDecimals(uint8 decimals_) external {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @dev Комиссия за перевод для проверки токенов с комиссией (fee-on-transfer)
+     */
+    function setTransferFee(uint256 transferFee_) external {
+        transferFee = transferFee_;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (transferFee > 0 && from != address(0) && to != address(0)) {
+            uint256 fee = (value * transferFee) / 10000;
+            super._update(from, address(0), fee);
+            value -= fee;
+        }
+        super._update(from, to, value);
+    }
+}
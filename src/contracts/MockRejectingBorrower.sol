@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./CollateralizedLoan.sol";
+
+/**
+ * @dev Заемщик-контракт без receive для тестов ликвидации: входящие ETH отклоняются,
+ * поэтому возврат остатка залога не должен блокировать ликвидацию его займа
+ */
+contract MockRejectingBorrower {
+    function borrow(CollateralizedLoan _loan, IERC20 _token, uint256 _amount) external payable {
+        _loan.borrow{value: msg.value}(_token, _amount, 0);
+    }
+}
@@ -1,6 +1,15 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/loan");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // Без оптимизатора CollateralizedLoan превышает лимит размера контракта (24 КБ).
+      // Через IR обновляемая реализация (UUPS, роли, пауза) заметно меньше и оставляет запас до лимита
+      optimizer: { enabled: true, runs: 200 },
+      viaIR: true,
+    },
+  },
 };
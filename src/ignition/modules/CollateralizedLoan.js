@@ -0,0 +1,79 @@
+// Модуль Hardhat Ignition для деплоя CollateralizedLoan вместе с токеном займа.
+// Повторяет ручные шаги из README (Remix): деплой MockERC20, деплой CollateralizedLoan,
+// добавление токена в список разрешенных, подключение ценового фида и approve токенов владельцем.
+// Также разворачивается LoanForwarder — доверенный форвардер ERC-2771 для намерений заемщиков.
+//
+// CollateralizedLoan разворачивается за прокси UUPS (LoanProxy) и инициализируется в том же деплое.
+// После настройки роли GOVERNOR_ROLE и DEFAULT_ADMIN_ROLE передаются LoanTimelock: параметры и обновления
+// контракта меняются только через очередь с задержкой timelockDelay. Развернувший аккаунт остается
+// владельцем (ликвидация, аварийный вывод), стражем паузы и единственным proposer таймлока.
+//
+// Параметры для каждой сети лежат в ignition/parameters/<network>.json:
+//   npx hardhat ignition deploy ./ignition/modules/CollateralizedLoan.js \
+//     --network localhost --parameters ignition/parameters/localhost.json
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { ethers } = require("ethers");
+const MockERC20Module = require("./MockERC20");
+const MockV3AggregatorModule = require("./MockV3Aggregator");
+
+const DEFAULT_INTEREST_RATE = 500; // 5% годовых в базисных пунктах
+const DEFAULT_PENALTY_RATE_PER_DAY = 100; // 1% в день в базисных пунктах
+const DEFAULT_LOAN_DURATION_MONTHS = 12;
+const DEFAULT_MIN_LOAN_AMOUNT = 1_000_000_000_000_000_000n; // 1 токен
+const DEFAULT_APPROVE_AMOUNT = 1_000_000_000_000_000_000_000n; // 1000 токенов
+const DEFAULT_TIMELOCK_DELAY = 2 * 24 * 60 * 60; // 2 дня
+
+const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+const GOVERNOR_ROLE = ethers.id("GOVERNOR_ROLE");
+
+module.exports = buildModule("CollateralizedLoanModule", (m) => {
+  const { token } = m.useModule(MockERC20Module);
+  const { priceFeed } = m.useModule(MockV3AggregatorModule);
+
+  const interestRate = m.getParameter("interestRate", DEFAULT_INTEREST_RATE);
+  const penaltyRatePerDay = m.getParameter("penaltyRatePerDay", DEFAULT_PENALTY_RATE_PER_DAY);
+  const loanDurationMonths = m.getParameter("loanDurationMonths", DEFAULT_LOAN_DURATION_MONTHS);
+  const minLoanAmount = m.getParameter("minLoanAmount", DEFAULT_MIN_LOAN_AMOUNT);
+  const approveAmount = m.getParameter("approveAmount", DEFAULT_APPROVE_AMOUNT);
+  const timelockDelay = m.getParameter("timelockDelay", DEFAULT_TIMELOCK_DELAY);
+  const deployer = m.getAccount(0);
+
+  const implementation = m.contract("CollateralizedLoan", [], { id: "CollateralizedLoanImplementation" });
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [
+    interestRate,
+    penaltyRatePerDay,
+    loanDurationMonths,
+    minLoanAmount,
+  ]);
+  const proxy = m.contract("LoanProxy", [implementation, initialize]);
+  // Задачи loan:* находят контракт по id CollateralizedLoan — это адрес прокси
+  const loan = m.contractAt("CollateralizedLoan", proxy, { id: "CollateralizedLoan" });
+
+  const forwarder = m.contract("LoanForwarder");
+  const trustForwarder = m.call(loan, "setTrustedForwarder", [forwarder]);
+
+  const allowToken = m.call(loan, "setTokenAllowed", [token, true]);
+  const connectFeed = m.call(loan, "setPriceFeed", [token, priceFeed]);
+  // Займы выдаются через transferFrom(owner(), ...), поэтому владелец одобряет токены контракту
+  m.call(token, "approve", [loan, approveAmount]);
+
+  // Исполнять готовые операции может любой аккаунт (address(0)); таймлок администрирует себя сам
+  const timelock = m.contract("LoanTimelock", [timelockDelay, [deployer], [ethers.ZeroAddress], ethers.ZeroAddress]);
+  const configured = [trustForwarder, allowToken, connectFeed];
+  const grantGovernor = m.call(loan, "grantRole", [GOVERNOR_ROLE, timelock], {
+    id: "grantGovernorRole",
+    after: configured,
+  });
+  const grantAdmin = m.call(loan, "grantRole", [DEFAULT_ADMIN_ROLE, timelock], {
+    id: "grantAdminRole",
+    after: configured,
+  });
+  m.call(loan, "renounceRole", [GOVERNOR_ROLE, deployer], { id: "renounceGovernorRole", after: [grantGovernor] });
+  m.call(loan, "renounceRole", [DEFAULT_ADMIN_ROLE, deployer], {
+    id: "renounceAdminRole",
+    after: [grantGovernor, grantAdmin],
+  });
+
+  return { loan, implementation, token, priceFeed, forwarder, timelock };
+});
@@ -0,0 +1,16 @@
+// Модуль Hardhat Ignition для деплоя тестового ERC-20 токена
+// Подробнее: https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const DEFAULT_INITIAL_SUPPLY = 1_000_000_000_000_000_000_000n; // 1000 токенов (decimals = 18)
+
+module.exports = buildModule("MockERC20Module", (m) => {
+  const name = m.getParameter("name", "TestToken");
+  const symbol = m.getParameter("symbol", "TT");
+  const initialSupply = m.getParameter("initialSupply", DEFAULT_INITIAL_SUPPLY);
+
+  const token = m.contract("MockERC20", [name, symbol, initialSupply]);
+
+  return { token };
+});
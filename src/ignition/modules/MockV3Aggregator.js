@@ -0,0 +1,16 @@
+// Модуль Hardhat Ignition для деплоя тестового ценового фида TOKEN/ETH
+// Подробнее: https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const DEFAULT_DECIMALS = 18;
+const DEFAULT_TOKEN_PRICE = 1_000_000_000_000_000_000n; // 1 токен = 1 ETH
+
+module.exports = buildModule("MockV3AggregatorModule", (m) => {
+  const decimals = m.getParameter("decimals", DEFAULT_DECIMALS);
+  const tokenPrice = m.getParameter("tokenPrice", DEFAULT_TOKEN_PRICE);
+
+  const priceFeed = m.contract("MockV3Aggregator", [decimals, tokenPrice]);
+
+  return { priceFeed };
+});
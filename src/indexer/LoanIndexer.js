@@ -0,0 +1,300 @@
+const { Contract } = require("ethers");
+const { COLLATERALIZED_LOAN_ABI } = require("../sdk/abi");
+const { amountDueAt } = require("../sdk/schedule");
+
+// Статус займа после события, закрывающего займ
+const CLOSING_STATUS = {
+  LoanFullyRepaid: "repaid",
+  LoanRepaidEarly: "repaid_early",
+  CollateralLiquidated: "liquidated",
+  UndercollateralizedLiquidation: "liquidated",
+};
+
+/**
+ * @title LoanIndexer
+ * @dev Индексатор событий CollateralizedLoan: читает логи контракта по JSON-RPC
+ * и строит базу займов и платежей (LoanBookDatabase).
+ *
+ * Состояние займа после каждого события берется из getLoan на блоке события,
+ * поэтому база совпадает с контрактом и не повторяет его арифметику.
+ * Обработанный диапазон фиксируется чекпоинтом (номер и хеш последнего блока):
+ * перезапуск продолжает с него, а несовпадение хеша означает реорг —
+ * индексатор откатывается до общего с цепочкой блока и индексирует заново.
+ */
+class LoanIndexer {
+  /**
+   * @param provider ethers provider (JSON-RPC)
+   * @param address адрес контракта CollateralizedLoan
+   * @param db LoanBookDatabase
+   * @param startBlock блок деплоя контракта (с него начинается индексация)
+   * @param confirmations сколько последних блоков не индексировать до подтверждения
+   * @param batchSize максимальный диапазон блоков одного запроса eth_getLogs
+   * @param maxReorgDepth сколько хешей блоков хранить для поиска общего предка при реорге
+   * @param logger функция для сообщений о реоргах (по умолчанию без вывода)
+   */
+  constructor({
+    provider,
+    address,
+    db,
+    startBlock = 0,
+    confirmations = 0,
+    batchSize = 1000,
+    maxReorgDepth = 128,
+    logger = () => {},
+  }) {
+    this.provider = provider;
+    this.address = address;
+    this.db = db;
+    this.startBlock = Number(startBlock);
+    this.confirmations = Number(confirmations);
+    this.batchSize = Number(batchSize);
+    this.maxReorgDepth = Number(maxReorgDepth);
+    this.logger = logger;
+    this.contract = new Contract(address, COLLATERALIZED_LOAN_ABI, provider);
+    this.timer = undefined;
+    this.polling = undefined;
+  }
+
+  /**
+   * @dev Проверка, что база принадлежит этому контракту и сети; для новой базы — запись метаданных
+   */
+  async _init() {
+    if (this.initialized) {
+      return;
+    }
+    const { chainId } = await this.provider.getNetwork();
+    const address = this.db.getMeta("address");
+    if (address === undefined) {
+      const liquidationThresholdDays = await this.contract.LIQUIDATION_THRESHOLD_DAYS();
+      this.db.transaction(() => {
+        this.db.setMeta("address", this.address.toLowerCase());
+        this.db.setMeta("chain_id", chainId);
+        this.db.setMeta("liquidation_threshold_days", liquidationThresholdDays);
+      });
+    } else if (address !== this.address.toLowerCase() || this.db.getMeta("chain_id") !== chainId.toString()) {
+      throw new Error(`LoanIndexer: database belongs to ${address} on chain ${this.db.getMeta("chain_id")}`);
+    }
+    this.initialized = true;
+  }
+
+  /**
+   * @dev Индексация до последнего подтвержденного блока.
+   * Возвращает номер последнего проиндексированного блока.
+   */
+  async sync() {
+    await this._init();
+    await this._handleReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    let checkpoint = this.db.getCheckpoint();
+    let fromBlock = checkpoint ? checkpoint.number + 1 : this.startBlock;
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+      if (!(await this._indexRange(fromBlock, toBlock))) {
+        // Цепочка изменилась во время чтения диапазона: откат при следующей синхронизации
+        break;
+      }
+      fromBlock = toBlock + 1;
+    }
+
+    checkpoint = this.db.getCheckpoint();
+    return checkpoint ? checkpoint.number : this.startBlock - 1;
+  }
+
+  /**
+   * @dev Периодическая синхронизация. Ошибки RPC передаются в onError, опрос продолжается.
+   */
+  start({ intervalMs = 5000, onError = (e) => this.logger(`sync failed: ${e.message}`) } = {}) {
+    if (this.timer) {
+      return;
+    }
+    const poll = async () => {
+      this.polling = this.sync().catch(onError);
+      await this.polling;
+      this.polling = undefined;
+      if (this.timer) {
+        this.timer = setTimeout(poll, intervalMs);
+      }
+    };
+    this.timer = setTimeout(poll, 0);
+  }
+
+  /**
+   * @dev Остановка опроса; дожидается текущей синхронизации, после чего базу можно закрыть
+   */
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    await this.polling;
+  }
+
+  async _block(number) {
+    const block = await this.provider.getBlock(number);
+    return { number: block.number, hash: block.hash, timestamp: block.timestamp };
+  }
+
+  async _loanAt(loanId, blockNumber) {
+    const loan = await this.contract.getLoan(loanId, { blockTag: blockNumber });
+    return loan.toObject(true);
+  }
+
+  /**
+   * @dev Индексация диапазона блоков. Данные RPC загружаются заранее,
+   * запись в базу идет одной транзакцией вместе с новым чекпоинтом.
+   * Возвращает false, если логи относятся к блокам, которых уже нет в цепочке.
+   */
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+
+    const blocks = new Map();
+    for (const number of new Set([...logs.map((log) => log.blockNumber), toBlock])) {
+      blocks.set(number, await this._block(number));
+    }
+    if (logs.some((log) => log.blockHash !== blocks.get(log.blockNumber).hash)) {
+      return false;
+    }
+
+    const events = [];
+    const snapshots = new Map();
+    for (const log of logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      const args = parsed.args.toObject();
+      const loanId = "loanId" in args ? args.loanId : undefined;
+      if (loanId !== undefined) {
+        const key = `${loanId}@${log.blockNumber}`;
+        if (!snapshots.has(key)) {
+          snapshots.set(key, await this._loanAt(loanId, log.blockNumber));
+        }
+      }
+      events.push({ log, name: parsed.name, args, loanId });
+    }
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        const block = blocks.get(event.log.blockNumber);
+        const snapshot = event.loanId === undefined ? undefined : snapshots.get(`${event.loanId}@${block.number}`);
+        this._applyEvent(event, block, snapshot);
+        this.db.saveBlock(block);
+      }
+      this.db.setCheckpoint(blocks.get(toBlock));
+      this.db.pruneBlocks(toBlock - this.maxReorgDepth);
+    });
+    this.db.save();
+    return true;
+  }
+
+  /**
+   * @dev Запись события: журнал событий, платежи, параметры и состояние займа
+   */
+  _applyEvent({ log, name, args, loanId }, block, snapshot) {
+    const position = { blockNumber: log.blockNumber, logIndex: log.index, txHash: log.transactionHash };
+    this.db.insertEvent({ ...position, name, loanId, args });
+
+    if (name === "ParametersUpdated") {
+      this.db.insertParameterUpdate({
+        ...position,
+        interestRate: args.interestRate,
+        penaltyRatePerDay: args.penaltyRate,
+        loanDurationMonths: args.loanDuration,
+        timestamp: block.timestamp,
+      });
+      return;
+    }
+    if (snapshot === undefined) {
+      return;
+    }
+
+    // Штраф не публикуется в событиях: он считается по состоянию займа до платежа
+    const payment = { ...position, loanId, timestamp: block.timestamp, penalty: 0n };
+    if (name === "PaymentMade") {
+      this.db.insertPayment({
+        ...payment,
+        kind: "installment",
+        amount: args.amount,
+        penalty: this._penaltyAt(loanId, block.timestamp),
+        paymentNumber: args.paymentNumber,
+      });
+    } else if (name === "PrepaymentMade") {
+      this.db.insertPayment({ ...payment, kind: "prepayment", amount: args.amount });
+    } else if (name === "LoanRepaidEarly") {
+      this.db.insertPayment({
+        ...payment,
+        kind: "payoff",
+        amount: args.amount,
+        penalty: this._penaltyAt(loanId, block.timestamp),
+      });
+    } else if (name === "UndercollateralizedLiquidation") {
+      this.db.insertPayment({ ...payment, kind: "liquidation", amount: args.debtRepaid });
+    }
+
+    this.db.upsertLoan(snapshot, { status: CLOSING_STATUS[name], blockNumber: block.number });
+  }
+
+  _penaltyAt(loanId, timestamp) {
+    const loan = this.db.getLoan(loanId);
+    if (!loan) {
+      return 0n;
+    }
+    return amountDueAt({
+      monthlyPayment: loan.monthlyPayment,
+      penaltyRatePerDay: loan.penaltyRatePerDay,
+      lastPaymentTime: loan.lastPaymentTime,
+      timestamp,
+      graceEnd: loan.graceEnd,
+    }).penalty;
+  }
+
+  /**
+   * @dev Проверка чекпоинта. Если его блока больше нет в цепочке, ищется последний сохраненный блок,
+   * совпадающий с цепочкой, все данные после него удаляются, а затронутые займы перечитываются на нем.
+   */
+  async _handleReorg() {
+    const checkpoint = this.db.getCheckpoint();
+    if (!checkpoint || (await this._isCanonical(checkpoint))) {
+      return;
+    }
+
+    let ancestor;
+    for (const block of this.db.getBlocksSince(this.startBlock)) {
+      if (await this._isCanonical(block)) {
+        ancestor = block;
+        break;
+      }
+    }
+    // Общий предок не найден среди сохраненных блоков: индексация с начала
+    const ancestorNumber = ancestor ? ancestor.number : this.startBlock - 1;
+    this.logger(`reorg detected at block ${checkpoint.number}, rolling back to ${ancestorNumber}`);
+
+    const refreshed = [];
+    for (const loan of this.db.getLoansUpdatedAfter(ancestorNumber)) {
+      if (loan.issuedBlock <= ancestorNumber) {
+        refreshed.push(await this._loanAt(loan.loanId, ancestorNumber));
+      }
+    }
+
+    this.db.transaction(() => {
+      this.db.rollbackAfter(ancestorNumber);
+      // Займ, измененный после предка, на блоке предка был активен: закрытый займ больше не меняется
+      for (const loan of refreshed) {
+        this.db.upsertLoan(loan, { status: "active", blockNumber: ancestorNumber });
+      }
+      if (ancestor) {
+        this.db.setCheckpoint(ancestor);
+      } else {
+        this.db.clearCheckpoint();
+      }
+    });
+    this.db.save();
+  }
+
+  async _isCanonical(block) {
+    const current = await this.provider.getBlock(block.number);
+    return current !== null && current.hash === block.hash;
+  }
+}
+
+module.exports = { LoanIndexer };
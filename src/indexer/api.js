@@ -0,0 +1,199 @@
+const http = require("http");
+const { ZeroAddress } = require("ethers");
+const { SECONDS_PER_DAY, PAYMENT_PERIOD, amountDueAt } = require("../sdk/schedule");
+const { jsonReplacer } = require("../sdk/json");
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `Invalid ${name}: ${value}`);
+  }
+  return BigInt(value);
+}
+
+function parseBoolean(value, name) {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  throw new HttpError(400, `Invalid ${name}: ${value}`);
+}
+
+/**
+ * @dev Сводка по портфелю в разрезе токенов: непогашенный долг и основная сумма активных займов,
+ * залог в ETH (collateral) и в токенах залога (tokenCollateral по адресу токена), выплаты и собранные штрафы
+ */
+function portfolio(db) {
+  const tokens = new Map();
+  const summary = (token) => {
+    if (!tokens.has(token)) {
+      tokens.set(token, {
+        token,
+        loans: 0,
+        activeLoans: 0,
+        principalIssued: 0n,
+        outstandingDebt: 0n,
+        outstandingPrincipal: 0n,
+        collateral: 0n,
+        tokenCollateral: {},
+        totalPaid: 0n,
+        penaltiesCollected: 0n,
+      });
+    }
+    return tokens.get(token);
+  };
+
+  const statuses = { active: 0, repaid: 0, repaid_early: 0, liquidated: 0 };
+  for (const loan of db.getLoans()) {
+    const entry = summary(loan.token);
+    entry.loans++;
+    entry.principalIssued += loan.principal;
+    statuses[loan.status]++;
+    if (loan.active) {
+      entry.activeLoans++;
+      entry.outstandingDebt += loan.totalDebt;
+      entry.outstandingPrincipal += loan.principalOutstanding;
+      if (loan.collateralToken === ZeroAddress) {
+        entry.collateral += loan.collateral;
+      } else {
+        entry.tokenCollateral[loan.collateralToken] =
+          (entry.tokenCollateral[loan.collateralToken] || 0n) + loan.collateral;
+      }
+    }
+  }
+  for (const payment of db.getPaymentsWithToken()) {
+    const entry = summary(payment.token);
+    entry.totalPaid += payment.amount;
+    entry.penaltiesCollected += payment.penalty;
+  }
+
+  return { loans: statuses, tokens: [...tokens.values()] };
+}
+
+/**
+ * @dev Просроченные займы на момент at: срок очередного платежа прошел.
+ * Штраф и сумма к оплате считаются так же, как в makeMonthlyPayment;
+ * liquidatable — просрочка превысила порог ликвидации контракта.
+ * Во время льготного периода штраф не растет, а порог ликвидации отсчитывается от graceEnd.
+ */
+function delinquentLoans(db, at) {
+  const liquidationThreshold = BigInt(db.getMeta("liquidation_threshold_days") || 0) * SECONDS_PER_DAY;
+  const delinquent = [];
+  for (const loan of db.getLoans({ active: true })) {
+    const nextPaymentDue = loan.lastPaymentTime + PAYMENT_PERIOD;
+    if (at <= nextPaymentDue) {
+      continue;
+    }
+    const lateSince = loan.graceEnd > nextPaymentDue ? loan.graceEnd : nextPaymentDue;
+    const last = loan.paymentsMade + 1n === loan.paymentsRequired;
+    const due = amountDueAt({
+      monthlyPayment: loan.monthlyPayment,
+      installment: last ? loan.totalDebt : loan.monthlyPayment,
+      penaltyRatePerDay: loan.penaltyRatePerDay,
+      lastPaymentTime: loan.lastPaymentTime,
+      timestamp: at,
+      graceEnd: loan.graceEnd,
+    });
+    delinquent.push({
+      loanId: loan.loanId,
+      borrower: loan.borrower,
+      token: loan.token,
+      totalDebt: loan.totalDebt,
+      collateral: loan.collateral,
+      collateralToken: loan.collateralToken,
+      nextPaymentDue,
+      graceEnd: loan.graceEnd,
+      daysLate: due.daysLate,
+      accruedPenalty: due.penalty,
+      amountDue: due.amount,
+      liquidatable: at - lateSince > liquidationThreshold - PAYMENT_PERIOD,
+    });
+  }
+  return delinquent;
+}
+
+/**
+ * @dev Маршрутизация запросов: GET-эндпоинты только для чтения
+ */
+function route(db, url) {
+  const { pathname, searchParams } = url;
+  const checkpoint = db.getCheckpoint();
+
+  if (pathname === "/status") {
+    return {
+      address: db.getMeta("address"),
+      chainId: db.getMeta("chain_id"),
+      lastBlock: checkpoint ? checkpoint.number : null,
+      lastBlockTimestamp: checkpoint ? checkpoint.timestamp : null,
+    };
+  }
+  if (pathname === "/loans") {
+    const filter = {};
+    if (searchParams.has("borrower")) {
+      filter.borrower = searchParams.get("borrower");
+    }
+    if (searchParams.has("active")) {
+      filter.active = parseBoolean(searchParams.get("active"), "active");
+    }
+    return db.getLoans(filter);
+  }
+  const match = pathname.match(/^\/loans\/([^/]+)$/);
+  if (match) {
+    const loanId = parseInteger(match[1], "loan id");
+    const loan = db.getLoan(loanId);
+    if (!loan) {
+      throw new HttpError(404, `Loan ${loanId} not found`);
+    }
+    return { ...loan, payments: db.getPayments(loanId), events: db.getEvents({ loanId }) };
+  }
+  if (pathname === "/portfolio") {
+    return portfolio(db);
+  }
+  if (pathname === "/delinquent") {
+    // По умолчанию — время последнего проиндексированного блока
+    const at = searchParams.has("at")
+      ? parseInteger(searchParams.get("at"), "timestamp")
+      : BigInt(checkpoint ? checkpoint.timestamp : 0);
+    return { at, loans: delinquentLoans(db, at) };
+  }
+  if (pathname === "/parameters") {
+    return db.getParameterUpdates();
+  }
+  throw new HttpError(404, `Unknown endpoint: ${pathname}`);
+}
+
+/**
+ * @title createApiServer
+ * @dev Локальный HTTP/JSON API над базой индексатора:
+ *   GET /status                       — адрес контракта, сеть и последний проиндексированный блок
+ *   GET /loans?borrower=&active=      — займы
+ *   GET /loans/:id                    — займ с платежами и событиями
+ *   GET /portfolio                    — непогашенный долг, залог и собранные штрафы по токенам
+ *   GET /delinquent?at=<timestamp>    — просроченные займы с начисленным штрафом
+ *   GET /parameters                   — история ParametersUpdated
+ * Суммы возвращаются строками. Сервер нужно запустить через listen().
+ */
+function createApiServer(db) {
+  return http.createServer((request, response) => {
+    let status = 200;
+    let body;
+    try {
+      if (request.method !== "GET") {
+        throw new HttpError(405, `Method not allowed: ${request.method}`);
+      }
+      body = route(db, new URL(request.url, "http://localhost"));
+    } catch (e) {
+      status = e instanceof HttpError ? e.status : 500;
+      body = { error: e.message };
+    }
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body, jsonReplacer));
+  });
+}
+
+module.exports = { createApiServer, portfolio, delinquentLoans };
@@ -0,0 +1,466 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { ZeroAddress } = require("ethers");
+const { jsonReplacer } = require("../sdk/json");
+
+// Суммы uint256 хранятся строками: SQLite INTEGER не вмещает значения больше 2^63
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS loans (
+  loan_id INTEGER PRIMARY KEY,
+  borrower TEXT NOT NULL,
+  token TEXT NOT NULL,
+  pool TEXT NOT NULL,
+  product_id INTEGER NOT NULL,
+  principal TEXT NOT NULL,
+  interest TEXT NOT NULL,
+  principal_outstanding TEXT NOT NULL,
+  collateral TEXT NOT NULL,
+  collateral_token TEXT NOT NULL DEFAULT '${ZeroAddress}',
+  total_debt TEXT NOT NULL,
+  monthly_payment TEXT NOT NULL,
+  penalty_rate_per_day INTEGER NOT NULL,
+  start_time INTEGER NOT NULL,
+  last_payment_time INTEGER NOT NULL,
+  grace_end INTEGER NOT NULL DEFAULT 0,
+  payments_made INTEGER NOT NULL,
+  payments_required INTEGER NOT NULL,
+  active INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  issued_block INTEGER NOT NULL,
+  updated_block INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS loans_borrower ON loans (borrower);
+CREATE TABLE IF NOT EXISTS payments (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  loan_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  penalty TEXT NOT NULL,
+  payment_number INTEGER,
+  tx_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS payments_loan ON payments (loan_id);
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  name TEXT NOT NULL,
+  loan_id INTEGER,
+  args TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS parameter_updates (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  interest_rate INTEGER NOT NULL,
+  penalty_rate_per_day INTEGER NOT NULL,
+  loan_duration_months INTEGER NOT NULL,
+  timestamp INTEGER NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+`;
+
+const LOAN_COLUMNS = [
+  "loan_id",
+  "borrower",
+  "token",
+  "pool",
+  "product_id",
+  "principal",
+  "interest",
+  "principal_outstanding",
+  "collateral",
+  "collateral_token",
+  "total_debt",
+  "monthly_payment",
+  "penalty_rate_per_day",
+  "start_time",
+  "last_payment_time",
+  "grace_end",
+  "payments_made",
+  "payments_required",
+  "active",
+  "status",
+  "issued_block",
+  "updated_block",
+];
+
+/**
+ * Строка loans -> объект займа с BigInt-суммами
+ */
+function loanFromRow(row) {
+  return {
+    loanId: BigInt(row.loan_id),
+    borrower: row.borrower,
+    token: row.token,
+    pool: row.pool,
+    productId: BigInt(row.product_id),
+    principal: BigInt(row.principal),
+    interest: BigInt(row.interest),
+    principalOutstanding: BigInt(row.principal_outstanding),
+    collateral: BigInt(row.collateral),
+    collateralToken: row.collateral_token,
+    totalDebt: BigInt(row.total_debt),
+    monthlyPayment: BigInt(row.monthly_payment),
+    penaltyRatePerDay: BigInt(row.penalty_rate_per_day),
+    startTime: BigInt(row.start_time),
+    lastPaymentTime: BigInt(row.last_payment_time),
+    graceEnd: BigInt(row.grace_end),
+    paymentsMade: BigInt(row.payments_made),
+    paymentsRequired: BigInt(row.payments_required),
+    active: row.active === 1,
+    status: row.status,
+    issuedBlock: row.issued_block,
+    updatedBlock: row.updated_block,
+  };
+}
+
+function paymentFromRow(row) {
+  return {
+    loanId: BigInt(row.loan_id),
+    kind: row.kind,
+    amount: BigInt(row.amount),
+    penalty: BigInt(row.penalty),
+    paymentNumber: row.payment_number === null ? null : BigInt(row.payment_number),
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    txHash: row.tx_hash,
+    timestamp: BigInt(row.timestamp),
+  };
+}
+
+/**
+ * @title LoanBookDatabase
+ * @dev База займов индексатора во встроенном SQLite (sql.js).
+ * База хранится в памяти и сохраняется в файл (если указан) после каждой синхронизации.
+ */
+class LoanBookDatabase {
+  /**
+   * @dev Открытие базы: загружается из файла, если он существует
+   * @param file путь к файлу базы (без него база живет только в памяти)
+   */
+  static async open(file) {
+    const SQL = await initSqlJs();
+    const data = file && fs.existsSync(file) ? fs.readFileSync(file) : undefined;
+    return new LoanBookDatabase(new SQL.Database(data), file);
+  }
+
+  constructor(db, file) {
+    this.db = db;
+    this.file = file;
+    this.db.run(SCHEMA);
+    this._migrate();
+  }
+
+  /**
+   * @dev Обновление схемы базы, созданной предыдущей версией индексатора.
+   * Займы такой базы выданы под залог ETH и без льготного периода
+   */
+  _migrate() {
+    const columns = this._all("PRAGMA table_info(loans)").map((column) => column.name);
+    if (!columns.includes("collateral_token")) {
+      this.db.run(`ALTER TABLE loans ADD COLUMN collateral_token TEXT NOT NULL DEFAULT '${ZeroAddress}'`);
+    }
+    if (!columns.includes("grace_end")) {
+      this.db.run("ALTER TABLE loans ADD COLUMN grace_end INTEGER NOT NULL DEFAULT 0");
+    }
+  }
+
+  save() {
+    if (!this.file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, Buffer.from(this.db.export()));
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * @dev Выполнение fn в одной транзакции SQLite: при ошибке изменения откатываются
+   */
+  transaction(fn) {
+    this.db.run("BEGIN");
+    try {
+      const result = fn();
+      this.db.run("COMMIT");
+      return result;
+    } catch (e) {
+      this.db.run("ROLLBACK");
+      throw e;
+    }
+  }
+
+  _all(sql, params = {}) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  _get(sql, params = {}) {
+    return this._all(sql, params)[0];
+  }
+
+  getMeta(key) {
+    const row = this._get("SELECT value FROM meta WHERE key = :key", { ":key": key });
+    return row ? row.value : undefined;
+  }
+
+  setMeta(key, value) {
+    this.db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (:key, :value)", {
+      ":key": key,
+      ":value": String(value),
+    });
+  }
+
+  /**
+   * @dev Последний обработанный блок: { number, hash, timestamp } или undefined
+   */
+  getCheckpoint() {
+    const number = this.getMeta("checkpoint");
+    if (number === undefined) {
+      return undefined;
+    }
+    return this.getBlock(Number(number));
+  }
+
+  setCheckpoint(block) {
+    this.saveBlock(block);
+    this.setMeta("checkpoint", block.number);
+  }
+
+  clearCheckpoint() {
+    this.db.run("DELETE FROM meta WHERE key = 'checkpoint'");
+  }
+
+  saveBlock({ number, hash, timestamp }) {
+    this.db.run("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (:number, :hash, :timestamp)", {
+      ":number": number,
+      ":hash": hash,
+      ":timestamp": Number(timestamp),
+    });
+  }
+
+  getBlock(number) {
+    return this._get("SELECT number, hash, timestamp FROM blocks WHERE number = :number", { ":number": number });
+  }
+
+  /**
+   * @dev Сохраненные блоки не старше fromBlock, от новых к старым (для поиска общего предка при реорге)
+   */
+  getBlocksSince(fromBlock) {
+    return this._all("SELECT number, hash, timestamp FROM blocks WHERE number >= :from ORDER BY number DESC", {
+      ":from": fromBlock,
+    });
+  }
+
+  pruneBlocks(beforeBlock) {
+    this.db.run("DELETE FROM blocks WHERE number < :before", { ":before": beforeBlock });
+  }
+
+  /**
+   * @dev Запись займа по состоянию контракта (getLoan) на блоке blockNumber
+   */
+  upsertLoan(loan, { status, blockNumber }) {
+    const existing = this.getLoan(loan.id);
+    const row = {
+      loan_id: Number(loan.id),
+      borrower: loan.borrower,
+      token: loan.token,
+      pool: loan.pool,
+      product_id: Number(loan.terms.productId),
+      principal: loan.principal.toString(),
+      interest: loan.interest.toString(),
+      principal_outstanding: loan.principalOutstanding.toString(),
+      collateral: loan.collateral.toString(),
+      collateral_token: loan.collateralToken,
+      total_debt: loan.totalDebt.toString(),
+      monthly_payment: loan.monthlyPayment.toString(),
+      penalty_rate_per_day: Number(loan.terms.penaltyRatePerDay),
+      start_time: Number(loan.startTime),
+      last_payment_time: Number(loan.lastPaymentTime),
+      grace_end: Number(loan.graceEnd),
+      payments_made: Number(loan.paymentsMade),
+      payments_required: Number(loan.paymentsRequired),
+      active: loan.active ? 1 : 0,
+      status: status || (existing ? existing.status : "active"),
+      issued_block: existing ? existing.issuedBlock : blockNumber,
+      updated_block: blockNumber,
+    };
+    const params = Object.fromEntries(LOAN_COLUMNS.map((column) => [`:${column}`, row[column]]));
+    this.db.run(
+      `INSERT OR REPLACE INTO loans (${LOAN_COLUMNS.join(", ")})
+       VALUES (${LOAN_COLUMNS.map((column) => `:${column}`).join(", ")})`,
+      params
+    );
+  }
+
+  getLoan(loanId) {
+    const row = this._get("SELECT * FROM loans WHERE loan_id = :id", { ":id": Number(loanId) });
+    return row ? loanFromRow(row) : undefined;
+  }
+
+  /**
+   * @dev Займы с фильтрами по заемщику и статусу активности
+   */
+  getLoans({ borrower, active } = {}) {
+    const conditions = [];
+    const params = {};
+    if (borrower) {
+      conditions.push("lower(borrower) = lower(:borrower)");
+      params[":borrower"] = borrower;
+    }
+    if (active !== undefined) {
+      conditions.push("active = :active");
+      params[":active"] = active ? 1 : 0;
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    return this._all(`SELECT * FROM loans ${where} ORDER BY loan_id`, params).map(loanFromRow);
+  }
+
+  /**
+   * @dev Займы, измененные после блока (затронутые реоргом)
+   */
+  getLoansUpdatedAfter(blockNumber) {
+    return this._all("SELECT * FROM loans WHERE updated_block > :block ORDER BY loan_id", {
+      ":block": blockNumber,
+    }).map(loanFromRow);
+  }
+
+  insertPayment({ blockNumber, logIndex, loanId, kind, amount, penalty, paymentNumber, txHash, timestamp }) {
+    this.db.run(
+      `INSERT OR REPLACE INTO payments
+       (block_number, log_index, loan_id, kind, amount, penalty, payment_number, tx_hash, timestamp)
+       VALUES (:block, :log, :loan, :kind, :amount, :penalty, :number, :tx, :timestamp)`,
+      {
+        ":block": blockNumber,
+        ":log": logIndex,
+        ":loan": Number(loanId),
+        ":kind": kind,
+        ":amount": amount.toString(),
+        ":penalty": penalty.toString(),
+        ":number": paymentNumber === undefined ? null : Number(paymentNumber),
+        ":tx": txHash,
+        ":timestamp": Number(timestamp),
+      }
+    );
+  }
+
+  getPayments(loanId) {
+    return this._all("SELECT * FROM payments WHERE loan_id = :id ORDER BY block_number, log_index", {
+      ":id": Number(loanId),
+    }).map(paymentFromRow);
+  }
+
+  /**
+   * @dev Все платежи с токеном займа (для сводки по портфелю)
+   */
+  getPaymentsWithToken() {
+    return this._all(
+      `SELECT payments.*, loans.token FROM payments
+       JOIN loans ON loans.loan_id = payments.loan_id
+       ORDER BY block_number, log_index`
+    ).map((row) => ({ ...paymentFromRow(row), token: row.token }));
+  }
+
+  insertEvent({ blockNumber, logIndex, txHash, name, loanId, args }) {
+    this.db.run(
+      `INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, name, loan_id, args)
+       VALUES (:block, :log, :tx, :name, :loan, :args)`,
+      {
+        ":block": blockNumber,
+        ":log": logIndex,
+        ":tx": txHash,
+        ":name": name,
+        ":loan": loanId === undefined ? null : Number(loanId),
+        ":args": JSON.stringify(args, jsonReplacer),
+      }
+    );
+  }
+
+  getEvents({ loanId, name } = {}) {
+    const conditions = [];
+    const params = {};
+    if (loanId !== undefined) {
+      conditions.push("loan_id = :loan");
+      params[":loan"] = Number(loanId);
+    }
+    if (name) {
+      conditions.push("name = :name");
+      params[":name"] = name;
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    return this._all(`SELECT * FROM events ${where} ORDER BY block_number, log_index`, params).map((row) => ({
+      blockNumber: row.block_number,
+      logIndex: row.log_index,
+      txHash: row.tx_hash,
+      name: row.name,
+      loanId: row.loan_id === null ? null : BigInt(row.loan_id),
+      args: JSON.parse(row.args),
+    }));
+  }
+
+  insertParameterUpdate({ blockNumber, logIndex, interestRate, penaltyRatePerDay, loanDurationMonths, timestamp }) {
+    this.db.run(
+      `INSERT OR REPLACE INTO parameter_updates
+       (block_number, log_index, interest_rate, penalty_rate_per_day, loan_duration_months, timestamp)
+       VALUES (:block, :log, :interest, :penalty, :duration, :timestamp)`,
+      {
+        ":block": blockNumber,
+        ":log": logIndex,
+        ":interest": Number(interestRate),
+        ":penalty": Number(penaltyRatePerDay),
+        ":duration": Number(loanDurationMonths),
+        ":timestamp": Number(timestamp),
+      }
+    );
+  }
+
+  getParameterUpdates() {
+    return this._all("SELECT * FROM parameter_updates ORDER BY block_number, log_index").map((row) => ({
+      blockNumber: row.block_number,
+      interestRate: BigInt(row.interest_rate),
+      penaltyRatePerDay: BigInt(row.penalty_rate_per_day),
+      loanDurationMonths: BigInt(row.loan_duration_months),
+      timestamp: BigInt(row.timestamp),
+    }));
+  }
+
+  /**
+   * @dev Удаление всего, что проиндексировано после блока (откат при реорге).
+   * Займы, выданные после блока, удаляются; остальные затронутые займы индексатор перечитывает.
+   */
+  rollbackAfter(blockNumber) {
+    const params = { ":block": blockNumber };
+    this.db.run("DELETE FROM payments WHERE block_number > :block", params);
+    this.db.run("DELETE FROM events WHERE block_number > :block", params);
+    this.db.run("DELETE FROM parameter_updates WHERE block_number > :block", params);
+    this.db.run("DELETE FROM loans WHERE issued_block > :block", params);
+    this.db.run("DELETE FROM blocks WHERE number > :block", params);
+  }
+}
+
+module.exports = { LoanBookDatabase };
@@ -0,0 +1,11 @@
+const { LoanBookDatabase } = require("./database");
+const { LoanIndexer } = require("./LoanIndexer");
+const { createApiServer, portfolio, delinquentLoans } = require("./api");
+
+module.exports = {
+  LoanBookDatabase,
+  LoanIndexer,
+  createApiServer,
+  portfolio,
+  delinquentLoans,
+};
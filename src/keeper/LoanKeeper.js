@@ -0,0 +1,245 @@
+const { LoanError, NoActiveLoanError, toLoanError } = require("../sdk/errors");
+const { SECONDS_PER_DAY, PAYMENT_PERIOD, amountDueForLoan } = require("../sdk/schedule");
+const { createLogNotifier } = require("./notifiers");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @title LoanKeeper
+ * @dev Кипер просроченных займов CollateralizedLoan.
+ * Проверяет активные займы по getLoanDetails (nextPaymentDue) и времени последнего блока:
+ *   - за reminderWindow до срока платежа отправляет напоминание payment-due;
+ *   - после срока — ежедневное напоминание payment-late с начисленным штрафом;
+ *   - после LIQUIDATION_THRESHOLD_DAYS просрочки отправляет liquidate от имени владельца.
+ * Льготный период (graceEnd) откладывает напоминания о просрочке и ликвидацию, как и в контракте.
+ * Напоминания отмечаются в store (Set или JsonFileStore) только после доставки, поэтому
+ * повторная проверка не дублирует доставленные и повторяет недоставленные.
+ * Ликвидация повторяется при сетевых ошибках; перед повтором займ перечитывается,
+ * чтобы не ликвидировать повторно, если предыдущая транзакция уже прошла.
+ */
+class LoanKeeper {
+  /**
+   * @param client LoanClient с signer владельца контракта
+   * @param notify async-функция доставки уведомления (по умолчанию — лог)
+   * @param store хранилище ключей доставленных напоминаний (has/add)
+   * @param reminderWindow за сколько секунд до срока платежа напоминать
+   * @param dryRun не отправлять транзакции, только проверить ликвидацию через estimateGas
+   * @param gasLimit лимит газа транзакции liquidate
+   * @param maxGasPrice ликвидация откладывается, пока цена газа (wei) выше
+   * @param maxRetries число попыток ликвидации при сетевых ошибках
+   * @param retryDelayMs пауза перед повтором (растет с номером попытки)
+   */
+  constructor({
+    client,
+    notify = createLogNotifier(),
+    store = new Set(),
+    reminderWindow = 3n * SECONDS_PER_DAY,
+    dryRun = false,
+    gasLimit,
+    maxGasPrice,
+    maxRetries = 3,
+    retryDelayMs = 1000,
+    logger = () => {},
+  }) {
+    this.client = client;
+    this.provider = client.runner.provider;
+    this.notify = notify;
+    this.store = store;
+    this.reminderWindow = BigInt(reminderWindow);
+    this.dryRun = dryRun;
+    this.gasLimit = gasLimit === undefined ? undefined : BigInt(gasLimit);
+    this.maxGasPrice = maxGasPrice === undefined ? undefined : BigInt(maxGasPrice);
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.logger = logger;
+    // Закрытый займ больше не меняется: такие займы не перечитываются
+    this.closed = new Set();
+    this.timer = undefined;
+    this.polling = undefined;
+  }
+
+  /**
+   * @dev Одна проверка всех активных займов. Возвращает отчет:
+   * доставленные напоминания, результаты ликвидаций и ошибки доставки.
+   */
+  async check() {
+    if (this.liquidationThreshold === undefined) {
+      this.liquidationThreshold = (await this.client.contract.LIQUIDATION_THRESHOLD_DAYS()) * SECONDS_PER_DAY;
+    }
+    const now = BigInt((await this.provider.getBlock("latest")).timestamp);
+    const nextLoanId = await this.client.contract.nextLoanId();
+    const report = { timestamp: now, checked: 0, reminders: [], liquidations: [], errors: [] };
+
+    for (let loanId = 1n; loanId < nextLoanId; loanId++) {
+      if (this.closed.has(loanId)) {
+        continue;
+      }
+      const loan = await this.client.getLoan(loanId);
+      if (!loan.active) {
+        this.closed.add(loanId);
+        continue;
+      }
+      report.checked++;
+
+      // Просрочка считается от срока платежа или от окончания льготного периода
+      const lateSince = loan.graceEnd > loan.nextPaymentDue ? loan.graceEnd : loan.nextPaymentDue;
+      const liquidatableAfter = lateSince + this.liquidationThreshold - PAYMENT_PERIOD;
+      if (now > liquidatableAfter) {
+        report.liquidations.push(await this._liquidate(loan, report));
+      } else if (now > lateSince) {
+        const due = amountDueForLoan(loan, loan.terms.penaltyRatePerDay, now);
+        await this._remind(`${loanId}:late:${loan.nextPaymentDue}:${due.daysLate}`, report, {
+          type: "payment-late",
+          ...this._describe(loan),
+          daysLate: due.daysLate,
+          penalty: due.penalty,
+          amountDue: due.amount,
+          liquidatableAfter,
+        });
+      } else if (loan.nextPaymentDue - now <= this.reminderWindow) {
+        await this._remind(`${loanId}:due:${loan.nextPaymentDue}`, report, {
+          type: "payment-due",
+          ...this._describe(loan),
+          amountDue: amountDueForLoan(loan, loan.terms.penaltyRatePerDay, loan.nextPaymentDue).amount,
+        });
+      }
+    }
+    return report;
+  }
+
+  /**
+   * @dev Периодическая проверка. Ошибки RPC передаются в onError, опрос продолжается.
+   */
+  start({ intervalMs = 60000, onError = (e) => this.logger(`check failed: ${e.message}`) } = {}) {
+    if (this.timer) {
+      return;
+    }
+    const poll = async () => {
+      this.polling = this.check().catch(onError);
+      await this.polling;
+      this.polling = undefined;
+      if (this.timer) {
+        this.timer = setTimeout(poll, intervalMs);
+      }
+    };
+    this.timer = setTimeout(poll, 0);
+  }
+
+  /**
+   * @dev Остановка опроса; дожидается текущей проверки
+   */
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    await this.polling;
+  }
+
+  _describe(loan) {
+    return {
+      loanId: loan.loanId,
+      borrower: loan.borrower,
+      token: loan.token,
+      collateralToken: loan.collateralToken,
+      nextPaymentDue: loan.nextPaymentDue,
+    };
+  }
+
+  /**
+   * @dev Доставка уведомления один раз на ключ. Ошибка доставки попадает в отчет,
+   * ключ не сохраняется — уведомление повторится при следующей проверке.
+   */
+  async _remind(key, report, notification) {
+    if (this.store.has(key)) {
+      return false;
+    }
+    try {
+      await this.notify(notification);
+    } catch (e) {
+      report.errors.push({ loanId: notification.loanId, type: notification.type, error: e.message });
+      this.logger(`notification ${key} failed: ${e.message}`);
+      return false;
+    }
+    this.store.add(key);
+    report.reminders.push(notification);
+    return true;
+  }
+
+  /**
+   * @dev Ликвидация займа, просроченного дольше порога.
+   * Статусы результата: liquidated, simulated (dry-run), needs-approval (dry-run займа из пула
+   * без одобрения выкупа), deferred (дорогой газ), closed (займ уже закрыт),
+   * failed (revert или исчерпаны попытки).
+   */
+  async _liquidate(loan, report) {
+    const { loanId } = loan;
+    const result = await this._submitLiquidation(loanId);
+    const details = { ...this._describe(loan), ...result };
+
+    if (result.status === "liquidated") {
+      await this._remind(`${loanId}:liquidated`, report, { type: "loan-liquidated", ...details });
+    } else if (result.status === "simulated" || result.status === "needs-approval") {
+      await this._remind(`${loanId}:liquidation-eligible`, report, { type: "liquidation-eligible", ...details });
+    } else if (result.status === "failed") {
+      await this._remind(`${loanId}:liquidation-failed:${result.error}`, report, {
+        type: "liquidation-failed",
+        ...details,
+      });
+    }
+    return details;
+  }
+
+  async _submitLiquidation(loanId) {
+    const overrides = this.gasLimit === undefined ? {} : { gasLimit: this.gasLimit };
+
+    if (this.dryRun) {
+      try {
+        // Выкуп займа из пула без одобрения отклонился бы на переводе токенов, а настоящая
+        // ликвидация одобряет их сама (LoanClient.liquidate) — такой займ не считается ошибкой
+        const approval = await this.client.getLiquidationApproval(loanId);
+        if (approval.amount > 0n) {
+          return { status: "needs-approval", dryRun: true, approval };
+        }
+        const gasEstimate = await this.client.contract.liquidate.estimateGas(loanId, overrides);
+        return { status: "simulated", dryRun: true, gasEstimate };
+      } catch (e) {
+        return { status: "failed", dryRun: true, error: toLoanError(e, this.client.contract.interface).message };
+      }
+    }
+
+    if (this.maxGasPrice !== undefined) {
+      const feeData = await this.provider.getFeeData();
+      const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice;
+      if (gasPrice > this.maxGasPrice) {
+        return { status: "deferred", gasPrice };
+      }
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { hash, gasUsed, events } = await this.client.liquidate(loanId, overrides);
+        const { collateralSeized, collateralRefunded } = events.find((e) => e.name === "CollateralLiquidated").args;
+        return { status: "liquidated", hash, gasUsed, collateralSeized, collateralRefunded, attempts: attempt };
+      } catch (e) {
+        if (e instanceof NoActiveLoanError) {
+          return { status: "closed", attempts: attempt };
+        }
+        // Revert контракта повторять бессмысленно; сетевые ошибки повторяются
+        if (e instanceof LoanError || attempt >= this.maxRetries) {
+          return { status: "failed", error: e.message, attempts: attempt };
+        }
+        this.logger(`liquidation of loan ${loanId} failed (attempt ${attempt}): ${e.message}`);
+      }
+
+      await sleep(this.retryDelayMs * attempt);
+      // Предыдущая транзакция могла пройти, несмотря на ошибку ожидания ответа
+      const current = await this.client.getLoan(loanId).catch(() => undefined);
+      if (current && !current.active) {
+        return { status: "closed", attempts: attempt };
+      }
+    }
+  }
+}
+
+module.exports = { LoanKeeper };
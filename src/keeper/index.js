@@ -0,0 +1,10 @@
+const { LoanKeeper } = require("./LoanKeeper");
+const { createLogNotifier, createWebhookNotifier, combineNotifiers, JsonFileStore } = require("./notifiers");
+
+module.exports = {
+  LoanKeeper,
+  createLogNotifier,
+  createWebhookNotifier,
+  combineNotifiers,
+  JsonFileStore,
+};
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const path = require("path");
+const { jsonReplacer } = require("../sdk/json");
+
+/**
+ * @dev Уведомления в лог: по одной строке JSON на событие
+ */
+function createLogNotifier(log = console.log) {
+  return async (notification) => {
+    log(`[keeper] ${notification.type} ${JSON.stringify(notification, jsonReplacer)}`);
+  };
+}
+
+/**
+ * @dev Уведомления POST-запросом JSON на webhook. Ответ не 2xx или таймаут — ошибка доставки:
+ * кипер не отметит напоминание отправленным и повторит его при следующей проверке.
+ */
+function createWebhookNotifier(url, { timeoutMs = 10000, fetchImpl = fetch } = {}) {
+  return async (notification) => {
+    const response = await fetchImpl(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(notification, jsonReplacer),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook ${url} responded with ${response.status}`);
+    }
+  };
+}
+
+/**
+ * @dev Доставка уведомления во все каналы; ошибка любого канала — ошибка доставки
+ */
+function combineNotifiers(...notifiers) {
+  return async (notification) => {
+    await Promise.all(notifiers.map((notify) => notify(notification)));
+  };
+}
+
+/**
+ * @title JsonFileStore
+ * @dev Набор ключей отправленных напоминаний в JSON-файле, чтобы перезапуск кипера не повторял их.
+ * Тот же интерфейс has/add, что и у Set (хранилище по умолчанию).
+ */
+class JsonFileStore {
+  constructor(file) {
+    this.file = file;
+    this.keys = new Set(fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : []);
+  }
+
+  has(key) {
+    return this.keys.has(key);
+  }
+
+  add(key) {
+    this.keys.add(key);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify([...this.keys]));
+    return this;
+  }
+}
+
+module.exports = { createLogNotifier, createWebhookNotifier, combineNotifiers, JsonFileStore };
@@ -0,0 +1,120 @@
+const { Contract } = require("ethers");
+const { ERC20_ABI } = require("./abi");
+const { LoanError, TokenTransferFailedError, toLoanError } = require("./errors");
+
+/**
+ * @title ContractClient
+ * @dev Общая часть клиентов SDK: вызовы с преобразованием ошибок revert,
+ * отправка транзакций с разбором событий и одобрение токенов.
+ */
+class ContractClient {
+  /**
+   * @param runner signer (для транзакций) или provider (только чтение)
+   * @param address адрес контракта
+   * @param abi ABI контракта
+   */
+  constructor(runner, address, abi) {
+    this.runner = runner;
+    this.address = address;
+    this.contract = new Contract(address, abi, runner);
+  }
+
+  /**
+   * @dev Новый клиент с другим signer для того же контракта
+   */
+  connect(runner) {
+    return new this.constructor(runner, this.address);
+  }
+
+  async _allowance(tokenAddress, owner) {
+    const token = new Contract(tokenAddress, ERC20_ABI, this.runner);
+    return this._tokenCall(token, () => token.allowance(owner, this.address));
+  }
+
+  async _ensureAllowance(tokenAddress, owner, amount) {
+    const allowance = await this._allowance(tokenAddress, owner);
+    if (allowance < amount) {
+      const token = new Contract(tokenAddress, ERC20_ABI, this.runner);
+      await this._tokenCall(token, async () => (await token.approve(this.address, amount)).wait());
+    }
+  }
+
+  // Сбой вызова токена без своего типа ошибки (revert без причины, не ERC-20 по адресу)
+  // становится TokenTransferFailedError, исходная ошибка — в cause
+  async _tokenCall(token, call) {
+    try {
+      return await call();
+    } catch (e) {
+      const error = toLoanError(e, token.interface);
+      if (error instanceof LoanError && error.constructor !== LoanError) {
+        throw error;
+      }
+      const reason = error instanceof LoanError ? error.reason : null;
+      throw new TokenTransferFailedError(reason || `Token call failed: ${e.shortMessage || e.message}`, {
+        reason,
+        cause: e,
+      });
+    }
+  }
+
+  async _call(call) {
+    try {
+      return await call();
+    } catch (e) {
+      throw toLoanError(e, this.contract.interface);
+    }
+  }
+
+  async _send(sendTransaction) {
+    let receipt;
+    try {
+      const tx = await sendTransaction();
+      receipt = await tx.wait();
+    } catch (e) {
+      throw toLoanError(e, this.contract.interface);
+    }
+    return {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      events: this._parseEvents(receipt.logs),
+    };
+  }
+
+  /**
+   * @dev События этого контракта в транзакции hash, в том числе вызова через другой контракт
+   * (например, операции таймлока, исполненной TimelockClient.execute)
+   */
+  async getTransactionEvents(hash) {
+    const receipt = await this.runner.provider.getTransactionReceipt(hash);
+    return this._parseEvents(receipt.logs);
+  }
+
+  _parseEvents(logs) {
+    const events = [];
+    for (const log of logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) {
+        continue;
+      }
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed) {
+        events.push({ name: parsed.name, args: parsed.args.toObject() });
+      }
+    }
+    return events;
+  }
+
+  async _signerAddress() {
+    if (!this.runner || typeof this.runner.getAddress !== "function") {
+      throw new Error(`${this.constructor.name}: a signer is required for this call`);
+    }
+    return this.runner.getAddress();
+  }
+
+  async _latestTimestamp() {
+    const block = await this.runner.provider.getBlock("latest");
+    return BigInt(block.timestamp);
+  }
+}
+
+module.exports = { ContractClient };
@@ -0,0 +1,559 @@
+const { Contract, ZeroAddress, concat } = require("ethers");
+const { COLLATERALIZED_LOAN_ABI, LOAN_FORWARDER_ABI, ERC20_ABI } = require("./abi");
+const { ContractClient } = require("./ContractClient");
+const { NoActiveLoanError } = require("./errors");
+const { SECONDS_PER_DAY, amountDueForLoan, calculatePenalty } = require("./schedule");
+const { signPermit, signForwardRequest } = require("./signatures");
+
+// Срок действия подписей permit и намерений по умолчанию (секунды)
+const SIGNATURE_TTL = 3600n;
+
+/**
+ * @title LoanClient
+ * @dev Клиент контракта CollateralizedLoan поверх ethers v6.
+ * Возвращает простые объекты с именованными полями (BigInt для сумм),
+ * а ошибки revert преобразует в классы из ./errors.
+ */
+class LoanClient extends ContractClient {
+  /**
+   * @param runner signer (для транзакций) или provider (только чтение)
+   * @param address адрес контракта CollateralizedLoan
+   */
+  constructor(runner, address) {
+    super(runner, address, COLLATERALIZED_LOAN_ABI);
+  }
+
+  async getParameters() {
+    const [
+      interestRate,
+      penaltyRatePerDay,
+      loanDurationMonths,
+      minLoanAmount,
+      liquidationRatio,
+      liquidationBonus,
+      liquidationFee,
+      earlyRepaymentFee,
+      owner,
+    ] = await Promise.all([
+      this.contract.interestRate(),
+      this.contract.penaltyRatePerDay(),
+      this.contract.loanDurationMonths(),
+      this.contract.minLoanAmount(),
+      this.contract.liquidationRatio(),
+      this.contract.liquidationBonus(),
+      this.contract.liquidationFee(),
+      this.contract.earlyRepaymentFee(),
+      this.contract.owner(),
+    ]);
+    return {
+      interestRate,
+      penaltyRatePerDay,
+      loanDurationMonths,
+      minLoanAmount,
+      liquidationRatio,
+      liquidationBonus,
+      liquidationFee,
+      earlyRepaymentFee,
+      owner,
+    };
+  }
+
+  /**
+   * @dev Доверенный форвардер ERC-2771 (ZeroAddress — мета-транзакции отключены)
+   */
+  async getTrustedForwarder() {
+    return this.contract.trustedForwarder();
+  }
+
+  /**
+   * @dev Приостановлена ли выдача займов стражем (GUARDIAN_ROLE)
+   */
+  async isPaused() {
+    return this.contract.paused();
+  }
+
+  /**
+   * @dev Роли аккаунта (по умолчанию — текущего signer): admin, governor и guardian
+   */
+  async getRoles(account) {
+    const address = account || (await this._signerAddress());
+    const [adminRole, governorRole, guardianRole] = await Promise.all([
+      this.contract.DEFAULT_ADMIN_ROLE(),
+      this.contract.GOVERNOR_ROLE(),
+      this.contract.GUARDIAN_ROLE(),
+    ]);
+    const [admin, governor, guardian] = await Promise.all([
+      this.contract.hasRole(adminRole, address),
+      this.contract.hasRole(governorRole, address),
+      this.contract.hasRole(guardianRole, address),
+    ]);
+    return { admin, governor, guardian };
+  }
+
+  async isTokenAllowed(token) {
+    return this.contract.allowedTokens(token);
+  }
+
+  /**
+   * @dev Настройки токена залога: разрешен ли он и минимальное обеспечение в базисных пунктах
+   */
+  async getCollateralToken(token) {
+    const { allowed, collateralRatio } = await this.contract.collateralTokens(token);
+    return { allowed, collateralRatio };
+  }
+
+  /**
+   * @dev Стоимость суммы токенов в wei по ценовому фиду контракта
+   */
+  async getTokenValueInEth(token, amount) {
+    return this._call(() => this.contract.getTokenValueInEth(token, amount));
+  }
+
+  /**
+   * @dev Текущее обеспечение займа в базисных пунктах (15000 = 150%)
+   */
+  async getCollateralRatio(loanId) {
+    return this._call(() => this.contract.getCollateralRatio(loanId));
+  }
+
+  async isUndercollateralized(loanId) {
+    return this._call(() => this.contract.isUndercollateralized(loanId));
+  }
+
+  /**
+   * @dev Информация о займе по идентификатору. collateralToken — ZeroAddress для залога в ETH,
+   * graceEnd — окончание льготного периода (0 — не предоставлялся),
+   * totalPaid — сумма, внесенная заемщиком (платежи со штрафами и досрочные погашения)
+   */
+  async getLoan(loanId) {
+    const [details, loan] = await Promise.all([
+      this.contract.getLoanDetails(loanId),
+      this.contract.getLoan(loanId),
+    ]);
+    return {
+      loanId: BigInt(loanId),
+      borrower: details.borrower,
+      token: details.token,
+      principal: details.principal,
+      collateral: details.collateral,
+      collateralToken: loan.collateralToken,
+      totalDebt: details.totalDebt,
+      monthlyPayment: details.monthlyPayment,
+      nextPaymentDue: details.nextPaymentDue,
+      paymentsMade: details.paymentsMade,
+      paymentsRequired: details.paymentsRequired,
+      active: details.active,
+      payoffAmount: details.payoffAmount,
+      graceEnd: loan.graceEnd,
+      totalPaid: loan.totalPaid,
+      terms: details.terms.toObject(),
+    };
+  }
+
+  /**
+   * @dev Условия кредитного продукта (0 — текущие глобальные параметры)
+   */
+  async getProduct(productId) {
+    const product = await this.contract.getProduct(productId);
+    return { productId: BigInt(productId), ...product.toObject() };
+  }
+
+  /**
+   * @dev Все продукты, созданные владельцем, включая отключенные (без продукта 0)
+   */
+  async getProducts() {
+    const nextProductId = await this.contract.nextProductId();
+    const products = [];
+    for (let id = 1n; id < nextProductId; id++) {
+      products.push(await this.getProduct(id));
+    }
+    return products;
+  }
+
+  /**
+   * @dev Идентификаторы всех займов заемщика (по умолчанию — текущего signer)
+   */
+  async getBorrowerLoans(borrower) {
+    const address = borrower || (await this._signerAddress());
+    return [...(await this.contract.getBorrowerLoans(address))];
+  }
+
+  /**
+   * @dev Закрытые займы заемщика (погашенные или ликвидированные), от старых к новым
+   */
+  async getLoanHistory(borrower) {
+    const address = borrower || (await this._signerAddress());
+    const history = await this.contract.getLoanHistory(address);
+    return history.map((loan) => loan.toObject(true));
+  }
+
+  /**
+   * @dev Сумма ближайшего платежа на момент timestamp с учетом штрафа за просрочку
+   */
+  async getAmountDue(loanId, timestamp) {
+    const loan = await this.getLoan(loanId);
+    if (!loan.active) {
+      throw new NoActiveLoanError("No active loan", { reason: "No active loan" });
+    }
+    const at = timestamp !== undefined ? BigInt(timestamp) : await this._latestTimestamp();
+    return amountDueForLoan(loan, loan.terms.penaltyRatePerDay, at).amount;
+  }
+
+  /**
+   * @dev Запрос займа под залог ETH по продукту productId (по умолчанию — глобальные параметры).
+   * Результат содержит loanId выданного займа
+   */
+  async borrow(token, amount, collateral, productId = 0n) {
+    const result = await this._send(() => this.contract.borrow(token, amount, productId, { value: collateral }));
+    const issued = result.events.find((event) => event.name === "LoanIssued");
+    return { loanId: issued.args.loanId, ...result };
+  }
+
+  /**
+   * @dev Запрос займа под залог разрешенного токена collateralToken.
+   * Allowance на collateralAmount одобряется автоматически; результат содержит loanId
+   */
+  async borrowWithCollateral(token, amount, collateralToken, collateralAmount, productId = 0n) {
+    await this._ensureAllowance(collateralToken, await this._signerAddress(), collateralAmount);
+    const result = await this._send(() =>
+      this.contract.borrowWithCollateral(token, amount, productId, collateralToken, collateralAmount)
+    );
+    const issued = result.events.find((event) => event.name === "LoanIssued");
+    return { loanId: issued.args.loanId, ...result };
+  }
+
+  /**
+   * @dev Очередной ежемесячный платеж. Недостающий allowance одобряется автоматически
+   * с запасом в один день штрафа на случай, если транзакция попадет в следующие сутки.
+   */
+  async payNextInstallment(loanId) {
+    const borrower = await this._signerAddress();
+    const loan = await this.getLoan(loanId);
+    const maxAmount = await this.getAmountDue(loanId, (await this._latestTimestamp()) + SECONDS_PER_DAY);
+    await this._ensureAllowance(loan.token, borrower, maxAmount);
+    return this._send(() => this.contract.makeMonthlyPayment(loanId));
+  }
+
+  /**
+   * @dev Очередной платеж одной транзакцией: вместо approve заемщик подписывает permit (EIP-2612)
+   * на сумму с тем же запасом в один день штрафа. Токен займа должен поддерживать permit
+   */
+  async payNextInstallmentWithPermit(loanId, { deadline } = {}) {
+    const loan = await this.getLoan(loanId);
+    const maxAmount = await this.getAmountDue(loanId, (await this._latestTimestamp()) + SECONDS_PER_DAY);
+    const permit = await this.signPermit(loan.token, maxAmount, { deadline });
+    return this._send(() =>
+      this.contract.makeMonthlyPaymentWithPermit(loanId, permit.value, permit.deadline, permit.v, permit.r, permit.s)
+    );
+  }
+
+  /**
+   * @dev Подпись permit (EIP-2612) текущего signer на value токенов token для контракта займов.
+   * Подписанный permit можно передать релейеру вместе с намерением (relayIntent)
+   */
+  async signPermit(token, value, { deadline } = {}) {
+    await this._signerAddress();
+    return signPermit(this.runner, token, this.address, value, deadline ?? (await this._signatureDeadline()));
+  }
+
+  /**
+   * @dev Намерение заемщика: вызов method контракта займов с аргументами args, подписанный
+   * текущим signer по EIP-712 для форвардера forwarder. Релейер отправляет его через relayIntent.
+   * gas — лимит газа вызова (по умолчанию оценка с запасом 20%). Намерения не переводят ETH:
+   * займ под залог ETH заемщик отправляет сам
+   */
+  async signIntent(forwarder, method, args, { gas, deadline } = {}) {
+    const from = await this._signerAddress();
+    const data = this.contract.interface.encodeFunctionData(method, args);
+    if (gas === undefined) {
+      const request = { from: forwarder, to: this.address, data: concat([data, from]) };
+      gas = ((await this._call(() => this.runner.provider.estimateGas(request))) * 12n) / 10n;
+    }
+    return signForwardRequest(this.runner, forwarder, {
+      to: this.address,
+      gas,
+      deadline: deadline ?? (await this._signatureDeadline()),
+      data,
+    });
+  }
+
+  /**
+   * @dev Отправка намерения заемщика через форвардер: газ платит текущий signer (релейер).
+   * permit — подпись заемщика из signPermit, отправляется перед намерением (например, allowance
+   * на токен залога для borrowWithCollateral). Форвардер не передает причину revert вызова,
+   * поэтому вызов сначала проверяется через eth_call от имени форвардера
+   */
+  async relayIntent(forwarder, intent, { permit } = {}) {
+    if (permit) {
+      const token = new Contract(permit.token, ERC20_ABI, this.runner);
+      const { owner, spender, value, deadline, v, r, s } = permit;
+      await this._send(() => token.permit(owner, spender, value, deadline, v, r, s));
+    }
+    const request = { from: forwarder, to: intent.to, data: concat([intent.data, intent.from]) };
+    await this._call(() => this.runner.provider.call(request));
+    const forwarderContract = new Contract(forwarder, LOAN_FORWARDER_ABI, this.runner);
+    return this._send(() => forwarderContract.execute(intent));
+  }
+
+  /**
+   * @dev Пополнение залога займа: amount wei для залога в ETH или amount токенов залога
+   * (allowance одобряется автоматически)
+   */
+  async addCollateral(loanId, amount) {
+    const { collateralToken } = await this.contract.getLoan(loanId);
+    if (collateralToken === ZeroAddress) {
+      return this._send(() => this.contract.addCollateral(loanId, { value: amount }));
+    }
+    await this._ensureAllowance(collateralToken, await this._signerAddress(), amount);
+    return this._send(() => this.contract.addTokenCollateral(loanId, amount));
+  }
+
+  /**
+   * @dev Вывод amount залога (wei или токены залога), если оставшийся залог покрывает долг не меньше чем на
+   * минимальное обеспечение продукта займа (terms.minCollateralRatio)
+   */
+  async withdrawCollateral(loanId, amount) {
+    return this._send(() => this.contract.withdrawCollateral(loanId, amount));
+  }
+
+  /**
+   * @dev Сумма к оплате за досрочное погашение amount основной суммы и прощенные проценты
+   */
+  async quotePrepayment(loanId, amount) {
+    const { payment, interestWaived } = await this._call(() => this.contract.quotePrepayment(loanId, amount));
+    return { payment, interestWaived };
+  }
+
+  /**
+   * @dev Частичное досрочное погашение amount основной суммы с автоматическим одобрением
+   */
+  async prepay(loanId, amount) {
+    const borrower = await this._signerAddress();
+    const loan = await this.getLoan(loanId);
+    const { payment } = await this.quotePrepayment(loanId, amount);
+    await this._ensureAllowance(loan.token, borrower, payment);
+    return this._send(() => this.contract.prepay(loanId, amount));
+  }
+
+  /**
+   * @dev Полное досрочное погашение. Allowance одобряется с запасом в один день штрафа,
+   * как и для очередного платежа.
+   */
+  async repayInFull(loanId) {
+    const borrower = await this._signerAddress();
+    const loan = await this.getLoan(loanId);
+    if (!loan.active) {
+      throw new NoActiveLoanError("No active loan", { reason: "No active loan" });
+    }
+    const dayOfPenalty = calculatePenalty({
+      monthlyPayment: loan.monthlyPayment,
+      penaltyRatePerDay: loan.terms.penaltyRatePerDay,
+      daysLate: 1n,
+    });
+    await this._ensureAllowance(loan.token, borrower, loan.payoffAmount + dayOfPenalty);
+    return this._send(() => this.contract.repayInFull(loanId));
+  }
+
+  /**
+   * @dev Ликвидация просроченного займа владельцем: залог на сумму долга, штрафа и комиссии
+   * уходит владельцу, остаток зачисляется заемщику к выводу (claimRefund).
+   * Займ из пула владелец выкупает: allowance на оставшийся долг одобряется автоматически.
+   * overrides — параметры транзакции ethers (например, gasLimit)
+   */
+  async liquidate(loanId, overrides = {}) {
+    const { token, amount } = await this.getLiquidationApproval(loanId);
+    if (amount > 0n) {
+      await this._ensureAllowance(token, await this._signerAddress(), amount);
+    }
+    return this._send(() => this.contract.liquidate(loanId, overrides));
+  }
+
+  /**
+   * @dev Одобрение, которого не хватает signer для liquidate: займ из пула выкупается
+   * за оставшийся долг. amount = 0 — одобрять ничего не нужно
+   */
+  async getLiquidationApproval(loanId) {
+    const loan = await this._call(() => this.contract.getLoan(loanId));
+    if (!loan.active || loan.pool === ZeroAddress) {
+      return { token: loan.token, amount: 0n };
+    }
+    const allowance = await this._allowance(loan.token, await this._signerAddress());
+    return { token: loan.token, amount: allowance < loan.totalDebt ? loan.totalDebt : 0n };
+  }
+
+  /**
+   * @dev Ликвидация недообеспеченного займа текущим signer: погашает оставшийся долг
+   * (allowance одобряется автоматически) и получает залог с бонусом
+   */
+  async liquidateUndercollateralized(loanId) {
+    const liquidator = await this._signerAddress();
+    const loan = await this.getLoan(loanId);
+    await this._ensureAllowance(loan.token, liquidator, loan.totalDebt);
+    return this._send(() => this.contract.liquidateUndercollateralized(loanId));
+  }
+
+  /**
+   * @dev Залог заемщиков на контракте в токене token (ZeroAddress — ETH)
+   */
+  async getTotalCollateral(token = ZeroAddress) {
+    return this._call(() => this.contract.totalCollateral(token));
+  }
+
+  /**
+   * @dev Остаток залога ликвидированных займов, доступный заемщику к выводу (token: ZeroAddress — ETH)
+   */
+  async getRefund(borrower, token = ZeroAddress) {
+    return this.contract.refunds(borrower, token);
+  }
+
+  /**
+   * @dev Вывод текущим signer остатка залога ликвидированных займов в токене token (ZeroAddress — ETH)
+   */
+  async claimRefund(token = ZeroAddress) {
+    return this._send(() => this.contract.claimRefund(token));
+  }
+
+  /**
+   * @dev Льготный период на days дней (только владелец): штраф и ликвидация по просрочке откладываются
+   */
+  async grantGracePeriod(loanId, days) {
+    return this._send(() => this.contract.grantGracePeriod(loanId, days));
+  }
+
+  /**
+   * @dev Отсрочка count ближайших платежей на count месяцев (только владелец)
+   */
+  async deferPayments(loanId, count) {
+    return this._send(() => this.contract.deferPayments(loanId, count));
+  }
+
+  /**
+   * @dev Реструктуризация (только владелец): extraPayments дополнительных платежей
+   * и пересчет ежемесячного платежа на оставшийся срок
+   */
+  async restructureLoan(loanId, extraPayments) {
+    return this._send(() => this.contract.restructureLoan(loanId, extraPayments));
+  }
+
+  async updateParameters({ interestRate, penaltyRatePerDay, loanDurationMonths }) {
+    return this._send(() => this.contract.updateParameters(interestRate, penaltyRatePerDay, loanDurationMonths));
+  }
+
+  /**
+   * @dev Создание кредитного продукта. token — ZeroAddress для любого разрешенного токена,
+   * amortizing — аннуитетный график платежей. Результат содержит productId нового продукта
+   */
+  async createProduct({
+    durationMonths,
+    interestRate,
+    penaltyRatePerDay,
+    minCollateralRatio,
+    token,
+    amortizing = false,
+  }) {
+    const result = await this._send(() =>
+      this.contract.createProduct(
+        durationMonths,
+        interestRate,
+        penaltyRatePerDay,
+        minCollateralRatio,
+        token,
+        amortizing
+      )
+    );
+    const created = result.events.find((event) => event.name === "ProductCreated");
+    return { productId: created.args.productId, ...result };
+  }
+
+  async setProductActive(productId, active) {
+    return this._send(() => this.contract.setProductActive(productId, active));
+  }
+
+  async setTokenAllowed(token, allowed) {
+    return this._send(() => this.contract.setTokenAllowed(token, allowed));
+  }
+
+  /**
+   * @dev Разрешение токена залога с минимальным обеспечением collateralRatio (в базисных пунктах).
+   * Для токена залога нужен ценовой фид (setPriceFeed)
+   */
+  async setCollateralToken(token, allowed, collateralRatio = 0n) {
+    return this._send(() => this.contract.setCollateralToken(token, allowed, collateralRatio));
+  }
+
+  async setPriceFeed(token, priceFeed) {
+    return this._send(() => this.contract.setPriceFeed(token, priceFeed));
+  }
+
+  /**
+   * @dev Подключение пула ликвидности токена (ZeroAddress — выдача из средств владельца)
+   */
+  async setPool(token, pool) {
+    return this._send(() => this.contract.setPool(token, pool));
+  }
+
+  async setMaxPriceAge(maxPriceAge) {
+    return this._send(() => this.contract.setMaxPriceAge(maxPriceAge));
+  }
+
+  async setLiquidationParameters({ liquidationRatio, liquidationBonus }) {
+    return this._send(() => this.contract.setLiquidationParameters(liquidationRatio, liquidationBonus));
+  }
+
+  async setLiquidationFee(liquidationFee) {
+    return this._send(() => this.contract.setLiquidationFee(liquidationFee));
+  }
+
+  async setEarlyRepaymentFee(earlyRepaymentFee) {
+    return this._send(() => this.contract.setEarlyRepaymentFee(earlyRepaymentFee));
+  }
+
+  /**
+   * @dev Подключение доверенного форвардера ERC-2771 (ZeroAddress отключает мета-транзакции)
+   */
+  async setTrustedForwarder(forwarder) {
+    return this._send(() => this.contract.setTrustedForwarder(forwarder));
+  }
+
+  /**
+   * @dev Приостановка выдачи займов и вывода залога (GUARDIAN_ROLE); платежи продолжают работать
+   */
+  async pause() {
+    return this._send(() => this.contract.pause());
+  }
+
+  async unpause() {
+    return this._send(() => this.contract.unpause());
+  }
+
+  /**
+   * @dev Обновление реализации за прокси (GOVERNOR_ROLE); data — вызов миграции новой реализации
+   */
+  async upgradeTo(implementation, data = "0x") {
+    return this._send(() => this.contract.upgradeToAndCall(implementation, data));
+  }
+
+  /**
+   * @dev Calldata вызова контракта займа — для постановки в очередь таймлока (TimelockClient.schedule)
+   */
+  encodeCall(method, args = []) {
+    return this.contract.interface.encodeFunctionData(method, args);
+  }
+
+  async emergencyWithdrawETH() {
+    return this._send(() => this.contract.emergencyWithdrawETH());
+  }
+
+  /**
+   * @dev Извлечение токенов сверх залога заемщиков
+   */
+  async emergencyWithdrawToken(token) {
+    return this._send(() => this.contract.emergencyWithdrawToken(token));
+  }
+
+  async _signatureDeadline() {
+    return (await this._latestTimestamp()) + SIGNATURE_TTL;
+  }
+}
+
+module.exports = { LoanClient };
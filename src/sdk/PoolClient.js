@@ -0,0 +1,73 @@
+const { LOAN_POOL_ABI } = require("./abi");
+const { ContractClient } = require("./ContractClient");
+
+/**
+ * @title PoolClient
+ * @dev Клиент пула ликвидности LoanPool: вклады кредиторов, вывод и состояние пула.
+ * Суммы токенов и долей — BigInt.
+ */
+class PoolClient extends ContractClient {
+  /**
+   * @param runner signer (для транзакций) или provider (только чтение)
+   * @param address адрес контракта LoanPool
+   */
+  constructor(runner, address) {
+    super(runner, address, LOAN_POOL_ABI);
+  }
+
+  /**
+   * @dev Состояние пула: стоимость, выданная основная сумма и свободная ликвидность
+   */
+  async getPoolState() {
+    const [asset, totalAssets, totalBorrowed, availableLiquidity, totalShares] = await Promise.all([
+      this.contract.asset(),
+      this.contract.totalAssets(),
+      this.contract.totalBorrowed(),
+      this.contract.availableLiquidity(),
+      this.contract.totalSupply(),
+    ]);
+    return { asset, totalAssets, totalBorrowed, availableLiquidity, totalShares };
+  }
+
+  /**
+   * @dev Позиция кредитора (по умолчанию — текущего signer): доли, их стоимость и доступный вывод
+   */
+  async getPosition(account) {
+    const address = account || (await this._signerAddress());
+    const shares = await this.contract.balanceOf(address);
+    const [assets, maxWithdraw] = await Promise.all([
+      this.contract.convertToAssets(shares),
+      this.contract.maxWithdraw(address),
+    ]);
+    return { shares, assets, maxWithdraw };
+  }
+
+  /**
+   * @dev Вклад amount токенов в пул. Allowance одобряется автоматически
+   */
+  async deposit(amount) {
+    const lender = await this._signerAddress();
+    await this._ensureAllowance(await this.contract.asset(), lender, amount);
+    const result = await this._send(() => this.contract.deposit(amount, lender));
+    const deposited = result.events.find((event) => event.name === "Deposit");
+    return { shares: deposited.args.shares, ...result };
+  }
+
+  /**
+   * @dev Вывод amount токенов (в пределах свободной ликвидности пула)
+   */
+  async withdraw(amount) {
+    const lender = await this._signerAddress();
+    return this._send(() => this.contract.withdraw(amount, lender, lender));
+  }
+
+  /**
+   * @dev Погашение shares долей пула с получением токенов
+   */
+  async redeem(shares) {
+    const lender = await this._signerAddress();
+    return this._send(() => this.contract.redeem(shares, lender, lender));
+  }
+}
+
+module.exports = { PoolClient };
@@ -0,0 +1,64 @@
+const { ZeroHash } = require("ethers");
+const { LOAN_TIMELOCK_ABI } = require("./abi");
+const { ContractClient } = require("./ContractClient");
+
+// Состояния операции TimelockController.getOperationState
+const OPERATION_STATES = ["unset", "waiting", "ready", "done"];
+
+/**
+ * @title TimelockClient
+ * @dev Клиент таймлока LoanTimelock, которому передана роль GOVERNOR_ROLE контракта займа.
+ * Вызов ставится в очередь (schedule) и исполняется (execute) после минимальной задержки.
+ * Операции без предшественника; одинаковый вызов повторно ставится в очередь с другим salt.
+ */
+class TimelockClient extends ContractClient {
+  /**
+   * @param runner signer (для транзакций) или provider (только чтение)
+   * @param address адрес контракта LoanTimelock
+   */
+  constructor(runner, address) {
+    super(runner, address, LOAN_TIMELOCK_ABI);
+  }
+
+  async getMinDelay() {
+    return this.contract.getMinDelay();
+  }
+
+  /**
+   * @dev Операция вызова data на target: идентификатор, состояние (unset, waiting, ready, done)
+   * и время, после которого ее можно исполнить
+   */
+  async getOperation(target, data, { salt = ZeroHash } = {}) {
+    const id = await this.contract.hashOperation(target, 0n, data, ZeroHash, salt);
+    const [state, readyAt] = await Promise.all([
+      this.contract.getOperationState(id),
+      this.contract.getTimestamp(id),
+    ]);
+    return { id, state: OPERATION_STATES[Number(state)], readyAt };
+  }
+
+  /**
+   * @dev Постановка вызова в очередь (PROPOSER_ROLE). delay по умолчанию — минимальная задержка таймлока.
+   * Результат содержит operationId и readyAt
+   */
+  async schedule(target, data, { delay, salt = ZeroHash } = {}) {
+    const operationDelay = delay === undefined ? await this.getMinDelay() : BigInt(delay);
+    const result = await this._send(() => this.contract.schedule(target, 0n, data, ZeroHash, salt, operationDelay));
+    const scheduled = result.events.find((event) => event.name === "CallScheduled");
+    const operationId = scheduled.args.id;
+    return { operationId, readyAt: await this.contract.getTimestamp(operationId), ...result };
+  }
+
+  /**
+   * @dev Исполнение готовой операции; до истечения задержки — OperationNotReadyError
+   */
+  async execute(target, data, { salt = ZeroHash } = {}) {
+    return this._send(() => this.contract.execute(target, 0n, data, ZeroHash, salt));
+  }
+
+  async cancel(operationId) {
+    return this._send(() => this.contract.cancel(operationId));
+  }
+}
+
+module.exports = { TimelockClient };
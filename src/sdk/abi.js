@@ -0,0 +1,189 @@
+// Human-readable ABI контрактов CollateralizedLoan, LoanPool, LoanForwarder и LoanTimelock (ethers v6).
+// Соответствие скомпилированным контрактам проверяется в test/LoanClientTest.js.
+
+const COLLATERALIZED_LOAN_ABI = [
+  "function SECONDS_PER_DAY() view returns (uint256)",
+  "function BASIS_POINTS() view returns (uint256)",
+  "function MIN_COLLATERAL_RATIO() view returns (uint256)",
+  "function DAYS_PER_MONTH() view returns (uint256)",
+  "function LIQUIDATION_THRESHOLD_DAYS() view returns (uint256)",
+  "function interestRate() view returns (uint256)",
+  "function penaltyRatePerDay() view returns (uint256)",
+  "function loanDurationMonths() view returns (uint256)",
+  "function minLoanAmount() view returns (uint256)",
+  "function allowedTokens(address) view returns (bool)",
+  "function collateralTokens(address) view returns (bool allowed, uint256 collateralRatio)",
+  "function totalCollateral(address) view returns (uint256)",
+  "function refunds(address, address) view returns (uint256)",
+  "function nextLoanId() view returns (uint256)",
+  "function nextProductId() view returns (uint256)",
+  "function DEFAULT_PRODUCT_ID() view returns (uint256)",
+  "function priceFeeds(address) view returns (address)",
+  "function pools(address) view returns (address)",
+  "function maxPriceAge() view returns (uint256)",
+  "function liquidationRatio() view returns (uint256)",
+  "function liquidationBonus() view returns (uint256)",
+  "function liquidationFee() view returns (uint256)",
+  "function earlyRepaymentFee() view returns (uint256)",
+  "function owner() view returns (address)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function GOVERNOR_ROLE() view returns (bytes32)",
+  "function GUARDIAN_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function paused() view returns (bool)",
+  "function pause()",
+  "function unpause()",
+  "function upgradeToAndCall(address newImplementation, bytes data) payable",
+  "function trustedForwarder() view returns (address)",
+  "function isTrustedForwarder(address forwarder) view returns (bool)",
+  "function updateParameters(uint256 _interestRate, uint256 _penaltyRatePerDay, uint256 _loanDurationMonths)",
+  "function createProduct(uint256 _durationMonths, uint256 _interestRate, uint256 _penaltyRatePerDay, uint256 _minCollateralRatio, address _token, bool _amortizing) returns (uint256 productId)",
+  "function setProductActive(uint256 _productId, bool _active)",
+  "function setTokenAllowed(address _token, bool _allowed)",
+  "function setCollateralToken(address _token, bool _allowed, uint256 _ratio)",
+  "function setPriceFeed(address _token, address _priceFeed)",
+  "function setPool(address _token, address _pool)",
+  "function setMaxPriceAge(uint256 _maxPriceAge)",
+  "function setLiquidationParameters(uint256 _liquidationRatio, uint256 _liquidationBonus)",
+  "function setLiquidationFee(uint256 _liquidationFee)",
+  "function setEarlyRepaymentFee(uint256 _earlyRepaymentFee)",
+  "function setTrustedForwarder(address _forwarder)",
+  "function borrow(address _token, uint256 _amount, uint256 _productId) payable returns (uint256 loanId)",
+  "function borrowWithCollateral(address _token, uint256 _amount, uint256 _productId, address _collateralToken, uint256 _collateralAmount) returns (uint256 loanId)",
+  "function makeMonthlyPayment(uint256 _loanId)",
+  "function makeMonthlyPaymentWithPermit(uint256 _loanId, uint256 _value, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s)",
+  "function addCollateral(uint256 _loanId) payable",
+  "function addTokenCollateral(uint256 _loanId, uint256 _amount)",
+  "function withdrawCollateral(uint256 _loanId, uint256 _amount)",
+  "function prepay(uint256 _loanId, uint256 _amount)",
+  "function repayInFull(uint256 _loanId)",
+  "function liquidate(uint256 _loanId)",
+  "function liquidateUndercollateralized(uint256 _loanId)",
+  "function claimRefund(address _token)",
+  "function grantGracePeriod(uint256 _loanId, uint256 _days)",
+  "function deferPayments(uint256 _loanId, uint256 _count)",
+  "function restructureLoan(uint256 _loanId, uint256 _extraPayments)",
+  "function getLoanDetails(uint256 _loanId) view returns (address borrower, address token, uint256 principal, uint256 collateral, uint256 totalDebt, uint256 monthlyPayment, uint256 nextPaymentDue, uint256 paymentsMade, uint256 paymentsRequired, bool active, uint256 payoffAmount, tuple(uint256 productId, uint256 durationMonths, uint256 interestRate, uint256 penaltyRatePerDay, uint256 minCollateralRatio, bool amortizing) terms)",
+  "function getLoan(uint256 _loanId) view returns (tuple(uint256 id, address borrower, address token, address pool, uint256 principal, uint256 interest, uint256 principalOutstanding, uint256 collateral, address collateralToken, uint256 startTime, uint256 totalDebt, uint256 monthlyPayment, uint256 lastPaymentTime, uint256 paymentsMade, uint256 paymentsRequired, bool active, tuple(uint256 productId, uint256 durationMonths, uint256 interestRate, uint256 penaltyRatePerDay, uint256 minCollateralRatio, bool amortizing) terms, uint256 graceEnd, uint256 totalPaid))",
+  "function getProduct(uint256 _productId) view returns (tuple(uint256 durationMonths, uint256 interestRate, uint256 penaltyRatePerDay, uint256 minCollateralRatio, address token, bool active, bool amortizing))",
+  "function quotePrepayment(uint256 _loanId, uint256 _amount) view returns (uint256 payment, uint256 interestWaived)",
+  "function getTokenValueInEth(address _token, uint256 _amount) view returns (uint256)",
+  "function getCollateralRatio(uint256 _loanId) view returns (uint256)",
+  "function isUndercollateralized(uint256 _loanId) view returns (bool)",
+  "function getBorrowerLoans(address _borrower) view returns (uint256[])",
+  "function getLoanHistory(address _borrower) view returns (tuple(uint256 id, address borrower, address token, address pool, uint256 principal, uint256 interest, uint256 principalOutstanding, uint256 collateral, address collateralToken, uint256 startTime, uint256 totalDebt, uint256 monthlyPayment, uint256 lastPaymentTime, uint256 paymentsMade, uint256 paymentsRequired, bool active, tuple(uint256 productId, uint256 durationMonths, uint256 interestRate, uint256 penaltyRatePerDay, uint256 minCollateralRatio, bool amortizing) terms, uint256 graceEnd, uint256 totalPaid)[] history)",
+  "function emergencyWithdrawETH()",
+  "function emergencyWithdrawToken(address _token)",
+  "event LoanIssued(uint256 indexed loanId, address indexed borrower, address token, uint256 amount, uint256 collateral, uint256 durationMonths)",
+  "event ProductCreated(uint256 indexed productId, address indexed token, uint256 durationMonths, uint256 interestRate, uint256 penaltyRatePerDay, uint256 minCollateralRatio, bool amortizing)",
+  "event ProductStatusChanged(uint256 indexed productId, bool active)",
+  "event PaymentMade(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 paymentNumber)",
+  "event LoanFullyRepaid(uint256 indexed loanId, address indexed borrower, uint256 totalPaid)",
+  "event CollateralLiquidated(uint256 indexed loanId, address indexed borrower, uint256 collateralSeized, uint256 collateralRefunded)",
+  "event ParametersUpdated(uint256 interestRate, uint256 penaltyRate, uint256 loanDuration)",
+  "event TokenStatusChanged(address token, bool allowed)",
+  "event CollateralTokenUpdated(address indexed token, bool allowed, uint256 collateralRatio)",
+  "event PriceFeedUpdated(address indexed token, address priceFeed)",
+  "event PoolUpdated(address indexed token, address pool)",
+  "event MaxPriceAgeUpdated(uint256 maxPriceAge)",
+  "event LiquidationParametersUpdated(uint256 liquidationRatio, uint256 liquidationBonus)",
+  "event LiquidationFeeUpdated(uint256 liquidationFee)",
+  "event EarlyRepaymentFeeUpdated(uint256 earlyRepaymentFee)",
+  "event TrustedForwarderUpdated(address forwarder)",
+  "event PrepaymentMade(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 principalRepaid, uint256 interestWaived, uint256 newMonthlyPayment)",
+  "event CollateralAdded(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 collateral)",
+  "event CollateralWithdrawn(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 collateral)",
+  "event LoanRepaidEarly(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 interestWaived)",
+  "event RefundClaimed(address indexed borrower, address indexed token, uint256 amount)",
+  "event UndercollateralizedLiquidation(uint256 indexed loanId, address indexed borrower, address indexed liquidator, uint256 debtRepaid, uint256 collateralSeized, uint256 collateralReturned)",
+  "event GracePeriodGranted(uint256 indexed loanId, uint256 graceDays, uint256 graceEnd)",
+  "event PaymentsDeferred(uint256 indexed loanId, uint256 count, uint256 nextPaymentDue)",
+  "event LoanRestructured(uint256 indexed loanId, uint256 paymentsRequired, uint256 monthlyPayment, uint256 totalDebt)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event Upgraded(address indexed implementation)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error ReentrancyGuardReentrantCall()",
+  "error SafeERC20FailedOperation(address token)",
+];
+
+// Пул ликвидности LoanPool (ERC-4626)
+const LOAN_POOL_ABI = [
+  "function asset() view returns (address)",
+  "function loanManager() view returns (address)",
+  "function totalAssets() view returns (uint256)",
+  "function totalBorrowed() view returns (uint256)",
+  "function availableLiquidity() view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function maxWithdraw(address _owner) view returns (uint256)",
+  "function maxRedeem(address _owner) view returns (uint256)",
+  "function previewDeposit(uint256 assets) view returns (uint256)",
+  "function deposit(uint256 assets, address receiver) returns (uint256)",
+  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256)",
+  "function redeem(uint256 shares, address receiver, address owner) returns (uint256)",
+  "event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)",
+  "event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)",
+  "event Lent(address indexed borrower, uint256 amount)",
+  "event Repaid(uint256 principal)",
+  "error ERC4626ExceededMaxWithdraw(address owner, uint256 assets, uint256 max)",
+  "error ERC4626ExceededMaxRedeem(address owner, uint256 shares, uint256 max)",
+];
+
+// ForwardRequestData форвардера ERC-2771: запрос с подписью EIP-712 заемщика
+const FORWARD_REQUEST =
+  "tuple(address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature)";
+
+const LOAN_FORWARDER_ABI = [
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function nonces(address owner) view returns (uint256)",
+  `function verify(${FORWARD_REQUEST} request) view returns (bool)`,
+  `function execute(${FORWARD_REQUEST} request) payable`,
+  "event ExecutedForwardRequest(address indexed signer, uint256 nonce, bool success)",
+  "error ERC2771ForwarderInvalidSigner(address signer, address from)",
+  "error ERC2771ForwarderMismatchedValue(uint256 requestedValue, uint256 msgValue)",
+  "error ERC2771ForwarderExpiredRequest(uint48 deadline)",
+  "error ERC2771UntrustfulTarget(address target, address forwarder)",
+  "error FailedCall()",
+];
+
+// Таймлок LoanTimelock (TimelockController): очередь вызовов GOVERNOR_ROLE с задержкой
+const LOAN_TIMELOCK_ABI = [
+  "function PROPOSER_ROLE() view returns (bytes32)",
+  "function EXECUTOR_ROLE() view returns (bytes32)",
+  "function getMinDelay() view returns (uint256)",
+  "function getTimestamp(bytes32 id) view returns (uint256)",
+  "function getOperationState(bytes32 id) view returns (uint8)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function hashOperation(address target, uint256 value, bytes data, bytes32 predecessor, bytes32 salt) pure returns (bytes32)",
+  "function schedule(address target, uint256 value, bytes data, bytes32 predecessor, bytes32 salt, uint256 delay)",
+  "function execute(address target, uint256 value, bytes payload, bytes32 predecessor, bytes32 salt) payable",
+  "function cancel(bytes32 id)",
+  "event CallScheduled(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data, bytes32 predecessor, uint256 delay)",
+  "event CallExecuted(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data)",
+  "event Cancelled(bytes32 indexed id)",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error TimelockInsufficientDelay(uint256 delay, uint256 minDelay)",
+  "error TimelockUnexpectedOperationState(bytes32 operationId, bytes32 expectedStates)",
+  "error FailedCall()",
+];
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+];
+
+module.exports = { COLLATERALIZED_LOAN_ABI, LOAN_POOL_ABI, LOAN_FORWARDER_ABI, LOAN_TIMELOCK_ABI, ERC20_ABI };
@@ -0,0 +1,237 @@
+// Типизированные ошибки CollateralizedLoan.
+// Каждое сообщение require из контракта отображается в собственный класс ошибки,
+// чтобы клиентам не приходилось сравнивать строки revert.
+
+const { AbiCoder, dataSlice } = require("ethers");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+
+class LoanError extends Error {
+  constructor(message, { reason = null, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.reason = reason;
+  }
+}
+
+class TokenNotAllowedError extends LoanError {}
+class CollateralRequiredError extends LoanError {}
+class AmountBelowMinimumError extends LoanError {}
+class InsufficientCollateralError extends LoanError {}
+class TokenTransferFailedError extends LoanError {}
+class PaymentFailedError extends LoanError {}
+class NoActiveLoanError extends LoanError {}
+class NotLoanBorrowerError extends LoanError {}
+class LoanFullyPaidError extends LoanError {}
+class PaymentNotDueError extends LoanError {}
+class NotOverdueError extends LoanError {}
+class DurationExceedsMaximumError extends LoanError {}
+class PriceFeedNotSetError extends LoanError {}
+class InvalidPriceError extends LoanError {}
+class StalePriceError extends LoanError {}
+class InvalidMaxPriceAgeError extends LoanError {}
+class LoanHealthyError extends LoanError {}
+class InvalidLiquidationParametersError extends LoanError {}
+class InvalidLiquidationFeeError extends LoanError {}
+class InvalidPrepaymentAmountError extends LoanError {}
+class InvalidWithdrawalAmountError extends LoanError {}
+class InvalidEarlyRepaymentFeeError extends LoanError {}
+class InvalidPoolError extends LoanError {}
+class InsufficientLiquidityError extends LoanError {}
+class OnlyLoanManagerError extends LoanError {}
+class WithdrawalLimitExceededError extends LoanError {}
+class InvalidProductParametersError extends LoanError {}
+class UnknownProductError extends LoanError {}
+class ProductNotAvailableError extends LoanError {}
+class TokenNotSupportedByProductError extends LoanError {}
+class UnauthorizedError extends LoanError {}
+class CollateralTokenNotAllowedError extends LoanError {}
+class InvalidCollateralParametersError extends LoanError {}
+class WrongCollateralTypeError extends LoanError {}
+class InvalidSignatureError extends LoanError {}
+class ExpiredSignatureError extends LoanError {}
+class UntrustedForwarderError extends LoanError {}
+class ContractPausedError extends LoanError {}
+class InsufficientDelayError extends LoanError {}
+class OperationNotReadyError extends LoanError {}
+class InvalidGracePeriodError extends LoanError {}
+class InvalidDeferralError extends LoanError {}
+class InvalidRestructuringError extends LoanError {}
+class NothingToClaimError extends LoanError {}
+class InstallmentOverdueError extends LoanError {}
+
+// Сообщения require контракта -> класс ошибки
+const REVERT_REASONS = {
+  "Token not allowed": TokenNotAllowedError,
+  "ETH collateral required": CollateralRequiredError,
+  "Collateral required": CollateralRequiredError,
+  "Amount below minimum": AmountBelowMinimumError,
+  "Insufficient collateral": InsufficientCollateralError,
+  "Token transfer failed": TokenTransferFailedError,
+  "Payment failed": PaymentFailedError,
+  "No active loan": NoActiveLoanError,
+  "Not loan borrower": NotLoanBorrowerError,
+  "Loan fully paid": LoanFullyPaidError,
+  "Payment not due yet": PaymentNotDueError,
+  "Not enough overdue time": NotOverdueError,
+  "Duration exceeds maximum": DurationExceedsMaximumError,
+  "Price feed not set": PriceFeedNotSetError,
+  "Invalid price": InvalidPriceError,
+  "Stale price": StalePriceError,
+  "Invalid max price age": InvalidMaxPriceAgeError,
+  "Loan is healthy": LoanHealthyError,
+  "Invalid liquidation parameters": InvalidLiquidationParametersError,
+  "Invalid liquidation fee": InvalidLiquidationFeeError,
+  "Invalid prepayment amount": InvalidPrepaymentAmountError,
+  "Invalid withdrawal amount": InvalidWithdrawalAmountError,
+  "Invalid early repayment fee": InvalidEarlyRepaymentFeeError,
+  "Invalid pool": InvalidPoolError,
+  "Insufficient liquidity": InsufficientLiquidityError,
+  "Only loan manager": OnlyLoanManagerError,
+  "Invalid product parameters": InvalidProductParametersError,
+  "Unknown product": UnknownProductError,
+  "Product not available": ProductNotAvailableError,
+  "Token not supported by product": TokenNotSupportedByProductError,
+  "Collateral token not allowed": CollateralTokenNotAllowedError,
+  "Invalid collateral parameters": InvalidCollateralParametersError,
+  "Wrong collateral type": WrongCollateralTypeError,
+  "Invalid grace period": InvalidGracePeriodError,
+  "Invalid deferral": InvalidDeferralError,
+  "Invalid restructuring": InvalidRestructuringError,
+  "Nothing to claim": NothingToClaimError,
+  "Installment overdue": InstallmentOverdueError,
+};
+
+// Кастомные ошибки OpenZeppelin -> класс ошибки
+const CUSTOM_ERRORS = {
+  OwnableUnauthorizedAccount: UnauthorizedError,
+  AccessControlUnauthorizedAccount: UnauthorizedError,
+  EnforcedPause: ContractPausedError,
+  TimelockInsufficientDelay: InsufficientDelayError,
+  TimelockUnexpectedOperationState: OperationNotReadyError,
+  SafeERC20FailedOperation: TokenTransferFailedError,
+  ERC4626ExceededMaxWithdraw: WithdrawalLimitExceededError,
+  ERC4626ExceededMaxRedeem: WithdrawalLimitExceededError,
+  ERC2771ForwarderInvalidSigner: InvalidSignatureError,
+  ERC2771ForwarderExpiredRequest: ExpiredSignatureError,
+  ERC2771UntrustfulTarget: UntrustedForwarderError,
+  ERC2612InvalidSigner: InvalidSignatureError,
+  ERC2612ExpiredSignature: ExpiredSignatureError,
+};
+
+function findRevertData(error) {
+  for (let e = error; e; e = e.error || e.cause) {
+    if (typeof e.data === "string" && e.data.startsWith("0x") && e.data.length > 2) {
+      return e.data;
+    }
+    if (e.data && typeof e.data.data === "string") {
+      return e.data.data;
+    }
+  }
+  return null;
+}
+
+function decodeRevert(error, iface) {
+  if (error.reason) {
+    return { reason: error.reason };
+  }
+  if (error.revert && error.revert.name) {
+    return { customError: error.revert.name };
+  }
+
+  const data = findRevertData(error);
+  if (data) {
+    if (data.startsWith(ERROR_STRING_SELECTOR)) {
+      const [reason] = AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(data, 4));
+      return { reason };
+    }
+    const parsed = iface && iface.parseError(data);
+    if (parsed) {
+      return { customError: parsed.name };
+    }
+  }
+
+  // Провайдер Hardhat иногда отдает причину только в тексте сообщения
+  const message = String(error.message || "");
+  const reasonMatch = message.match(/reverted with reason string '(.*)'/);
+  if (reasonMatch) {
+    return { reason: reasonMatch[1] };
+  }
+  const customMatch = message.match(/reverted with custom error '(\w+)\(/);
+  if (customMatch) {
+    return { customError: customMatch[1] };
+  }
+  return {};
+}
+
+/**
+ * Преобразование ошибки ethers в типизированную ошибку займа.
+ * Ошибки, не связанные с revert контракта, возвращаются без изменений.
+ */
+function toLoanError(error, iface) {
+  if (error instanceof LoanError) {
+    return error;
+  }
+
+  const { reason, customError } = decodeRevert(error, iface);
+  if (reason !== undefined) {
+    const ErrorClass = REVERT_REASONS[reason] || LoanError;
+    return new ErrorClass(reason, { reason, cause: error });
+  }
+  if (customError !== undefined) {
+    const ErrorClass = CUSTOM_ERRORS[customError] || LoanError;
+    return new ErrorClass(customError, { reason: customError, cause: error });
+  }
+  return error;
+}
+
+module.exports = {
+  LoanError,
+  TokenNotAllowedError,
+  CollateralRequiredError,
+  AmountBelowMinimumError,
+  InsufficientCollateralError,
+  TokenTransferFailedError,
+  PaymentFailedError,
+  NoActiveLoanError,
+  NotLoanBorrowerError,
+  LoanFullyPaidError,
+  PaymentNotDueError,
+  NotOverdueError,
+  DurationExceedsMaximumError,
+  PriceFeedNotSetError,
+  InvalidPriceError,
+  StalePriceError,
+  InvalidMaxPriceAgeError,
+  LoanHealthyError,
+  InvalidLiquidationParametersError,
+  InvalidLiquidationFeeError,
+  InvalidPrepaymentAmountError,
+  InvalidWithdrawalAmountError,
+  InvalidEarlyRepaymentFeeError,
+  InvalidPoolError,
+  InsufficientLiquidityError,
+  OnlyLoanManagerError,
+  WithdrawalLimitExceededError,
+  InvalidProductParametersError,
+  UnknownProductError,
+  ProductNotAvailableError,
+  TokenNotSupportedByProductError,
+  UnauthorizedError,
+  CollateralTokenNotAllowedError,
+  InvalidCollateralParametersError,
+  WrongCollateralTypeError,
+  InvalidSignatureError,
+  ExpiredSignatureError,
+  UntrustedForwarderError,
+  ContractPausedError,
+  InsufficientDelayError,
+  OperationNotReadyError,
+  InvalidGracePeriodError,
+  InvalidDeferralError,
+  InvalidRestructuringError,
+  NothingToClaimError,
+  InstallmentOverdueError,
+  REVERT_REASONS,
+  toLoanError,
+};
@@ -0,0 +1,24 @@
+// Клиентский SDK для контрактов CollateralizedLoan, LoanPool и LoanTimelock
+const { LoanClient } = require("./LoanClient");
+const { PoolClient } = require("./PoolClient");
+const { TimelockClient } = require("./TimelockClient");
+const { COLLATERALIZED_LOAN_ABI, LOAN_POOL_ABI, LOAN_FORWARDER_ABI, LOAN_TIMELOCK_ABI, ERC20_ABI } = require("./abi");
+const errors = require("./errors");
+const schedule = require("./schedule");
+const signatures = require("./signatures");
+const { jsonReplacer } = require("./json");
+
+module.exports = {
+  LoanClient,
+  PoolClient,
+  TimelockClient,
+  COLLATERALIZED_LOAN_ABI,
+  LOAN_POOL_ABI,
+  LOAN_FORWARDER_ABI,
+  LOAN_TIMELOCK_ABI,
+  ERC20_ABI,
+  jsonReplacer,
+  ...errors,
+  ...schedule,
+  ...signatures,
+};
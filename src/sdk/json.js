@@ -0,0 +1,8 @@
+/**
+ * @dev Replacer для JSON.stringify: суммы BigInt сериализуются десятичными строками
+ */
+function jsonReplacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+module.exports = { jsonReplacer };
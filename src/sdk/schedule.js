@@ -0,0 +1,202 @@
+// Офлайн-расчет графика платежей и штрафов CollateralizedLoan.
+// Повторяет целочисленную арифметику контракта (borrow / makeMonthlyPayment),
+// включая округление вниз при делении. Все суммы — BigInt.
+
+const SECONDS_PER_DAY = 86400n;
+const DAYS_PER_MONTH = 30n;
+const MONTHS_PER_YEAR = 12n;
+const BASIS_POINTS = 10000n;
+const PAYMENT_PERIOD = DAYS_PER_MONTH * SECONDS_PER_DAY;
+const WAD = 10n ** 18n;
+
+function mulDiv(x, y, denominator) {
+  return (x * y) / denominator;
+}
+
+/**
+ * Проценты за месяц на остаток основной суммы по годовой ставке (в базисных пунктах)
+ */
+function monthlyInterest(balance, interestRate) {
+  return (BigInt(balance) * BigInt(interestRate)) / (BASIS_POINTS * MONTHS_PER_YEAR);
+}
+
+/**
+ * Аннуитетный платеж P * r * (1 + r)^n / ((1 + r)^n - 1) с точностью 1e18, как в контракте
+ */
+function annuityPayment(principal, interestRate, months) {
+  const p = BigInt(principal);
+  const n = BigInt(months);
+  if (BigInt(interestRate) === 0n) {
+    return p / n;
+  }
+  const monthlyRate = (BigInt(interestRate) * WAD) / (BASIS_POINTS * MONTHS_PER_YEAR);
+  let growth = WAD;
+  for (let i = 0n; i < n; i++) {
+    growth = mulDiv(growth, WAD + monthlyRate, WAD);
+  }
+  return mulDiv(p, mulDiv(monthlyRate, growth, WAD), growth - WAD);
+}
+
+/**
+ * Основная сумма в составе очередного (не последнего) аннуитетного платежа
+ */
+function annuityPrincipalPart(balance, interestRate, payment) {
+  const interestPart = monthlyInterest(balance, interestRate);
+  const interest = interestPart < payment ? interestPart : payment;
+  const principalPart = payment - interest;
+  return principalPart < balance ? principalPart : balance;
+}
+
+/**
+ * Условия займа, как их фиксирует borrow.
+ * Равномерный график: interest = amount * interestRate * months / (BASIS_POINTS * 12),
+ * monthlyPayment = totalDebt / months.
+ * Аннуитетный (amortizing): равные платежи, проценты начисляются ежемесячно на остаток;
+ * totalDebt — сумма платежей по графику.
+ * Последний платеж погашает оставшийся долг; remainder — его отличие от monthlyPayment
+ * (остаток от округления, для аннуитета может быть отрицательным).
+ */
+function calculateLoanTerms({ amount, interestRate, loanDurationMonths, amortizing = false }) {
+  const principal = BigInt(amount);
+  const rate = BigInt(interestRate);
+  const months = BigInt(loanDurationMonths);
+  if (months === 0n) {
+    throw new RangeError("loanDurationMonths must be positive");
+  }
+
+  let monthlyPayment, totalDebt;
+  if (!amortizing) {
+    totalDebt = principal + (principal * rate * months) / (BASIS_POINTS * MONTHS_PER_YEAR);
+    monthlyPayment = totalDebt / months;
+  } else if (rate === 0n) {
+    totalDebt = principal;
+    monthlyPayment = principal / months;
+  } else {
+    monthlyPayment = annuityPayment(principal, rate, months);
+    let balance = principal;
+    totalDebt = 0n;
+    for (let i = 1n; i < months; i++) {
+      balance -= annuityPrincipalPart(balance, rate, monthlyPayment);
+      totalDebt += monthlyPayment;
+    }
+    totalDebt += balance + monthlyInterest(balance, rate);
+  }
+
+  return {
+    principal,
+    interest: totalDebt - principal,
+    totalDebt,
+    monthlyPayment,
+    loanDurationMonths: months,
+    amortizing: Boolean(amortizing),
+    remainder: totalDebt - monthlyPayment * months,
+  };
+}
+
+/**
+ * Штраф за просрочку: monthlyPayment * penaltyRatePerDay * daysLate / BASIS_POINTS
+ */
+function calculatePenalty({ monthlyPayment, penaltyRatePerDay, daysLate }) {
+  return (BigInt(monthlyPayment) * BigInt(penaltyRatePerDay) * BigInt(daysLate)) / BASIS_POINTS;
+}
+
+/**
+ * Сумма платежа в момент timestamp после последнего платежа в lastPaymentTime.
+ * installment — сумма взноса без штрафа (по умолчанию monthlyPayment, для последнего — весь остаток долга),
+ * штраф считается от monthlyPayment.
+ * due = false, если контракт отклонит платеж ("Payment not due yet").
+ * Просрочка считается в полных днях после 30-дневного периода или после окончания
+ * льготного периода graceEnd, если он позже.
+ */
+function amountDueAt({
+  monthlyPayment,
+  penaltyRatePerDay,
+  lastPaymentTime,
+  timestamp,
+  installment = monthlyPayment,
+  graceEnd = 0n,
+}) {
+  const dueTime = BigInt(lastPaymentTime) + PAYMENT_PERIOD;
+  const base = BigInt(installment);
+  if (BigInt(timestamp) < dueTime) {
+    return { due: false, daysLate: 0n, penalty: 0n, amount: base };
+  }
+
+  const penaltyStart = BigInt(graceEnd) > dueTime ? BigInt(graceEnd) : dueTime;
+  const daysLate = BigInt(timestamp) > penaltyStart ? (BigInt(timestamp) - penaltyStart) / SECONDS_PER_DAY : 0n;
+  const penalty = calculatePenalty({ monthlyPayment, penaltyRatePerDay, daysLate });
+  return { due: true, daysLate, penalty, amount: base + penalty };
+}
+
+/**
+ * Полный график платежей при своевременной оплате: каждый платеж через 30 дней после предыдущего.
+ * Возвращает условия займа и список взносов с разбивкой на основную сумму и проценты
+ * и остатком долга после каждого. Последний взнос погашает долг до нуля.
+ */
+function buildSchedule({ amount, interestRate, loanDurationMonths, amortizing = false, startTime = 0n }) {
+  const terms = calculateLoanTerms({ amount, interestRate, loanDurationMonths, amortizing });
+  const installments = [];
+  let remainingDebt = terms.totalDebt;
+  let remainingPrincipal = terms.principal;
+
+  for (let number = 1n; number <= terms.loanDurationMonths; number++) {
+    const last = number === terms.loanDurationMonths;
+    const payment = last ? remainingDebt : terms.monthlyPayment;
+    let principalPart;
+    if (last) {
+      principalPart = remainingPrincipal;
+    } else if (terms.amortizing) {
+      principalPart = annuityPrincipalPart(remainingPrincipal, interestRate, payment);
+    } else {
+      // Равномерный график: основная сумма и проценты в пропорции исходного долга
+      const debtAfter = remainingDebt - payment;
+      const principalAfter = debtAfter - (debtAfter * terms.interest) / terms.totalDebt;
+      principalPart = remainingPrincipal - principalAfter;
+    }
+
+    remainingDebt -= payment;
+    remainingPrincipal -= principalPart;
+    installments.push({
+      number,
+      dueTime: BigInt(startTime) + number * PAYMENT_PERIOD,
+      amount: payment,
+      principal: principalPart,
+      interest: payment - principalPart,
+      remainingDebt,
+      remainingPrincipal,
+    });
+  }
+
+  return { ...terms, installments };
+}
+
+/**
+ * Сумма ближайшего платежа по данным getLoanDetails (lastPaymentTime = nextPaymentDue - 30 дней).
+ * Последний платеж погашает весь оставшийся долг; graceEnd берется из getLoan, если он есть.
+ */
+function amountDueForLoan(loan, penaltyRatePerDay, timestamp) {
+  const last = BigInt(loan.paymentsMade) + 1n === BigInt(loan.paymentsRequired);
+  return amountDueAt({
+    monthlyPayment: loan.monthlyPayment,
+    installment: last ? loan.totalDebt : loan.monthlyPayment,
+    penaltyRatePerDay,
+    lastPaymentTime: BigInt(loan.nextPaymentDue) - PAYMENT_PERIOD,
+    timestamp,
+    graceEnd: loan.graceEnd ?? 0n,
+  });
+}
+
+module.exports = {
+  SECONDS_PER_DAY,
+  DAYS_PER_MONTH,
+  MONTHS_PER_YEAR,
+  BASIS_POINTS,
+  PAYMENT_PERIOD,
+  monthlyInterest,
+  annuityPayment,
+  calculateLoanTerms,
+  calculatePenalty,
+  amountDueAt,
+  amountDueForLoan,
+  buildSchedule,
+};
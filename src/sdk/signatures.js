@@ -0,0 +1,62 @@
+const { Contract, Signature } = require("ethers");
+const { ERC20_ABI, LOAN_FORWARDER_ABI } = require("./abi");
+
+// Типы EIP-712 разрешения EIP-2612 (permit)
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Типы EIP-712 запроса форвардера ERC-2771 (ERC2771Forwarder OpenZeppelin)
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+/**
+ * Домен EIP-712 контракта по eip712Domain() (EIP-5267)
+ */
+async function getDomain(contract) {
+  const { name, version, chainId, verifyingContract } = await contract.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Подпись permit на value токенов token для spender до deadline.
+ * Результат содержит все аргументы permit, поэтому его может отправить кто угодно
+ */
+async function signPermit(signer, token, spender, value, deadline) {
+  const owner = await signer.getAddress();
+  const contract = new Contract(token, ERC20_ABI, signer);
+  const [domain, nonce] = await Promise.all([getDomain(contract), contract.nonces(owner)]);
+  const message = { owner, spender, value, nonce, deadline };
+  const { v, r, s } = Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message));
+  return { token, owner, spender, value, deadline, v, r, s };
+}
+
+/**
+ * Подпись запроса форвардеру forwarder: вызов to с данными data и лимитом газа gas до deadline.
+ * Результат — ForwardRequestData для execute форвардера
+ */
+async function signForwardRequest(signer, forwarder, { to, value = 0n, gas, deadline, data }) {
+  const from = await signer.getAddress();
+  const contract = new Contract(forwarder, LOAN_FORWARDER_ABI, signer);
+  const [domain, nonce] = await Promise.all([getDomain(contract), contract.nonces(from)]);
+  const message = { from, to, value, gas, nonce, deadline, data };
+  const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, message);
+  return { from, to, value, gas, deadline, data, signature };
+}
+
+module.exports = { PERMIT_TYPES, FORWARD_REQUEST_TYPES, getDomain, signPermit, signForwardRequest };
@@ -0,0 +1,811 @@
+// Задачи Hardhat для работы с CollateralizedLoan из командной строки:
+//   npx hardhat loan:borrow --token <address> --amount 1 --collateral 1.5 --network localhost
+//   npx hardhat loan:borrow --token <address> --amount 1 --collateral 2 --collateral-token <address> --network localhost
+//   npx hardhat loan:details --loan-id 1 --json --network localhost
+//
+// Суммы токенов указываются в единицах токена (с учетом decimals), залог — в ether или в единицах токена залога,
+// ставки — в процентах (5 = 5%, 0.1 = 0.1%) и переводятся в базисные пункты контракта.
+// Адрес контракта берется из --contract или из деплоя Hardhat Ignition для текущей сети.
+//
+// Транзакции отправляются через клиенты SDK (LoanClient, PoolClient, TimelockClient): они одобряют токены
+// и преобразуют revert контракта в типизированные ошибки из sdk/errors (например, InsufficientCollateralError).
+//
+// Задачи GOVERNOR_ROLE принимают --timelock: вызов ставится в очередь LoanTimelock, а повторный запуск
+// с --execute исполняет его после задержки:
+//   npx hardhat loan:update-params --interest 7 --penalty 0.2 --duration 6 --timelock <address> --network localhost
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const { LoanClient } = require("../sdk/LoanClient");
+const { PoolClient } = require("../sdk/PoolClient");
+const { TimelockClient } = require("../sdk/TimelockClient");
+const { SECONDS_PER_DAY } = require("../sdk/schedule");
+const { jsonReplacer } = require("../sdk/json");
+const { LoanKeeper, createLogNotifier, createWebhookNotifier, combineNotifiers, JsonFileStore } = require("../keeper");
+
+const PLUGIN_NAME = "loan-tasks";
+const IGNITION_FUTURE_ID = "CollateralizedLoanModule#CollateralizedLoan";
+
+/**
+ * Перевод процентов в базисные пункты: "5" -> 500n, "0.1" -> 10n
+ */
+function percentToBasisPoints(hre, percent) {
+  try {
+    return hre.ethers.parseUnits(String(percent), 2);
+  } catch (e) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid percentage: ${percent}`, e);
+  }
+}
+
+function basisPointsToPercent(hre, basisPoints) {
+  return `${hre.ethers.formatUnits(basisPoints, 2)}%`;
+}
+
+/**
+ * Вывод результата задачи таблицей или JSON
+ */
+function printResult(result, json) {
+  if (json) {
+    console.log(JSON.stringify(result, jsonReplacer, 2));
+  } else {
+    console.table(result);
+  }
+}
+
+async function resolveContractAddress(hre, contract) {
+  if (contract) {
+    return contract;
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const file = path.join(
+    hre.config.paths.ignition,
+    "deployments",
+    `chain-${chainId}`,
+    "deployed_addresses.json"
+  );
+  if (fs.existsSync(file)) {
+    const addresses = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (addresses[IGNITION_FUTURE_ID]) {
+      return addresses[IGNITION_FUTURE_ID];
+    }
+  }
+
+  throw new HardhatPluginError(
+    PLUGIN_NAME,
+    `CollateralizedLoan address not found: pass --contract or deploy ${IGNITION_FUTURE_ID} with Ignition`
+  );
+}
+
+async function getSigner(hre, from) {
+  if (!from) {
+    const [signer] = await hre.ethers.getSigners();
+    return signer;
+  }
+  return hre.ethers.getSigner(from);
+}
+
+async function getLoanClient(hre, { contract, from }) {
+  const address = await resolveContractAddress(hre, contract);
+  return new LoanClient(await getSigner(hre, from), address);
+}
+
+async function getPoolClient(hre, { pool, from }) {
+  return new PoolClient(await getSigner(hre, from), pool);
+}
+
+async function getToken(hre, address) {
+  return hre.ethers.getContractAt("IERC20Metadata", address);
+}
+
+/**
+ * Сумма залога: ether для залога в ETH, единицы токена для залога в токене
+ */
+async function parseCollateral(hre, collateralToken, amount) {
+  if (collateralToken === hre.ethers.ZeroAddress) {
+    return hre.ethers.parseEther(amount);
+  }
+  return hre.ethers.parseUnits(amount, await (await getToken(hre, collateralToken)).decimals());
+}
+
+async function formatCollateral(hre, collateralToken, amount) {
+  if (collateralToken === hre.ethers.ZeroAddress) {
+    return `${hre.ethers.formatEther(amount)} ETH`;
+  }
+  const token = await getToken(hre, collateralToken);
+  return `${hre.ethers.formatUnits(amount, await token.decimals())} ${await token.symbol()}`;
+}
+
+function txSummary(tx) {
+  return { hash: tx.hash, blockNumber: tx.blockNumber, gasUsed: tx.gasUsed };
+}
+
+/**
+ * Аргументы события name из результата транзакции клиента SDK
+ */
+function eventArgs(tx, name) {
+  return tx.events.find((event) => event.name === name).args;
+}
+
+/**
+ * Человекочитаемое представление займа (LoanClient.getLoan) для табличного вывода
+ */
+async function formatLoan(hre, loan) {
+  const decimals = loan.token === hre.ethers.ZeroAddress ? 18n : await (await getToken(hre, loan.token)).decimals();
+  return {
+    loanId: String(loan.loanId),
+    borrower: loan.borrower,
+    token: loan.token,
+    principal: hre.ethers.formatUnits(loan.principal, decimals),
+    collateral: await formatCollateral(hre, loan.collateralToken, loan.collateral),
+    totalDebt: hre.ethers.formatUnits(loan.totalDebt, decimals),
+    monthlyPayment: hre.ethers.formatUnits(loan.monthlyPayment, decimals),
+    nextPaymentDue: new Date(Number(loan.nextPaymentDue) * 1000).toISOString(),
+    graceEnd: loan.graceEnd > 0n ? new Date(Number(loan.graceEnd) * 1000).toISOString() : "none",
+    payments: `${loan.paymentsMade}/${loan.paymentsRequired}`,
+    payoffAmount: hre.ethers.formatUnits(loan.payoffAmount, decimals),
+    product: String(loan.terms.productId),
+    interestRate: basisPointsToPercent(hre, loan.terms.interestRate),
+    penaltyRatePerDay: basisPointsToPercent(hre, loan.terms.penaltyRatePerDay),
+    active: loan.active,
+  };
+}
+
+/**
+ * Человекочитаемое представление кредитного продукта (LoanClient.getProduct)
+ */
+function formatProduct(hre, product) {
+  return {
+    productId: String(product.productId),
+    token: product.token === hre.ethers.ZeroAddress ? "any" : product.token,
+    durationMonths: String(product.durationMonths),
+    interestRate: basisPointsToPercent(hre, product.interestRate),
+    penaltyRatePerDay: basisPointsToPercent(hre, product.penaltyRatePerDay),
+    minCollateralRatio: basisPointsToPercent(hre, product.minCollateralRatio),
+    schedule: product.amortizing ? "annuity" : "flat",
+    active: product.active,
+  };
+}
+
+function withCommonParams(definition) {
+  return definition
+    .addOptionalParam("contract", "CollateralizedLoan address (defaults to the Ignition deployment)")
+    .addOptionalParam("from", "Sender address (defaults to the first account)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+/**
+ * Параметры задач GOVERNOR_ROLE: вызов напрямую или через таймлок
+ */
+function withGovernorParams(definition) {
+  return withCommonParams(definition)
+    .addOptionalParam("timelock", "LoanTimelock address: schedule the call instead of sending it directly")
+    .addFlag("execute", "Execute the call scheduled with --timelock once its delay has passed")
+    .addOptionalParam("salt", "Timelock operation salt, to schedule an identical call again");
+}
+
+/**
+ * Вызов функции GOVERNOR_ROLE контракта займа: send отправляет его напрямую через LoanClient.
+ * С --timelock вызов method(params) ставится в очередь таймлока с минимальной задержкой,
+ * а с --execute — исполняется. Возвращает результат транзакции и сведения об операции таймлока
+ */
+async function sendGovernorCall(hre, client, args, method, params, send) {
+  if (!args.timelock) {
+    return { tx: await send() };
+  }
+
+  const timelock = new TimelockClient(client.runner, args.timelock);
+  const data = client.encodeCall(method, params);
+  const salt = args.salt ? hre.ethers.id(args.salt) : hre.ethers.ZeroHash;
+
+  if (args.execute) {
+    const { id } = await timelock.getOperation(client.address, data, { salt });
+    const tx = await timelock.execute(client.address, data, { salt });
+    return { tx, operation: { operationId: id, status: "executed" } };
+  }
+  const { operationId, readyAt, ...tx } = await timelock.schedule(client.address, data, { salt });
+  return {
+    tx,
+    operation: { operationId, status: "scheduled", readyAt: new Date(Number(readyAt) * 1000).toISOString() },
+  };
+}
+
+withCommonParams(task("loan:borrow", "Borrows tokens against ETH or ERC-20 collateral"))
+  .addParam("token", "Loan token address")
+  .addParam("amount", "Loan amount in token units")
+  .addParam("collateral", "Collateral in ether, or in collateral token units with --collateral-token")
+  .addOptionalParam("collateralToken", "Collateral token address (defaults to ETH)")
+  .addOptionalParam("product", "Loan product ID (0 = global parameters)", 0n, types.bigint)
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const amount = hre.ethers.parseUnits(args.amount, await (await getToken(hre, args.token)).decimals());
+    const collateralToken = args.collateralToken || hre.ethers.ZeroAddress;
+    const collateral = await parseCollateral(hre, collateralToken, args.collateral);
+
+    const tx =
+      collateralToken === hre.ethers.ZeroAddress
+        ? await client.borrow(args.token, amount, collateral, args.product)
+        : await client.borrowWithCollateral(args.token, amount, collateralToken, collateral, args.product);
+    const result = {
+      loanId: tx.loanId,
+      borrower: client.runner.address,
+      token: args.token,
+      productId: args.product,
+      amount,
+      collateral: eventArgs(tx, "LoanIssued").collateral,
+      collateralToken,
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:pay", "Makes the next monthly payment, approving tokens if needed"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .addFlag("permit", "Sign an EIP-2612 permit instead of sending an approve transaction")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const tx = args.permit
+      ? await client.payNextInstallmentWithPermit(args.loanId)
+      : await client.payNextInstallment(args.loanId);
+    const after = await client.getLoan(args.loanId);
+    const result = {
+      loanId: args.loanId,
+      borrower: client.runner.address,
+      paymentsMade: after.paymentsMade,
+      paymentsRequired: after.paymentsRequired,
+      totalDebt: after.totalDebt,
+      active: after.active,
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:add-collateral", "Adds collateral to an active loan, approving tokens if needed"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .addParam("amount", "Collateral to add in ether or in collateral token units")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const { collateralToken } = await client.getLoan(args.loanId);
+    const amount = await parseCollateral(hre, collateralToken, args.amount);
+    const tx = await client.addCollateral(args.loanId, amount);
+    const { collateral } = eventArgs(tx, "CollateralAdded");
+    const result = { loanId: args.loanId, added: amount, collateral, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:withdraw-collateral", "Withdraws excess collateral from an active loan"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .addParam("amount", "Collateral to withdraw in ether or in collateral token units")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const { collateralToken } = await client.getLoan(args.loanId);
+    const amount = await parseCollateral(hre, collateralToken, args.amount);
+    const tx = await client.withdrawCollateral(args.loanId, amount);
+    const { collateral } = eventArgs(tx, "CollateralWithdrawn");
+    const result = { loanId: args.loanId, withdrawn: amount, collateral, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:prepay", "Prepays part of the loan principal, approving tokens if needed"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .addParam("amount", "Principal to prepay in token units")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const loan = await client.getLoan(args.loanId);
+    const amount = hre.ethers.parseUnits(args.amount, await (await getToken(hre, loan.token)).decimals());
+
+    const tx = await client.prepay(args.loanId, amount);
+    const prepayment = eventArgs(tx, "PrepaymentMade");
+    const after = await client.getLoan(args.loanId);
+    const result = {
+      loanId: args.loanId,
+      borrower: client.runner.address,
+      paid: prepayment.amount,
+      totalDebt: after.totalDebt,
+      monthlyPayment: prepayment.newMonthlyPayment,
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:repay", "Repays the loan in full before maturity, approving tokens if needed"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const { collateral } = await client.getLoan(args.loanId);
+    const tx = await client.repayInFull(args.loanId);
+    const repaid = eventArgs(tx, "LoanRepaidEarly");
+    const result = {
+      loanId: args.loanId,
+      borrower: client.runner.address,
+      paid: repaid.amount,
+      interestWaived: repaid.interestWaived,
+      collateralReturned: collateral,
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:details", "Prints loan details"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const loan = await client.getLoan(args.loanId);
+    const result = args.json ? loan : await formatLoan(hre, loan);
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:list", "Lists all loans of a borrower"))
+  .addOptionalParam("borrower", "Borrower address (defaults to the sender)")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const loanIds = await client.getBorrowerLoans(args.borrower);
+
+    const result = [];
+    for (const loanId of loanIds) {
+      const loan = await client.getLoan(loanId);
+      result.push(args.json ? loan : await formatLoan(hre, loan));
+    }
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:liquidate", "Liquidates an overdue loan (owner only)"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const tx = await client.liquidate(args.loanId);
+    const liquidated = eventArgs(tx, "CollateralLiquidated");
+    const result = {
+      loanId: args.loanId,
+      borrower: liquidated.borrower,
+      collateralSeized: liquidated.collateralSeized,
+      collateralRefunded: liquidated.collateralRefunded,
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:liquidate-undercollateralized", "Repays the debt of an undercollateralized loan and takes its collateral"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const tx = await client.liquidateUndercollateralized(args.loanId);
+    const liquidation = eventArgs(tx, "UndercollateralizedLiquidation");
+    const result = {
+      loanId: args.loanId,
+      borrower: liquidation.borrower,
+      liquidator: liquidation.liquidator,
+      debtRepaid: liquidation.debtRepaid,
+      collateralSeized: liquidation.collateralSeized,
+      collateralReturned: liquidation.collateralReturned,
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:claim-refund", "Withdraws the collateral left over from liquidated loans"))
+  .addOptionalParam("token", "Collateral token to claim instead of ETH")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const token = args.token || hre.ethers.ZeroAddress;
+    const tx = await client.claimRefund(token);
+    const { borrower, amount } = eventArgs(tx, "RefundClaimed");
+    const result = { borrower, token, amount, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:grace", "Grants a grace period without late penalties to a loan (owner only)"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .addParam("days", "Grace period in days", undefined, types.bigint)
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const tx = await client.grantGracePeriod(args.loanId, args.days);
+    const { graceDays, graceEnd } = eventArgs(tx, "GracePeriodGranted");
+    const result = {
+      loanId: args.loanId,
+      graceDays,
+      graceEnd: new Date(Number(graceEnd) * 1000).toISOString(),
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:defer", "Defers the next installments of a loan by whole months (owner only)"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .addOptionalParam("count", "Number of installments to defer", 1n, types.bigint)
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const tx = await client.deferPayments(args.loanId, args.count);
+    const { count, nextPaymentDue } = eventArgs(tx, "PaymentsDeferred");
+    const result = {
+      loanId: args.loanId,
+      deferred: count,
+      nextPaymentDue: new Date(Number(nextPaymentDue) * 1000).toISOString(),
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:restructure", "Adds installments to a loan and recomputes the payment (owner only)"))
+  .addParam("loanId", "Loan ID", undefined, types.bigint)
+  .addParam("extraPayments", "Number of installments to add", undefined, types.bigint)
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const tx = await client.restructureLoan(args.loanId, args.extraPayments);
+    const { paymentsRequired, monthlyPayment, totalDebt } = eventArgs(tx, "LoanRestructured");
+    const result = { loanId: args.loanId, paymentsRequired, monthlyPayment, totalDebt, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withGovernorParams(task("loan:update-params", "Updates loan parameters (governor only)"))
+  .addParam("interest", "Yearly interest rate in percent")
+  .addParam("penalty", "Daily penalty rate in percent")
+  .addParam("duration", "Loan duration in months", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const interestRate = percentToBasisPoints(hre, args.interest);
+    const penaltyRatePerDay = percentToBasisPoints(hre, args.penalty);
+    const loanDurationMonths = args.duration;
+
+    const { tx, operation } = await sendGovernorCall(
+      hre,
+      client,
+      args,
+      "updateParameters",
+      [interestRate, penaltyRatePerDay, loanDurationMonths],
+      () => client.updateParameters({ interestRate, penaltyRatePerDay, loanDurationMonths })
+    );
+    const result = {
+      interestRate: basisPointsToPercent(hre, interestRate),
+      penaltyRatePerDay: basisPointsToPercent(hre, penaltyRatePerDay),
+      loanDurationMonths,
+      ...operation,
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withGovernorParams(task("loan:create-product", "Creates a loan product (governor only)"))
+  .addParam("duration", "Loan duration in months", undefined, types.int)
+  .addParam("interest", "Yearly interest rate in percent")
+  .addParam("penalty", "Daily penalty rate in percent")
+  .addOptionalParam("minCollateralRatio", "Minimum collateral ratio in percent", "150")
+  .addOptionalParam("token", "Token address (defaults to any allowed token)")
+  .addFlag("amortizing", "Use an annuity (amortizing) payment schedule")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const product = {
+      durationMonths: args.duration,
+      interestRate: percentToBasisPoints(hre, args.interest),
+      penaltyRatePerDay: percentToBasisPoints(hre, args.penalty),
+      minCollateralRatio: percentToBasisPoints(hre, args.minCollateralRatio),
+      token: args.token || hre.ethers.ZeroAddress,
+      amortizing: args.amortizing,
+    };
+
+    const { tx, operation } = await sendGovernorCall(
+      hre,
+      client,
+      args,
+      "createProduct",
+      [
+        product.durationMonths,
+        product.interestRate,
+        product.penaltyRatePerDay,
+        product.minCollateralRatio,
+        product.token,
+        product.amortizing,
+      ],
+      () => client.createProduct(product)
+    );
+    if (operation && operation.status === "scheduled") {
+      const result = { ...operation, ...txSummary(tx) };
+      printResult(result, args.json);
+      return result;
+    }
+    // Вызов через таймлок: ProductCreated разбирается из той же транзакции по интерфейсу контракта займа
+    const events = operation ? await client.getTransactionEvents(tx.hash) : tx.events;
+    const created = await client.getProduct(events.find((event) => event.name === "ProductCreated").args.productId);
+    const result = {
+      ...(args.json ? created : formatProduct(hre, created)),
+      ...operation,
+      ...txSummary(tx),
+    };
+    printResult(result, args.json);
+    return result;
+  });
+
+withGovernorParams(task("loan:set-product-active", "Enables or disables a loan product for new loans (governor only)"))
+  .addParam("product", "Loan product ID", undefined, types.bigint)
+  .addFlag("disable", "Disable the product")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const active = !args.disable;
+    const { tx, operation } = await sendGovernorCall(
+      hre,
+      client,
+      args,
+      "setProductActive",
+      [args.product, active],
+      () => client.setProductActive(args.product, active)
+    );
+    const result = { productId: args.product, active, ...operation, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:products", "Lists loan products, including product 0 with the global parameters"))
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const products = [await client.getProduct(0n), ...(await client.getProducts())];
+    const result = args.json ? products : products.map((product) => formatProduct(hre, product));
+    printResult(result, args.json);
+    return result;
+  });
+
+withGovernorParams(task("loan:allow-token", "Adds a token to (or removes it from) the allowed list (governor only)"))
+  .addParam("token", "Token address")
+  .addFlag("disallow", "Remove the token from the allowed list")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const allowed = !args.disallow;
+    const { tx, operation } = await sendGovernorCall(hre, client, args, "setTokenAllowed", [args.token, allowed], () =>
+      client.setTokenAllowed(args.token, allowed)
+    );
+    const result = { token: args.token, allowed, ...operation, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withGovernorParams(task("loan:set-collateral-token", "Allows a token as collateral with its own ratio (governor only)"))
+  .addParam("token", "Collateral token address (needs a price feed, see loan:set-price-feed)")
+  .addOptionalParam("ratio", "Minimum collateral ratio in percent", "150")
+  .addFlag("disallow", "Stop accepting the token as collateral for new loans")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const allowed = !args.disallow;
+    const ratio = percentToBasisPoints(hre, args.ratio);
+    const { tx, operation } = await sendGovernorCall(
+      hre,
+      client,
+      args,
+      "setCollateralToken",
+      [args.token, allowed, ratio],
+      () => client.setCollateralToken(args.token, allowed, ratio)
+    );
+    const result = { token: args.token, allowed, collateralRatio: ratio, ...operation, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withGovernorParams(task("loan:set-price-feed", "Sets the TOKEN/ETH price feed for a token (governor only)"))
+  .addParam("token", "Token address")
+  .addParam("feed", "AggregatorV3Interface price feed address")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const { tx, operation } = await sendGovernorCall(hre, client, args, "setPriceFeed", [args.token, args.feed], () =>
+      client.setPriceFeed(args.token, args.feed)
+    );
+    const result = { token: args.token, priceFeed: args.feed, ...operation, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withGovernorParams(task("loan:set-pool", "Connects a liquidity pool for a token (governor only)"))
+  .addParam("token", "Token address")
+  .addParam("pool", "LoanPool address (zero address to fund loans from the owner)")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const { tx, operation } = await sendGovernorCall(hre, client, args, "setPool", [args.token, args.pool], () =>
+      client.setPool(args.token, args.pool)
+    );
+    const result = { token: args.token, pool: args.pool, ...operation, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withGovernorParams(task("loan:set-forwarder", "Sets the trusted ERC-2771 forwarder for relayed calls (governor only)"))
+  .addParam("forwarder", "LoanForwarder address (zero address to disable relayed calls)")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const { tx, operation } = await sendGovernorCall(hre, client, args, "setTrustedForwarder", [args.forwarder], () =>
+      client.setTrustedForwarder(args.forwarder)
+    );
+    const result = { forwarder: args.forwarder, ...operation, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withGovernorParams(task("loan:upgrade", "Upgrades the proxy to a new implementation (governor only)"))
+  .addParam("implementation", "Address of the new CollateralizedLoan implementation")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const { tx, operation } = await sendGovernorCall(
+      hre,
+      client,
+      args,
+      "upgradeToAndCall",
+      [args.implementation, "0x"],
+      () => client.upgradeTo(args.implementation)
+    );
+    const result = { implementation: args.implementation, ...operation, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:pause", "Pauses new loans and collateral withdrawals (guardian only)"))
+  .addFlag("unpause", "Resume new loans and collateral withdrawals")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    const tx = args.unpause ? await client.unpause() : await client.pause();
+    const result = { paused: await client.isPaused(), ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withCommonParams(task("loan:emergency-withdraw", "Withdraws ETH or a token balance above collateral (owner only)"))
+  .addOptionalParam("token", "Token to withdraw instead of ETH")
+  .setAction(async (args, hre) => {
+    const client = await getLoanClient(hre, args);
+    let amount;
+    let tx;
+    if (args.token) {
+      const token = await getToken(hre, args.token);
+      amount = (await token.balanceOf(client.address)) - (await client.getTotalCollateral(args.token));
+      tx = await client.emergencyWithdrawToken(args.token);
+    } else {
+      amount = (await hre.ethers.provider.getBalance(client.address)) - (await client.getTotalCollateral());
+      tx = await client.emergencyWithdrawETH();
+    }
+    const result = { amount, ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+// Задачи пула ликвидности LoanPool: адрес пула передается в --pool
+
+function withPoolParams(definition) {
+  return definition
+    .addParam("pool", "LoanPool address")
+    .addOptionalParam("from", "Sender address (defaults to the first account)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+async function parsePoolAmount(hre, client, amount) {
+  const { asset } = await client.getPoolState();
+  return hre.ethers.parseUnits(amount, await (await getToken(hre, asset)).decimals());
+}
+
+withPoolParams(task("pool:deposit", "Deposits tokens into a liquidity pool, approving them if needed"))
+  .addParam("amount", "Amount in token units")
+  .setAction(async (args, hre) => {
+    const client = await getPoolClient(hre, args);
+    const lender = client.runner.address;
+    const amount = await parsePoolAmount(hre, client, args.amount);
+
+    const tx = await client.deposit(amount);
+    const result = { lender, deposited: amount, ...(await client.getPosition(lender)), ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withPoolParams(task("pool:withdraw", "Withdraws tokens from a liquidity pool"))
+  .addParam("amount", "Amount in token units")
+  .setAction(async (args, hre) => {
+    const client = await getPoolClient(hre, args);
+    const lender = client.runner.address;
+    const amount = await parsePoolAmount(hre, client, args.amount);
+
+    const tx = await client.withdraw(amount);
+    const result = { lender, withdrawn: amount, ...(await client.getPosition(lender)), ...txSummary(tx) };
+    printResult(result, args.json);
+    return result;
+  });
+
+withPoolParams(task("pool:info", "Prints the liquidity pool state and a lender position"))
+  .addOptionalParam("account", "Lender address (defaults to the sender)")
+  .setAction(async (args, hre) => {
+    const client = await getPoolClient(hre, args);
+    const account = args.account || client.runner.address;
+    const result = { ...(await client.getPoolState()), account, ...(await client.getPosition(account)) };
+    printResult(result, args.json);
+    return result;
+  });
+
+task("indexer:run", "Indexes CollateralizedLoan events into a SQLite loan book and serves the HTTP API")
+  .addOptionalParam("contract", "CollateralizedLoan address (defaults to the Ignition deployment)")
+  .addOptionalParam("db", "SQLite database file", "data/loanbook.sqlite")
+  .addOptionalParam("fromBlock", "Block to start indexing from (the contract deployment block)", 0, types.int)
+  .addOptionalParam("confirmations", "Blocks to wait before indexing", 0, types.int)
+  .addOptionalParam("interval", "Polling interval in milliseconds", 5000, types.int)
+  .addOptionalParam("port", "HTTP API port", 8080, types.int)
+  .addFlag("once", "Index up to the latest block and exit without serving the API")
+  .setAction(async (args, hre) => {
+    // Индексатор подключается лениво: sql.js нужен только этой задаче
+    const { LoanBookDatabase, LoanIndexer, createApiServer } = require("../indexer");
+    const address = await resolveContractAddress(hre, args.contract);
+    const db = await LoanBookDatabase.open(path.resolve(hre.config.paths.root, args.db));
+    const indexer = new LoanIndexer({
+      provider: hre.ethers.provider,
+      address,
+      db,
+      startBlock: args.fromBlock,
+      confirmations: args.confirmations,
+      logger: (message) => console.log(`[indexer] ${message}`),
+    });
+
+    if (args.once) {
+      const lastBlock = await indexer.sync();
+      const result = { address, lastBlock, loans: db.getLoans().length };
+      db.close();
+      printResult(result, false);
+      return result;
+    }
+
+    const server = createApiServer(db);
+    await new Promise((resolve) => server.listen(args.port, "127.0.0.1", resolve));
+    console.log(`Loan book API listening on http://127.0.0.1:${server.address().port}`);
+    indexer.start({ intervalMs: args.interval });
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await indexer.stop();
+    server.close();
+    db.close();
+  });
+
+withCommonParams(task("keeper:run", "Sends payment reminders and liquidates overdue loans (owner account)"))
+  .addFlag("dryRun", "Only simulate liquidations, send no transactions")
+  .addOptionalParam("gasLimit", "Gas limit of liquidation transactions", undefined, types.int)
+  .addOptionalParam("maxGasPrice", "Defer liquidations while the gas price is above this value in gwei")
+  .addOptionalParam("reminderDays", "Days before the due date to send a payment reminder", 3, types.int)
+  .addOptionalParam("webhook", "Webhook URL for notifications (in addition to the log)")
+  .addOptionalParam("state", "JSON file with delivered reminders to avoid repeating them after a restart")
+  .addOptionalParam("interval", "Polling interval in milliseconds", 60000, types.int)
+  .addFlag("once", "Check the loans once and exit")
+  .setAction(async (args, hre) => {
+    const address = await resolveContractAddress(hre, args.contract);
+    const signer = await getSigner(hre, args.from);
+
+    const notifiers = [createLogNotifier()];
+    if (args.webhook) {
+      notifiers.push(createWebhookNotifier(args.webhook));
+    }
+    const keeper = new LoanKeeper({
+      client: new LoanClient(signer, address),
+      notify: combineNotifiers(...notifiers),
+      store: args.state ? new JsonFileStore(path.resolve(hre.config.paths.root, args.state)) : new Set(),
+      reminderWindow: BigInt(args.reminderDays) * SECONDS_PER_DAY,
+      dryRun: args.dryRun,
+      gasLimit: args.gasLimit,
+      maxGasPrice: args.maxGasPrice === undefined ? undefined : hre.ethers.parseUnits(args.maxGasPrice, "gwei"),
+      logger: (message) => console.log(`[keeper] ${message}`),
+    });
+
+    if (args.once) {
+      const report = await keeper.check();
+      printResult(args.json ? report : report.liquidations, args.json);
+      return report;
+    }
+
+    console.log(`Keeper watching ${address} every ${args.interval} ms${args.dryRun ? " (dry run)" : ""}`);
+    keeper.start({ intervalMs: args.interval });
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await keeper.stop();
+  });
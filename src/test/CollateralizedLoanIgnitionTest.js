@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { ethers, ignition, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const CollateralizedLoanModule = require("../ignition/modules/CollateralizedLoan");
+
+// Читаем файл параметров так же, как `ignition deploy --parameters`: строки вида "123n" -> BigInt
+function readNetworkParameters(networkName) {
+  const file = path.join(__dirname, "..", "ignition", "parameters", `${networkName}.json`);
+  return JSON.parse(fs.readFileSync(file, "utf8"), (key, value) =>
+    typeof value === "string" && /^\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value
+  );
+}
+
+describe("CollateralizedLoan - Ignition deployment", function () {
+  const parameters = readNetworkParameters(network.name);
+  const tokenParams = parameters.MockERC20Module;
+  const feedParams = parameters.MockV3AggregatorModule;
+  const loanParams = parameters.CollateralizedLoanModule;
+
+  async function deployModuleFixture() {
+    const [owner, borrower] = await ethers.getSigners();
+    const { loan, implementation, token, priceFeed, forwarder, timelock } = await ignition.deploy(
+      CollateralizedLoanModule,
+      { parameters }
+    );
+    return { loan, implementation, token, priceFeed, forwarder, timelock, owner, borrower };
+  }
+
+  it("Should use the same parameters for the in-process and localhost networks", async function () {
+    // Тесты на сети hardhat проверяют тот же деплой, что разворачивается на localhost
+    expect(readNetworkParameters("hardhat")).to.deep.equal(readNetworkParameters("localhost"));
+  });
+
+  it("Should deploy MockERC20 with parameters from the network file", async function () {
+    const { token, owner } = await loadFixture(deployModuleFixture);
+
+    expect(await token.name()).to.equal(tokenParams.name);
+    expect(await token.symbol()).to.equal(tokenParams.symbol);
+    expect(await token.totalSupply()).to.equal(tokenParams.initialSupply);
+    expect(await token.balanceOf(owner.address)).to.equal(tokenParams.initialSupply);
+  });
+
+  it("Should deploy CollateralizedLoan with initializer parameters", async function () {
+    const { loan, owner } = await loadFixture(deployModuleFixture);
+
+    expect(await loan.interestRate()).to.equal(loanParams.interestRate);
+    expect(await loan.penaltyRatePerDay()).to.equal(loanParams.penaltyRatePerDay);
+    expect(await loan.loanDurationMonths()).to.equal(loanParams.loanDurationMonths);
+    expect(await loan.minLoanAmount()).to.equal(loanParams.minLoanAmount);
+    expect(await loan.owner()).to.equal(owner.address);
+  });
+
+  it("Should allow the token and approve it for the loan contract", async function () {
+    const { loan, token, owner } = await loadFixture(deployModuleFixture);
+
+    expect(await loan.allowedTokens(token.target)).to.be.true;
+    expect(await token.allowance(owner.address, loan.target)).to.equal(loanParams.approveAmount);
+  });
+
+  it("Should connect the price feed for the token", async function () {
+    const { loan, token, priceFeed } = await loadFixture(deployModuleFixture);
+
+    expect(await priceFeed.decimals()).to.equal(feedParams.decimals);
+    expect(await priceFeed.latestAnswer()).to.equal(feedParams.tokenPrice);
+    expect(await loan.priceFeeds(token.target)).to.equal(priceFeed.target);
+  });
+
+  it("Should trust the deployed forwarder", async function () {
+    const { loan, forwarder } = await loadFixture(deployModuleFixture);
+
+    expect(await loan.trustedForwarder()).to.equal(forwarder.target);
+    expect((await forwarder.eip712Domain()).name).to.equal("LoanForwarder");
+  });
+
+  it("Should deploy the loan behind a proxy governed by the timelock", async function () {
+    const { loan, implementation, timelock, owner } = await loadFixture(deployModuleFixture);
+    const implementationSlot = await ethers.provider.getStorage(
+      loan.target,
+      "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc"
+    );
+
+    expect(ethers.getAddress(ethers.dataSlice(implementationSlot, 12))).to.equal(implementation.target);
+    expect(await timelock.getMinDelay()).to.equal(loanParams.timelockDelay);
+    expect(await loan.hasRole(await loan.GOVERNOR_ROLE(), timelock.target)).to.be.true;
+    expect(await loan.hasRole(await loan.DEFAULT_ADMIN_ROLE(), timelock.target)).to.be.true;
+    expect(await loan.hasRole(await loan.GOVERNOR_ROLE(), owner.address)).to.be.false;
+    expect(await loan.hasRole(await loan.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.false;
+    expect(await loan.hasRole(await loan.GUARDIAN_ROLE(), owner.address)).to.be.true;
+    expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), owner.address)).to.be.true;
+    await expect(loan.connect(owner).setMaxPriceAge(1)).to.be.revertedWithCustomError(
+      loan,
+      "AccessControlUnauthorizedAccount"
+    );
+  });
+
+  it("Should be ready to issue a loan right after deployment", async function () {
+    const { loan, token, borrower } = await loadFixture(deployModuleFixture);
+    const amount = loanParams.minLoanAmount;
+    const collateral = (((amount * feedParams.tokenPrice) / 10n ** BigInt(feedParams.decimals)) * 15000n) / 10000n;
+
+    await expect(loan.connect(borrower).borrow(token.target, amount, 0, { value: collateral }))
+      .to.emit(loan, "LoanIssued")
+      .withArgs(1, borrower.address, token.target, amount, collateral, loanParams.loanDurationMonths);
+    expect(await token.balanceOf(borrower.address)).to.equal(amount);
+  });
+});
@@ -1,37 +1,32 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { loadFixture, setBalance, setStorageAt } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const {
+  INTEREST_RATE,
+  PENALTY_RATE,
+  LOAN_DURATION_MONTHS,
+  MIN_LOAN_AMOUNT,
+  LOAN_AMOUNT,
+  COLLATERAL_AMOUNT,
+  TOKEN_PRICE,
+  DAY,
+  deployLoanContract,
+  deployLoanFixture,
+  advanceDays,
+} = require("./helpers/fixtures");
+const { calculateLoanTerms } = require("../sdk/schedule");
+const { signPermit, signForwardRequest } = require("../sdk/signatures");
 
 describe("CollateralizedLoan", function () {
-  let CollateralizedLoan, loanContract, MockToken, token;
+  let CollateralizedLoan, loanContract, token, priceFeed;
   let owner, borrower, addr1;
-  const INTEREST_RATE = 500; // 5%
-  const PENALTY_RATE = 10; // 0.1% в день
-  const LOAN_DURATION_MONTHS = 12;
-  const MIN_LOAN_AMOUNT = ethers.parseEther("1"); // 1 токен в wei
-  const COLLATERAL_AMOUNT = ethers.parseEther("1.5"); // 1.5 ETH
-  const LOAN_AMOUNT = ethers.parseEther("1"); // 1 токен
+  const LOAN_ID = 1; // Идентификатор первого выданного займа
 
   beforeEach(async function () {
-    [owner, borrower, addr1] = await ethers.getSigners();
-
-    // Деплой mock ERC-20 токена
-    MockToken = await ethers.getContractFactory("MockERC20");
-    token = await MockToken.deploy("Test Token", "TST", ethers.parseEther("1000"));
-    await token.waitForDeployment();
-
-    // Деплой контракта займа
-    CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
-    loanContract = await CollateralizedLoan.deploy(
-      INTEREST_RATE,
-      PENALTY_RATE,
-      LOAN_DURATION_MONTHS,
-      MIN_LOAN_AMOUNT
-    );
-    await loanContract.waitForDeployment();
-
-    // Одобрение токенов для контракта
-    await token.connect(owner).approve(loanContract.target, ethers.parseEther("1000"));
-    await loanContract.connect(owner).setTokenAllowed(token.target, true);
+    ({ CollateralizedLoan, loanContract, token, priceFeed, owner, borrower, addr1 } =
+      await loadFixture(deployLoanFixture));
   });
 
   describe("Deployment", function () {
@@ -47,12 +42,12 @@ describe("CollateralizedLoan", function () {
   describe("Borrow", function () {
     it("Should issue a loan successfully", async function () {
       await expect(
-        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT })
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
       )
         .to.emit(loanContract, "LoanIssued")
-        .withArgs(borrower.address, token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
+        .withArgs(LOAN_ID, borrower.address, token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
 
-      const loan = await loanContract.getLoanDetails(borrower.address);
+      const loan = await loanContract.getLoanDetails(LOAN_ID);
       expect(loan.token).to.equal(token.target);
       expect(loan.principal).to.equal(LOAN_AMOUNT);
       expect(loan.collateral).to.equal(COLLATERAL_AMOUNT);
@@ -60,56 +55,377 @@ describe("CollateralizedLoan", function () {
       expect(loan.active).to.be.true;
     });
 
+    it("Should assign incrementing loan IDs", async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
+      )
+        .to.emit(loanContract, "LoanIssued")
+        .withArgs(2, borrower.address, token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
+
+      expect(await loanContract.nextLoanId()).to.equal(3);
+      expect(await loanContract.getBorrowerLoans(borrower.address)).to.deep.equal([1n, 2n]);
+      expect((await loanContract.getLoanDetails(2)).borrower).to.equal(borrower.address);
+    });
+
     it("Should fail if insufficient collateral", async function () {
       await expect(
-        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, { value: ethers.parseEther("1") })
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: ethers.parseEther("1") })
       ).to.be.revertedWith("Insufficient collateral");
     });
 
     it("Should fail if token not allowed", async function () {
       await loanContract.connect(owner).setTokenAllowed(token.target, false);
       await expect(
-        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT })
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
       ).to.be.revertedWith("Token not allowed");
     });
   });
 
+  describe("Loan Products", function () {
+    const PRODUCT_ID = 1;
+    const PRODUCT_DURATION = 6;
+    const PRODUCT_RATE = 800; // 8%
+    const PRODUCT_PENALTY = 50; // 0.5% в день
+    const PRODUCT_COLLATERAL_RATIO = 20000; // 200%
+
+    async function createProduct(productToken = ethers.ZeroAddress) {
+      return loanContract
+        .connect(owner)
+        .createProduct(PRODUCT_DURATION, PRODUCT_RATE, PRODUCT_PENALTY, PRODUCT_COLLATERAL_RATIO, productToken, false);
+    }
+
+    it("Should create a product and describe the global parameters as product 0", async function () {
+      await expect(createProduct())
+        .to.emit(loanContract, "ProductCreated")
+        .withArgs(
+          PRODUCT_ID,
+          ethers.ZeroAddress,
+          PRODUCT_DURATION,
+          PRODUCT_RATE,
+          PRODUCT_PENALTY,
+          PRODUCT_COLLATERAL_RATIO,
+          false
+        );
+      expect(await loanContract.nextProductId()).to.equal(PRODUCT_ID + 1);
+
+      const product = await loanContract.getProduct(PRODUCT_ID);
+      expect(product.durationMonths).to.equal(PRODUCT_DURATION);
+      expect(product.interestRate).to.equal(PRODUCT_RATE);
+      expect(product.minCollateralRatio).to.equal(PRODUCT_COLLATERAL_RATIO);
+      expect(product.active).to.be.true;
+
+      const defaultProduct = await loanContract.getProduct(0);
+      expect(defaultProduct.durationMonths).to.equal(LOAN_DURATION_MONTHS);
+      expect(defaultProduct.interestRate).to.equal(INTEREST_RATE);
+      expect(defaultProduct.penaltyRatePerDay).to.equal(PENALTY_RATE);
+      expect(defaultProduct.minCollateralRatio).to.equal(15000);
+      expect(defaultProduct.token).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should validate product parameters and restrict management to the owner", async function () {
+      await expect(
+        loanContract.connect(owner).createProduct(37, PRODUCT_RATE, PRODUCT_PENALTY, 15000, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Duration exceeds maximum");
+      await expect(
+        loanContract.connect(owner).createProduct(0, PRODUCT_RATE, PRODUCT_PENALTY, 15000, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Invalid product parameters");
+      await expect(
+        loanContract
+          .connect(owner)
+          .createProduct(PRODUCT_DURATION, PRODUCT_RATE, PRODUCT_PENALTY, 14999, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Invalid product parameters");
+      await expect(
+        loanContract
+          .connect(addr1)
+          .createProduct(PRODUCT_DURATION, PRODUCT_RATE, PRODUCT_PENALTY, 15000, ethers.ZeroAddress, false)
+      ).to.be.revertedWithCustomError(loanContract, "AccessControlUnauthorizedAccount");
+
+      await expect(loanContract.connect(owner).setProductActive(0, false)).to.be.revertedWith("Unknown product");
+      await expect(loanContract.connect(owner).setProductActive(PRODUCT_ID, false)).to.be.revertedWith(
+        "Unknown product"
+      );
+    });
+
+    it("Should store the product terms on the loan", async function () {
+      await createProduct();
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, PRODUCT_ID, { value: ethers.parseEther("2") })
+      )
+        .to.emit(loanContract, "LoanIssued")
+        .withArgs(LOAN_ID, borrower.address, token.target, LOAN_AMOUNT, ethers.parseEther("2"), PRODUCT_DURATION);
+
+      // 1 токен + 8% годовых за полгода = 1.04, за 6 месяцев
+      const loan = await loanContract.getLoanDetails(LOAN_ID);
+      expect(loan.totalDebt).to.equal(ethers.parseEther("1.04"));
+      expect(loan.monthlyPayment).to.equal(ethers.parseEther("1.04") / 6n);
+      expect(loan.paymentsRequired).to.equal(PRODUCT_DURATION);
+      expect(loan.terms.productId).to.equal(PRODUCT_ID);
+      expect(loan.terms.durationMonths).to.equal(PRODUCT_DURATION);
+      expect(loan.terms.interestRate).to.equal(PRODUCT_RATE);
+      expect(loan.terms.penaltyRatePerDay).to.equal(PRODUCT_PENALTY);
+      expect(loan.terms.minCollateralRatio).to.equal(PRODUCT_COLLATERAL_RATIO);
+    });
+
+    it("Should require the product collateral ratio", async function () {
+      await createProduct();
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, PRODUCT_ID, { value: COLLATERAL_AMOUNT })
+      ).to.be.revertedWith("Insufficient collateral");
+
+      await loanContract
+        .connect(borrower)
+        .borrow(token.target, LOAN_AMOUNT, PRODUCT_ID, { value: ethers.parseEther("2.5") });
+      // Долг 1.04 при 200% требует не меньше 2.08 ETH залога
+      await expect(
+        loanContract.connect(borrower).withdrawCollateral(LOAN_ID, ethers.parseEther("0.43"))
+      ).to.be.revertedWith("Insufficient collateral");
+      await expect(loanContract.connect(borrower).withdrawCollateral(LOAN_ID, ethers.parseEther("0.42"))).to.emit(
+        loanContract,
+        "CollateralWithdrawn"
+      );
+    });
+
+    it("Should reject inactive, unknown and token-restricted products", async function () {
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, PRODUCT_ID, { value: ethers.parseEther("2") })
+      ).to.be.revertedWith("Product not available");
+
+      await createProduct(addr1.address);
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, PRODUCT_ID, { value: ethers.parseEther("2") })
+      ).to.be.revertedWith("Token not supported by product");
+
+      await createProduct(token.target);
+      await expect(loanContract.connect(owner).setProductActive(PRODUCT_ID + 1, false))
+        .to.emit(loanContract, "ProductStatusChanged")
+        .withArgs(PRODUCT_ID + 1, false);
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, PRODUCT_ID + 1, { value: ethers.parseEther("2") })
+      ).to.be.revertedWith("Product not available");
+
+      await loanContract.connect(owner).setProductActive(PRODUCT_ID + 1, true);
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, PRODUCT_ID + 1, { value: ethers.parseEther("2") })
+      ).to.emit(loanContract, "LoanIssued");
+    });
+
+    it("Should amortize an annuity loan and repay it early for the outstanding principal", async function () {
+      await loanContract
+        .connect(owner)
+        .createProduct(12, 1200, PRODUCT_PENALTY, 15000, ethers.ZeroAddress, true);
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+      await token.connect(borrower).approve(loanContract.target, ethers.parseEther("10"));
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, PRODUCT_ID, { value: COLLATERAL_AMOUNT });
+
+      const loan = await loanContract.getLoan(LOAN_ID);
+      expect(loan.terms.amortizing).to.be.true;
+      // 12% годовых: первый платеж включает 1% процентов от всей суммы
+      await advanceDays(30);
+      await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+      const afterPayment = await loanContract.getLoan(LOAN_ID);
+      expect(afterPayment.principalOutstanding).to.equal(LOAN_AMOUNT - (loan.monthlyPayment - LOAN_AMOUNT / 100n));
+
+      // Без комиссии за досрочное погашение остаток процентов прощается
+      const details = await loanContract.getLoanDetails(LOAN_ID);
+      expect(details.payoffAmount).to.equal(afterPayment.principalOutstanding);
+      await expect(loanContract.connect(borrower).repayInFull(LOAN_ID))
+        .to.emit(loanContract, "LoanRepaidEarly")
+        .withArgs(
+          LOAN_ID,
+          borrower.address,
+          afterPayment.principalOutstanding,
+          afterPayment.totalDebt - afterPayment.principalOutstanding
+        );
+    });
+
+    it("Should keep the terms of issued loans when parameters change", async function () {
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+      await token.connect(borrower).approve(loanContract.target, ethers.parseEther("10"));
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(owner).updateParameters(1000, 100, 24);
+
+      const loan = await loanContract.getLoanDetails(LOAN_ID);
+      expect(loan.terms.interestRate).to.equal(INTEREST_RATE);
+      expect(loan.terms.penaltyRatePerDay).to.equal(PENALTY_RATE);
+      expect(loan.terms.durationMonths).to.equal(LOAN_DURATION_MONTHS);
+
+      // Штраф за 10 дней просрочки считается по ставке займа, а не по новой глобальной
+      await advanceDays(40);
+      const penalty = (loan.monthlyPayment * BigInt(PENALTY_RATE) * 10n) / 10000n;
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID))
+        .to.emit(loanContract, "PaymentMade")
+        .withArgs(LOAN_ID, borrower.address, loan.monthlyPayment + penalty, 1);
+
+      // Новый займ по продукту 0 получает новые параметры
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      const newLoan = await loanContract.getLoanDetails(LOAN_ID + 1);
+      expect(newLoan.terms.interestRate).to.equal(1000);
+      expect(newLoan.paymentsRequired).to.equal(24);
+    });
+  });
+
+  describe("Price Oracle", function () {
+    it("Should value collateral using the token price", async function () {
+      // 1 токен = 2 ETH: для займа в 1 токен нужно 3 ETH залога
+      await priceFeed.updateAnswer(ethers.parseEther("2"));
+
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: ethers.parseEther("2.99") })
+      ).to.be.revertedWith("Insufficient collateral");
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: ethers.parseEther("3") })
+      ).to.emit(loanContract, "LoanIssued");
+    });
+
+    it("Should normalise token and feed decimals", async function () {
+      // Токен с 6 decimals, фид с 8 decimals: 1 токен = 0.0005 ETH
+      await token.setDecimals(6);
+      const MockAggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const feed8 = await MockAggregator.deploy(8, 50000n);
+      const usdLoan = await deployLoanContract(INTEREST_RATE, PENALTY_RATE, LOAN_DURATION_MONTHS, 1);
+      await usdLoan.connect(owner).setTokenAllowed(token.target, true);
+      await usdLoan.connect(owner).setPriceFeed(token.target, feed8.target);
+      await token.connect(owner).approve(usdLoan.target, ethers.MaxUint256);
+
+      const amount = 2000n * 10n ** 6n; // 2000 токенов = 1 ETH
+      expect(await usdLoan.getTokenValueInEth(token.target, amount)).to.equal(ethers.parseEther("1"));
+
+      await expect(
+        usdLoan.connect(borrower).borrow(token.target, amount, 0, { value: ethers.parseEther("1.49") })
+      ).to.be.revertedWith("Insufficient collateral");
+      await expect(
+        usdLoan.connect(borrower).borrow(token.target, amount, 0, { value: ethers.parseEther("1.5") })
+      ).to.emit(usdLoan, "LoanIssued");
+    });
+
+    it("Should fail if price feed is not set", async function () {
+      await loanContract.connect(owner).setPriceFeed(token.target, ethers.ZeroAddress);
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
+      ).to.be.revertedWith("Price feed not set");
+    });
+
+    it("Should fail on non-positive price", async function () {
+      await priceFeed.updateAnswer(0);
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
+      ).to.be.revertedWith("Invalid price");
+    });
+
+    it("Should reject stale prices", async function () {
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
+      ).to.be.revertedWith("Stale price");
+
+      await expect(loanContract.connect(owner).setMaxPriceAge(2 * 24 * 60 * 60))
+        .to.emit(loanContract, "MaxPriceAgeUpdated")
+        .withArgs(2 * 24 * 60 * 60);
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
+      ).to.emit(loanContract, "LoanIssued");
+    });
+
+    it("Should report the collateral ratio of a loan", async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+
+      // 1.5 ETH залога / 1.05 токена долга
+      expect(await loanContract.getCollateralRatio(LOAN_ID)).to.equal(14285);
+
+      await priceFeed.updateAnswer(ethers.parseEther("2"));
+      expect(await loanContract.getCollateralRatio(LOAN_ID)).to.equal(7142);
+
+      await expect(loanContract.getCollateralRatio(42)).to.be.revertedWith("No active loan");
+    });
+
+    it("Should restrict oracle settings to the owner", async function () {
+      await expect(loanContract.connect(owner).setPriceFeed(token.target, priceFeed.target))
+        .to.emit(loanContract, "PriceFeedUpdated")
+        .withArgs(token.target, priceFeed.target);
+      await expect(
+        loanContract.connect(addr1).setPriceFeed(token.target, priceFeed.target)
+      ).to.be.revertedWithCustomError(loanContract, "AccessControlUnauthorizedAccount");
+      await expect(loanContract.connect(addr1).setMaxPriceAge(1)).to.be.revertedWithCustomError(
+        loanContract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(loanContract.connect(owner).setMaxPriceAge(0)).to.be.revertedWith("Invalid max price age");
+    });
+  });
+
   describe("Make Monthly Payment", function () {
       beforeEach(async function () {
-        await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+        await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
         // Даем заемщику достаточно токенов для всех платежей
         await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
         await token.connect(borrower).approve(loanContract.target, ethers.parseEther("10"));
       });
 
       it("Should process payment successfully", async function () {
-        await ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]);
-        await ethers.provider.send("evm_mine");
+        await advanceDays(30);
 
-        const loanBefore = await loanContract.getLoanDetails(borrower.address);
+        const loanBefore = await loanContract.getLoanDetails(LOAN_ID);
         const paymentAmount = loanBefore.monthlyPayment;
 
-        await expect(loanContract.connect(borrower).makeMonthlyPayment())
+        await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID))
           .to.emit(loanContract, "PaymentMade")
-          .withArgs(borrower.address, paymentAmount, 1);
+          .withArgs(LOAN_ID, borrower.address, paymentAmount, 1);
 
-        const loanAfter = await loanContract.getLoanDetails(borrower.address);
+        const loanAfter = await loanContract.getLoanDetails(LOAN_ID);
         expect(loanAfter.paymentsMade).to.equal(1);
         expect(loanAfter.totalDebt).to.equal(loanBefore.totalDebt - paymentAmount);
       });
 
+      it("Should fail if caller is not the loan borrower", async function () {
+        await advanceDays(30);
+
+        await expect(loanContract.connect(addr1).makeMonthlyPayment(LOAN_ID)).to.be.revertedWith(
+          "Not loan borrower"
+        );
+      });
+
+      it("Should fail for unknown loan ID", async function () {
+        await expect(loanContract.connect(borrower).makeMonthlyPayment(42)).to.be.revertedWith("No active loan");
+      });
+
       it("Should apply penalty for late payment", async function () {
-        await ethers.provider.send("evm_increaseTime", [40 * 24 * 60 * 60]);
-        await ethers.provider.send("evm_mine");
+        await advanceDays(40);
 
-        const loanBefore = await loanContract.getLoanDetails(borrower.address);
+        const loanBefore = await loanContract.getLoanDetails(LOAN_ID);
         const basePayment = loanBefore.monthlyPayment;
         const penalty = (basePayment * BigInt(PENALTY_RATE) * BigInt(10)) / BigInt(10000);
         const expectedPayment = basePayment + penalty;
 
-        await expect(loanContract.connect(borrower).makeMonthlyPayment())
+        await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID))
           .to.emit(loanContract, "PaymentMade")
-          .withArgs(borrower.address, expectedPayment, 1);
+          .withArgs(LOAN_ID, borrower.address, expectedPayment, 1);
+      });
+
+      it("Should report the amount actually paid when the loan is repaid", async function () {
+        // Первый платеж просрочен на 10 дней, затем 0.5 основной суммы погашается досрочно
+        await advanceDays(40);
+        await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+        const penalty = (ethers.parseEther("0.0875") * BigInt(PENALTY_RATE) * 10n) / 10000n;
+        await loanContract.connect(borrower).prepay(LOAN_ID, ethers.parseEther("0.5"));
+
+        let totalPaid = ethers.parseEther("0.0875") + penalty + ethers.parseEther("0.5");
+        for (let i = 1; i < LOAN_DURATION_MONTHS - 1; i++) {
+          await advanceDays(30);
+          const tx = await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+          totalPaid += (await loanContract.getLoanDetails(LOAN_ID)).monthlyPayment;
+          await expect(tx).to.not.emit(loanContract, "LoanFullyRepaid");
+        }
+        await advanceDays(30);
+        totalPaid += (await loanContract.getLoanDetails(LOAN_ID)).totalDebt;
+
+        await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID))
+          .to.emit(loanContract, "LoanFullyRepaid")
+          .withArgs(LOAN_ID, borrower.address, totalPaid);
+        expect((await loanContract.getLoan(LOAN_ID)).totalPaid).to.equal(totalPaid);
       });
 
       it("Should repay loan fully after all payments", async function () {
@@ -118,12 +434,11 @@ describe("CollateralizedLoan", function () {
 
         // Используем существующий займ из beforeEach, выполняем все платежи
         for (let i = 0; i < LOAN_DURATION_MONTHS; i++) {
-          await ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]);
-          await ethers.provider.send("evm_mine");
-          await loanContract.connect(borrower).makeMonthlyPayment();
+          await advanceDays(30);
+          await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
         }
 
-        const loan = await loanContract.getLoanDetails(borrower.address);
+        const loan = await loanContract.getLoanDetails(LOAN_ID);
         expect(loan.active).to.be.false;
 
         const finalBalance = await ethers.provider.getBalance(borrower.address);
@@ -135,42 +450,1332 @@ describe("CollateralizedLoan", function () {
       });
   });
 
+  describe("Collateral Management", function () {
+    // Долг 1.05 токена при цене 1 ETH: минимальный залог 150% = 1.575 ETH
+    const MIN_COLLATERAL = ethers.parseEther("1.575");
+
+    beforeEach(async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+    });
+
+    it("Should add collateral to an active loan", async function () {
+      const amount = ethers.parseEther("0.5");
+      const tx = await loanContract.connect(borrower).addCollateral(LOAN_ID, { value: amount });
+      await expect(tx)
+        .to.emit(loanContract, "CollateralAdded")
+        .withArgs(LOAN_ID, borrower.address, amount, COLLATERAL_AMOUNT + amount);
+      await expect(tx).to.changeEtherBalances([borrower, loanContract], [-amount, amount]);
+
+      expect((await loanContract.getLoanDetails(LOAN_ID)).collateral).to.equal(COLLATERAL_AMOUNT + amount);
+      expect(await loanContract.getCollateralRatio(LOAN_ID)).to.equal(19047); // 2 / 1.05
+    });
+
+    it("Should reject invalid top-ups", async function () {
+      await expect(loanContract.connect(borrower).addCollateral(LOAN_ID)).to.be.revertedWith("ETH collateral required");
+      await expect(loanContract.connect(addr1).addCollateral(LOAN_ID, { value: 1 })).to.be.revertedWith(
+        "Not loan borrower"
+      );
+      await expect(loanContract.connect(borrower).addCollateral(42, { value: 1 })).to.be.revertedWith(
+        "No active loan"
+      );
+    });
+
+    it("Should allow withdrawing exactly down to the minimum ratio", async function () {
+      await loanContract.connect(borrower).addCollateral(LOAN_ID, { value: ethers.parseEther("0.5") });
+      const excess = ethers.parseEther("2") - MIN_COLLATERAL;
+
+      await expect(loanContract.connect(borrower).withdrawCollateral(LOAN_ID, excess + 1n)).to.be.revertedWith(
+        "Insufficient collateral"
+      );
+
+      const tx = await loanContract.connect(borrower).withdrawCollateral(LOAN_ID, excess);
+      await expect(tx)
+        .to.emit(loanContract, "CollateralWithdrawn")
+        .withArgs(LOAN_ID, borrower.address, excess, MIN_COLLATERAL);
+      await expect(tx).to.changeEtherBalances([borrower, loanContract], [excess, -excess]);
+
+      expect(await loanContract.getCollateralRatio(LOAN_ID)).to.equal(15000);
+      await expect(loanContract.connect(borrower).withdrawCollateral(LOAN_ID, 1)).to.be.revertedWith(
+        "Insufficient collateral"
+      );
+    });
+
+    it("Should free collateral as the debt is paid down", async function () {
+      // Сразу после выдачи 1.5 ETH не покрывают 150% от долга 1.05 вместе с процентами
+      await expect(loanContract.connect(borrower).withdrawCollateral(LOAN_ID, 1)).to.be.revertedWith(
+        "Insufficient collateral"
+      );
+
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("1"));
+      await token.connect(borrower).approve(loanContract.target, ethers.parseEther("1"));
+      for (let i = 0; i < 2; i++) {
+        await advanceDays(30);
+        await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+      }
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+
+      // Остаток долга 0.875: минимальный залог 1.3125 ETH
+      const excess = COLLATERAL_AMOUNT - ethers.parseEther("1.3125");
+      await expect(loanContract.connect(borrower).withdrawCollateral(LOAN_ID, excess + 1n)).to.be.revertedWith(
+        "Insufficient collateral"
+      );
+      await expect(loanContract.connect(borrower).withdrawCollateral(LOAN_ID, excess))
+        .to.emit(loanContract, "CollateralWithdrawn")
+        .withArgs(LOAN_ID, borrower.address, excess, ethers.parseEther("1.3125"));
+    });
+
+    it("Should value the remaining debt through the price feed", async function () {
+      await loanContract.connect(borrower).addCollateral(LOAN_ID, { value: ethers.parseEther("1.5") });
+
+      // При цене 0.5 ETH долг стоит 0.525 ETH: достаточно 0.7875 ETH залога из 3
+      await priceFeed.updateAnswer(ethers.parseEther("0.5"));
+      const excess = ethers.parseEther("3") - ethers.parseEther("0.7875");
+      await expect(loanContract.connect(borrower).withdrawCollateral(LOAN_ID, excess))
+        .to.emit(loanContract, "CollateralWithdrawn")
+        .withArgs(LOAN_ID, borrower.address, excess, ethers.parseEther("0.7875"));
+    });
+
+    it("Should reject invalid withdrawals", async function () {
+      await expect(loanContract.connect(borrower).withdrawCollateral(LOAN_ID, 0)).to.be.revertedWith(
+        "Invalid withdrawal amount"
+      );
+      await expect(
+        loanContract.connect(borrower).withdrawCollateral(LOAN_ID, COLLATERAL_AMOUNT + 1n)
+      ).to.be.revertedWith("Invalid withdrawal amount");
+      await expect(loanContract.connect(addr1).withdrawCollateral(LOAN_ID, 1)).to.be.revertedWith(
+        "Not loan borrower"
+      );
+    });
+  });
+
+  describe("Early Repayment", function () {
+    // Долг 1.05 токена: 1 токен основной суммы и 0.05 процентов, платеж 0.0875
+    const TOTAL_DEBT = ethers.parseEther("1.05");
+    const INTEREST = ethers.parseEther("0.05");
+
+    beforeEach(async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+      await token.connect(borrower).approve(loanContract.target, ethers.parseEther("10"));
+    });
+
+    it("Should expose the payoff amount at the current block", async function () {
+      // По умолчанию проценты за оставшиеся месяцы прощаются полностью
+      expect((await loanContract.getLoanDetails(LOAN_ID)).payoffAmount).to.equal(LOAN_AMOUNT);
+
+      await expect(loanContract.connect(owner).setEarlyRepaymentFee(5000))
+        .to.emit(loanContract, "EarlyRepaymentFeeUpdated")
+        .withArgs(5000);
+      expect((await loanContract.getLoanDetails(LOAN_ID)).payoffAmount).to.equal(LOAN_AMOUNT + INTEREST / 2n);
+
+      // Просрочка 10 дней добавляет штраф по очередному платежу
+      await advanceDays(40);
+      const penalty = (ethers.parseEther("0.0875") * BigInt(PENALTY_RATE) * 10n) / 10000n;
+      expect((await loanContract.getLoanDetails(LOAN_ID)).payoffAmount).to.equal(
+        LOAN_AMOUNT + INTEREST / 2n + penalty
+      );
+    });
+
+    it("Should repay in full, waive unearned interest and return the collateral", async function () {
+      const tx = await loanContract.connect(borrower).repayInFull(LOAN_ID);
+      await expect(tx)
+        .to.emit(loanContract, "LoanRepaidEarly")
+        .withArgs(LOAN_ID, borrower.address, LOAN_AMOUNT, INTEREST);
+      await expect(tx).to.changeTokenBalances(token, [borrower, owner], [-LOAN_AMOUNT, LOAN_AMOUNT]);
+      await expect(tx).to.changeEtherBalances([borrower, loanContract], [COLLATERAL_AMOUNT, -COLLATERAL_AMOUNT]);
+
+      const loan = await loanContract.getLoanDetails(LOAN_ID);
+      expect(loan.active).to.be.false;
+      expect(loan.totalDebt).to.equal(0);
+      expect(loan.payoffAmount).to.equal(0);
+      expect(await loanContract.getLoanHistory(borrower.address)).to.have.length(1);
+      await expect(loanContract.connect(borrower).repayInFull(LOAN_ID)).to.be.revertedWith("No active loan");
+    });
+
+    it("Should charge the configured share of unearned interest after payments", async function () {
+      await loanContract.connect(owner).setEarlyRepaymentFee(5000);
+      await advanceDays(30);
+      await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+
+      const remainingDebt = TOTAL_DEBT - ethers.parseEther("0.0875");
+      const unearnedInterest = (remainingDebt * INTEREST) / TOTAL_DEBT;
+      const waived = unearnedInterest / 2n;
+      expect((await loanContract.getLoanDetails(LOAN_ID)).payoffAmount).to.equal(remainingDebt - waived);
+
+      await expect(loanContract.connect(borrower).repayInFull(LOAN_ID))
+        .to.emit(loanContract, "LoanRepaidEarly")
+        .withArgs(LOAN_ID, borrower.address, remainingDebt - waived, waived);
+    });
+
+    it("Should prepay principal and recalculate the schedule", async function () {
+      const prepayment = ethers.parseEther("0.5");
+      const newDebt = ethers.parseEther("0.525");
+      const newMonthlyPayment = newDebt / BigInt(LOAN_DURATION_MONTHS);
+
+      await expect(loanContract.connect(borrower).prepay(LOAN_ID, prepayment))
+        .to.emit(loanContract, "PrepaymentMade")
+        .withArgs(LOAN_ID, borrower.address, prepayment, prepayment, INTEREST / 2n, newMonthlyPayment);
+
+      let loan = await loanContract.getLoanDetails(LOAN_ID);
+      expect(loan.totalDebt).to.equal(newDebt);
+      expect(loan.monthlyPayment).to.equal(newMonthlyPayment);
+      expect(loan.payoffAmount).to.equal(LOAN_AMOUNT - prepayment);
+
+      await advanceDays(30);
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID))
+        .to.emit(loanContract, "PaymentMade")
+        .withArgs(LOAN_ID, borrower.address, newMonthlyPayment, 1);
+
+      // Следующая предоплата делит долг на оставшиеся 11 месяцев
+      await loanContract.connect(borrower).prepay(LOAN_ID, ethers.parseEther("0.1"));
+      loan = await loanContract.getLoanDetails(LOAN_ID);
+      expect(loan.totalDebt).to.equal(newDebt - newMonthlyPayment - ethers.parseEther("0.105"));
+      expect(loan.monthlyPayment).to.equal(loan.totalDebt / 11n);
+    });
+
+    it("Should quote prepayments with the early repayment fee", async function () {
+      const prepayment = ethers.parseEther("0.5");
+      expect(await loanContract.quotePrepayment(LOAN_ID, prepayment)).to.deep.equal([prepayment, INTEREST / 2n]);
+
+      await loanContract.connect(owner).setEarlyRepaymentFee(10000);
+      expect(await loanContract.quotePrepayment(LOAN_ID, prepayment)).to.deep.equal([
+        prepayment + INTEREST / 2n,
+        0n,
+      ]);
+      await expect(loanContract.connect(borrower).prepay(LOAN_ID, prepayment)).to.changeTokenBalances(
+        token,
+        [borrower, owner],
+        [-(prepayment + INTEREST / 2n), prepayment + INTEREST / 2n]
+      );
+    });
+
+    it("Should reject invalid prepayments", async function () {
+      await expect(loanContract.connect(borrower).prepay(LOAN_ID, 0)).to.be.revertedWith("Invalid prepayment amount");
+      // Предоплата всей основной суммы — это полное погашение
+      await expect(loanContract.connect(borrower).prepay(LOAN_ID, LOAN_AMOUNT)).to.be.revertedWith(
+        "Invalid prepayment amount"
+      );
+      await expect(loanContract.connect(addr1).prepay(LOAN_ID, 1000)).to.be.revertedWith("Not loan borrower");
+      await expect(loanContract.connect(addr1).repayInFull(LOAN_ID)).to.be.revertedWith("Not loan borrower");
+      await expect(loanContract.connect(borrower).prepay(42, 1000)).to.be.revertedWith("No active loan");
+    });
+
+    it("Should keep flat prepayments below the outstanding principal despite rounding", async function () {
+      // Проценты предоплаты округляются вниз: после нечетной суммы долг превышает пропорцию основной суммы,
+      // и предоплата всей оставшейся основной суммы прошла бы проверку долга, оставив долг без основной суммы
+      await loanContract.connect(borrower).prepay(LOAN_ID, ethers.parseEther("0.5") + 1n);
+      const { principalOutstanding, totalDebt } = await loanContract.getLoan(LOAN_ID);
+      expect(principalOutstanding + (principalOutstanding * INTEREST) / LOAN_AMOUNT).to.be.below(totalDebt);
+
+      await expect(loanContract.quotePrepayment(LOAN_ID, principalOutstanding)).to.be.revertedWith(
+        "Invalid prepayment amount"
+      );
+      await expect(loanContract.connect(borrower).prepay(LOAN_ID, principalOutstanding - 1n))
+        .to.emit(loanContract, "PrepaymentMade")
+        .withArgs(LOAN_ID, borrower.address, principalOutstanding - 1n, principalOutstanding - 1n, anyValue, anyValue);
+      const loan = await loanContract.getLoan(LOAN_ID);
+      expect(loan.principalOutstanding).to.equal(1n);
+      expect(loan.totalDebt).to.be.above(0n);
+    });
+
+    it("Should reject prepayments while an installment is overdue", async function () {
+      const prepayment = ethers.parseEther("0.1");
+      // До срока платежа предоплата доступна, после него — нет
+      await advanceDays(29);
+      await loanContract.connect(borrower).prepay(LOAN_ID, prepayment);
+      await advanceDays(5);
+      await expect(loanContract.quotePrepayment(LOAN_ID, prepayment)).to.be.revertedWith("Installment overdue");
+      await expect(loanContract.connect(borrower).prepay(LOAN_ID, prepayment)).to.be.revertedWith(
+        "Installment overdue"
+      );
+
+      // Льготный период откладывает просрочку, а платеж со штрафом ее погашает
+      await loanContract.connect(owner).grantGracePeriod(LOAN_ID, 10);
+      await loanContract.connect(borrower).prepay(LOAN_ID, prepayment);
+      await advanceDays(10);
+      await expect(loanContract.connect(borrower).prepay(LOAN_ID, prepayment)).to.be.revertedWith(
+        "Installment overdue"
+      );
+      await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+      await expect(loanContract.connect(borrower).prepay(LOAN_ID, prepayment)).to.emit(loanContract, "PrepaymentMade");
+    });
+
+    it("Should validate the early repayment fee", async function () {
+      await expect(loanContract.connect(owner).setEarlyRepaymentFee(10001)).to.be.revertedWith(
+        "Invalid early repayment fee"
+      );
+      await expect(loanContract.connect(borrower).setEarlyRepaymentFee(100)).to.be.revertedWithCustomError(
+        loanContract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
   describe("Liquidate", function () {
     beforeEach(async function () {
-      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
     });
 
+    // Долг 1.05 токена, платеж 0.0875; через 61 день без платежей просрочка 31 день
+    const TOTAL_DEBT = ethers.parseEther("1.05");
+    const PENALTY = (ethers.parseEther("0.0875") * BigInt(PENALTY_RATE) * 31n) / 10000n;
+    const FEE = (TOTAL_DEBT * 500n) / 10000n;
+
+    async function overdue() {
+      await advanceDays(61);
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+    }
+
     it("Should liquidate overdue loan", async function () {
-      await ethers.provider.send("evm_increaseTime", [61 * 24 * 60 * 60]);
-      await ethers.provider.send("evm_mine");
+      await overdue();
 
-      const ownerBalanceBefore = await ethers.provider.getBalance(owner.address);
-      await expect(loanContract.connect(owner).liquidate(borrower.address))
+      const seized = TOTAL_DEBT + PENALTY + FEE;
+      const refunded = COLLATERAL_AMOUNT - seized;
+      const tx = await loanContract.connect(owner).liquidate(LOAN_ID);
+      await expect(tx)
         .to.emit(loanContract, "CollateralLiquidated")
-        .withArgs(borrower.address, COLLATERAL_AMOUNT);
+        .withArgs(LOAN_ID, borrower.address, seized, refunded);
+      await expect(tx).to.changeEtherBalances([owner, borrower, loanContract], [seized, 0, -seized]);
 
-      const ownerBalanceAfter = await ethers.provider.getBalance(owner.address);
-      expect(ownerBalanceAfter).to.be.above(ownerBalanceBefore);
-      const loan = await loanContract.getLoanDetails(borrower.address);
+      const loan = await loanContract.getLoan(LOAN_ID);
       expect(loan.active).to.be.false;
+      expect(loan.totalDebt).to.equal(0);
+      expect(loan.principalOutstanding).to.equal(0);
+
+      // Остаток залога заемщик выводит сам
+      expect(await loanContract.refunds(borrower.address, ethers.ZeroAddress)).to.equal(refunded);
+      const claim = loanContract.connect(borrower).claimRefund(ethers.ZeroAddress);
+      await expect(claim).to.emit(loanContract, "RefundClaimed").withArgs(borrower.address, ethers.ZeroAddress, refunded);
+      await expect(claim).to.changeEtherBalances([borrower, loanContract], [refunded, -refunded]);
+      expect(await ethers.provider.getBalance(loanContract.target)).to.equal(0);
+      await expect(loanContract.connect(borrower).claimRefund(ethers.ZeroAddress)).to.be.revertedWith(
+        "Nothing to claim"
+      );
+    });
+
+    it("Should not let a borrower that rejects ETH block the liquidation", async function () {
+      const RejectingBorrower = await ethers.getContractFactory("MockRejectingBorrower");
+      const rejecting = await RejectingBorrower.deploy();
+      await rejecting.borrow(loanContract.target, token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+      await overdue();
+
+      const refunded = COLLATERAL_AMOUNT - (TOTAL_DEBT + PENALTY + FEE);
+      await expect(loanContract.connect(owner).liquidate(LOAN_ID + 1))
+        .to.emit(loanContract, "CollateralLiquidated")
+        .withArgs(LOAN_ID + 1, rejecting.target, anyValue, refunded);
+      expect(await loanContract.refunds(rejecting.target, ethers.ZeroAddress)).to.equal(refunded);
+    });
+
+    it("Should seize only the remaining debt after payments", async function () {
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("1"));
+      await token.connect(borrower).approve(loanContract.target, ethers.parseEther("1"));
+      await advanceDays(30);
+      await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+      await overdue();
+
+      const remainingDebt = TOTAL_DEBT - ethers.parseEther("0.0875");
+      const seized = remainingDebt + PENALTY + (remainingDebt * 500n) / 10000n;
+      await expect(loanContract.connect(owner).liquidate(LOAN_ID))
+        .to.emit(loanContract, "CollateralLiquidated")
+        .withArgs(LOAN_ID, borrower.address, seized, COLLATERAL_AMOUNT - seized);
+    });
+
+    it("Should value the claim through the price feed and cap it at the collateral", async function () {
+      await overdue();
+      const claim = TOTAL_DEBT + PENALTY + FEE;
+
+      // 1 токен = 1.2 ETH: залога хватает, остаток возвращается заемщику
+      await priceFeed.updateAnswer(ethers.parseEther("1.2"));
+      const seized = (claim * 12n) / 10n;
+      await expect(loanContract.connect(owner).liquidate(LOAN_ID)).to.changeEtherBalances(
+        [owner, loanContract],
+        [seized, -seized]
+      );
+      expect(await loanContract.refunds(borrower.address, ethers.ZeroAddress)).to.equal(COLLATERAL_AMOUNT - seized);
+
+      // 1 токен = 1.5 ETH: требование дороже залога, возвращать нечего
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await overdue();
+      await priceFeed.updateAnswer(ethers.parseEther("1.5"));
+      await expect(loanContract.connect(owner).liquidate(2))
+        .to.emit(loanContract, "CollateralLiquidated")
+        .withArgs(2, borrower.address, COLLATERAL_AMOUNT, 0);
+    });
+
+    it("Should apply the configured liquidation fee", async function () {
+      await expect(loanContract.connect(owner).setLiquidationFee(0))
+        .to.emit(loanContract, "LiquidationFeeUpdated")
+        .withArgs(0);
+      await overdue();
+
+      const seized = TOTAL_DEBT + PENALTY;
+      await expect(loanContract.connect(owner).liquidate(LOAN_ID))
+        .to.emit(loanContract, "CollateralLiquidated")
+        .withArgs(LOAN_ID, borrower.address, seized, COLLATERAL_AMOUNT - seized);
+    });
+
+    it("Should validate the liquidation fee", async function () {
+      await expect(loanContract.connect(owner).setLiquidationFee(2001)).to.be.revertedWith("Invalid liquidation fee");
+      await expect(loanContract.connect(borrower).setLiquidationFee(100)).to.be.revertedWithCustomError(
+        loanContract,
+        "AccessControlUnauthorizedAccount"
+      );
+      expect(await loanContract.liquidationFee()).to.equal(500);
+    });
+
+    it("Should fail with a stale price", async function () {
+      await advanceDays(61);
+      await expect(loanContract.connect(owner).liquidate(LOAN_ID)).to.be.revertedWith("Stale price");
     });
 
     it("Should fail if not overdue enough", async function () {
-      await ethers.provider.send("evm_increaseTime", [59 * 24 * 60 * 60]);
-      await ethers.provider.send("evm_mine");
-      await expect(loanContract.connect(owner).liquidate(borrower.address)).to.be.revertedWith(
+      await advanceDays(59);
+      await expect(loanContract.connect(owner).liquidate(LOAN_ID)).to.be.revertedWith(
         "Not enough overdue time"
       );
     });
   });
 
+  describe("Undercollateralized Liquidation", function () {
+    // Долг 1.05 токена, залог 1.5 ETH
+    const TOTAL_DEBT = ethers.parseEther("1.05");
+
+    beforeEach(async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await token.connect(owner).transfer(addr1.address, ethers.parseEther("10"));
+      await token.connect(addr1).approve(loanContract.target, ethers.parseEther("10"));
+    });
+
+    it("Should fail while the loan is healthy", async function () {
+      // 1 токен = 1.1 ETH: обеспечение 1.5 / 1.155 ~ 129.8% > 120%
+      await priceFeed.updateAnswer(ethers.parseEther("1.1"));
+
+      expect(await loanContract.isUndercollateralized(LOAN_ID)).to.be.false;
+      await expect(loanContract.connect(addr1).liquidateUndercollateralized(LOAN_ID)).to.be.revertedWith(
+        "Loan is healthy"
+      );
+    });
+
+    it("Should let any account liquidate and credit the surplus to the borrower", async function () {
+      // 1 токен = 1.3 ETH: долг стоит 1.365 ETH, обеспечение ~ 109.9% < 120%
+      await priceFeed.updateAnswer(ethers.parseEther("1.3"));
+      expect(await loanContract.isUndercollateralized(LOAN_ID)).to.be.true;
+
+      const debtValue = ethers.parseEther("1.365");
+      const seized = (debtValue * 10500n) / 10000n; // долг + 5% бонуса
+      const returned = COLLATERAL_AMOUNT - seized;
+
+      const tx = loanContract.connect(addr1).liquidateUndercollateralized(LOAN_ID);
+      await expect(tx)
+        .to.emit(loanContract, "UndercollateralizedLiquidation")
+        .withArgs(LOAN_ID, borrower.address, addr1.address, TOTAL_DEBT, seized, returned);
+      await expect(tx).to.changeEtherBalances([addr1, borrower, loanContract], [seized, 0, -seized]);
+      await expect(tx).to.changeTokenBalances(token, [addr1, owner], [-TOTAL_DEBT, TOTAL_DEBT]);
+
+      const loan = await loanContract.getLoanDetails(LOAN_ID);
+      expect(loan.active).to.be.false;
+      expect(loan.totalDebt).to.equal(0);
+
+      // Остаток залога заемщик выводит сам
+      expect(await loanContract.refunds(borrower.address, ethers.ZeroAddress)).to.equal(returned);
+      await expect(loanContract.connect(borrower).claimRefund(ethers.ZeroAddress)).to.changeEtherBalances(
+        [borrower, loanContract],
+        [returned, -returned]
+      );
+    });
+
+    it("Should not let a borrower that rejects ETH block the liquidation", async function () {
+      const RejectingBorrower = await ethers.getContractFactory("MockRejectingBorrower");
+      const rejecting = await RejectingBorrower.deploy();
+      await rejecting.borrow(loanContract.target, token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+      await priceFeed.updateAnswer(ethers.parseEther("1.3"));
+
+      const seized = (ethers.parseEther("1.365") * 10500n) / 10000n;
+      await expect(loanContract.connect(addr1).liquidateUndercollateralized(LOAN_ID + 1))
+        .to.emit(loanContract, "UndercollateralizedLiquidation")
+        .withArgs(LOAN_ID + 1, rejecting.target, addr1.address, TOTAL_DEBT, seized, COLLATERAL_AMOUNT - seized);
+      expect(await loanContract.refunds(rejecting.target, ethers.ZeroAddress)).to.equal(COLLATERAL_AMOUNT - seized);
+    });
+
+    it("Should cap the seized amount at the collateral", async function () {
+      // 1 токен = 2 ETH: долг стоит больше залога, заемщик ничего не получает
+      await priceFeed.updateAnswer(ethers.parseEther("2"));
+
+      const tx = loanContract.connect(addr1).liquidateUndercollateralized(LOAN_ID);
+      await expect(tx)
+        .to.emit(loanContract, "UndercollateralizedLiquidation")
+        .withArgs(LOAN_ID, borrower.address, addr1.address, TOTAL_DEBT, COLLATERAL_AMOUNT, 0);
+      await expect(tx).to.changeEtherBalances([addr1, borrower], [COLLATERAL_AMOUNT, 0]);
+      expect(await loanContract.refunds(borrower.address, ethers.ZeroAddress)).to.equal(0);
+    });
+
+    it("Should respect configured liquidation parameters", async function () {
+      await priceFeed.updateAnswer(ethers.parseEther("1.3"));
+      // Порог 105%: обеспечение ~ 109.9% считается достаточным
+      await expect(loanContract.connect(owner).setLiquidationParameters(10500, 1000))
+        .to.emit(loanContract, "LiquidationParametersUpdated")
+        .withArgs(10500, 1000);
+      await expect(loanContract.connect(addr1).liquidateUndercollateralized(LOAN_ID)).to.be.revertedWith(
+        "Loan is healthy"
+      );
+
+      await loanContract.connect(owner).setLiquidationParameters(12000, 800);
+      const seized = (ethers.parseEther("1.365") * 10800n) / 10000n;
+      await expect(loanContract.connect(addr1).liquidateUndercollateralized(LOAN_ID))
+        .to.emit(loanContract, "UndercollateralizedLiquidation")
+        .withArgs(LOAN_ID, borrower.address, addr1.address, TOTAL_DEBT, seized, COLLATERAL_AMOUNT - seized);
+    });
+
+    it("Should validate liquidation parameters", async function () {
+      await expect(loanContract.connect(owner).setLiquidationParameters(9999, 500)).to.be.revertedWith(
+        "Invalid liquidation parameters"
+      );
+      await expect(loanContract.connect(owner).setLiquidationParameters(15000, 500)).to.be.revertedWith(
+        "Invalid liquidation parameters"
+      );
+      await expect(loanContract.connect(owner).setLiquidationParameters(12000, 2001)).to.be.revertedWith(
+        "Invalid liquidation parameters"
+      );
+      await expect(
+        loanContract.connect(addr1).setLiquidationParameters(12000, 500)
+      ).to.be.revertedWithCustomError(loanContract, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should require a fresh price", async function () {
+      await advanceDays(2);
+
+      await expect(loanContract.connect(addr1).liquidateUndercollateralized(LOAN_ID)).to.be.revertedWith(
+        "Stale price"
+      );
+    });
+  });
+
+  describe("Grace Periods and Restructuring", function () {
+    // Долг 1.05 токена, платеж 0.0875; срок первого платежа — через 30 дней после выдачи
+    const TOTAL_DEBT = ethers.parseEther("1.05");
+    const MONTHLY_PAYMENT = ethers.parseEther("0.0875");
+    const PENALTY = (MONTHLY_PAYMENT * BigInt(PENALTY_RATE) * 31n) / 10000n;
+    const FEE = (TOTAL_DEBT * 500n) / 10000n;
+    let startTime;
+
+    beforeEach(async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+      await token.connect(borrower).approve(loanContract.target, ethers.parseEther("10"));
+      ({ startTime } = await loanContract.getLoan(LOAN_ID));
+    });
+
+    it("Should postpone the penalty and liquidation until the grace period ends", async function () {
+      await advanceDays(35);
+      const graceEnd = startTime + BigInt(40 * DAY);
+      await expect(loanContract.connect(owner).grantGracePeriod(LOAN_ID, 10))
+        .to.emit(loanContract, "GracePeriodGranted")
+        .withArgs(LOAN_ID, 10, graceEnd);
+      expect((await loanContract.getLoan(LOAN_ID)).graceEnd).to.equal(graceEnd);
+      expect((await loanContract.getLoanDetails(LOAN_ID)).payoffAmount).to.equal(LOAN_AMOUNT);
+
+      // Без льготного периода займ можно было бы ликвидировать через 61 день
+      await advanceDays(26);
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      await expect(loanContract.connect(owner).liquidate(LOAN_ID)).to.be.revertedWith("Not enough overdue time");
+
+      // Порог и штраф отсчитываются от окончания льготного периода: просрочка 31 день
+      await advanceDays(10);
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      const seized = TOTAL_DEBT + PENALTY + FEE;
+      await expect(loanContract.connect(owner).liquidate(LOAN_ID))
+        .to.emit(loanContract, "CollateralLiquidated")
+        .withArgs(LOAN_ID, borrower.address, seized, COLLATERAL_AMOUNT - seized);
+    });
+
+    it("Should charge the penalty only after the grace period and end it with the payment", async function () {
+      await advanceDays(35);
+      await loanContract.connect(owner).grantGracePeriod(LOAN_ID, 10);
+      // Повторный льготный период продлевает текущий
+      await expect(loanContract.connect(owner).grantGracePeriod(LOAN_ID, 5))
+        .to.emit(loanContract, "GracePeriodGranted")
+        .withArgs(LOAN_ID, 5, startTime + BigInt(45 * DAY));
+
+      await advanceDays(15);
+      const penalty = (MONTHLY_PAYMENT * BigInt(PENALTY_RATE) * 5n) / 10000n;
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID))
+        .to.emit(loanContract, "PaymentMade")
+        .withArgs(LOAN_ID, borrower.address, MONTHLY_PAYMENT + penalty, 1);
+      expect((await loanContract.getLoan(LOAN_ID)).graceEnd).to.equal(0);
+    });
+
+    it("Should defer installments together with the penalty and liquidation", async function () {
+      await advanceDays(35);
+      const nextPaymentDue = startTime + BigInt(90 * DAY);
+      await expect(loanContract.connect(owner).deferPayments(LOAN_ID, 2))
+        .to.emit(loanContract, "PaymentsDeferred")
+        .withArgs(LOAN_ID, 2, nextPaymentDue);
+      expect((await loanContract.getLoanDetails(LOAN_ID)).nextPaymentDue).to.equal(nextPaymentDue);
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID)).to.be.revertedWith(
+        "Payment not due yet"
+      );
+
+      await advanceDays(55);
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      await expect(loanContract.connect(owner).liquidate(LOAN_ID)).to.be.revertedWith("Not enough overdue time");
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID))
+        .to.emit(loanContract, "PaymentMade")
+        .withArgs(LOAN_ID, borrower.address, MONTHLY_PAYMENT, 1);
+      expect((await loanContract.getLoanDetails(LOAN_ID)).paymentsRequired).to.equal(LOAN_DURATION_MONTHS);
+    });
+
+    it("Should spread the remaining flat debt over the extended term", async function () {
+      await advanceDays(30);
+      await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+
+      const remainingDebt = TOTAL_DEBT - MONTHLY_PAYMENT;
+      const monthlyPayment = remainingDebt / 17n;
+      await expect(loanContract.connect(owner).restructureLoan(LOAN_ID, 6))
+        .to.emit(loanContract, "LoanRestructured")
+        .withArgs(LOAN_ID, LOAN_DURATION_MONTHS + 6, monthlyPayment, remainingDebt);
+
+      // Новых процентов нет: 17 платежей погашают прежний остаток долга
+      const balanceBefore = await token.balanceOf(borrower.address);
+      for (let i = 0; i < 17; i++) {
+        await advanceDays(30);
+        await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+      }
+      const loan = await loanContract.getLoan(LOAN_ID);
+      expect(loan.active).to.be.false;
+      expect(loan.principalOutstanding).to.equal(0);
+      expect(balanceBefore - (await token.balanceOf(borrower.address))).to.equal(remainingDebt);
+    });
+
+    it("Should rebuild the annuity schedule on the outstanding principal", async function () {
+      await loanContract.connect(owner).createProduct(12, 1200, PENALTY_RATE, 15000, ethers.ZeroAddress, true);
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 1, { value: COLLATERAL_AMOUNT });
+      const loanId = LOAN_ID + 1;
+      await advanceDays(30);
+      await loanContract.connect(borrower).makeMonthlyPayment(loanId);
+
+      const { principalOutstanding } = await loanContract.getLoan(loanId);
+      const expected = calculateLoanTerms({
+        amount: principalOutstanding,
+        interestRate: 1200,
+        loanDurationMonths: 23,
+        amortizing: true,
+      });
+      await expect(loanContract.connect(owner).restructureLoan(loanId, 12))
+        .to.emit(loanContract, "LoanRestructured")
+        .withArgs(loanId, 24, expected.monthlyPayment, expected.totalDebt);
+      const loan = await loanContract.getLoan(loanId);
+      expect(loan.monthlyPayment).to.equal(expected.monthlyPayment);
+      expect(loan.principalOutstanding).to.equal(principalOutstanding);
+      // Проценты займа следуют новому графику
+      expect(loan.interest).to.equal(expected.totalDebt - principalOutstanding);
+    });
+
+    it("Should not restructure a loan without anything left to schedule", async function () {
+      // Слот поля займа в mapping loans (слот 3) напрямую: такое состояние недостижимо платежами,
+      // но реструктуризация не должна оставлять активный займ с нулевым платежом
+      const FIELD_OFFSETS = { principalOutstanding: 6n, totalDebt: 10n };
+      async function clearLoanField(loanId, field, expected) {
+        const slot = BigInt(ethers.solidityPackedKeccak256(["uint256", "uint256"], [loanId, 3])) + FIELD_OFFSETS[field];
+        expect(BigInt(await ethers.provider.getStorage(loanContract.target, slot))).to.equal(expected);
+        await setStorageAt(loanContract.target, slot, 0);
+      }
+
+      // Равномерный займ: без остатка долга
+      await clearLoanField(LOAN_ID, "totalDebt", TOTAL_DEBT);
+      await expect(loanContract.connect(owner).restructureLoan(LOAN_ID, 6)).to.be.revertedWith(
+        "Invalid restructuring"
+      );
+
+      // Аннуитетный займ: без непогашенной основной суммы
+      await loanContract.connect(owner).createProduct(12, 1200, PENALTY_RATE, 15000, ethers.ZeroAddress, true);
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 1, { value: COLLATERAL_AMOUNT });
+      const loanId = LOAN_ID + 1;
+      await clearLoanField(loanId, "principalOutstanding", LOAN_AMOUNT);
+      await expect(loanContract.connect(owner).restructureLoan(loanId, 6)).to.be.revertedWith(
+        "Invalid restructuring"
+      );
+    });
+
+    it("Should validate adjustments and allow them only to the owner", async function () {
+      await expect(loanContract.connect(owner).grantGracePeriod(LOAN_ID, 0)).to.be.revertedWith(
+        "Invalid grace period"
+      );
+      await expect(loanContract.connect(owner).deferPayments(LOAN_ID, 0)).to.be.revertedWith("Invalid deferral");
+      await expect(loanContract.connect(owner).deferPayments(LOAN_ID, 37)).to.be.revertedWith("Invalid deferral");
+      await expect(loanContract.connect(owner).restructureLoan(LOAN_ID, 0)).to.be.revertedWith(
+        "Invalid restructuring"
+      );
+      // Срок займа не может превысить MAX_LOAN_DURATION_MONTHS
+      await expect(loanContract.connect(owner).restructureLoan(LOAN_ID, 25)).to.be.revertedWith(
+        "Invalid restructuring"
+      );
+      await expect(loanContract.connect(owner).deferPayments(42, 1)).to.be.revertedWith("No active loan");
+
+      for (const call of [
+        loanContract.connect(borrower).grantGracePeriod(LOAN_ID, 10),
+        loanContract.connect(borrower).deferPayments(LOAN_ID, 1),
+        loanContract.connect(borrower).restructureLoan(LOAN_ID, 1),
+      ]) {
+        await expect(call).to.be.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount");
+      }
+    });
+  });
+
+  describe("Loan History", function () {
+    beforeEach(async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+      await token.connect(borrower).approve(loanContract.target, ethers.parseEther("10"));
+    });
+
+    it("Should not include active loans in history", async function () {
+      expect(await loanContract.getLoanHistory(borrower.address)).to.be.empty;
+      expect(await loanContract.getBorrowerLoans(borrower.address)).to.deep.equal([LOAN_ID]);
+    });
+
+    it("Should allow a new loan after full repayment", async function () {
+      for (let i = 0; i < LOAN_DURATION_MONTHS; i++) {
+        await advanceDays(30);
+        await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+      }
+
+      const history = await loanContract.getLoanHistory(borrower.address);
+      expect(history).to.have.length(1);
+      expect(history[0].borrower).to.equal(borrower.address);
+      expect(history[0].paymentsMade).to.equal(LOAN_DURATION_MONTHS);
+      expect(history[0].active).to.be.false;
+
+      // Цена за год устарела, фид обновляется перед новым займом
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      const newAmount = ethers.parseEther("2");
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, newAmount, 0, { value: ethers.parseEther("3") })
+      )
+        .to.emit(loanContract, "LoanIssued")
+        .withArgs(2, borrower.address, token.target, newAmount, ethers.parseEther("3"), LOAN_DURATION_MONTHS);
+
+      const loan = await loanContract.getLoanDetails(2);
+      expect(loan.principal).to.equal(newAmount);
+      expect(loan.paymentsMade).to.equal(0);
+      expect(loan.active).to.be.true;
+      expect(await loanContract.getLoanHistory(borrower.address)).to.have.length(1);
+    });
+
+    it("Should allow a new loan after liquidation", async function () {
+      await advanceDays(61);
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      await loanContract.connect(owner).liquidate(LOAN_ID);
+
+      const history = await loanContract.getLoanHistory(borrower.address);
+      expect(history).to.have.length(1);
+      expect(history[0].id).to.equal(LOAN_ID);
+      expect(history[0].collateral).to.equal(COLLATERAL_AMOUNT);
+      expect(history[0].paymentsMade).to.equal(0);
+      expect(history[0].active).to.be.false;
+
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      expect((await loanContract.getLoanDetails(2)).active).to.be.true;
+
+      // Второй займ тоже попадает в историю после закрытия
+      await advanceDays(61);
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      await loanContract.connect(owner).liquidate(2);
+      const ids = (await loanContract.getLoanHistory(borrower.address)).map((loan) => loan.id);
+      expect(ids).to.deep.equal([1n, 2n]);
+    });
+  });
+
+  describe("ERC-20 Collateral", function () {
+    const COLLATERAL_PRICE = ethers.parseEther("0.5"); // 1 токен залога = 0.5 ETH
+    const COLLATERAL_RATIO = 20000; // 200%: строже минимального обеспечения продукта 0
+    const TOKEN_COLLATERAL = ethers.parseEther("5"); // 2.5 ETH
+    const TOTAL_DEBT = ethers.parseEther("1.05");
+    let collateralToken, collateralFeed;
+
+    async function collateralTokenFixture() {
+      const fixture = await deployLoanFixture();
+      const { MockToken, MockAggregator, loanContract, owner, borrower, addr1 } = fixture;
+      const collateralToken = await MockToken.deploy("Staked Ether", "STETH", ethers.parseEther("1000"));
+      const collateralFeed = await MockAggregator.deploy(18, COLLATERAL_PRICE);
+      await loanContract.connect(owner).setPriceFeed(collateralToken.target, collateralFeed.target);
+      await loanContract.connect(owner).setCollateralToken(collateralToken.target, true, COLLATERAL_RATIO);
+
+      await collateralToken.connect(owner).transfer(borrower.address, ethers.parseEther("100"));
+      await collateralToken.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+      await fixture.token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+      await fixture.token.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+      await fixture.token.connect(owner).transfer(addr1.address, ethers.parseEther("10"));
+      await fixture.token.connect(addr1).approve(loanContract.target, ethers.MaxUint256);
+      return { ...fixture, collateralToken, collateralFeed };
+    }
+
+    function borrowWithToken(amount = TOKEN_COLLATERAL) {
+      return loanContract
+        .connect(borrower)
+        .borrowWithCollateral(token.target, LOAN_AMOUNT, 0, collateralToken.target, amount);
+    }
+
+    async function refreshPrices(collateralPrice = COLLATERAL_PRICE) {
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      await collateralFeed.updateAnswer(collateralPrice);
+    }
+
+    beforeEach(async function () {
+      ({ loanContract, token, priceFeed, owner, borrower, addr1, collateralToken, collateralFeed } =
+        await loadFixture(collateralTokenFixture));
+    });
+
+    it("Should issue a loan against token collateral with the stricter ratio", async function () {
+      // 200% от 1 ETH — 4 токена залога; по 150% продукта хватило бы 3
+      await expect(borrowWithToken(ethers.parseEther("3.9"))).to.be.revertedWith("Insufficient collateral");
+
+      const collateral = ethers.parseEther("4");
+      const tx = borrowWithToken(collateral);
+      await expect(tx)
+        .to.emit(loanContract, "LoanIssued")
+        .withArgs(LOAN_ID, borrower.address, token.target, LOAN_AMOUNT, collateral, LOAN_DURATION_MONTHS);
+      await expect(tx).to.changeTokenBalances(collateralToken, [borrower, loanContract], [-collateral, collateral]);
+      await expect(tx).to.changeTokenBalances(token, [borrower, owner], [LOAN_AMOUNT, -LOAN_AMOUNT]);
+
+      const loan = await loanContract.getLoan(LOAN_ID);
+      expect(loan.collateral).to.equal(collateral);
+      expect(loan.collateralToken).to.equal(collateralToken.target);
+      expect(loan.terms.minCollateralRatio).to.equal(COLLATERAL_RATIO);
+      expect(await loanContract.totalCollateral(collateralToken.target)).to.equal(collateral);
+      // 2 ETH залога к 1.05 ETH долга
+      expect(await loanContract.getCollateralRatio(LOAN_ID)).to.equal(19047);
+    });
+
+    it("Should only accept allowed collateral tokens", async function () {
+      await expect(
+        loanContract.connect(borrower).borrowWithCollateral(token.target, LOAN_AMOUNT, 0, token.target, LOAN_AMOUNT)
+      ).to.be.revertedWith("Collateral token not allowed");
+      await expect(borrowWithToken(0)).to.be.revertedWith("Collateral required");
+
+      await expect(loanContract.connect(owner).setCollateralToken(collateralToken.target, false, 0))
+        .to.emit(loanContract, "CollateralTokenUpdated")
+        .withArgs(collateralToken.target, false, 0);
+      await expect(borrowWithToken()).to.be.revertedWith("Collateral token not allowed");
+
+      await expect(
+        loanContract.connect(owner).setCollateralToken(collateralToken.target, true, 14999)
+      ).to.be.revertedWith("Invalid collateral parameters");
+      await expect(
+        loanContract.connect(owner).setCollateralToken(ethers.ZeroAddress, true, COLLATERAL_RATIO)
+      ).to.be.revertedWith("Invalid collateral parameters");
+      await expect(
+        loanContract.connect(borrower).setCollateralToken(collateralToken.target, true, COLLATERAL_RATIO)
+      ).to.be.revertedWithCustomError(loanContract, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should keep ETH and token collateral apart", async function () {
+      await borrowWithToken();
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+
+      await expect(
+        loanContract.connect(borrower).addCollateral(LOAN_ID, { value: COLLATERAL_AMOUNT })
+      ).to.be.revertedWith("Wrong collateral type");
+      await expect(loanContract.connect(borrower).addTokenCollateral(2, TOKEN_COLLATERAL)).to.be.revertedWith(
+        "Wrong collateral type"
+      );
+      expect(await loanContract.totalCollateral(ethers.ZeroAddress)).to.equal(COLLATERAL_AMOUNT);
+      expect(await loanContract.totalCollateral(collateralToken.target)).to.equal(TOKEN_COLLATERAL);
+    });
+
+    it("Should credit only the amount received from a fee-on-transfer token", async function () {
+      await collateralToken.setTransferFee(100); // 1%
+      const received = ethers.parseEther("4.95");
+      await expect(borrowWithToken())
+        .to.emit(loanContract, "LoanIssued")
+        .withArgs(LOAN_ID, borrower.address, token.target, LOAN_AMOUNT, received, LOAN_DURATION_MONTHS);
+
+      await expect(loanContract.connect(borrower).addTokenCollateral(LOAN_ID, ethers.parseEther("1")))
+        .to.emit(loanContract, "CollateralAdded")
+        .withArgs(LOAN_ID, borrower.address, ethers.parseEther("0.99"), ethers.parseEther("5.94"));
+
+      // Контракт возвращает весь зачисленный залог; комиссию перевода снова платит получатель
+      await expect(loanContract.connect(borrower).repayInFull(LOAN_ID)).to.changeTokenBalances(
+        collateralToken,
+        [loanContract, borrower],
+        [-ethers.parseEther("5.94"), ethers.parseEther("5.8806")]
+      );
+      expect(await collateralToken.balanceOf(loanContract.target)).to.equal(0);
+      expect(await loanContract.totalCollateral(collateralToken.target)).to.equal(0);
+    });
+
+    it("Should withdraw token collateral down to the required ratio", async function () {
+      await borrowWithToken();
+
+      // Долг 1.05 ETH требует 2.1 ETH залога — 4.2 токена
+      await expect(
+        loanContract.connect(borrower).withdrawCollateral(LOAN_ID, ethers.parseEther("0.81"))
+      ).to.be.revertedWith("Insufficient collateral");
+
+      const amount = ethers.parseEther("0.8");
+      const tx = loanContract.connect(borrower).withdrawCollateral(LOAN_ID, amount);
+      await expect(tx)
+        .to.emit(loanContract, "CollateralWithdrawn")
+        .withArgs(LOAN_ID, borrower.address, amount, TOKEN_COLLATERAL - amount);
+      await expect(tx).to.changeTokenBalances(collateralToken, [loanContract, borrower], [-amount, amount]);
+    });
+
+    it("Should return token collateral after the last payment", async function () {
+      await borrowWithToken();
+      for (let i = 0; i < LOAN_DURATION_MONTHS - 1; i++) {
+        await advanceDays(30);
+        await loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID);
+      }
+      await advanceDays(30);
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID)).to.changeTokenBalances(
+        collateralToken,
+        [loanContract, borrower],
+        [-TOKEN_COLLATERAL, TOKEN_COLLATERAL]
+      );
+    });
+
+    it("Should liquidate an overdue loan by seizing token collateral", async function () {
+      await borrowWithToken();
+      await advanceDays(61);
+      await refreshPrices();
+
+      // Долг, штраф за 31 день просрочки и 5% комиссии — в ETH, затем в токенах залога по 0.5 ETH
+      const claim = TOTAL_DEBT + ethers.parseEther("0.0027125") + ethers.parseEther("0.0525");
+      const seized = (claim * ethers.parseEther("1")) / COLLATERAL_PRICE;
+      const refunded = TOKEN_COLLATERAL - seized;
+
+      const tx = loanContract.connect(owner).liquidate(LOAN_ID);
+      await expect(tx)
+        .to.emit(loanContract, "CollateralLiquidated")
+        .withArgs(LOAN_ID, borrower.address, seized, refunded);
+      await expect(tx).to.changeTokenBalances(collateralToken, [owner, borrower, loanContract], [seized, 0, -seized]);
+      await expect(tx).to.changeEtherBalance(loanContract, 0);
+
+      // Остаток залога в токенах выводится отдельно, ETH-возвраты заемщика не затрагиваются
+      expect(await loanContract.refunds(borrower.address, ethers.ZeroAddress)).to.equal(0);
+      await expect(loanContract.connect(borrower).claimRefund(collateralToken.target)).to.changeTokenBalances(
+        collateralToken,
+        [borrower, loanContract],
+        [refunded, -refunded]
+      );
+    });
+
+    it("Should let anyone liquidate when the collateral token price falls", async function () {
+      const collateral = ethers.parseEther("4");
+      await borrowWithToken(collateral);
+      expect(await loanContract.isUndercollateralized(LOAN_ID)).to.be.false;
+
+      // 4 токена по 0.3 ETH = 1.2 ETH при долге 1.05 ETH: ~114% < 120%
+      await collateralFeed.updateAnswer(ethers.parseEther("0.3"));
+      expect(await loanContract.isUndercollateralized(LOAN_ID)).to.be.true;
+
+      // Долг с бонусом 5% стоит 1.1025 ETH — 3.675 токена залога
+      const seized = ethers.parseEther("3.675");
+      const tx = loanContract.connect(addr1).liquidateUndercollateralized(LOAN_ID);
+      await expect(tx)
+        .to.emit(loanContract, "UndercollateralizedLiquidation")
+        .withArgs(LOAN_ID, borrower.address, addr1.address, TOTAL_DEBT, seized, collateral - seized);
+      await expect(tx).to.changeTokenBalances(collateralToken, [addr1, borrower, loanContract], [seized, 0, -seized]);
+      await expect(loanContract.connect(borrower).claimRefund(collateralToken.target)).to.changeTokenBalances(
+        collateralToken,
+        [borrower, loanContract],
+        [collateral - seized, seized - collateral]
+      );
+    });
+
+    it("Should recover only tokens above the borrowers' collateral", async function () {
+      await borrowWithToken();
+      const stray = ethers.parseEther("1");
+      await collateralToken.connect(owner).transfer(loanContract.target, stray);
+
+      await expect(loanContract.connect(owner).emergencyWithdrawToken(collateralToken.target)).to.changeTokenBalances(
+        collateralToken,
+        [owner, loanContract],
+        [stray, -stray]
+      );
+      expect(await collateralToken.balanceOf(loanContract.target)).to.equal(TOKEN_COLLATERAL);
+      await expect(
+        loanContract.connect(addr1).emergencyWithdrawToken(collateralToken.target)
+      ).to.be.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Permits and Meta-transactions", function () {
+    const GAS = 300000n; // Лимит газа пересылаемого вызова
+    let forwarder, relayer;
+
+    async function forwarderFixture() {
+      const fixture = await deployLoanFixture();
+      const { loanContract, token, owner, borrower } = fixture;
+      const LoanForwarder = await ethers.getContractFactory("LoanForwarder");
+      const forwarder = await LoanForwarder.deploy();
+      await loanContract.connect(owner).setTrustedForwarder(forwarder.target);
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      return { ...fixture, forwarder, relayer: fixture.signers[3] };
+    }
+
+    async function deadlineIn(seconds) {
+      return BigInt((await ethers.provider.getBlock("latest")).timestamp + seconds);
+    }
+
+    async function signPayment(signer = borrower, deadline) {
+      return signForwardRequest(signer, forwarder.target, {
+        to: loanContract.target,
+        gas: GAS,
+        deadline: deadline ?? (await deadlineIn(3600)),
+        data: loanContract.interface.encodeFunctionData("makeMonthlyPayment", [LOAN_ID]),
+      });
+    }
+
+    beforeEach(async function () {
+      ({ loanContract, token, priceFeed, owner, borrower, addr1, forwarder, relayer } =
+        await loadFixture(forwarderFixture));
+    });
+
+    it("Should let only the owner set the trusted forwarder", async function () {
+      expect(await loanContract.trustedForwarder()).to.equal(forwarder.target);
+      expect(await loanContract.isTrustedForwarder(forwarder.target)).to.be.true;
+
+      await expect(loanContract.connect(owner).setTrustedForwarder(ethers.ZeroAddress))
+        .to.emit(loanContract, "TrustedForwarderUpdated")
+        .withArgs(ethers.ZeroAddress);
+      expect(await loanContract.isTrustedForwarder(forwarder.target)).to.be.false;
+      await expect(
+        loanContract.connect(addr1).setTrustedForwarder(addr1.address)
+      ).to.be.revertedWithCustomError(loanContract, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should pay an installment with a permit instead of an approval", async function () {
+      await advanceDays(30);
+      const { monthlyPayment } = await loanContract.getLoanDetails(LOAN_ID);
+      const deadline = await deadlineIn(3600);
+      const permit = await signPermit(borrower, token.target, loanContract.target, monthlyPayment, deadline);
+
+      // Подпись не подходит к другой сумме: permit отклоняется, а без allowance платеж не проходит
+      const { v, r, s } = permit;
+      await expect(
+        loanContract.connect(borrower).makeMonthlyPaymentWithPermit(LOAN_ID, monthlyPayment + 1n, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+      await expect(
+        loanContract
+          .connect(borrower)
+          .makeMonthlyPaymentWithPermit(LOAN_ID, permit.value, permit.deadline, permit.v, permit.r, permit.s)
+      ).to.changeTokenBalances(token, [borrower, owner], [-monthlyPayment, monthlyPayment]);
+      expect(await token.allowance(borrower.address, loanContract.target)).to.equal(0);
+    });
+
+    it("Should still pay when the permit was submitted separately", async function () {
+      await advanceDays(30);
+      const { monthlyPayment } = await loanContract.getLoanDetails(LOAN_ID);
+      const deadline = await deadlineIn(3600);
+      const permit = await signPermit(borrower, token.target, loanContract.target, monthlyPayment, deadline);
+      // Подпись перехвачена и отправлена напрямую: permit в платеже отклоняется, allowance уже выдан
+      await token
+        .connect(addr1)
+        .permit(borrower.address, loanContract.target, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+
+      await expect(
+        loanContract
+          .connect(borrower)
+          .makeMonthlyPaymentWithPermit(LOAN_ID, permit.value, permit.deadline, permit.v, permit.r, permit.s)
+      )
+        .to.emit(loanContract, "PaymentMade")
+        .withArgs(LOAN_ID, borrower.address, monthlyPayment, 1);
+    });
+
+    it("Should act for the signer of a forwarded request", async function () {
+      await advanceDays(30);
+      await token.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+      const { monthlyPayment } = await loanContract.getLoanDetails(LOAN_ID);
+      const request = await signPayment();
+
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.emit(loanContract, "PaymentMade")
+        .withArgs(LOAN_ID, borrower.address, monthlyPayment, 1);
+      expect(await token.balanceOf(relayer.address)).to.equal(0);
+    });
+
+    it("Should reject replayed, expired and forged requests", async function () {
+      await advanceDays(30);
+      await token.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+      const request = await signPayment();
+      await forwarder.connect(relayer).execute(request);
+
+      await expect(forwarder.connect(relayer).execute(request)).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderInvalidSigner"
+      );
+      const expired = await signPayment(borrower, await deadlineIn(-1));
+      await expect(forwarder.connect(relayer).execute(expired)).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderExpiredRequest"
+      );
+      // Запрос от имени заемщика, подписанный другим аккаунтом
+      const forged = { ...(await signPayment(addr1)), from: borrower.address };
+      await expect(forwarder.connect(relayer).execute(forged)).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderInvalidSigner"
+      );
+    });
+
+    it("Should ignore an appended sender unless the caller is the trusted forwarder", async function () {
+      await advanceDays(30);
+      await token.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+      const data = loanContract.interface.encodeFunctionData("makeMonthlyPayment", [LOAN_ID]);
+
+      await expect(
+        addr1.sendTransaction({ to: loanContract.target, data: ethers.concat([data, borrower.address]) })
+      ).to.be.revertedWith("Not loan borrower");
+
+      await loanContract.connect(owner).setTrustedForwarder(ethers.ZeroAddress);
+      await expect(forwarder.connect(relayer).execute(await signPayment())).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771UntrustfulTarget"
+      );
+    });
+  });
+
+  describe("Pause", function () {
+    beforeEach(async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+      await token.connect(borrower).approve(loanContract.target, ethers.parseEther("10"));
+    });
+
+    it("Should halt new loans and collateral withdrawals", async function () {
+      await expect(loanContract.connect(owner).pause()).to.emit(loanContract, "Paused").withArgs(owner.address);
+      expect(await loanContract.paused()).to.be.true;
+
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
+      ).to.be.revertedWithCustomError(loanContract, "EnforcedPause");
+      await expect(
+        loanContract.connect(borrower).borrowWithCollateral(token.target, LOAN_AMOUNT, 0, token.target, LOAN_AMOUNT)
+      ).to.be.revertedWithCustomError(loanContract, "EnforcedPause");
+      await expect(
+        loanContract.connect(borrower).withdrawCollateral(LOAN_ID, ethers.parseEther("0.1"))
+      ).to.be.revertedWithCustomError(loanContract, "EnforcedPause");
+
+      await expect(loanContract.connect(owner).unpause()).to.emit(loanContract, "Unpaused").withArgs(owner.address);
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
+      ).to.emit(loanContract, "LoanIssued");
+    });
+
+    it("Should keep accepting payments and collateral while paused", async function () {
+      await loanContract.connect(owner).pause();
+      await advanceDays(30);
+
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(LOAN_ID)).to.emit(loanContract, "PaymentMade");
+      await expect(loanContract.connect(borrower).addCollateral(LOAN_ID, { value: 1n })).to.emit(
+        loanContract,
+        "CollateralAdded"
+      );
+      await expect(loanContract.connect(borrower).repayInFull(LOAN_ID)).to.emit(loanContract, "LoanRepaidEarly");
+    });
+
+    it("Should only let the guardian pause", async function () {
+      const GUARDIAN_ROLE = await loanContract.GUARDIAN_ROLE();
+      await expect(loanContract.connect(addr1).pause())
+        .to.be.revertedWithCustomError(loanContract, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, GUARDIAN_ROLE);
+
+      await loanContract.connect(owner).grantRole(GUARDIAN_ROLE, addr1.address);
+      await loanContract.connect(addr1).pause();
+      // Страж не получает прав на параметры
+      await expect(loanContract.connect(addr1).setMaxPriceAge(1)).to.be.revertedWithCustomError(
+        loanContract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(loanContract.connect(borrower).unpause()).to.be.revertedWithCustomError(
+        loanContract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Timelock Governance", function () {
+    const DELAY = 2 * 24 * 60 * 60; // 2 дня
+    let timelock;
+
+    // Таймлок получает GOVERNOR_ROLE, владелец остается proposer и теряет прямой доступ к параметрам
+    beforeEach(async function () {
+      const LoanTimelock = await ethers.getContractFactory("LoanTimelock");
+      timelock = await LoanTimelock.deploy(DELAY, [owner.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+      const GOVERNOR_ROLE = await loanContract.GOVERNOR_ROLE();
+      await loanContract.connect(owner).grantRole(GOVERNOR_ROLE, timelock.target);
+      await loanContract.connect(owner).renounceRole(GOVERNOR_ROLE, owner.address);
+    });
+
+    function schedule(data, delay = DELAY) {
+      return timelock.connect(owner).schedule(loanContract.target, 0, data, ethers.ZeroHash, ethers.ZeroHash, delay);
+    }
+
+    function execute(data, signer = addr1) {
+      return timelock.connect(signer).execute(loanContract.target, 0, data, ethers.ZeroHash, ethers.ZeroHash);
+    }
+
+    it("Should apply a parameter change only after the delay", async function () {
+      const data = loanContract.interface.encodeFunctionData("updateParameters", [700, 20, 6]);
+      await expect(loanContract.connect(owner).updateParameters(700, 20, 6)).to.be.revertedWithCustomError(
+        loanContract,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await expect(schedule(data)).to.emit(timelock, "CallScheduled");
+      await expect(execute(data)).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+      await advanceDays(2);
+      await expect(execute(data)).to.emit(loanContract, "ParametersUpdated").withArgs(700, 20, 6);
+      expect(await loanContract.interestRate()).to.equal(700);
+      expect(await loanContract.loanDurationMonths()).to.equal(6);
+    });
+
+    it("Should reject short delays and unknown proposers", async function () {
+      const data = loanContract.interface.encodeFunctionData("setLiquidationFee", [100]);
+
+      await expect(schedule(data, DELAY - 1)).to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay");
+      await expect(
+        timelock.connect(addr1).schedule(loanContract.target, 0, data, ethers.ZeroHash, ethers.ZeroHash, DELAY)
+      ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let the proposer cancel a queued change", async function () {
+      const liquidationFee = await loanContract.liquidationFee();
+      const data = loanContract.interface.encodeFunctionData("setLiquidationFee", [100]);
+      await schedule(data);
+      const id = await timelock.hashOperation(loanContract.target, 0, data, ethers.ZeroHash, ethers.ZeroHash);
+
+      await timelock.connect(owner).cancel(id);
+      await advanceDays(2);
+      await expect(execute(data)).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+      expect(await loanContract.liquidationFee()).to.equal(liquidationFee);
+    });
+
+    it("Should let the guardian pause without waiting for the timelock", async function () {
+      await loanContract.connect(owner).pause();
+      expect(await loanContract.paused()).to.be.true;
+    });
+  });
+
+  describe("Upgrades", function () {
+    // Слот адреса реализации ERC-1967: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+    let CollateralizedLoanV2, implementationV2;
+
+    async function implementationOf(proxy) {
+      const slot = await ethers.provider.getStorage(proxy.target, IMPLEMENTATION_SLOT);
+      return ethers.getAddress(ethers.dataSlice(slot, 12));
+    }
+
+    beforeEach(async function () {
+      CollateralizedLoanV2 = await ethers.getContractFactory("MockCollateralizedLoanV2");
+      implementationV2 = await CollateralizedLoanV2.deploy();
+    });
+
+    it("Should keep the OpenZeppelin state apart from the loan variables", async function () {
+      // Владелец хранится в пространстве ERC-7201 "openzeppelin.storage.Ownable", а не в слотах займа
+      const OWNABLE_SLOT = "0x9016d09d72d40fdae2fd8ceac6b6234c7706214fd39c1cd1e609a0528c199300";
+      const ownerSlot = await ethers.provider.getStorage(loanContract.target, OWNABLE_SLOT);
+      expect(ethers.getAddress(ethers.dataSlice(ownerSlot, 12))).to.equal(owner.address);
+      // Первая переменная займа — interestRate — занимает слот 0
+      expect(BigInt(await ethers.provider.getStorage(loanContract.target, 0))).to.equal(INTEREST_RATE);
+    });
+
+    it("Should preserve loans, parameters and roles after an upgrade", async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(owner).createProduct(6, 800, 50, 20000, token.target, true);
+      await loanContract.connect(owner).setLiquidationFee(100);
+      await loanContract.connect(owner).grantRole(await loanContract.GUARDIAN_ROLE(), addr1.address);
+      const loanBefore = await loanContract.getLoan(LOAN_ID);
+      const productBefore = await loanContract.getProduct(1);
+
+      const migration = CollateralizedLoanV2.interface.encodeFunctionData("initializeV2", [5]);
+      await expect(loanContract.connect(owner).upgradeToAndCall(implementationV2.target, migration))
+        .to.emit(loanContract, "Upgraded")
+        .withArgs(implementationV2.target);
+      const upgraded = CollateralizedLoanV2.attach(loanContract.target);
+
+      expect(await implementationOf(loanContract)).to.equal(implementationV2.target);
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.gracePeriodDays()).to.equal(5);
+      expect(await upgraded.getLoan(LOAN_ID)).to.deep.equal(loanBefore);
+      expect(await upgraded.getProduct(1)).to.deep.equal(productBefore);
+      expect(await upgraded.nextLoanId()).to.equal(2);
+      expect(await upgraded.nextProductId()).to.equal(2);
+      expect(await upgraded.interestRate()).to.equal(INTEREST_RATE);
+      expect(await upgraded.liquidationFee()).to.equal(100);
+      expect(await upgraded.allowedTokens(token.target)).to.be.true;
+      expect(await upgraded.priceFeeds(token.target)).to.equal(priceFeed.target);
+      expect(await upgraded.totalCollateral(ethers.ZeroAddress)).to.equal(COLLATERAL_AMOUNT);
+      expect(await upgraded.owner()).to.equal(owner.address);
+      expect(await upgraded.hasRole(await upgraded.GOVERNOR_ROLE(), owner.address)).to.be.true;
+      expect(await upgraded.hasRole(await upgraded.GUARDIAN_ROLE(), addr1.address)).to.be.true;
+
+      // Займ, выданный до обновления, обслуживается новой реализацией
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+      await token.connect(borrower).approve(upgraded.target, ethers.parseEther("10"));
+      await advanceDays(30);
+      await expect(upgraded.connect(borrower).makeMonthlyPayment(LOAN_ID))
+        .to.emit(upgraded, "PaymentMade")
+        .withArgs(LOAN_ID, borrower.address, loanBefore.monthlyPayment, 1);
+    });
+
+    it("Should only upgrade by the governor to a UUPS implementation", async function () {
+      await expect(
+        loanContract.connect(addr1).upgradeToAndCall(implementationV2.target, "0x")
+      ).to.be.revertedWithCustomError(loanContract, "AccessControlUnauthorizedAccount");
+      await expect(loanContract.connect(owner).upgradeToAndCall(token.target, "0x")).to.be.revertedWithCustomError(
+        loanContract,
+        "ERC1967InvalidImplementation"
+      );
+    });
+
+    it("Should upgrade through the timelock", async function () {
+      const LoanTimelock = await ethers.getContractFactory("LoanTimelock");
+      const timelock = await LoanTimelock.deploy(DAY, [owner.address], [owner.address], ethers.ZeroAddress);
+      await loanContract.connect(owner).grantRole(await loanContract.GOVERNOR_ROLE(), timelock.target);
+      const data = loanContract.interface.encodeFunctionData("upgradeToAndCall", [implementationV2.target, "0x"]);
+
+      await timelock.connect(owner).schedule(loanContract.target, 0, data, ethers.ZeroHash, ethers.ZeroHash, DAY);
+      await advanceDays(1);
+      await timelock.connect(owner).execute(loanContract.target, 0, data, ethers.ZeroHash, ethers.ZeroHash);
+      expect(await implementationOf(loanContract)).to.equal(implementationV2.target);
+    });
+
+    it("Should not be initialized twice", async function () {
+      await expect(
+        loanContract.initialize(INTEREST_RATE, PENALTY_RATE, LOAN_DURATION_MONTHS, MIN_LOAN_AMOUNT)
+      ).to.be.revertedWithCustomError(loanContract, "InvalidInitialization");
+
+      // Реализация за прокси заблокирована конструктором
+      const implementation = CollateralizedLoan.attach(await implementationOf(loanContract));
+      await expect(
+        implementation.initialize(INTEREST_RATE, PENALTY_RATE, LOAN_DURATION_MONTHS, MIN_LOAN_AMOUNT)
+      ).to.be.revertedWithCustomError(loanContract, "InvalidInitialization");
+
+      const migration = CollateralizedLoanV2.interface.encodeFunctionData("initializeV2", [5]);
+      await loanContract.connect(owner).upgradeToAndCall(implementationV2.target, migration);
+      await expect(
+        CollateralizedLoanV2.attach(loanContract.target).initializeV2(7)
+      ).to.be.revertedWithCustomError(loanContract, "InvalidInitialization");
+    });
+  });
+
   describe("Emergency Withdraw", function () {
-    it("Should allow owner to withdraw ETH", async function () {
-      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
-      const ownerBalanceBefore = await ethers.provider.getBalance(owner.address);
-      await loanContract.connect(owner).emergencyWithdrawETH();
-      const ownerBalanceAfter = await ethers.provider.getBalance(owner.address);
-      expect(ownerBalanceAfter).to.be.above(ownerBalanceBefore);
+    it("Should allow owner to withdraw only ETH above the collateral", async function () {
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      // ETH, попавший на контракт в обход borrow/addCollateral
+      const stray = ethers.parseEther("0.3");
+      await setBalance(loanContract.target, COLLATERAL_AMOUNT + stray);
+
+      await expect(loanContract.connect(owner).emergencyWithdrawETH()).to.changeEtherBalances(
+        [owner, loanContract],
+        [stray, -stray]
+      );
+      expect(await ethers.provider.getBalance(loanContract.target)).to.equal(COLLATERAL_AMOUNT);
     });
 
     it("Should fail for non-owner", async function () {
@@ -0,0 +1,675 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  INTEREST_RATE,
+  PENALTY_RATE,
+  LOAN_DURATION_MONTHS,
+  MIN_LOAN_AMOUNT,
+  LOAN_AMOUNT,
+  COLLATERAL_AMOUNT,
+  DAY,
+  clientFixture,
+  borrowedFixture,
+} = require("./helpers/fixtures");
+
+const {
+  LoanClient,
+  PoolClient,
+  TimelockClient,
+  COLLATERALIZED_LOAN_ABI,
+  LOAN_POOL_ABI,
+  LOAN_FORWARDER_ABI,
+  LOAN_TIMELOCK_ABI,
+  LoanError,
+  NotLoanBorrowerError,
+  InsufficientCollateralError,
+  TokenNotAllowedError,
+  PaymentNotDueError,
+  NoActiveLoanError,
+  NotOverdueError,
+  UnauthorizedError,
+  LoanHealthyError,
+  StalePriceError,
+  InsufficientLiquidityError,
+  WithdrawalLimitExceededError,
+  ProductNotAvailableError,
+  CollateralTokenNotAllowedError,
+  InvalidSignatureError,
+  ExpiredSignatureError,
+  ContractPausedError,
+  InsufficientDelayError,
+  OperationNotReadyError,
+  InvalidGracePeriodError,
+  InvalidDeferralError,
+  InvalidRestructuringError,
+  NothingToClaimError,
+  InstallmentOverdueError,
+  TokenTransferFailedError,
+  toLoanError,
+} = require("../sdk");
+
+describe("LoanClient SDK", function () {
+  describe("ABI", function () {
+    it("Should match the compiled contract", async function () {
+      const { abi } = await artifacts.readArtifact("CollateralizedLoan");
+      const compiled = new ethers.Interface(abi);
+      const sdk = new ethers.Interface(COLLATERALIZED_LOAN_ABI);
+
+      sdk.forEachFunction((fragment) => {
+        const match = compiled.getFunction(fragment.format());
+        expect(match, fragment.format()).to.not.be.null;
+        expect(match.format("full")).to.equal(fragment.format("full"));
+      });
+      sdk.forEachEvent((fragment) => {
+        expect(compiled.getEvent(fragment.format()), fragment.format()).to.not.be.null;
+      });
+    });
+
+    it("Should match the compiled pool contract", async function () {
+      const { abi } = await artifacts.readArtifact("LoanPool");
+      const compiled = new ethers.Interface(abi);
+      const sdk = new ethers.Interface(LOAN_POOL_ABI);
+
+      sdk.forEachFunction((fragment) => {
+        const match = compiled.getFunction(fragment.format());
+        expect(match, fragment.format()).to.not.be.null;
+        expect(match.format("full")).to.equal(fragment.format("full"));
+      });
+      sdk.forEachEvent((fragment) => {
+        expect(compiled.getEvent(fragment.format()), fragment.format()).to.not.be.null;
+      });
+    });
+
+    it("Should match the compiled forwarder contract", async function () {
+      const { abi } = await artifacts.readArtifact("LoanForwarder");
+      const compiled = new ethers.Interface(abi);
+      const sdk = new ethers.Interface(LOAN_FORWARDER_ABI);
+
+      sdk.forEachFunction((fragment) => {
+        const match = compiled.getFunction(fragment.format());
+        expect(match, fragment.format()).to.not.be.null;
+        expect(match.format("full")).to.equal(fragment.format("full"));
+      });
+      sdk.forEachEvent((fragment) => {
+        expect(compiled.getEvent(fragment.format()), fragment.format()).to.not.be.null;
+      });
+    });
+
+    it("Should match the compiled timelock contract", async function () {
+      const { abi } = await artifacts.readArtifact("LoanTimelock");
+      const compiled = new ethers.Interface(abi);
+      const sdk = new ethers.Interface(LOAN_TIMELOCK_ABI);
+
+      sdk.forEachFunction((fragment) => {
+        const match = compiled.getFunction(fragment.format());
+        expect(match, fragment.format()).to.not.be.null;
+        expect(match.format("full")).to.equal(fragment.format("full"));
+      });
+      sdk.forEachEvent((fragment) => {
+        expect(compiled.getEvent(fragment.format()), fragment.format()).to.not.be.null;
+      });
+    });
+  });
+
+  describe("Reads", function () {
+    it("Should return parameters as BigInt fields", async function () {
+      const { adminClient, owner } = await loadFixture(clientFixture);
+
+      const params = await adminClient.getParameters();
+      expect(params).to.deep.equal({
+        interestRate: BigInt(INTEREST_RATE),
+        penaltyRatePerDay: BigInt(PENALTY_RATE),
+        loanDurationMonths: BigInt(LOAN_DURATION_MONTHS),
+        minLoanAmount: MIN_LOAN_AMOUNT,
+        liquidationRatio: 12000n,
+        liquidationBonus: 500n,
+        liquidationFee: 500n,
+        earlyRepaymentFee: 0n,
+        owner: owner.address,
+      });
+    });
+
+    it("Should return the loan as a plain object with named keys", async function () {
+      const { borrowerClient, token, borrower } = await loadFixture(borrowedFixture);
+
+      const loan = await borrowerClient.getLoan(1);
+      expect(Object.getPrototypeOf(loan)).to.equal(Object.prototype);
+      expect(loan.loanId).to.equal(1n);
+      expect(loan.borrower).to.equal(borrower.address);
+      expect(loan.token).to.equal(token.target);
+      expect(loan.principal).to.equal(LOAN_AMOUNT);
+      expect(loan.collateral).to.equal(COLLATERAL_AMOUNT);
+      expect(typeof loan.monthlyPayment).to.equal("bigint");
+      expect(loan.paymentsRequired).to.equal(BigInt(LOAN_DURATION_MONTHS));
+      expect(loan.active).to.be.true;
+      expect(loan.payoffAmount).to.equal(LOAN_AMOUNT);
+      expect(loan.terms).to.deep.equal({
+        productId: 0n,
+        durationMonths: BigInt(LOAN_DURATION_MONTHS),
+        interestRate: BigInt(INTEREST_RATE),
+        penaltyRatePerDay: BigInt(PENALTY_RATE),
+        minCollateralRatio: 15000n,
+        amortizing: false,
+      });
+    });
+
+    it("Should return collateral valuation through the price feed", async function () {
+      const { borrowerClient, priceFeed, token } = await loadFixture(borrowedFixture);
+
+      expect(await borrowerClient.getTokenValueInEth(token.target, LOAN_AMOUNT)).to.equal(LOAN_AMOUNT);
+      expect(await borrowerClient.getCollateralRatio(1)).to.equal(14285n);
+
+      await priceFeed.updateAnswer(ethers.parseEther("2"));
+      expect(await borrowerClient.getCollateralRatio(1)).to.equal(7142n);
+    });
+
+    it("Should work with a read-only provider", async function () {
+      const { loanContract, borrower } = await loadFixture(borrowedFixture);
+
+      const readOnly = new LoanClient(ethers.provider, loanContract.target);
+      expect((await readOnly.getLoan(1)).principal).to.equal(LOAN_AMOUNT);
+      expect(await readOnly.getBorrowerLoans(borrower.address)).to.deep.equal([1n]);
+    });
+  });
+
+  describe("Transactions", function () {
+    it("Should borrow and return decoded events", async function () {
+      const { borrowerClient, token, borrower } = await loadFixture(clientFixture);
+
+      const result = await borrowerClient.borrow(token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT);
+      expect(result.loanId).to.equal(1n);
+      expect(result.hash).to.be.a("string");
+      expect(result.events).to.have.length(1);
+      expect(result.events[0].name).to.equal("LoanIssued");
+      expect(result.events[0].args.borrower).to.equal(borrower.address);
+      expect(result.events[0].args.amount).to.equal(LOAN_AMOUNT);
+    });
+
+    it("Should approve tokens automatically and pay an installment with penalty", async function () {
+      const { borrowerClient, loanContract, token, borrower } = await loadFixture(borrowedFixture);
+      await time.increase(40 * DAY);
+
+      const { monthlyPayment } = await borrowerClient.getLoan(1);
+      const expected = monthlyPayment + (monthlyPayment * BigInt(PENALTY_RATE) * 10n) / 10000n;
+      expect(await token.allowance(borrower.address, loanContract.target)).to.equal(0);
+
+      const result = await borrowerClient.payNextInstallment(1);
+      const payment = result.events.find((e) => e.name === "PaymentMade");
+      expect(payment.args.amount).to.equal(expected);
+      expect(payment.args.paymentNumber).to.equal(1n);
+    });
+
+    it("Should compute the amount due at a given timestamp", async function () {
+      const { borrowerClient } = await loadFixture(borrowedFixture);
+
+      const loan = await borrowerClient.getLoan(1);
+      const onTime = await borrowerClient.getAmountDue(1, loan.nextPaymentDue);
+      const late = await borrowerClient.getAmountDue(1, loan.nextPaymentDue + 5n * BigInt(DAY));
+      expect(onTime).to.equal(loan.monthlyPayment);
+      expect(late).to.equal(loan.monthlyPayment + (loan.monthlyPayment * BigInt(PENALTY_RATE) * 5n) / 10000n);
+    });
+
+    it("Should add and withdraw collateral", async function () {
+      const { borrowerClient } = await loadFixture(borrowedFixture);
+
+      const added = await borrowerClient.addCollateral(1, ethers.parseEther("1"));
+      expect(added.events[0].name).to.equal("CollateralAdded");
+      expect(added.events[0].args.collateral).to.equal(ethers.parseEther("2.5"));
+
+      await expect(borrowerClient.withdrawCollateral(1, ethers.parseEther("1"))).to.be.rejectedWith(
+        InsufficientCollateralError
+      );
+      const withdrawn = await borrowerClient.withdrawCollateral(1, ethers.parseEther("0.5"));
+      expect(withdrawn.events[0].args.collateral).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should borrow against token collateral and top it up with automatic approvals", async function () {
+      const { adminClient, borrowerClient, loanContract, token, owner, borrower } = await loadFixture(clientFixture);
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const collateralToken = await MockToken.deploy("Staked Ether", "STETH", ethers.parseEther("1000"));
+      const MockAggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const collateralFeed = await MockAggregator.deploy(18, ethers.parseEther("0.5"));
+      await adminClient.setPriceFeed(collateralToken.target, collateralFeed.target);
+      await adminClient.setCollateralToken(collateralToken.target, true, 20000n);
+      expect(await adminClient.getCollateralToken(collateralToken.target)).to.deep.equal({
+        allowed: true,
+        collateralRatio: 20000n,
+      });
+      await collateralToken.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+
+      await expect(
+        borrowerClient.borrowWithCollateral(token.target, LOAN_AMOUNT, token.target, LOAN_AMOUNT)
+      ).to.be.rejectedWith(CollateralTokenNotAllowedError);
+      const { loanId } = await borrowerClient.borrowWithCollateral(
+        token.target,
+        LOAN_AMOUNT,
+        collateralToken.target,
+        ethers.parseEther("4")
+      );
+      const added = await borrowerClient.addCollateral(loanId, ethers.parseEther("1"));
+      expect(added.events[0].args.collateral).to.equal(ethers.parseEther("5"));
+
+      const loan = await borrowerClient.getLoan(loanId);
+      expect(loan.collateralToken).to.equal(collateralToken.target);
+      expect(loan.terms.minCollateralRatio).to.equal(20000n);
+      expect(await collateralToken.balanceOf(loanContract.target)).to.equal(ethers.parseEther("5"));
+      expect(await adminClient.getTotalCollateral(collateralToken.target)).to.equal(ethers.parseEther("5"));
+      expect(await adminClient.getTotalCollateral()).to.equal(0n);
+      await expect(borrowerClient.withdrawCollateral(loanId, ethers.parseEther("1"))).to.be.rejectedWith(
+        InsufficientCollateralError
+      );
+    });
+
+    it("Should prepay and repay in full with automatic approvals", async function () {
+      const { borrowerClient, adminClient, loanContract, token, borrower } = await loadFixture(borrowedFixture);
+      await adminClient.setEarlyRepaymentFee(10000n);
+
+      const quote = await borrowerClient.quotePrepayment(1, ethers.parseEther("0.5"));
+      expect(quote).to.deep.equal({ payment: ethers.parseEther("0.525"), interestWaived: 0n });
+      const prepaid = await borrowerClient.prepay(1, ethers.parseEther("0.5"));
+      expect(prepaid.events[0].name).to.equal("PrepaymentMade");
+      expect((await borrowerClient.getLoan(1)).totalDebt).to.equal(ethers.parseEther("0.525"));
+
+      const tokensBefore = await token.balanceOf(borrower.address);
+      const result = await borrowerClient.repayInFull(1);
+      const repaid = result.events.find((e) => e.name === "LoanRepaidEarly");
+      expect(repaid.args.amount).to.equal(ethers.parseEther("0.525"));
+      expect(await token.balanceOf(borrower.address)).to.equal(tokensBefore - ethers.parseEther("0.525"));
+      expect(await ethers.provider.getBalance(loanContract.target)).to.equal(0);
+      expect((await borrowerClient.getLoan(1)).totalPaid).to.equal(ethers.parseEther("1.05"));
+      await expect(borrowerClient.repayInFull(1)).to.be.rejectedWith(NoActiveLoanError);
+    });
+
+    it("Should liquidate as owner", async function () {
+      const { adminClient, borrowerClient, priceFeed, borrower } = await loadFixture(borrowedFixture);
+      await time.increase(61 * DAY);
+      await priceFeed.updateAnswer(ethers.parseEther("1"));
+
+      const result = await adminClient.liquidate(1);
+      expect(result.events[0].name).to.equal("CollateralLiquidated");
+      expect(result.events[0].args.borrower).to.equal(borrower.address);
+      expect(result.events[0].args.collateralSeized + result.events[0].args.collateralRefunded).to.equal(
+        COLLATERAL_AMOUNT
+      );
+      expect((await adminClient.getLoan(1)).active).to.be.false;
+
+      const refund = await borrowerClient.getRefund(borrower.address);
+      expect(refund).to.equal(result.events[0].args.collateralRefunded);
+      const claimed = await borrowerClient.claimRefund();
+      expect(claimed.events[0].name).to.equal("RefundClaimed");
+      expect(claimed.events[0].args.amount).to.equal(refund);
+      await expect(borrowerClient.claimRefund()).to.be.rejectedWith(NothingToClaimError);
+
+      const history = await adminClient.getLoanHistory(borrower.address);
+      expect(history).to.have.length(1);
+      expect(history[0].id).to.equal(1n);
+      expect(history[0].principal).to.equal(LOAN_AMOUNT);
+      expect(history[0].active).to.be.false;
+    });
+
+    it("Should grant a grace period, defer and restructure as owner", async function () {
+      const { adminClient, borrowerClient } = await loadFixture(borrowedFixture);
+      await time.increase(35 * DAY);
+
+      const { nextPaymentDue, monthlyPayment } = await adminClient.getLoan(1);
+      const grace = await adminClient.grantGracePeriod(1, 10);
+      expect(grace.events[0].name).to.equal("GracePeriodGranted");
+      const loan = await borrowerClient.getLoan(1);
+      expect(loan.graceEnd).to.equal(nextPaymentDue + 10n * BigInt(DAY));
+      // Сумма к оплате учитывает льготный период так же, как контракт
+      expect(await borrowerClient.getAmountDue(1)).to.equal(monthlyPayment);
+      expect(await borrowerClient.getAmountDue(1, loan.graceEnd + 2n * BigInt(DAY))).to.equal(
+        monthlyPayment + (monthlyPayment * BigInt(PENALTY_RATE) * 2n) / 10000n
+      );
+
+      const deferred = await adminClient.deferPayments(1, 1);
+      expect(deferred.events[0].args.nextPaymentDue).to.equal(nextPaymentDue + 30n * BigInt(DAY));
+      const restructured = await adminClient.restructureLoan(1, 6);
+      expect(restructured.events[0].args.paymentsRequired).to.equal(BigInt(LOAN_DURATION_MONTHS + 6));
+      expect((await adminClient.getLoan(1)).monthlyPayment).to.equal(restructured.events[0].args.monthlyPayment);
+
+      await expect(adminClient.grantGracePeriod(1, 0)).to.be.rejectedWith(InvalidGracePeriodError);
+      await expect(adminClient.deferPayments(1, 0)).to.be.rejectedWith(InvalidDeferralError);
+      await expect(adminClient.restructureLoan(1, 30)).to.be.rejectedWith(InvalidRestructuringError);
+      await expect(borrowerClient.restructureLoan(1, 1)).to.be.rejectedWith(UnauthorizedError);
+    });
+
+    it("Should liquidate an undercollateralized loan as a third party", async function () {
+      const { adminClient, priceFeed, token, owner, addr1 } = await loadFixture(borrowedFixture);
+      await token.connect(owner).transfer(addr1.address, ethers.parseEther("5"));
+      const liquidatorClient = adminClient.connect(addr1);
+
+      await expect(liquidatorClient.liquidateUndercollateralized(1)).to.be.rejectedWith(LoanHealthyError);
+
+      await priceFeed.updateAnswer(ethers.parseEther("1.3"));
+      expect(await liquidatorClient.isUndercollateralized(1)).to.be.true;
+      const result = await liquidatorClient.liquidateUndercollateralized(1);
+      const event = result.events.find((e) => e.name === "UndercollateralizedLiquidation");
+      expect(event.args.liquidator).to.equal(addr1.address);
+      expect(event.args.debtRepaid).to.equal(ethers.parseEther("1.05"));
+      expect(await liquidatorClient.getRefund(event.args.borrower)).to.equal(event.args.collateralReturned);
+    });
+
+    it("Should create products and borrow by product", async function () {
+      const { adminClient, borrowerClient, token } = await loadFixture(clientFixture);
+
+      const created = await adminClient.createProduct({
+        durationMonths: 6n,
+        interestRate: 800n,
+        penaltyRatePerDay: 50n,
+        minCollateralRatio: 20000n,
+        token: token.target,
+        amortizing: true,
+      });
+      expect(created.productId).to.equal(1n);
+      expect(await adminClient.getProducts()).to.deep.equal([
+        {
+          productId: 1n,
+          durationMonths: 6n,
+          interestRate: 800n,
+          penaltyRatePerDay: 50n,
+          minCollateralRatio: 20000n,
+          token: token.target,
+          active: true,
+          amortizing: true,
+        },
+      ]);
+
+      await expect(
+        borrowerClient.borrow(token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, created.productId)
+      ).to.be.rejectedWith(InsufficientCollateralError);
+      const { loanId } = await borrowerClient.borrow(token.target, LOAN_AMOUNT, ethers.parseEther("2"), 1n);
+      const loan = await borrowerClient.getLoan(loanId);
+      expect(loan.terms.productId).to.equal(1n);
+      expect(loan.paymentsRequired).to.equal(6n);
+
+      await adminClient.setProductActive(1n, false);
+      expect((await adminClient.getProduct(1n)).active).to.be.false;
+      await expect(
+        borrowerClient.borrow(token.target, LOAN_AMOUNT, ethers.parseEther("2"), 1n)
+      ).to.be.rejectedWith(ProductNotAvailableError);
+    });
+
+    it("Should update parameters and withdraw ETH as owner", async function () {
+      const { adminClient, loanContract } = await loadFixture(borrowedFixture);
+
+      await adminClient.updateParameters({ interestRate: 700n, penaltyRatePerDay: 20n, loanDurationMonths: 6n });
+      expect((await adminClient.getParameters()).interestRate).to.equal(700n);
+
+      // Залог заемщика остается на контракте
+      await adminClient.emergencyWithdrawETH();
+      expect(await ethers.provider.getBalance(loanContract.target)).to.equal(ethers.parseEther("1.5"));
+    });
+  });
+
+  describe("Permits and relayed intents", function () {
+    const GAS = 1000000n; // Лимит газа вызова, когда оценка до отправки permit невозможна
+
+    async function forwarderFixture() {
+      const fixture = await clientFixture();
+      const LoanForwarder = await ethers.getContractFactory("LoanForwarder");
+      const forwarder = await LoanForwarder.deploy();
+      await fixture.adminClient.setTrustedForwarder(forwarder.target);
+
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const collateralToken = await MockToken.deploy("Staked Ether", "STETH", ethers.parseEther("1000"));
+      const MockAggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const collateralFeed = await MockAggregator.deploy(18, ethers.parseEther("1"));
+      await fixture.adminClient.setPriceFeed(collateralToken.target, collateralFeed.target);
+      await fixture.adminClient.setCollateralToken(collateralToken.target, true, 15000n);
+      await collateralToken.transfer(fixture.borrower.address, ethers.parseEther("10"));
+
+      const relayerClient = fixture.adminClient.connect((await ethers.getSigners())[3]);
+      return { ...fixture, forwarder, collateralToken, relayerClient };
+    }
+
+    it("Should pay an installment in one transaction with a permit", async function () {
+      const { borrowerClient, loanContract, token, borrower } = await loadFixture(borrowedFixture);
+      await time.increase(30 * DAY);
+      const nonce = await ethers.provider.getTransactionCount(borrower.address);
+
+      const result = await borrowerClient.payNextInstallmentWithPermit(1);
+      expect(result.events.map((e) => e.name)).to.deep.equal(["PaymentMade"]);
+      expect(await ethers.provider.getTransactionCount(borrower.address)).to.equal(nonce + 1);
+      expect(await token.allowance(borrower.address, loanContract.target)).to.be.above(0);
+    });
+
+    it("Should relay signed borrow and repay intents without borrower gas", async function () {
+      const { borrowerClient, relayerClient, forwarder, loanContract, token, collateralToken, borrower } =
+        await loadFixture(forwarderFixture);
+      expect(await relayerClient.getTrustedForwarder()).to.equal(forwarder.target);
+      const balance = await ethers.provider.getBalance(borrower.address);
+      const collateral = ethers.parseEther("2");
+
+      const collateralPermit = await borrowerClient.signPermit(collateralToken.target, collateral);
+      const borrowIntent = await borrowerClient.signIntent(
+        forwarder.target,
+        "borrowWithCollateral",
+        [token.target, LOAN_AMOUNT, 0n, collateralToken.target, collateral],
+        { gas: GAS }
+      );
+      const borrowed = await relayerClient.relayIntent(forwarder.target, borrowIntent, { permit: collateralPermit });
+      const issued = borrowed.events.find((e) => e.name === "LoanIssued");
+      expect(issued.args).to.include({ loanId: 1n, borrower: borrower.address, collateral });
+
+      const { payoffAmount } = await borrowerClient.getLoan(1);
+      const repayPermit = await borrowerClient.signPermit(token.target, payoffAmount);
+      const repayIntent = await borrowerClient.signIntent(forwarder.target, "repayInFull", [1n], { gas: GAS });
+      const repaid = await relayerClient.relayIntent(forwarder.target, repayIntent, { permit: repayPermit });
+      expect(repaid.events.map((e) => e.name)).to.include("LoanRepaidEarly");
+
+      expect(await collateralToken.balanceOf(borrower.address)).to.equal(ethers.parseEther("10"));
+      expect(await collateralToken.balanceOf(loanContract.target)).to.equal(0);
+      expect(await ethers.provider.getBalance(borrower.address)).to.equal(balance);
+    });
+
+    it("Should map relayed call, replay and expiry failures", async function () {
+      const { borrowerClient, relayerClient, forwarder, loanContract, token, borrower } =
+        await loadFixture(forwarderFixture);
+      await borrowerClient.borrow(token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT);
+
+      // Оценка газа и проверка перед отправкой возвращают причину revert контракта займов
+      await expect(borrowerClient.signIntent(forwarder.target, "makeMonthlyPayment", [1n])).to.be.rejectedWith(
+        PaymentNotDueError
+      );
+      const early = await borrowerClient.signIntent(forwarder.target, "makeMonthlyPayment", [1n], { gas: GAS });
+      await expect(relayerClient.relayIntent(forwarder.target, early)).to.be.rejectedWith(PaymentNotDueError);
+
+      await time.increase(30 * DAY);
+      await token.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+      const expired = await borrowerClient.signIntent(forwarder.target, "makeMonthlyPayment", [1n], { deadline: 1n });
+      await expect(relayerClient.relayIntent(forwarder.target, expired)).to.be.rejectedWith(ExpiredSignatureError);
+      const intent = await borrowerClient.signIntent(forwarder.target, "makeMonthlyPayment", [1n]);
+      await expect(relayerClient.relayIntent(forwarder.target, { ...intent, gas: intent.gas + 1n })).to.be.rejectedWith(
+        InvalidSignatureError
+      );
+
+      const paid = await relayerClient.relayIntent(forwarder.target, intent);
+      expect(paid.events.find((e) => e.name === "PaymentMade").args.borrower).to.equal(borrower.address);
+    });
+  });
+
+  describe("Pause, timelock and upgrades", function () {
+    const DELAY = 2n * BigInt(DAY);
+
+    async function timelockFixture() {
+      const fixture = await borrowedFixture();
+      const { loanContract, owner } = fixture;
+      const LoanTimelock = await ethers.getContractFactory("LoanTimelock");
+      const timelock = await LoanTimelock.deploy(DELAY, [owner.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+      const GOVERNOR_ROLE = await loanContract.GOVERNOR_ROLE();
+      await loanContract.connect(owner).grantRole(GOVERNOR_ROLE, timelock.target);
+      await loanContract.connect(owner).renounceRole(GOVERNOR_ROLE, owner.address);
+      return { ...fixture, timelockClient: new TimelockClient(owner, timelock.target) };
+    }
+
+    it("Should pause borrowing with a typed error and report roles", async function () {
+      const { adminClient, borrowerClient, token } = await loadFixture(borrowedFixture);
+
+      expect(await adminClient.getRoles()).to.deep.equal({ admin: true, governor: true, guardian: true });
+      expect(await borrowerClient.getRoles()).to.deep.equal({ admin: false, governor: false, guardian: false });
+      await expect(borrowerClient.pause()).to.be.rejectedWith(UnauthorizedError);
+
+      const { events } = await adminClient.pause();
+      expect(events.map((e) => e.name)).to.deep.equal(["Paused"]);
+      expect(await adminClient.isPaused()).to.be.true;
+      await expect(borrowerClient.borrow(token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT)).to.be.rejectedWith(
+        ContractPausedError
+      );
+
+      await adminClient.unpause();
+      expect(await adminClient.isPaused()).to.be.false;
+    });
+
+    it("Should schedule and execute a parameter change through the timelock", async function () {
+      const { adminClient, timelockClient } = await loadFixture(timelockFixture);
+      const data = adminClient.encodeCall("updateParameters", [700n, 20n, 6n]);
+
+      await expect(timelockClient.schedule(adminClient.address, data, { delay: DELAY - 1n })).to.be.rejectedWith(
+        InsufficientDelayError
+      );
+      const { operationId, readyAt } = await timelockClient.schedule(adminClient.address, data);
+      const operation = await timelockClient.getOperation(adminClient.address, data);
+      expect(operation).to.deep.equal({ id: operationId, state: "waiting", readyAt });
+      await expect(timelockClient.execute(adminClient.address, data)).to.be.rejectedWith(OperationNotReadyError);
+
+      await time.increaseTo(readyAt);
+      expect((await timelockClient.getOperation(adminClient.address, data)).state).to.equal("ready");
+      const executed = await timelockClient.execute(adminClient.address, data);
+      expect((await adminClient.getParameters()).interestRate).to.equal(700n);
+      // События контракта займа из транзакции таймлока разбираются клиентом займа
+      const events = await adminClient.getTransactionEvents(executed.hash);
+      expect(events.map((e) => e.name)).to.deep.equal(["ParametersUpdated"]);
+      expect((await timelockClient.getOperation(adminClient.address, data)).state).to.equal("done");
+    });
+
+    it("Should upgrade the implementation and keep the loans", async function () {
+      const { adminClient } = await loadFixture(borrowedFixture);
+      const CollateralizedLoanV2 = await ethers.getContractFactory("MockCollateralizedLoanV2");
+      const implementation = await CollateralizedLoanV2.deploy();
+      const loanBefore = await adminClient.getLoan(1);
+
+      const migration = CollateralizedLoanV2.interface.encodeFunctionData("initializeV2", [3]);
+      const { events } = await adminClient.upgradeTo(implementation.target, migration);
+      expect(events.find((e) => e.name === "Upgraded").args.implementation).to.equal(implementation.target);
+      expect(await adminClient.getLoan(1)).to.deep.equal(loanBefore);
+      expect(await CollateralizedLoanV2.attach(adminClient.address).gracePeriodDays()).to.equal(3n);
+    });
+  });
+
+  describe("PoolClient", function () {
+    async function poolFixture() {
+      const fixture = await clientFixture();
+      const { loanContract, token, owner, addr1, adminClient } = fixture;
+      const LoanPool = await ethers.getContractFactory("LoanPool");
+      const pool = await LoanPool.deploy(token.target, "Test Token Pool", "pTST", loanContract.target);
+      await adminClient.setPool(token.target, pool.target);
+      await token.connect(owner).transfer(addr1.address, ethers.parseEther("10"));
+      const lenderClient = new PoolClient(addr1, pool.target);
+      return { ...fixture, pool, lenderClient };
+    }
+
+    it("Should deposit with automatic approval and report the position", async function () {
+      const { lenderClient, borrowerClient, token } = await loadFixture(poolFixture);
+
+      // Доли пула имеют 24 знака: 18 знаков токена и DECIMALS_OFFSET
+      const shares = ethers.parseUnits("5", 24);
+      const result = await lenderClient.deposit(ethers.parseEther("5"));
+      expect(result.shares).to.equal(shares);
+
+      await borrowerClient.borrow(token.target, ethers.parseEther("2"), ethers.parseEther("3"));
+      expect(await lenderClient.getPoolState()).to.deep.equal({
+        asset: token.target,
+        totalAssets: ethers.parseEther("5"),
+        totalBorrowed: ethers.parseEther("2"),
+        availableLiquidity: ethers.parseEther("3"),
+        totalShares: shares,
+      });
+      expect(await lenderClient.getPosition()).to.deep.equal({
+        shares,
+        assets: ethers.parseEther("5"),
+        maxWithdraw: ethers.parseEther("3"),
+      });
+    });
+
+    it("Should map liquidity errors", async function () {
+      const { lenderClient, borrowerClient, token } = await loadFixture(poolFixture);
+      await lenderClient.deposit(ethers.parseEther("1"));
+
+      await expect(
+        borrowerClient.borrow(token.target, ethers.parseEther("2"), ethers.parseEther("3"))
+      ).to.be.rejectedWith(InsufficientLiquidityError);
+      await expect(lenderClient.withdraw(ethers.parseEther("2"))).to.be.rejectedWith(WithdrawalLimitExceededError);
+
+      await lenderClient.redeem(ethers.parseUnits("1", 24));
+      expect((await lenderClient.getPosition()).shares).to.equal(0);
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should map require messages to typed errors", async function () {
+      const { borrowerClient, adminClient, addr1 } = await loadFixture(borrowedFixture);
+
+      await expect(adminClient.connect(addr1).payNextInstallment(1)).to.be.rejectedWith(NotLoanBorrowerError);
+      await expect(borrowerClient.payNextInstallment(1)).to.be.rejectedWith(PaymentNotDueError, "Payment not due yet");
+      await expect(adminClient.liquidate(1)).to.be.rejectedWith(NotOverdueError);
+
+      await time.increase(35 * DAY);
+      await expect(borrowerClient.prepay(1, ethers.parseEther("0.1"))).to.be.rejectedWith(InstallmentOverdueError);
+    });
+
+    it("Should map collateral and allow-list failures", async function () {
+      const { borrowerClient, adminClient, token } = await loadFixture(clientFixture);
+
+      await expect(borrowerClient.borrow(token.target, LOAN_AMOUNT, LOAN_AMOUNT)).to.be.rejectedWith(
+        InsufficientCollateralError
+      );
+      await adminClient.setTokenAllowed(token.target, false);
+      await expect(borrowerClient.borrow(token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT)).to.be.rejectedWith(
+        TokenNotAllowedError
+      );
+    });
+
+    it("Should map token approval failures", async function () {
+      const { borrowerClient, loanContract, token, addr1 } = await loadFixture(clientFixture);
+
+      // По адресу нет ERC-20: allowance отклоняется без причины или возвращает пустые данные
+      for (const collateralToken of [loanContract.target, addr1.address]) {
+        const error = await borrowerClient
+          .borrowWithCollateral(token.target, LOAN_AMOUNT, collateralToken, COLLATERAL_AMOUNT)
+          .catch((e) => e);
+        expect(error).to.be.instanceOf(TokenTransferFailedError);
+        expect(error.message).to.match(/^Token call failed: /);
+        expect(error.cause).to.not.be.undefined;
+      }
+    });
+
+    it("Should map oracle failures on reads", async function () {
+      const { borrowerClient } = await loadFixture(borrowedFixture);
+      await time.increase(2 * DAY);
+
+      await expect(borrowerClient.getCollateralRatio(1)).to.be.rejectedWith(StalePriceError);
+    });
+
+    it("Should map Ownable custom errors", async function () {
+      const { borrowerClient } = await loadFixture(clientFixture);
+
+      const error = await borrowerClient.emergencyWithdrawETH().catch((e) => e);
+      expect(error).to.be.instanceOf(UnauthorizedError);
+      expect(error).to.be.instanceOf(LoanError);
+      expect(error.reason).to.equal("OwnableUnauthorizedAccount");
+    });
+
+    it("Should report a missing loan before sending a payment", async function () {
+      const { borrowerClient } = await loadFixture(clientFixture);
+
+      await expect(borrowerClient.payNextInstallment(1)).to.be.rejectedWith(NoActiveLoanError);
+    });
+
+    it("Should leave unrelated errors untouched", function () {
+      const error = new Error("network down");
+      expect(toLoanError(error)).to.equal(error);
+    });
+  });
+});
@@ -0,0 +1,391 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  PENALTY_RATE,
+  LOAN_DURATION_MONTHS,
+  LOAN_AMOUNT,
+  COLLATERAL_AMOUNT,
+  DAY,
+  borrowedFixture,
+} = require("./helpers/fixtures");
+
+const { LoanBookDatabase, LoanIndexer, createApiServer } = require("../indexer");
+
+describe("LoanIndexer", function () {
+  // Займ общей фикстуры; второй заемщик other может открыть свой займ.
+  // Индексация начинается с первого блока общей фикстуры
+  async function indexedFixture() {
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const fixture = await borrowedFixture();
+    const { token, owner, addr1: other, adminClient } = fixture;
+    await token.connect(owner).transfer(other.address, ethers.parseEther("10"));
+    return { ...fixture, other, otherClient: adminClient.connect(other), startBlock };
+  }
+
+  async function createIndexer({ loanContract, startBlock }, file) {
+    const db = await LoanBookDatabase.open(file);
+    const indexer = new LoanIndexer({ provider: ethers.provider, address: loanContract.target, db, startBlock });
+    return { db, indexer };
+  }
+
+  describe("Indexing", function () {
+    it("Should index issued loans with the contract state", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const { db, indexer } = await createIndexer(fixture);
+
+      const lastBlock = await indexer.sync();
+      expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+      const loan = db.getLoan(1);
+      const onChain = await fixture.loanContract.getLoan(1);
+      expect(loan.borrower).to.equal(fixture.borrower.address);
+      expect(loan.token).to.equal(fixture.token.target);
+      expect(loan.principal).to.equal(LOAN_AMOUNT);
+      expect(loan.totalDebt).to.equal(onChain.totalDebt);
+      expect(loan.monthlyPayment).to.equal(onChain.monthlyPayment);
+      expect(loan.collateral).to.equal(COLLATERAL_AMOUNT);
+      expect(loan.status).to.equal("active");
+      expect(db.getEvents({ loanId: 1 }).map((e) => e.name)).to.deep.equal(["LoanIssued"]);
+      db.close();
+    });
+
+    it("Should record payments with penalties and collateral changes", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const { db, indexer } = await createIndexer(fixture);
+      await indexer.sync();
+
+      await time.increase(40 * DAY);
+      const { monthlyPayment } = await fixture.borrowerClient.getLoan(1);
+      await fixture.borrowerClient.payNextInstallment(1);
+      await fixture.borrowerClient.addCollateral(1, ethers.parseEther("0.5"));
+      await indexer.sync();
+
+      const penalty = (monthlyPayment * BigInt(PENALTY_RATE) * 10n) / 10000n;
+      const [payment] = db.getPayments(1);
+      expect(payment.kind).to.equal("installment");
+      expect(payment.amount).to.equal(monthlyPayment + penalty);
+      expect(payment.penalty).to.equal(penalty);
+      expect(payment.paymentNumber).to.equal(1n);
+
+      const loan = db.getLoan(1);
+      expect(loan.paymentsMade).to.equal(1n);
+      expect(loan.collateral).to.equal(ethers.parseEther("2"));
+      expect(loan.totalDebt).to.equal((await fixture.loanContract.getLoan(1)).totalDebt);
+      db.close();
+    });
+
+    it("Should track grace periods, deferrals and restructuring", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const { db, indexer } = await createIndexer(fixture);
+      await indexer.sync();
+
+      await time.increase(35 * DAY);
+      await fixture.adminClient.grantGracePeriod(1, 10);
+      await indexer.sync();
+      const { graceEnd, monthlyPayment } = await fixture.loanContract.getLoan(1);
+      expect(db.getLoan(1).graceEnd).to.equal(graceEnd);
+
+      // Штраф платежа считается от окончания льготного периода
+      await time.increase(10 * DAY);
+      await fixture.borrowerClient.payNextInstallment(1);
+      await fixture.adminClient.deferPayments(1, 2);
+      await fixture.adminClient.restructureLoan(1, 6);
+      await indexer.sync();
+
+      expect(db.getPayments(1)[0].penalty).to.equal((monthlyPayment * BigInt(PENALTY_RATE) * 5n) / 10000n);
+      const loan = db.getLoan(1);
+      const onChain = await fixture.loanContract.getLoan(1);
+      expect(loan.graceEnd).to.equal(0n);
+      expect(loan.lastPaymentTime).to.equal(onChain.lastPaymentTime);
+      expect(loan.paymentsRequired).to.equal(BigInt(LOAN_DURATION_MONTHS + 6));
+      expect(loan.monthlyPayment).to.equal(onChain.monthlyPayment);
+      expect(db.getEvents({ loanId: 1 }).map((e) => e.name)).to.deep.equal([
+        "LoanIssued",
+        "GracePeriodGranted",
+        "PaymentMade",
+        "PaymentsDeferred",
+        "LoanRestructured",
+      ]);
+      db.close();
+    });
+
+    it("Should mark closed loans by the closing event", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const { db, indexer } = await createIndexer(fixture);
+
+      await fixture.otherClient.borrow(fixture.token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT);
+      await fixture.borrowerClient.prepay(1, ethers.parseEther("0.5"));
+      await fixture.borrowerClient.repayInFull(1);
+      await time.increase(61 * DAY);
+      await fixture.priceFeed.updateAnswer(ethers.parseEther("1"));
+      await fixture.adminClient.liquidate(2);
+      await indexer.sync();
+
+      const [repaid, liquidated] = db.getLoans();
+      expect(repaid.status).to.equal("repaid_early");
+      expect(repaid.active).to.equal(false);
+      expect(db.getPayments(1).map((p) => p.kind)).to.deep.equal(["prepayment", "payoff"]);
+      expect(liquidated.status).to.equal("liquidated");
+      expect(db.getLoans({ active: true })).to.be.empty;
+      db.close();
+    });
+
+    it("Should index parameter updates", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const { db, indexer } = await createIndexer(fixture);
+
+      await fixture.adminClient.updateParameters({ interestRate: 700, penaltyRatePerDay: 20, loanDurationMonths: 6 });
+      await indexer.sync();
+
+      const [update] = db.getParameterUpdates();
+      expect(update.interestRate).to.equal(700n);
+      expect(update.penaltyRatePerDay).to.equal(20n);
+      expect(update.loanDurationMonths).to.equal(6n);
+      db.close();
+    });
+
+    it("Should index in batches and hold back unconfirmed blocks", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const db = await LoanBookDatabase.open();
+      const indexer = new LoanIndexer({
+        provider: ethers.provider,
+        address: fixture.loanContract.target,
+        db,
+        startBlock: fixture.startBlock,
+        batchSize: 2,
+        confirmations: 3,
+      });
+
+      await mine(2);
+      await fixture.otherClient.borrow(fixture.token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT);
+      expect(await indexer.sync()).to.equal((await ethers.provider.getBlockNumber()) - 3);
+      expect(db.getLoans()).to.have.length(1);
+
+      await mine(3);
+      await indexer.sync();
+      expect(db.getLoans()).to.have.length(2);
+      db.close();
+    });
+  });
+
+  describe("Checkpoints and reorgs", function () {
+    it("Should resume from the saved checkpoint", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "loanbook-")), "loanbook.sqlite");
+
+      const first = await createIndexer(fixture, file);
+      const checkpoint = await first.indexer.sync();
+      first.db.close();
+
+      await time.increase(30 * DAY);
+      await fixture.borrowerClient.payNextInstallment(1);
+
+      const resumed = await createIndexer(fixture, file);
+      expect(resumed.db.getCheckpoint().number).to.equal(checkpoint);
+      expect(resumed.db.getLoans()).to.have.length(1);
+      await resumed.indexer.sync();
+
+      expect(resumed.db.getEvents({ loanId: 1 }).map((e) => e.name)).to.deep.equal(["LoanIssued", "PaymentMade"]);
+      expect(resumed.db.getPayments(1)).to.have.length(1);
+      resumed.db.close();
+      fs.rmSync(path.dirname(file), { recursive: true });
+    });
+
+    it("Should upgrade a database created before token collateral and grace periods", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "loanbook-"));
+      const file = path.join(dir, "loanbook.sqlite");
+      try {
+        const created = await createIndexer(fixture, file);
+        await created.indexer.sync();
+        created.db.db.run("ALTER TABLE loans DROP COLUMN collateral_token");
+        created.db.db.run("ALTER TABLE loans DROP COLUMN grace_end");
+        created.db.save();
+        created.db.close();
+
+        const reopened = await LoanBookDatabase.open(file);
+        expect(reopened.getLoan(1).collateralToken).to.equal(ethers.ZeroAddress);
+        expect(reopened.getLoan(1).graceEnd).to.equal(0n);
+        reopened.close();
+      } finally {
+        fs.rmSync(dir, { recursive: true });
+      }
+    });
+
+    it("Should refuse a database of another contract", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const { db, indexer } = await createIndexer(fixture);
+      await indexer.sync();
+
+      const other = new LoanIndexer({ provider: ethers.provider, address: fixture.token.target, db });
+      await expect(other.sync()).to.be.rejectedWith("database belongs to");
+      db.close();
+    });
+
+    it("Should roll back orphaned blocks and reindex the new chain", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const { db, indexer } = await createIndexer(fixture);
+      await indexer.sync();
+      const collateralBefore = db.getLoan(1).collateral;
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await time.increase(30 * DAY);
+      await fixture.borrowerClient.payNextInstallment(1);
+      await fixture.priceFeed.updateAnswer(ethers.parseEther("1"));
+      await fixture.otherClient.borrow(fixture.token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT);
+      await indexer.sync();
+      expect(db.getPayments(1)).to.have.length(1);
+      expect(db.getLoans()).to.have.length(2);
+
+      // Другая ветка: вместо платежа и нового займа — пополнение залога
+      await network.provider.send("evm_revert", [snapshot]);
+      await fixture.borrowerClient.addCollateral(1, ethers.parseEther("1"));
+      await mine(2);
+      await indexer.sync();
+
+      const loan = db.getLoan(1);
+      expect(db.getPayments(1)).to.be.empty;
+      expect(db.getLoans()).to.have.length(1);
+      expect(loan.paymentsMade).to.equal(0n);
+      expect(loan.collateral).to.equal(collateralBefore + ethers.parseEther("1"));
+      expect(db.getEvents({ loanId: 1 }).map((e) => e.name)).to.deep.equal(["LoanIssued", "CollateralAdded"]);
+      expect(db.getCheckpoint().hash).to.equal((await ethers.provider.getBlock("latest")).hash);
+      db.close();
+    });
+  });
+
+  describe("HTTP API", function () {
+    let server;
+    let db;
+
+    afterEach(async function () {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+        server = undefined;
+      }
+      if (db) {
+        db.close();
+        db = undefined;
+      }
+    });
+
+    async function serve(fixture) {
+      const created = await createIndexer(fixture);
+      db = created.db;
+      await created.indexer.sync();
+      server = createApiServer(db);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return async (pathname, status = 200) => {
+        const response = await fetch(`${baseUrl}${pathname}`);
+        expect(response.status, pathname).to.equal(status);
+        return response.json();
+      };
+    }
+
+    it("Should serve loans and loan details", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      await fixture.otherClient.borrow(fixture.token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT);
+      const get = await serve(fixture);
+
+      const status = await get("/status");
+      expect(status.address).to.equal(fixture.loanContract.target.toLowerCase());
+      expect(status.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+      expect(await get("/loans")).to.have.length(2);
+      const [own] = await get(`/loans?borrower=${fixture.other.address}`);
+      expect(own.loanId).to.equal("2");
+      expect(own.principal).to.equal(LOAN_AMOUNT.toString());
+
+      const details = await get("/loans/1");
+      expect(details.borrower).to.equal(fixture.borrower.address);
+      expect(details.payments).to.be.empty;
+      expect(details.events[0].name).to.equal("LoanIssued");
+
+      expect((await get("/loans/7", 404)).error).to.equal("Loan 7 not found");
+      expect((await get("/loans?active=maybe", 400)).error).to.equal("Invalid active: maybe");
+      expect((await get("/unknown", 404)).error).to.equal("Unknown endpoint: /unknown");
+    });
+
+    it("Should report outstanding debt and collected penalties", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      await time.increase(40 * DAY);
+      await fixture.borrowerClient.payNextInstallment(1);
+      const { totalDebt, monthlyPayment } = await fixture.loanContract.getLoan(1);
+      const get = await serve(fixture);
+
+      const { loans, tokens } = await get("/portfolio");
+      expect(loans.active).to.equal(1);
+      const [summary] = tokens;
+      const penalty = (monthlyPayment * BigInt(PENALTY_RATE) * 10n) / 10000n;
+      expect(summary.token).to.equal(fixture.token.target);
+      expect(summary.outstandingDebt).to.equal(totalDebt.toString());
+      expect(summary.collateral).to.equal(COLLATERAL_AMOUNT.toString());
+      expect(summary.penaltiesCollected).to.equal(penalty.toString());
+      expect(summary.totalPaid).to.equal((monthlyPayment + penalty).toString());
+    });
+
+    it("Should sum token collateral apart from ETH collateral", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const collateralToken = await MockToken.deploy("Staked Ether", "STETH", ethers.parseEther("1000"));
+      const MockAggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const collateralFeed = await MockAggregator.deploy(18, ethers.parseEther("1"));
+      await fixture.adminClient.setPriceFeed(collateralToken.target, collateralFeed.target);
+      await fixture.adminClient.setCollateralToken(collateralToken.target, true, 15000n);
+      await collateralToken.transfer(fixture.other.address, ethers.parseEther("10"));
+      await fixture.otherClient.borrowWithCollateral(
+        fixture.token.target,
+        LOAN_AMOUNT,
+        collateralToken.target,
+        ethers.parseEther("2")
+      );
+      const get = await serve(fixture);
+
+      const [summary] = (await get("/portfolio")).tokens;
+      expect(summary.activeLoans).to.equal(2);
+      expect(summary.collateral).to.equal(COLLATERAL_AMOUNT.toString());
+      expect(summary.tokenCollateral).to.deep.equal({ [collateralToken.target]: ethers.parseEther("2").toString() });
+      expect((await get("/loans/2")).collateralToken).to.equal(collateralToken.target);
+    });
+
+    it("Should list delinquent loans with accrued penalties", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const { lastPaymentTime, monthlyPayment } = await fixture.loanContract.getLoan(1);
+      const get = await serve(fixture);
+
+      expect((await get("/delinquent")).loans).to.be.empty;
+
+      const late = lastPaymentTime + BigInt(35 * DAY);
+      const [loan] = (await get(`/delinquent?at=${late}`)).loans;
+      expect(loan.loanId).to.equal("1");
+      expect(loan.daysLate).to.equal("5");
+      expect(loan.accruedPenalty).to.equal(((monthlyPayment * BigInt(PENALTY_RATE) * 5n) / 10000n).toString());
+      expect(loan.liquidatable).to.equal(false);
+
+      const [overdue] = (await get(`/delinquent?at=${lastPaymentTime + BigInt(61 * DAY)}`)).loans;
+      expect(overdue.liquidatable).to.equal(true);
+    });
+
+    it("Should hold back penalties and liquidation until the grace period ends", async function () {
+      const fixture = await loadFixture(indexedFixture);
+      const { lastPaymentTime } = await fixture.loanContract.getLoan(1);
+      await fixture.adminClient.grantGracePeriod(1, 10);
+      const get = await serve(fixture);
+
+      const [graced] = (await get(`/delinquent?at=${lastPaymentTime + BigInt(35 * DAY)}`)).loans;
+      expect(graced.graceEnd).to.equal((lastPaymentTime + BigInt(40 * DAY)).toString());
+      expect(graced.accruedPenalty).to.equal("0");
+
+      const [late] = (await get(`/delinquent?at=${lastPaymentTime + BigInt(61 * DAY)}`)).loans;
+      expect(late.daysLate).to.equal("21");
+      expect(late.liquidatable).to.equal(false);
+      const [overdue] = (await get(`/delinquent?at=${lastPaymentTime + BigInt(71 * DAY)}`)).loans;
+      expect(overdue.liquidatable).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  PENALTY_RATE,
+  TOKEN_PRICE,
+  DAY,
+  LOAN_AMOUNT,
+  COLLATERAL_AMOUNT,
+  clientFixture,
+  borrowedFixture,
+} = require("./helpers/fixtures");
+
+const { LoanClient } = require("../sdk");
+const { LoanKeeper, createWebhookNotifier, JsonFileStore } = require("../keeper");
+
+describe("LoanKeeper", function () {
+  // Кипер работает через клиент SDK владельца (adminClient) общей фикстуры borrowedFixture
+  function createKeeper({ adminClient }, options = {}) {
+    const notifications = [];
+    const keeper = new LoanKeeper({
+      client: adminClient,
+      notify: async (notification) => {
+        notifications.push(notification);
+      },
+      retryDelayMs: 0,
+      ...options,
+    });
+    return { keeper, notifications };
+  }
+
+  // Займ 1 выдан пулом токена. Одобрение токенов владельцем снято, поэтому выкуп займа
+  // при ликвидации требует отдельного approve
+  async function poolBorrowedFixture() {
+    const fixture = await clientFixture();
+    const { loanContract, token, owner, borrowerClient } = fixture;
+
+    const LoanPool = await ethers.getContractFactory("LoanPool");
+    const pool = await LoanPool.deploy(token.target, "Test Token Pool", "pTST", loanContract.target);
+    await loanContract.connect(owner).setPool(token.target, pool.target);
+    await token.connect(owner).approve(loanContract.target, 0);
+    await token.connect(owner).approve(pool.target, LOAN_AMOUNT);
+    await pool.connect(owner).deposit(LOAN_AMOUNT, owner.address);
+
+    await borrowerClient.borrow(token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT);
+    return { ...fixture, pool };
+  }
+
+  describe("Reminders", function () {
+    it("Should remind about an upcoming payment once", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const { keeper, notifications } = createKeeper(fixture);
+
+      expect((await keeper.check()).reminders).to.be.empty;
+
+      await time.increase(28 * DAY);
+      const report = await keeper.check();
+      const loan = await fixture.adminClient.getLoan(1);
+      expect(report.checked).to.equal(1);
+      expect(notifications).to.have.length(1);
+      expect(notifications[0]).to.include({
+        type: "payment-due",
+        loanId: 1n,
+        borrower: fixture.borrower.address,
+        nextPaymentDue: loan.nextPaymentDue,
+        amountDue: loan.monthlyPayment,
+      });
+
+      await time.increase(DAY);
+      await keeper.check();
+      expect(notifications).to.have.length(1);
+    });
+
+    it("Should send a daily late reminder with the accrued penalty", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const { keeper, notifications } = createKeeper(fixture, { reminderWindow: 0 });
+      const { monthlyPayment } = await fixture.adminClient.getLoan(1);
+
+      await time.increase(35 * DAY);
+      await keeper.check();
+      await keeper.check();
+      expect(notifications).to.have.length(1);
+      const penalty = (monthlyPayment * BigInt(PENALTY_RATE) * 5n) / 10000n;
+      expect(notifications[0]).to.include({ type: "payment-late", daysLate: 5n, penalty });
+      expect(notifications[0].amountDue).to.equal(monthlyPayment + penalty);
+
+      await time.increase(DAY);
+      await keeper.check();
+      expect(notifications.map((n) => n.daysLate)).to.deep.equal([5n, 6n]);
+    });
+
+    it("Should stop reminding after the payment is made", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const { keeper, notifications } = createKeeper(fixture, { reminderWindow: 0 });
+
+      await time.increase(31 * DAY);
+      await keeper.check();
+      await fixture.borrowerClient.payNextInstallment(1);
+      await time.increase(DAY);
+      await keeper.check();
+      expect(notifications.map((n) => n.type)).to.deep.equal(["payment-late"]);
+    });
+
+    it("Should retry undelivered webhook reminders and remember delivered ones", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const received = [];
+      let status = 500;
+      const server = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", (chunk) => (body += chunk));
+        request.on("end", () => {
+          received.push(JSON.parse(body));
+          response.writeHead(status);
+          response.end();
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+      const file = path.join(dir, "reminders.json");
+
+      try {
+        const keeper = new LoanKeeper({
+          client: fixture.adminClient,
+          notify: createWebhookNotifier(`http://127.0.0.1:${server.address().port}`),
+          store: new JsonFileStore(file),
+        });
+        await time.increase(28 * DAY);
+
+        const failed = await keeper.check();
+        expect(failed.reminders).to.be.empty;
+        expect(failed.errors[0].error).to.match(/responded with 500/);
+
+        status = 200;
+        const delivered = await keeper.check();
+        expect(delivered.reminders).to.have.length(1);
+        expect(received.map((n) => n.type)).to.deep.equal(["payment-due", "payment-due"]);
+        expect(received[1].loanId).to.equal("1");
+
+        // После перезапуска доставленное напоминание не повторяется
+        const restarted = new LoanKeeper({
+          client: fixture.adminClient,
+          notify: createWebhookNotifier(`http://127.0.0.1:${server.address().port}`),
+          store: new JsonFileStore(file),
+        });
+        expect((await restarted.check()).reminders).to.be.empty;
+        expect(received).to.have.length(2);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+        fs.rmSync(dir, { recursive: true });
+      }
+    });
+  });
+
+  describe("Liquidation", function () {
+    it("Should liquidate a loan overdue past the threshold", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const { keeper, notifications } = createKeeper(fixture);
+
+      await time.increase(60 * DAY);
+      expect((await keeper.check()).liquidations).to.be.empty;
+
+      await time.increase(DAY);
+      await fixture.priceFeed.updateAnswer(TOKEN_PRICE);
+      const report = await keeper.check();
+      const [liquidation] = report.liquidations;
+      expect(liquidation).to.include({ status: "liquidated", loanId: 1n, attempts: 1 });
+      expect(liquidation.collateralSeized + liquidation.collateralRefunded).to.equal(COLLATERAL_AMOUNT);
+      expect((await fixture.adminClient.getLoan(1)).active).to.equal(false);
+      expect(notifications.at(-1)).to.include({ type: "loan-liquidated", hash: liquidation.hash });
+
+      const next = await keeper.check();
+      expect(next.checked).to.equal(0);
+      expect(next.liquidations).to.be.empty;
+    });
+
+    it("Should wait for the end of a grace period before penalties and liquidation", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const { keeper, notifications } = createKeeper(fixture, { reminderWindow: 0 });
+
+      await time.increase(35 * DAY);
+      await fixture.adminClient.grantGracePeriod(1, 10);
+      const { graceEnd } = await fixture.adminClient.getLoan(1);
+      await keeper.check();
+      expect(notifications.map((n) => n.type)).to.deep.equal(["payment-due"]);
+
+      // Без льготного периода займ был бы уже ликвидирован
+      await time.increase(27 * DAY);
+      expect((await keeper.check()).liquidations).to.be.empty;
+      expect(notifications.at(-1)).to.include({
+        type: "payment-late",
+        daysLate: 22n,
+        liquidatableAfter: graceEnd + 30n * BigInt(DAY),
+      });
+
+      await time.increase(9 * DAY);
+      await fixture.priceFeed.updateAnswer(TOKEN_PRICE);
+      expect((await keeper.check()).liquidations[0].status).to.equal("liquidated");
+    });
+
+    it("Should only simulate liquidations in dry-run mode", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const { keeper, notifications } = createKeeper(fixture, { dryRun: true });
+
+      await time.increase(61 * DAY);
+      await fixture.priceFeed.updateAnswer(TOKEN_PRICE);
+      const [liquidation] = (await keeper.check()).liquidations;
+      expect(liquidation).to.include({ status: "simulated", dryRun: true });
+      expect(liquidation.gasEstimate > 0n).to.equal(true);
+      expect((await fixture.adminClient.getLoan(1)).active).to.equal(true);
+
+      await keeper.check();
+      expect(notifications.map((n) => n.type)).to.deep.equal(["liquidation-eligible"]);
+    });
+
+    it("Should report pool loans that need an approval in dry-run mode", async function () {
+      const fixture = await loadFixture(poolBorrowedFixture);
+      const { loanContract, token, owner } = fixture;
+      const { keeper, notifications } = createKeeper(fixture, { dryRun: true });
+
+      await time.increase(61 * DAY);
+      await fixture.priceFeed.updateAnswer(TOKEN_PRICE);
+      const { totalDebt } = await fixture.adminClient.getLoan(1);
+      const [liquidation] = (await keeper.check()).liquidations;
+      expect(liquidation).to.include({ status: "needs-approval", dryRun: true });
+      expect(liquidation.approval).to.deep.equal({ token: token.target, amount: totalDebt });
+      expect(notifications.map((n) => n.type)).to.deep.equal(["liquidation-eligible"]);
+
+      // С одобрением выкупа dry-run оценивает газ, а настоящая ликвидация одобряет токены сама
+      await token.connect(owner).approve(loanContract.target, totalDebt);
+      const [simulated] = (await keeper.check()).liquidations;
+      expect(simulated).to.include({ status: "simulated", dryRun: true });
+      expect(simulated.gasEstimate > 0n).to.equal(true);
+
+      await token.connect(owner).approve(loanContract.target, 0);
+      expect((await createKeeper(fixture).keeper.check()).liquidations[0].status).to.equal("liquidated");
+    });
+
+    it("Should report contract reverts without retrying", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const { keeper, notifications } = createKeeper(fixture);
+
+      // Без обновления цены ликвидация отклоняется контрактом
+      await time.increase(61 * DAY);
+      const [liquidation] = (await keeper.check()).liquidations;
+      expect(liquidation).to.include({ status: "failed", error: "Stale price", attempts: 1 });
+      expect(notifications.map((n) => n.type)).to.deep.equal(["liquidation-failed"]);
+
+      await fixture.priceFeed.updateAnswer(TOKEN_PRICE);
+      expect((await keeper.check()).liquidations[0].status).to.equal("liquidated");
+    });
+
+    it("Should defer liquidation while gas is above the limit", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const { keeper } = createKeeper(fixture, { maxGasPrice: 1n });
+
+      await time.increase(61 * DAY);
+      await fixture.priceFeed.updateAnswer(TOKEN_PRICE);
+      const [liquidation] = (await keeper.check()).liquidations;
+      expect(liquidation.status).to.equal("deferred");
+      expect((await fixture.adminClient.getLoan(1)).active).to.equal(true);
+    });
+
+    it("Should apply the gas limit and give up after the retries", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const { keeper } = createKeeper(fixture, { gasLimit: 30000, maxRetries: 2 });
+
+      await time.increase(61 * DAY);
+      await fixture.priceFeed.updateAnswer(TOKEN_PRICE);
+      const [liquidation] = (await keeper.check()).liquidations;
+      expect(liquidation).to.include({ status: "failed", attempts: 2 });
+      expect((await fixture.adminClient.getLoan(1)).active).to.equal(true);
+    });
+
+    it("Should not liquidate twice when a retry follows a submitted transaction", async function () {
+      const fixture = await loadFixture(borrowedFixture);
+      const client = new LoanClient(fixture.owner, fixture.loanContract.target);
+      // Транзакция проходит, но ответ узла теряется
+      const liquidate = client.liquidate.bind(client);
+      client.liquidate = async (...args) => {
+        await liquidate(...args);
+        throw new Error("socket hang up");
+      };
+      const { keeper } = createKeeper({ adminClient: client });
+
+      await time.increase(61 * DAY);
+      await fixture.priceFeed.updateAnswer(TOKEN_PRICE);
+      const [liquidation] = (await keeper.check()).liquidations;
+      expect(liquidation).to.include({ status: "closed", attempts: 1 });
+
+      const events = await fixture.loanContract.queryFilter(fixture.loanContract.filters.CollateralLiquidated());
+      expect(events).to.have.length(1);
+    });
+  });
+});
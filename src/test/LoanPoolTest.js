@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  PENALTY_RATE,
+  LOAN_DURATION_MONTHS,
+  LOAN_AMOUNT,
+  COLLATERAL_AMOUNT,
+  deployLoanFixture,
+} = require("./helpers/fixtures");
+
+const { LoanClient } = require("../sdk");
+
+describe("LoanPool", function () {
+  const DEPOSIT = ethers.parseEther("10");
+  const MONTH = 30 * 24 * 60 * 60;
+  // Долей на единицу токена при первом депозите: 10 ** DECIMALS_OFFSET
+  const SHARES_PER_TOKEN_UNIT = 10n ** 6n;
+
+  // Общая фикстура с пулом токена и депозитом кредитора. Займы выдает пул, поэтому одобрение
+  // токенов владельцем снимается: выкуп займа при ликвидации требует отдельного approve
+  async function deployPoolFixture() {
+    const fixture = await deployLoanFixture();
+    const { loanContract, token, owner, borrower } = fixture;
+    const [, , lender, addr1] = fixture.signers;
+
+    const LoanPool = await ethers.getContractFactory("LoanPool");
+    const pool = await LoanPool.deploy(token.target, "Test Token Pool", "pTST", loanContract.target);
+    await loanContract.connect(owner).setPool(token.target, pool.target);
+    await token.connect(owner).approve(loanContract.target, 0);
+
+    await token.connect(owner).transfer(lender.address, ethers.parseEther("100"));
+    await token.connect(lender).approve(pool.target, ethers.MaxUint256);
+    await pool.connect(lender).deposit(DEPOSIT, lender.address);
+
+    await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+    await token.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+
+    return { ...fixture, pool, lender, addr1 };
+  }
+
+  async function borrowedFixture() {
+    const fixture = await deployPoolFixture();
+    const { loanContract, token, borrower } = fixture;
+    await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+    return fixture;
+  }
+
+  describe("Deposits and withdrawals", function () {
+    it("Should mint shares with the decimals offset for the first deposit", async function () {
+      const { pool, token, lender } = await loadFixture(deployPoolFixture);
+
+      expect(await pool.asset()).to.equal(token.target);
+      expect(await pool.decimals()).to.equal(18n + (await pool.DECIMALS_OFFSET()));
+      expect(await pool.balanceOf(lender.address)).to.equal(DEPOSIT * SHARES_PER_TOKEN_UNIT);
+      expect(await pool.totalAssets()).to.equal(DEPOSIT);
+      expect(await pool.availableLiquidity()).to.equal(DEPOSIT);
+      expect(await pool.maxWithdraw(lender.address)).to.equal(DEPOSIT);
+    });
+
+    it("Should not let a donation to an empty pool steal a later deposit", async function () {
+      const { loanContract, token, owner, lender, addr1 } = await loadFixture(deployPoolFixture);
+      const LoanPool = await ethers.getContractFactory("LoanPool");
+      const emptyPool = await LoanPool.deploy(token.target, "Empty Pool", "eTST", loanContract.target);
+      await token.connect(owner).transfer(addr1.address, DEPOSIT);
+      await token.connect(lender).approve(emptyPool.target, ethers.MaxUint256);
+      await token.connect(addr1).approve(emptyPool.target, ethers.MaxUint256);
+
+      // Атакующий вносит 1 wei и дарит пулу DEPOSIT токенов, чтобы депозит кредитора округлился в свою пользу
+      await emptyPool.connect(addr1).deposit(1, addr1.address);
+      await token.connect(addr1).transfer(emptyPool.target, DEPOSIT - 1n);
+      await emptyPool.connect(lender).deposit(DEPOSIT, lender.address);
+
+      expect(await emptyPool.balanceOf(lender.address)).to.be.gt(0);
+      const lenderAssets = await emptyPool.previewRedeem(await emptyPool.balanceOf(lender.address));
+      expect(lenderAssets).to.be.closeTo(DEPOSIT, DEPOSIT / 1000000n);
+      // Большая часть пожертвования достается виртуальным долям: атакующий теряет около половины
+      const attackerAssets = await emptyPool.previewRedeem(await emptyPool.balanceOf(addr1.address));
+      expect(attackerAssets).to.be.lt((DEPOSIT * 6n) / 10n);
+    });
+
+    it("Should limit withdrawals to the available liquidity", async function () {
+      const { loanContract, pool, token, borrower, lender } = await loadFixture(deployPoolFixture);
+      await loanContract
+        .connect(borrower)
+        .borrow(token.target, ethers.parseEther("8"), 0, { value: ethers.parseEther("12") });
+
+      expect(await pool.totalAssets()).to.equal(DEPOSIT);
+      expect(await pool.maxWithdraw(lender.address)).to.equal(ethers.parseEther("2"));
+      expect(await pool.maxRedeem(lender.address)).to.equal(ethers.parseEther("2") * SHARES_PER_TOKEN_UNIT);
+
+      await expect(
+        pool.connect(lender).withdraw(ethers.parseEther("3"), lender.address, lender.address)
+      ).to.be.revertedWithCustomError(pool, "ERC4626ExceededMaxWithdraw");
+      await expect(
+        pool.connect(lender).withdraw(ethers.parseEther("2"), lender.address, lender.address)
+      ).to.changeTokenBalances(token, [pool, lender], [-ethers.parseEther("2"), ethers.parseEther("2")]);
+    });
+
+    it("Should only let the loan manager lend and record repayments", async function () {
+      const { pool, addr1 } = await loadFixture(deployPoolFixture);
+
+      await expect(pool.connect(addr1).lend(addr1.address, 1)).to.be.revertedWith("Only loan manager");
+      await expect(pool.connect(addr1).notifyRepayment(1)).to.be.revertedWith("Only loan manager");
+    });
+  });
+
+  describe("Pool configuration", function () {
+    it("Should validate the pool asset and loan manager", async function () {
+      const { loanContract, pool, token, owner, addr1 } = await loadFixture(deployPoolFixture);
+      const LoanPool = await ethers.getContractFactory("LoanPool");
+      const foreignPool = await LoanPool.deploy(token.target, "Foreign", "fTST", addr1.address);
+
+      await expect(loanContract.connect(owner).setPool(addr1.address, pool.target)).to.be.revertedWith(
+        "Invalid pool"
+      );
+      await expect(loanContract.connect(owner).setPool(token.target, foreignPool.target)).to.be.revertedWith(
+        "Invalid pool"
+      );
+      await expect(
+        loanContract.connect(addr1).setPool(token.target, pool.target)
+      ).to.be.revertedWithCustomError(loanContract, "AccessControlUnauthorizedAccount");
+
+      await expect(loanContract.connect(owner).setPool(token.target, ethers.ZeroAddress))
+        .to.emit(loanContract, "PoolUpdated")
+        .withArgs(token.target, ethers.ZeroAddress);
+      expect(await loanContract.pools(token.target)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should keep repaying owner-funded loans to the owner after a pool is connected", async function () {
+      const { loanContract, pool, token, owner, borrower } = await loadFixture(deployPoolFixture);
+      await loanContract.connect(owner).setPool(token.target, ethers.ZeroAddress);
+      await token.connect(owner).approve(loanContract.target, LOAN_AMOUNT);
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(owner).setPool(token.target, pool.target);
+
+      expect((await loanContract.getLoan(1)).pool).to.equal(ethers.ZeroAddress);
+      await time.increase(MONTH);
+      const { monthlyPayment } = await loanContract.getLoanDetails(1);
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(1)).to.changeTokenBalances(
+        token,
+        [owner, pool],
+        [monthlyPayment, 0]
+      );
+    });
+  });
+
+  describe("Lending from the pool", function () {
+    it("Should fund the loan from the pool", async function () {
+      const { loanContract, pool, token, owner, borrower } = await loadFixture(deployPoolFixture);
+
+      const tx = await loanContract
+        .connect(borrower)
+        .borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await expect(tx).to.changeTokenBalances(token, [pool, borrower, owner], [-LOAN_AMOUNT, LOAN_AMOUNT, 0]);
+      await expect(tx).to.emit(pool, "Lent").withArgs(borrower.address, LOAN_AMOUNT);
+
+      expect((await loanContract.getLoan(1)).pool).to.equal(pool.target);
+      expect(await pool.totalBorrowed()).to.equal(LOAN_AMOUNT);
+      expect(await pool.totalAssets()).to.equal(DEPOSIT);
+    });
+
+    it("Should reject loans above the available liquidity", async function () {
+      const { loanContract, token, borrower } = await loadFixture(deployPoolFixture);
+
+      await expect(
+        loanContract.connect(borrower).borrow(token.target, ethers.parseEther("11"), 0, { value: ethers.parseEther("20") })
+      ).to.be.revertedWith("Insufficient liquidity");
+    });
+
+    it("Should return principal and accrue interest and penalties to the pool", async function () {
+      const { loanContract, pool, token, borrower } = await loadFixture(borrowedFixture);
+      const monthlyPayment = ethers.parseEther("0.0875");
+      const principalPart = (monthlyPayment * 100n) / 105n;
+
+      await time.increase(MONTH);
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(1)).to.changeTokenBalance(
+        token,
+        pool,
+        monthlyPayment
+      );
+      expect(await pool.totalBorrowed()).to.equal(LOAN_AMOUNT - principalPart);
+      expect(await pool.totalAssets()).to.equal(DEPOSIT + monthlyPayment - principalPart);
+
+      // Платеж с просрочкой 10 дней: штраф тоже остается в пуле
+      await time.increase(MONTH + 10 * 24 * 60 * 60);
+      const penalty = (monthlyPayment * BigInt(PENALTY_RATE) * 10n) / 10000n;
+      await expect(loanContract.connect(borrower).makeMonthlyPayment(1)).to.changeTokenBalance(
+        token,
+        pool,
+        monthlyPayment + penalty
+      );
+
+      for (let i = 2; i < LOAN_DURATION_MONTHS; i++) {
+        await time.increase(MONTH);
+        await loanContract.connect(borrower).makeMonthlyPayment(1);
+      }
+      expect(await pool.totalBorrowed()).to.equal(0);
+      expect(await pool.totalAssets()).to.equal(DEPOSIT + ethers.parseEther("0.05") + penalty);
+    });
+
+    it("Should return the amortized principal of an annuity loan to the pool", async function () {
+      const { loanContract, pool, token, owner, borrower } = await loadFixture(deployPoolFixture);
+      await loanContract.connect(owner).createProduct(6, 1200, PENALTY_RATE, 15000, ethers.ZeroAddress, true);
+      await loanContract.connect(borrower).borrow(token.target, LOAN_AMOUNT, 1, { value: COLLATERAL_AMOUNT });
+      const { totalDebt } = await loanContract.getLoan(1);
+
+      await time.increase(MONTH);
+      await loanContract.connect(borrower).makeMonthlyPayment(1);
+      expect(await pool.totalBorrowed()).to.equal((await loanContract.getLoan(1)).principalOutstanding);
+
+      for (let i = 1; i < 6; i++) {
+        await time.increase(MONTH);
+        await loanContract.connect(borrower).makeMonthlyPayment(1);
+      }
+      expect(await pool.totalBorrowed()).to.equal(0);
+      expect(await pool.totalAssets()).to.equal(DEPOSIT + totalDebt - LOAN_AMOUNT);
+    });
+
+    it("Should settle prepayments and early repayment with the pool", async function () {
+      const { loanContract, pool, borrower } = await loadFixture(borrowedFixture);
+
+      await loanContract.connect(borrower).prepay(1, ethers.parseEther("0.5"));
+      expect(await pool.totalBorrowed()).to.equal(ethers.parseEther("0.5"));
+      expect(await pool.totalAssets()).to.equal(DEPOSIT);
+
+      await loanContract.connect(borrower).repayInFull(1);
+      expect(await pool.totalBorrowed()).to.equal(0);
+      expect(await pool.availableLiquidity()).to.equal(DEPOSIT);
+    });
+
+    it("Should repay the pool on undercollateralized liquidation", async function () {
+      const { loanContract, pool, priceFeed, token, owner, addr1 } = await loadFixture(borrowedFixture);
+      await token.connect(owner).transfer(addr1.address, ethers.parseEther("5"));
+      await token.connect(addr1).approve(loanContract.target, ethers.parseEther("5"));
+      await priceFeed.updateAnswer(ethers.parseEther("1.3"));
+
+      await expect(loanContract.connect(addr1).liquidateUndercollateralized(1)).to.changeTokenBalance(
+        token,
+        pool,
+        ethers.parseEther("1.05")
+      );
+      expect(await pool.totalBorrowed()).to.equal(0);
+      expect(await pool.totalAssets()).to.equal(DEPOSIT + ethers.parseEther("0.05"));
+    });
+
+    it("Should make the owner buy out an overdue loan from the pool", async function () {
+      const { loanContract, pool, priceFeed, token, owner } = await loadFixture(borrowedFixture);
+      await time.increase(61 * 24 * 60 * 60);
+      await priceFeed.updateAnswer(ethers.parseEther("1"));
+
+      await expect(loanContract.connect(owner).liquidate(1)).to.be.revertedWithCustomError(
+        token,
+        "ERC20InsufficientAllowance"
+      );
+
+      await token.connect(owner).approve(loanContract.target, ethers.parseEther("1.05"));
+      await expect(loanContract.connect(owner).liquidate(1)).to.changeTokenBalances(
+        token,
+        [owner, pool],
+        [-ethers.parseEther("1.05"), ethers.parseEther("1.05")]
+      );
+      expect(await pool.totalBorrowed()).to.equal(0);
+      expect(await pool.totalAssets()).to.equal(DEPOSIT + ethers.parseEther("0.05"));
+    });
+
+    it("Should approve the buy-out when liquidating through the SDK", async function () {
+      const { loanContract, pool, priceFeed, owner } = await loadFixture(borrowedFixture);
+      await time.increase(61 * 24 * 60 * 60);
+      await priceFeed.updateAnswer(ethers.parseEther("1"));
+
+      await new LoanClient(owner, loanContract.target).liquidate(1);
+      expect(await pool.totalBorrowed()).to.equal(0);
+      expect(await pool.totalAssets()).to.equal(DEPOSIT + ethers.parseEther("0.05"));
+    });
+  });
+});
@@ -0,0 +1,290 @@
+const { expect } = require("chai");
+const fc = require("fast-check");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployLoanFixture } = require("./helpers/fixtures");
+
+const {
+  PAYMENT_PERIOD,
+  annuityPayment,
+  calculateLoanTerms,
+  calculatePenalty,
+  amountDueAt,
+  amountDueForLoan,
+  buildSchedule,
+} = require("../sdk/schedule");
+
+describe("Loan schedule calculator", function () {
+  const DAY = 24n * 60n * 60n;
+  const ONE_TOKEN = ethers.parseEther("1");
+
+  describe("Pure calculations", function () {
+    it("Should compute terms like the contract for the README example", function () {
+      const terms = calculateLoanTerms({ amount: ONE_TOKEN, interestRate: 500, loanDurationMonths: 12 });
+
+      expect(terms.interest).to.equal(ethers.parseEther("0.05"));
+      expect(terms.totalDebt).to.equal(ethers.parseEther("1.05"));
+      expect(terms.monthlyPayment).to.equal(ethers.parseEther("0.0875"));
+      expect(terms.remainder).to.equal(0n);
+    });
+
+    it("Should scale interest to the loan term", function () {
+      const short = calculateLoanTerms({ amount: ONE_TOKEN, interestRate: 500, loanDurationMonths: 1 });
+      const long = calculateLoanTerms({ amount: ONE_TOKEN, interestRate: 500, loanDurationMonths: 36 });
+
+      expect(short.interest).to.equal(ONE_TOKEN / 240n);
+      expect(long.interest).to.equal(ethers.parseEther("0.15"));
+    });
+
+    it("Should report the remainder left by integer division", function () {
+      const terms = calculateLoanTerms({ amount: 1000n, interestRate: 0, loanDurationMonths: 7 });
+
+      expect(terms.monthlyPayment).to.equal(142n);
+      expect(terms.remainder).to.equal(6n);
+    });
+
+    it("Should collect the remainder with the last installment", function () {
+      const schedule = buildSchedule({ amount: 1000n, interestRate: 0, loanDurationMonths: 7, startTime: 100n });
+
+      expect(schedule.installments).to.have.length(7);
+      expect(schedule.installments[0].dueTime).to.equal(100n + PAYMENT_PERIOD);
+      expect(schedule.installments[5].amount).to.equal(142n);
+      expect(schedule.installments[6].dueTime).to.equal(100n + 7n * PAYMENT_PERIOD);
+      expect(schedule.installments[6].amount).to.equal(142n + schedule.remainder);
+      expect(schedule.installments[6].remainingDebt).to.equal(0n);
+      expect(schedule.installments[6].remainingPrincipal).to.equal(0n);
+    });
+
+    it("Should match the textbook annuity formula", function () {
+      fc.assert(
+        fc.property(
+          fc.bigInt({ min: ONE_TOKEN, max: 1000000n * ONE_TOKEN }),
+          fc.integer({ min: 1, max: 5000 }),
+          fc.integer({ min: 1, max: 36 }),
+          (amount, interestRate, months) => {
+            // Эталон в числах с плавающей точкой: A = P * r / (1 - (1 + r)^-n)
+            const r = interestRate / 10000 / 12;
+            const reference = (Number(amount) * r) / (1 - Math.pow(1 + r, -months));
+            const payment = Number(annuityPayment(amount, interestRate, months));
+            expect(Math.abs(payment - reference) / reference).to.be.below(1e-9);
+
+            const schedule = buildSchedule({ amount, interestRate, loanDurationMonths: months, amortizing: true });
+            expect(Math.abs(Number(schedule.totalDebt) - reference * months) / Number(schedule.totalDebt)).to.be.below(
+              1e-9
+            );
+            expect(schedule.installments.reduce((sum, i) => sum + i.principal, 0n)).to.equal(amount);
+            expect(schedule.installments.at(-1).remainingDebt).to.equal(0n);
+          }
+        )
+      );
+    });
+
+    it("Should pay interest on the outstanding balance in an annuity", function () {
+      const schedule = buildSchedule({
+        amount: ethers.parseEther("12"),
+        interestRate: 1200,
+        loanDurationMonths: 12,
+        amortizing: true,
+      });
+
+      // 12% годовых = 1% в месяц на остаток
+      expect(schedule.installments[0].interest).to.equal(ethers.parseEther("0.12"));
+      for (let i = 1; i < schedule.installments.length; i++) {
+        expect(schedule.installments[i].interest).to.be.below(schedule.installments[i - 1].interest);
+        expect(schedule.installments[i].remainingPrincipal).to.equal(
+          schedule.installments[i - 1].remainingPrincipal - schedule.installments[i].principal
+        );
+      }
+      // Аннуитет дешевле равномерного графика, где проценты начисляются на всю сумму
+      const flat = calculateLoanTerms({ amount: ethers.parseEther("12"), interestRate: 1200, loanDurationMonths: 12 });
+      expect(schedule.interest).to.be.below(flat.interest);
+    });
+
+    it("Should not be due before 30 days and count only full late days", function () {
+      const loan = { monthlyPayment: 10000n, penaltyRatePerDay: 10n, lastPaymentTime: 0n };
+
+      expect(amountDueAt({ ...loan, timestamp: PAYMENT_PERIOD - 1n }).due).to.be.false;
+      expect(amountDueAt({ ...loan, timestamp: PAYMENT_PERIOD })).to.deep.equal({
+        due: true,
+        daysLate: 0n,
+        penalty: 0n,
+        amount: 10000n,
+      });
+      expect(amountDueAt({ ...loan, timestamp: PAYMENT_PERIOD + 3n * DAY - 1n }).daysLate).to.equal(2n);
+      expect(calculatePenalty({ monthlyPayment: 10000n, penaltyRatePerDay: 10n, daysLate: 10n })).to.equal(100n);
+    });
+
+    it("Should start the penalty after the grace period", function () {
+      const graceEnd = PAYMENT_PERIOD + 5n * DAY;
+      const loan = { monthlyPayment: 10000n, penaltyRatePerDay: 10n, lastPaymentTime: 0n, graceEnd };
+
+      // Платеж уже можно внести, но штраф не начисляется до окончания льготного периода
+      expect(amountDueAt({ ...loan, timestamp: PAYMENT_PERIOD + 4n * DAY })).to.include({ due: true, penalty: 0n });
+      expect(amountDueAt({ ...loan, timestamp: PAYMENT_PERIOD + 7n * DAY }).daysLate).to.equal(2n);
+      // Льготный период, закончившийся до срока платежа, ничего не меняет
+      expect(amountDueAt({ ...loan, graceEnd: 1n, timestamp: PAYMENT_PERIOD + 7n * DAY }).daysLate).to.equal(7n);
+    });
+
+    it("Should reject a zero duration", function () {
+      expect(() => calculateLoanTerms({ amount: 1n, interestRate: 0, loanDurationMonths: 0 })).to.throw(RangeError);
+    });
+  });
+
+  describe("Property-based comparison with the contract", function () {
+    this.timeout(120000);
+
+    // Займы до 100 токенов: владельцу остается 200 токенов на выдачу, у заемщика 800 на платежи и штрафы
+    async function scheduleFixture() {
+      const fixture = await deployLoanFixture();
+      const { loanContract, token, owner, borrower } = fixture;
+      await token.connect(owner).transfer(borrower.address, ethers.parseEther("800"));
+      await token.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+      return fixture;
+    }
+
+    const termsArbitrary = fc.record({
+      amount: fc.bigInt({ min: ONE_TOKEN, max: 100n * ONE_TOKEN }),
+      interestRate: fc.integer({ min: 0, max: 5000 }),
+      penaltyRatePerDay: fc.integer({ min: 0, max: 500 }),
+      loanDurationMonths: fc.integer({ min: 1, max: 36 }),
+      amortizing: fc.boolean(),
+    });
+
+    // Равномерный займ выдается по продукту 0 (глобальные параметры), аннуитетный — по продукту 1
+    async function openLoan({ amount, interestRate, penaltyRatePerDay, loanDurationMonths, amortizing }) {
+      const fixture = await loadFixture(scheduleFixture);
+      const { loanContract, borrower } = fixture;
+      let productId = 0;
+      if (amortizing) {
+        await loanContract.createProduct(
+          loanDurationMonths,
+          interestRate,
+          penaltyRatePerDay,
+          15000,
+          ethers.ZeroAddress,
+          true
+        );
+        productId = 1;
+      } else {
+        await loanContract.updateParameters(interestRate, penaltyRatePerDay, loanDurationMonths);
+      }
+      await loanContract
+        .connect(borrower)
+        .borrow(fixture.token.target, amount, productId, { value: (amount * 3n) / 2n });
+      return fixture;
+    }
+
+    it("Should match the schedule and repay the debt exactly", async function () {
+      await fc.assert(
+        fc.asyncProperty(termsArbitrary, async (params) => {
+          const { loanContract, borrower } = await openLoan(params);
+          const expected = buildSchedule(params);
+
+          let loan = await loanContract.getLoan(1);
+          expect(loan.totalDebt).to.equal(expected.totalDebt);
+          expect(loan.interest).to.equal(expected.interest);
+          expect(loan.monthlyPayment).to.equal(expected.monthlyPayment);
+
+          for (const installment of expected.installments) {
+            await time.increase(PAYMENT_PERIOD);
+            await expect(loanContract.connect(borrower).makeMonthlyPayment(1))
+              .to.emit(loanContract, "PaymentMade")
+              .withArgs(1, borrower.address, installment.amount, installment.number);
+            loan = await loanContract.getLoan(1);
+            expect(loan.totalDebt).to.equal(installment.remainingDebt);
+            expect(loan.principalOutstanding).to.equal(installment.remainingPrincipal);
+          }
+          expect(loan.active).to.be.false;
+          expect(loan.totalDebt).to.equal(0n);
+        }),
+        { numRuns: 10 }
+      );
+    });
+
+    it("Should recalculate the annuity after a prepayment", async function () {
+      const prepaymentArbitrary = fc.record({
+        paymentsBefore: fc.integer({ min: 0, max: 35 }),
+        share: fc.integer({ min: 1, max: 99 }),
+      });
+
+      await fc.assert(
+        fc.asyncProperty(termsArbitrary, prepaymentArbitrary, async (params, { paymentsBefore, share }) => {
+          const { loanContract, borrower } = await openLoan({ ...params, amortizing: true });
+          const made = Math.min(paymentsBefore, params.loanDurationMonths - 1);
+          for (let i = 0; i < made; i++) {
+            await time.increase(PAYMENT_PERIOD);
+            await loanContract.connect(borrower).makeMonthlyPayment(1);
+          }
+
+          const before = await loanContract.getLoan(1);
+          const amount = (before.principalOutstanding * BigInt(share)) / 100n;
+          await loanContract.connect(borrower).prepay(1, amount);
+
+          // Новый аннуитет на оставшуюся основную сумму и оставшиеся месяцы
+          const expected = calculateLoanTerms({
+            amount: before.principalOutstanding - amount,
+            interestRate: params.interestRate,
+            loanDurationMonths: params.loanDurationMonths - made,
+            amortizing: true,
+          });
+          const after = await loanContract.getLoan(1);
+          expect(after.monthlyPayment).to.equal(expected.monthlyPayment);
+          expect(after.principalOutstanding).to.equal(expected.principal);
+          expect(after.totalDebt).to.equal(
+            expected.totalDebt < before.totalDebt - amount ? expected.totalDebt : before.totalDebt - amount
+          );
+        }),
+        { numRuns: 10 }
+      );
+    });
+
+    it("Should match the amount charged for late payments", async function () {
+      const delaysArbitrary = fc.array(fc.bigInt({ min: PAYMENT_PERIOD, max: PAYMENT_PERIOD + 90n * DAY }), {
+        minLength: 1,
+        maxLength: 4,
+      });
+
+      await fc.assert(
+        fc.asyncProperty(termsArbitrary, delaysArbitrary, async (params, delays) => {
+          const { loanContract, borrower } = await openLoan(params);
+
+          for (const delay of delays.slice(0, params.loanDurationMonths)) {
+            const before = await loanContract.getLoanDetails(1);
+            await time.increase(delay);
+
+            const tx = await loanContract.connect(borrower).makeMonthlyPayment(1);
+            const receipt = await tx.wait();
+            const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+            const expected = amountDueForLoan(before, params.penaltyRatePerDay, timestamp);
+
+            await expect(tx)
+              .to.emit(loanContract, "PaymentMade")
+              .withArgs(1, borrower.address, expected.amount, before.paymentsMade + 1n);
+          }
+        }),
+        { numRuns: 25 }
+      );
+    });
+
+    it("Should agree with the contract on whether a payment is due", async function () {
+      await fc.assert(
+        fc.asyncProperty(termsArbitrary, fc.bigInt({ min: 1n, max: 2n * PAYMENT_PERIOD }), async (params, wait) => {
+          const { loanContract, borrower } = await openLoan(params);
+          const loan = await loanContract.getLoanDetails(1);
+          await time.increase(wait);
+
+          // Следующая транзакция попадет в блок с timestamp на 1 больше
+          const timestamp = BigInt(await time.latest()) + 1n;
+          const { due } = amountDueForLoan(loan, params.penaltyRatePerDay, timestamp);
+          const payment = loanContract.connect(borrower).makeMonthlyPayment(1);
+          if (due) {
+            await expect(payment).to.not.be.reverted;
+          } else {
+            await expect(payment).to.be.revertedWith("Payment not due yet");
+          }
+        }),
+        { numRuns: 25 }
+      );
+    });
+  });
+});
@@ -0,0 +1,596 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, setBalance, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  INTEREST_RATE,
+  PENALTY_RATE,
+  LOAN_DURATION_MONTHS,
+  MIN_LOAN_AMOUNT,
+  LOAN_AMOUNT,
+  COLLATERAL_AMOUNT,
+  clientFixture,
+  borrowedFixture,
+} = require("./helpers/fixtures");
+
+const { LoanBookDatabase } = require("../indexer");
+const {
+  ContractPausedError,
+  InsufficientCollateralError,
+  NoActiveLoanError,
+  OperationNotReadyError,
+  UnauthorizedError,
+} = require("../sdk/errors");
+
+const { ethers } = hre;
+
+describe("Hardhat loan:* tasks", function () {
+  const MONTH = 30 * 24 * 60 * 60;
+
+  let consoleLog, consoleTable;
+
+  // Задачи печатают результат; в тестах проверяем возвращаемое значение и подавляем вывод
+  beforeEach(function () {
+    consoleLog = console.log;
+    consoleTable = console.table;
+    console.log = () => {};
+    console.table = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    console.table = consoleTable;
+  });
+
+  describe("loan:allow-token", function () {
+    it("Should disallow and allow a token", async function () {
+      const { loanContract, token } = await loadFixture(clientFixture);
+
+      await hre.run("loan:allow-token", { contract: loanContract.target, token: token.target, disallow: true });
+      expect(await loanContract.allowedTokens(token.target)).to.be.false;
+
+      const result = await hre.run("loan:allow-token", { contract: loanContract.target, token: token.target });
+      expect(result.allowed).to.be.true;
+      expect(await loanContract.allowedTokens(token.target)).to.be.true;
+    });
+  });
+
+  describe("loan:borrow", function () {
+    it("Should borrow with human-readable amounts", async function () {
+      const { loanContract, token, borrower } = await loadFixture(clientFixture);
+
+      const result = await hre.run("loan:borrow", {
+        contract: loanContract.target,
+        from: borrower.address,
+        token: token.target,
+        amount: "1",
+        collateral: "1.5",
+      });
+      expect(result).to.include({ loanId: 1n, amount: LOAN_AMOUNT, collateral: COLLATERAL_AMOUNT });
+      const loan = await loanContract.getLoanDetails(1);
+      expect(loan.borrower).to.equal(borrower.address);
+      expect(loan.principal).to.equal(ethers.parseEther("1"));
+      expect(loan.collateral).to.equal(ethers.parseEther("1.5"));
+      expect(loan.active).to.be.true;
+      expect(await token.balanceOf(borrower.address)).to.equal(ethers.parseEther("11"));
+    });
+
+    it("Should surface contract reverts as typed errors", async function () {
+      const { loanContract, token, borrower } = await loadFixture(clientFixture);
+
+      await expect(
+        hre.run("loan:borrow", {
+          contract: loanContract.target,
+          from: borrower.address,
+          token: token.target,
+          amount: "1",
+          collateral: "1",
+        })
+      ).to.be.rejectedWith(InsufficientCollateralError);
+    });
+  });
+
+  describe("loan:pay", function () {
+    it("Should approve tokens and make a late payment with penalty", async function () {
+      const { loanContract, token, owner, borrower } = await loadFixture(borrowedFixture);
+      await time.increase(MONTH + 10 * 24 * 60 * 60);
+
+      const { monthlyPayment } = await loanContract.getLoanDetails(1);
+      const penalty = (monthlyPayment * BigInt(PENALTY_RATE) * 10n) / 10000n;
+      const ownerBalanceBefore = await token.balanceOf(owner.address);
+
+      const result = await hre.run("loan:pay", { contract: loanContract.target, from: borrower.address, loanId: 1n });
+
+      expect(result.paymentsMade).to.equal(1);
+      expect(await token.balanceOf(owner.address)).to.equal(ownerBalanceBefore + monthlyPayment + penalty);
+    });
+
+    it("Should pay with a signed permit instead of an approval", async function () {
+      const { loanContract, token, borrower } = await loadFixture(borrowedFixture);
+      await time.increase(MONTH);
+      const nonce = await ethers.provider.getTransactionCount(borrower.address);
+
+      const result = await hre.run("loan:pay", {
+        contract: loanContract.target,
+        from: borrower.address,
+        loanId: 1n,
+        permit: true,
+      });
+
+      expect(result.paymentsMade).to.equal(1);
+      expect(await ethers.provider.getTransactionCount(borrower.address)).to.equal(nonce + 1);
+      expect(await token.nonces(borrower.address)).to.equal(1);
+    });
+
+    it("Should fail without an active loan", async function () {
+      const { loanContract, borrower } = await loadFixture(borrowedFixture);
+
+      await expect(
+        hre.run("loan:pay", { contract: loanContract.target, from: borrower.address, loanId: 2n })
+      ).to.be.rejectedWith(NoActiveLoanError);
+    });
+  });
+
+  describe("loan:add-collateral and loan:withdraw-collateral", function () {
+    it("Should top up and withdraw collateral in ether", async function () {
+      const { loanContract, borrower } = await loadFixture(borrowedFixture);
+
+      const added = await hre.run("loan:add-collateral", {
+        contract: loanContract.target,
+        from: borrower.address,
+        loanId: 1n,
+        amount: "0.5",
+      });
+      expect(added.collateral).to.equal(ethers.parseEther("2"));
+
+      const withdrawn = await hre.run("loan:withdraw-collateral", {
+        contract: loanContract.target,
+        from: borrower.address,
+        loanId: 1n,
+        amount: "0.25",
+      });
+      expect(withdrawn.collateral).to.equal(ethers.parseEther("1.75"));
+    });
+  });
+
+  describe("loan:prepay and loan:repay", function () {
+    it("Should prepay principal and then repay the rest", async function () {
+      const { loanContract, token, borrower } = await loadFixture(borrowedFixture);
+
+      const prepaid = await hre.run("loan:prepay", {
+        contract: loanContract.target,
+        from: borrower.address,
+        loanId: 1n,
+        amount: "0.5",
+      });
+      expect(prepaid.paid).to.equal(ethers.parseEther("0.5"));
+      expect(prepaid.totalDebt).to.equal(ethers.parseEther("0.525"));
+
+      const balanceBefore = await token.balanceOf(borrower.address);
+      const repaid = await hre.run("loan:repay", { contract: loanContract.target, from: borrower.address, loanId: 1n });
+      expect(repaid.paid).to.equal(ethers.parseEther("0.5"));
+      expect(repaid.interestWaived).to.equal(ethers.parseEther("0.025"));
+      expect(await token.balanceOf(borrower.address)).to.equal(balanceBefore - ethers.parseEther("0.5"));
+      expect((await loanContract.getLoanDetails(1)).active).to.be.false;
+    });
+  });
+
+  describe("loan:details", function () {
+    it("Should return raw values as JSON", async function () {
+      const { loanContract, token, borrower } = await loadFixture(borrowedFixture);
+
+      const result = await hre.run("loan:details", { contract: loanContract.target, loanId: 1n, json: true });
+      expect(result.borrower).to.equal(borrower.address);
+      expect(result.token).to.equal(token.target);
+      expect(result.principal).to.equal(ethers.parseEther("1"));
+      expect(result.paymentsRequired).to.equal(LOAN_DURATION_MONTHS);
+    });
+
+    it("Should format values for the table output", async function () {
+      const { loanContract } = await loadFixture(borrowedFixture);
+
+      const result = await hre.run("loan:details", { contract: loanContract.target, loanId: 1n });
+      expect(result.loanId).to.equal("1");
+      expect(result.principal).to.equal("1.0");
+      expect(result.collateral).to.equal("1.5 ETH");
+      expect(result.payments).to.equal(`0/${LOAN_DURATION_MONTHS}`);
+    });
+  });
+
+  describe("loan:list", function () {
+    it("Should list all loans of a borrower", async function () {
+      const { loanContract, token, borrower } = await loadFixture(borrowedFixture);
+      const second = await hre.run("loan:borrow", {
+        contract: loanContract.target,
+        from: borrower.address,
+        token: token.target,
+        amount: "2",
+        collateral: "3",
+      });
+      expect(second.loanId).to.equal(2n);
+
+      const result = await hre.run("loan:list", { contract: loanContract.target, borrower: borrower.address });
+      expect(result.map((loan) => loan.loanId)).to.deep.equal(["1", "2"]);
+      expect(result[1].principal).to.equal("2.0");
+    });
+  });
+
+  describe("loan:liquidate", function () {
+    it("Should liquidate an overdue loan and report the refund", async function () {
+      const { loanContract, priceFeed, borrower } = await loadFixture(borrowedFixture);
+      await time.increase(61 * 24 * 60 * 60);
+      await priceFeed.updateAnswer(ethers.parseEther("1"));
+
+      const result = await hre.run("loan:liquidate", { contract: loanContract.target, loanId: 1n });
+      expect(result.borrower).to.equal(borrower.address);
+      expect(result.collateralRefunded).to.be.above(0n);
+      expect(result.collateralSeized + result.collateralRefunded).to.equal(ethers.parseEther("1.5"));
+      expect((await loanContract.getLoanDetails(1)).active).to.be.false;
+
+      const claimed = await hre.run("loan:claim-refund", { contract: loanContract.target, from: borrower.address });
+      expect(claimed.borrower).to.equal(borrower.address);
+      expect(claimed.amount).to.equal(result.collateralRefunded);
+      expect(await loanContract.refunds(borrower.address, ethers.ZeroAddress)).to.equal(0n);
+    });
+  });
+
+  describe("loan:grace, loan:defer and loan:restructure", function () {
+    it("Should adjust a delinquent loan as owner", async function () {
+      const { loanContract, borrower } = await loadFixture(borrowedFixture);
+      const { nextPaymentDue } = await loanContract.getLoanDetails(1);
+      const day = 24n * 60n * 60n;
+
+      const grace = await hre.run("loan:grace", { contract: loanContract.target, loanId: 1n, days: 10n });
+      expect(grace.graceEnd).to.equal(new Date(Number(nextPaymentDue + 10n * day) * 1000).toISOString());
+      const details = await hre.run("loan:details", { contract: loanContract.target, loanId: 1n });
+      expect(details.graceEnd).to.equal(grace.graceEnd);
+
+      const deferred = await hre.run("loan:defer", { contract: loanContract.target, loanId: 1n, count: 2n });
+      expect(deferred.nextPaymentDue).to.equal(new Date(Number(nextPaymentDue + 60n * day) * 1000).toISOString());
+
+      const restructured = await hre.run("loan:restructure", {
+        contract: loanContract.target,
+        loanId: 1n,
+        extraPayments: 12n,
+      });
+      expect(restructured.paymentsRequired).to.equal(24n);
+      expect(restructured.monthlyPayment).to.equal(ethers.parseEther("1.05") / 24n);
+
+      await expect(
+        hre.run("loan:grace", { contract: loanContract.target, from: borrower.address, loanId: 1n, days: 1n })
+      ).to.be.rejectedWith(UnauthorizedError);
+    });
+  });
+
+  describe("loan:liquidate-undercollateralized", function () {
+    it("Should approve the debt and liquidate as a third party", async function () {
+      const { loanContract, token, priceFeed, owner, addr1 } = await loadFixture(borrowedFixture);
+      await token.connect(owner).transfer(addr1.address, ethers.parseEther("5"));
+      await priceFeed.updateAnswer(ethers.parseEther("1.3"));
+
+      const result = await hre.run("loan:liquidate-undercollateralized", {
+        contract: loanContract.target,
+        from: addr1.address,
+        loanId: 1n,
+      });
+      expect(result.liquidator).to.equal(addr1.address);
+      expect(result.debtRepaid).to.equal(ethers.parseEther("1.05"));
+      expect(result.collateralSeized + result.collateralReturned).to.equal(ethers.parseEther("1.5"));
+    });
+  });
+
+  describe("loan:update-params", function () {
+    it("Should convert percentages to basis points", async function () {
+      const { loanContract } = await loadFixture(clientFixture);
+
+      await hre.run("loan:update-params", {
+        contract: loanContract.target,
+        interest: "7.5",
+        penalty: "0.2",
+        duration: 24,
+      });
+      expect(await loanContract.interestRate()).to.equal(750);
+      expect(await loanContract.penaltyRatePerDay()).to.equal(20);
+      expect(await loanContract.loanDurationMonths()).to.equal(24);
+    });
+
+    it("Should reject callers without the governor role", async function () {
+      const { loanContract, addr1 } = await loadFixture(clientFixture);
+
+      await expect(
+        hre.run("loan:update-params", {
+          contract: loanContract.target,
+          from: addr1.address,
+          interest: "5",
+          penalty: "0.1",
+          duration: 12,
+        })
+      ).to.be.rejectedWith(UnauthorizedError);
+    });
+  });
+
+  describe("governor calls through the timelock", function () {
+    const DELAY = 24 * 60 * 60;
+
+    async function timelockFixture() {
+      const fixture = await clientFixture();
+      const { loanContract, owner } = fixture;
+      const LoanTimelock = await ethers.getContractFactory("LoanTimelock");
+      const timelock = await LoanTimelock.deploy(DELAY, [owner.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+      const GOVERNOR_ROLE = await loanContract.GOVERNOR_ROLE();
+      await loanContract.connect(owner).grantRole(GOVERNOR_ROLE, timelock.target);
+      await loanContract.connect(owner).renounceRole(GOVERNOR_ROLE, owner.address);
+      return { ...fixture, timelock };
+    }
+
+    it("Should schedule a parameter update and execute it after the delay", async function () {
+      const { loanContract, timelock } = await loadFixture(timelockFixture);
+      const args = {
+        contract: loanContract.target,
+        timelock: timelock.target,
+        interest: "7",
+        penalty: "0.2",
+        duration: 6,
+      };
+
+      const scheduled = await hre.run("loan:update-params", args);
+      expect(scheduled.status).to.equal("scheduled");
+      expect(await timelock.isOperationPending(scheduled.operationId)).to.be.true;
+      expect(await loanContract.interestRate()).to.equal(INTEREST_RATE);
+
+      await expect(hre.run("loan:update-params", { ...args, execute: true })).to.be.rejectedWith(
+        OperationNotReadyError
+      );
+      await time.increase(DELAY);
+      const executed = await hre.run("loan:update-params", { ...args, execute: true });
+      expect(executed).to.include({ status: "executed", operationId: scheduled.operationId });
+      expect(await loanContract.interestRate()).to.equal(700);
+      expect(await loanContract.loanDurationMonths()).to.equal(6);
+    });
+
+    it("Should create a product through the timelock and repeat a call with a salt", async function () {
+      const { loanContract, token, timelock } = await loadFixture(timelockFixture);
+      const product = {
+        contract: loanContract.target,
+        timelock: timelock.target,
+        duration: 6,
+        interest: "8",
+        penalty: "0.5",
+      };
+
+      await hre.run("loan:create-product", product);
+      await time.increase(DELAY);
+      const created = await hre.run("loan:create-product", { ...product, execute: true });
+      expect(created).to.include({ productId: "1", interestRate: "8.0%", status: "executed" });
+
+      const allow = { contract: loanContract.target, timelock: timelock.target, token: token.target };
+      await hre.run("loan:allow-token", allow);
+      await hre.run("loan:allow-token", { ...allow, disallow: true });
+      await time.increase(DELAY);
+      await hre.run("loan:allow-token", { ...allow, execute: true });
+      await hre.run("loan:allow-token", { ...allow, disallow: true, execute: true });
+      expect(await loanContract.allowedTokens(token.target)).to.be.false;
+
+      // Та же операция уже исполнена: повтор ставится в очередь с другим salt
+      await expect(hre.run("loan:allow-token", allow)).to.be.rejectedWith(OperationNotReadyError);
+      const repeated = await hre.run("loan:allow-token", { ...allow, salt: "again" });
+      expect(repeated.status).to.equal("scheduled");
+    });
+  });
+
+  describe("loan:pause and loan:upgrade", function () {
+    it("Should pause and resume new loans", async function () {
+      const { loanContract, token, borrower } = await loadFixture(clientFixture);
+      const borrow = {
+        contract: loanContract.target,
+        from: borrower.address,
+        token: token.target,
+        amount: "1",
+        collateral: "1.5",
+      };
+
+      expect((await hre.run("loan:pause", { contract: loanContract.target })).paused).to.be.true;
+      await expect(hre.run("loan:borrow", borrow)).to.be.rejectedWith(ContractPausedError);
+
+      expect((await hre.run("loan:pause", { contract: loanContract.target, unpause: true })).paused).to.be.false;
+      expect((await hre.run("loan:borrow", borrow)).loanId).to.equal(1n);
+    });
+
+    it("Should upgrade the implementation behind the proxy", async function () {
+      const { loanContract } = await loadFixture(clientFixture);
+      const CollateralizedLoanV2 = await ethers.getContractFactory("MockCollateralizedLoanV2");
+      const implementation = await CollateralizedLoanV2.deploy();
+
+      await hre.run("loan:upgrade", { contract: loanContract.target, implementation: implementation.target });
+      expect(await CollateralizedLoanV2.attach(loanContract.target).version()).to.equal("2");
+      expect(await loanContract.minLoanAmount()).to.equal(MIN_LOAN_AMOUNT);
+    });
+  });
+
+  describe("loan:create-product and loan:products", function () {
+    it("Should create a product, list it and borrow by product", async function () {
+      const { loanContract, token, borrower } = await loadFixture(clientFixture);
+
+      const created = await hre.run("loan:create-product", {
+        contract: loanContract.target,
+        duration: 6,
+        interest: "8",
+        penalty: "0.5",
+        minCollateralRatio: "200",
+      });
+      expect(created.productId).to.equal("1");
+      expect(created.interestRate).to.equal("8.0%");
+      expect(created.minCollateralRatio).to.equal("200.0%");
+      expect(created.token).to.equal("any");
+      expect(created.schedule).to.equal("flat");
+
+      const products = await hre.run("loan:products", { contract: loanContract.target, json: true });
+      expect(products).to.have.length(2);
+      expect(products[0].durationMonths).to.equal(LOAN_DURATION_MONTHS);
+      expect(products[1].penaltyRatePerDay).to.equal(50n);
+
+      await hre.run("loan:borrow", {
+        contract: loanContract.target,
+        from: borrower.address,
+        token: token.target,
+        amount: "1",
+        collateral: "2",
+        product: 1n,
+      });
+      const details = await hre.run("loan:details", { contract: loanContract.target, loanId: 1n });
+      expect(details.product).to.equal("1");
+      expect(details.payments).to.equal("0/6");
+      expect(details.interestRate).to.equal("8.0%");
+
+      await hre.run("loan:set-product-active", { contract: loanContract.target, product: 1n, disable: true });
+      expect((await loanContract.getProduct(1)).active).to.be.false;
+    });
+  });
+
+  describe("loan:set-price-feed", function () {
+    it("Should set the price feed for a token", async function () {
+      const { loanContract, token } = await loadFixture(clientFixture);
+      const MockAggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const feed = await MockAggregator.deploy(8, 200000000n);
+
+      await hre.run("loan:set-price-feed", { contract: loanContract.target, token: token.target, feed: feed.target });
+      expect(await loanContract.priceFeeds(token.target)).to.equal(feed.target);
+    });
+  });
+
+  describe("loan:set-collateral-token and token collateral", function () {
+    it("Should borrow against a collateral token in its own units", async function () {
+      const { loanContract, token, owner, borrower } = await loadFixture(clientFixture);
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const collateralToken = await MockToken.deploy("USD Coin", "USDC", 10000n * 10n ** 6n);
+      await collateralToken.setDecimals(6);
+      await collateralToken.connect(owner).transfer(borrower.address, 5000n * 10n ** 6n);
+      const MockAggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const feed = await MockAggregator.deploy(18, ethers.parseEther("0.0005")); // 1 USDC = 0.0005 ETH
+      const contract = loanContract.target;
+
+      await hre.run("loan:set-price-feed", { contract, token: collateralToken.target, feed: feed.target });
+      const allowed = await hre.run("loan:set-collateral-token", {
+        contract,
+        token: collateralToken.target,
+        ratio: "200",
+      });
+      expect(allowed.collateralRatio).to.equal(20000n);
+
+      // Обеспечение токена (200%) строже продукта 0 (150%): 1 ETH займа требует 4000 USDC
+      const borrowed = await hre.run("loan:borrow", {
+        contract,
+        from: borrower.address,
+        token: token.target,
+        amount: "1",
+        collateral: "4000",
+        collateralToken: collateralToken.target,
+      });
+      expect(borrowed.collateral).to.equal(4000n * 10n ** 6n);
+      expect(borrowed.collateralToken).to.equal(collateralToken.target);
+
+      const added = await hre.run("loan:add-collateral", {
+        contract,
+        from: borrower.address,
+        loanId: borrowed.loanId,
+        amount: "500",
+      });
+      expect(added.collateral).to.equal(4500n * 10n ** 6n);
+      const details = await hre.run("loan:details", { contract, loanId: borrowed.loanId });
+      expect(details.collateral).to.equal("4500.0 USDC");
+
+      await collateralToken.connect(owner).transfer(contract, 10n ** 6n);
+      const recovered = await hre.run("loan:emergency-withdraw", { contract, token: collateralToken.target });
+      expect(recovered.amount).to.equal(10n ** 6n);
+      expect(await collateralToken.balanceOf(contract)).to.equal(4500n * 10n ** 6n);
+    });
+  });
+
+  describe("loan:set-pool and pool:*", function () {
+    it("Should connect a pool, deposit and withdraw", async function () {
+      const { loanContract, token, owner, borrower, addr1 } = await loadFixture(clientFixture);
+      const LoanPool = await ethers.getContractFactory("LoanPool");
+      const pool = await LoanPool.deploy(token.target, "Test Token Pool", "pTST", loanContract.target);
+      await token.connect(owner).transfer(addr1.address, ethers.parseEther("10"));
+
+      await hre.run("loan:set-pool", { contract: loanContract.target, token: token.target, pool: pool.target });
+      expect(await loanContract.pools(token.target)).to.equal(pool.target);
+
+      const deposited = await hre.run("pool:deposit", { pool: pool.target, from: addr1.address, amount: "4" });
+      expect(deposited.shares).to.equal(ethers.parseUnits("4", 24));
+
+      await hre.run("loan:borrow", {
+        contract: loanContract.target,
+        from: borrower.address,
+        token: token.target,
+        amount: "1",
+        collateral: "1.5",
+      });
+      const info = await hre.run("pool:info", { pool: pool.target, account: addr1.address, json: true });
+      expect(info.totalBorrowed).to.equal(ethers.parseEther("1"));
+      expect(info.maxWithdraw).to.equal(ethers.parseEther("3"));
+
+      const withdrawn = await hre.run("pool:withdraw", { pool: pool.target, from: addr1.address, amount: "3" });
+      expect(withdrawn.shares).to.equal(ethers.parseUnits("1", 24));
+    });
+  });
+
+  describe("indexer:run", function () {
+    it("Should index the loan book once into a database file", async function () {
+      const { loanContract, borrower } = await loadFixture(borrowedFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "loanbook-"));
+      const db = path.join(dir, "loanbook.sqlite");
+
+      const result = await hre.run("indexer:run", { contract: loanContract.target, db, once: true });
+      expect(result.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(result.loans).to.equal(1);
+
+      const saved = await LoanBookDatabase.open(db);
+      expect(saved.getLoan(1).borrower).to.equal(borrower.address);
+      saved.close();
+      fs.rmSync(dir, { recursive: true });
+    });
+  });
+
+  describe("keeper:run", function () {
+    it("Should simulate and then submit the liquidation of an overdue loan", async function () {
+      const { loanContract, priceFeed } = await loadFixture(borrowedFixture);
+      await time.increase(61 * 24 * 60 * 60);
+      await priceFeed.updateAnswer(ethers.parseEther("1"));
+
+      const simulated = await hre.run("keeper:run", { contract: loanContract.target, once: true, dryRun: true });
+      expect(simulated.liquidations[0].status).to.equal("simulated");
+      expect((await loanContract.getLoanDetails(1)).active).to.equal(true);
+
+      const report = await hre.run("keeper:run", { contract: loanContract.target, once: true });
+      expect(report.liquidations[0].status).to.equal("liquidated");
+      expect((await loanContract.getLoanDetails(1)).active).to.equal(false);
+    });
+  });
+
+  describe("loan:set-forwarder", function () {
+    it("Should set and clear the trusted forwarder", async function () {
+      const { loanContract } = await loadFixture(clientFixture);
+      const LoanForwarder = await ethers.getContractFactory("LoanForwarder");
+      const forwarder = await LoanForwarder.deploy();
+
+      await hre.run("loan:set-forwarder", { contract: loanContract.target, forwarder: forwarder.target });
+      expect(await loanContract.isTrustedForwarder(forwarder.target)).to.equal(true);
+      await hre.run("loan:set-forwarder", { contract: loanContract.target, forwarder: ethers.ZeroAddress });
+      expect(await loanContract.trustedForwarder()).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("loan:emergency-withdraw", function () {
+    it("Should withdraw ETH above the collateral", async function () {
+      const { loanContract } = await loadFixture(borrowedFixture);
+      await setBalance(loanContract.target, ethers.parseEther("2"));
+
+      const result = await hre.run("loan:emergency-withdraw", { contract: loanContract.target });
+      expect(result.amount).to.equal(ethers.parseEther("0.5"));
+      expect(await ethers.provider.getBalance(loanContract.target)).to.equal(ethers.parseEther("1.5"));
+    });
+  });
+});
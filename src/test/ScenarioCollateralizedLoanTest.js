@@ -1,72 +1,62 @@
 const { expect } = require("chai");
+const fc = require("fast-check");
 const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+  PENALTY_RATE,
+  LOAN_DURATION_MONTHS,
+  TOKEN_PRICE,
+  multiUserFixture,
+  scenarioFixture,
+  advanceDays,
+} = require("./helpers/fixtures");
+const { runScenario } = require("./helpers/scenario");
 
 describe("CollateralizedLoan - Multi-User Scenarios", function () {
-  let CollateralizedLoan, loanContract, MockToken, token;
+  let loanContract, MockToken, token, MockAggregator, priceFeed;
   let owner, user1, user2, user3, liquidator;
-  const INTEREST_RATE = 500; // 5%
-  const PENALTY_RATE = 10; // 0.1% в день
-  const LOAN_DURATION_MONTHS = 12;
-  const MIN_LOAN_AMOUNT = ethers.parseEther("1"); // 1 токен
   const LOAN_AMOUNT = ethers.parseEther("2"); // 2 токена
   const COLLATERAL_AMOUNT = ethers.parseEther("3"); // 3 ETH (150% от 2 токенов)
+  // Ликвидация после одного платежа и 61 дня просрочки: долг 1.925 + штраф 0.005425 + комиссия 0.09625
+  const LIQUIDATION_SEIZED = ethers.parseEther("2.026675");
 
   beforeEach(async function () {
-    [owner, user1, user2, user3, liquidator] = await ethers.getSigners();
-
-    // Деплой mock ERC-20 токена
-    MockToken = await ethers.getContractFactory("MockERC20");
-    token = await MockToken.deploy("Test Token", "TST", ethers.parseEther("1000"));
-    await token.waitForDeployment();
-
-    // Деплой контракта займа
-    CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
-    loanContract = await CollateralizedLoan.deploy(
-      INTEREST_RATE,
-      PENALTY_RATE,
-      LOAN_DURATION_MONTHS,
-      MIN_LOAN_AMOUNT
-    );
-    await loanContract.waitForDeployment();
-
-    // Настройка: одобрение токенов и разрешение токена
-    await token.connect(owner).approve(loanContract.target, ethers.parseEther("1000"));
-    await loanContract.connect(owner).setTokenAllowed(token.target, true);
-
-    // Передаем токены пользователям для платежей
-    await token.connect(owner).transfer(user1.address, ethers.parseEther("50"));
-    await token.connect(owner).transfer(user2.address, ethers.parseEther("50"));
-    await token.connect(owner).transfer(user3.address, ethers.parseEther("50"));
+    ({ loanContract, MockToken, token, MockAggregator, priceFeed, owner, user1, user2, user3, liquidator } =
+      await loadFixture(multiUserFixture));
   });
 
   describe("Multiple Users Borrowing", function () {
     it("Should allow multiple users to borrow successfully", async function () {
       // User1 берет займ
       await expect(
-        loanContract.connect(user1).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT })
+        loanContract.connect(user1).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
       )
         .to.emit(loanContract, "LoanIssued")
-        .withArgs(user1.address, token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
+        .withArgs(1, user1.address, token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
 
       // User2 берет займ
       await expect(
-        loanContract.connect(user2).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT })
+        loanContract.connect(user2).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
       )
         .to.emit(loanContract, "LoanIssued")
-        .withArgs(user2.address, token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
+        .withArgs(2, user2.address, token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
 
       // User3 берет займ
       await expect(
-        loanContract.connect(user3).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT })
+        loanContract.connect(user3).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
       )
         .to.emit(loanContract, "LoanIssued")
-        .withArgs(user3.address, token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
+        .withArgs(3, user3.address, token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
 
       // Проверка деталей займов
-      const loan1 = await loanContract.getLoanDetails(user1.address);
-      const loan2 = await loanContract.getLoanDetails(user2.address);
-      const loan3 = await loanContract.getLoanDetails(user3.address);
+      const loan1 = await loanContract.getLoanDetails(1);
+      const loan2 = await loanContract.getLoanDetails(2);
+      const loan3 = await loanContract.getLoanDetails(3);
 
+      expect(loan1.borrower).to.equal(user1.address);
+      expect(loan2.borrower).to.equal(user2.address);
+      expect(loan3.borrower).to.equal(user3.address);
       expect(loan1.principal).to.equal(LOAN_AMOUNT);
       expect(loan2.principal).to.equal(LOAN_AMOUNT);
       expect(loan3.principal).to.equal(LOAN_AMOUNT);
@@ -78,22 +68,21 @@ describe("CollateralizedLoan - Multi-User Scenarios", function () {
 
   describe("Timely Payments Scenario", function () {
     it("User1 repays loan on time", async function () {
-      await loanContract.connect(user1).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(user1).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
       await token.connect(user1).approve(loanContract.target, ethers.parseEther("50"));
 
       const initialBalance = await ethers.provider.getBalance(user1.address);
-      const monthlyPayment = (await loanContract.getLoanDetails(user1.address)).monthlyPayment;
+      const monthlyPayment = (await loanContract.getLoanDetails(1)).monthlyPayment;
 
       // Выполняем 12 платежей вовремя
       for (let i = 0; i < LOAN_DURATION_MONTHS; i++) {
-        await ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]); // 30 дней
-        await ethers.provider.send("evm_mine");
-        await expect(loanContract.connect(user1).makeMonthlyPayment())
+        await advanceDays(30);
+        await expect(loanContract.connect(user1).makeMonthlyPayment(1))
           .to.emit(loanContract, "PaymentMade")
-          .withArgs(user1.address, monthlyPayment, i + 1);
+          .withArgs(1, user1.address, monthlyPayment, i + 1);
       }
 
-      const loan = await loanContract.getLoanDetails(user1.address);
+      const loan = await loanContract.getLoanDetails(1);
       expect(loan.active).to.be.false;
       expect(loan.paymentsMade).to.equal(LOAN_DURATION_MONTHS);
 
@@ -104,23 +93,22 @@ describe("CollateralizedLoan - Multi-User Scenarios", function () {
 
   describe("Late Payments with Penalty", function () {
     it("User2 pays late and incurs penalty", async function () {
-      await loanContract.connect(user2).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(user2).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
       await token.connect(user2).approve(loanContract.target, ethers.parseEther("50"));
 
       // Первый платеж с опозданием на 10 дней
-      await ethers.provider.send("evm_increaseTime", [40 * 24 * 60 * 60]); // 40 дней
-      await ethers.provider.send("evm_mine");
+      await advanceDays(40);
 
-      const loanBefore = await loanContract.getLoanDetails(user2.address);
+      const loanBefore = await loanContract.getLoanDetails(1);
       const basePayment = loanBefore.monthlyPayment;
       const penalty = (basePayment * BigInt(PENALTY_RATE) * BigInt(10)) / BigInt(10000); // 10 дней просрочки
       const expectedPayment = basePayment + penalty;
 
-      await expect(loanContract.connect(user2).makeMonthlyPayment())
+      await expect(loanContract.connect(user2).makeMonthlyPayment(1))
         .to.emit(loanContract, "PaymentMade")
-        .withArgs(user2.address, expectedPayment, 1);
+        .withArgs(1, user2.address, expectedPayment, 1);
 
-      const loanAfter = await loanContract.getLoanDetails(user2.address);
+      const loanAfter = await loanContract.getLoanDetails(1);
       expect(loanAfter.paymentsMade).to.equal(1);
       expect(loanAfter.totalDebt).to.equal(loanBefore.totalDebt - basePayment);
     });
@@ -128,73 +116,68 @@ describe("CollateralizedLoan - Multi-User Scenarios", function () {
 
   describe("Liquidation Scenario", function () {
     it("User3 misses payments and gets liquidated", async function () {
-      await loanContract.connect(user3).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(user3).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
       await token.connect(user3).approve(loanContract.target, ethers.parseEther("50"));
 
       // Первый платеж вовремя
-      await ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]);
-      await ethers.provider.send("evm_mine");
-      await loanContract.connect(user3).makeMonthlyPayment();
+      await advanceDays(30);
+      await loanContract.connect(user3).makeMonthlyPayment(1);
 
       // Пропускаем платежи на 61 день
-      await ethers.provider.send("evm_increaseTime", [61 * 24 * 60 * 60]);
-      await ethers.provider.send("evm_mine");
+      await advanceDays(61);
+      await priceFeed.updateAnswer(TOKEN_PRICE);
 
-      const ownerBalanceBefore = await ethers.provider.getBalance(owner.address);
-      await expect(loanContract.connect(owner).liquidate(user3.address))
+      // Владелец забирает остаток долга, штраф за 31 день просрочки и комиссию 5%, остальное — заемщику
+      const tx = await loanContract.connect(owner).liquidate(1);
+      await expect(tx)
         .to.emit(loanContract, "CollateralLiquidated")
-        .withArgs(user3.address, COLLATERAL_AMOUNT);
-
-      const ownerBalanceAfter = await ethers.provider.getBalance(owner.address);
-      const loan = await loanContract.getLoanDetails(user3.address);
+        .withArgs(1, user3.address, LIQUIDATION_SEIZED, COLLATERAL_AMOUNT - LIQUIDATION_SEIZED);
+      await expect(tx).to.changeEtherBalances([owner, user3], [LIQUIDATION_SEIZED, 0]);
+      await expect(loanContract.connect(user3).claimRefund(ethers.ZeroAddress)).to.changeEtherBalance(
+        user3,
+        COLLATERAL_AMOUNT - LIQUIDATION_SEIZED
+      );
 
+      const loan = await loanContract.getLoanDetails(1);
       expect(loan.active).to.be.false;
-      expect(ownerBalanceAfter).to.be.above(ownerBalanceBefore);
-      expect(ownerBalanceAfter).to.be.closeTo(
-        ownerBalanceBefore + COLLATERAL_AMOUNT,
-        ethers.parseEther("0.1") // Учитываем газ
-      );
     });
   });
 
   describe("Mixed Scenarios", function () {
     it("Multiple users with different behaviors", async function () {
       // User1: Своевременные платежи
-      await loanContract.connect(user1).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(user1).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
       await token.connect(user1).approve(loanContract.target, ethers.parseEther("50"));
 
       // User2: Частичные платежи с просрочкой
-      await loanContract.connect(user2).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(user2).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
       await token.connect(user2).approve(loanContract.target, ethers.parseEther("50"));
 
       // User3: Пропуск платежей и ликвидация
-      await loanContract.connect(user3).borrow(token.target, LOAN_AMOUNT, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(user3).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
       await token.connect(user3).approve(loanContract.target, ethers.parseEther("50"));
 
       // User1: 6 своевременных платежей
       for (let i = 0; i < 6; i++) {
-        await ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]);
-        await ethers.provider.send("evm_mine");
-        await loanContract.connect(user1).makeMonthlyPayment();
+        await advanceDays(30);
+        await loanContract.connect(user1).makeMonthlyPayment(1);
       }
 
       // User2: 2 платежа с просрочкой на 10 дней
-      await ethers.provider.send("evm_increaseTime", [40 * 24 * 60 * 60]);
-      await ethers.provider.send("evm_mine");
-      await loanContract.connect(user2).makeMonthlyPayment();
-      await ethers.provider.send("evm_increaseTime", [40 * 24 * 60 * 60]);
-      await ethers.provider.send("evm_mine");
-      await loanContract.connect(user2).makeMonthlyPayment();
+      await advanceDays(40);
+      await loanContract.connect(user2).makeMonthlyPayment(2);
+      await advanceDays(40);
+      await loanContract.connect(user2).makeMonthlyPayment(2);
 
       // User3: Пропуск платежей на 61 день и ликвидация
-      await ethers.provider.send("evm_increaseTime", [61 * 24 * 60 * 60]);
-      await ethers.provider.send("evm_mine");
-      await loanContract.connect(owner).liquidate(user3.address);
+      await advanceDays(61);
+      await priceFeed.updateAnswer(TOKEN_PRICE);
+      await loanContract.connect(owner).liquidate(3);
 
       // Проверки
-      const loan1 = await loanContract.getLoanDetails(user1.address);
-      const loan2 = await loanContract.getLoanDetails(user2.address);
-      const loan3 = await loanContract.getLoanDetails(user3.address);
+      const loan1 = await loanContract.getLoanDetails(1);
+      const loan2 = await loanContract.getLoanDetails(2);
+      const loan3 = await loanContract.getLoanDetails(3);
 
       expect(loan1.paymentsMade).to.equal(6);
       expect(loan1.active).to.be.true;
@@ -203,4 +186,318 @@ describe("CollateralizedLoan - Multi-User Scenarios", function () {
       expect(loan3.active).to.be.false;
     });
   });
-});
\ No newline at end of file
+
+  describe("Price Drop Scenario", function () {
+    it("Liquidator closes undercollateralized loans after ETH loses value", async function () {
+      // User1 вносит больше залога (4 ETH), User2 и User3 — минимальные 3 ETH
+      await loanContract.connect(user1).borrow(token.target, LOAN_AMOUNT, 0, { value: ethers.parseEther("4") });
+      await loanContract.connect(user2).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(user3).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+
+      await token.connect(owner).transfer(liquidator.address, ethers.parseEther("10"));
+      await token.connect(liquidator).approve(loanContract.target, ethers.parseEther("10"));
+
+      // ETH дешевеет: 1 токен = 1.3 ETH, долг 2.1 токена стоит 2.73 ETH
+      await priceFeed.updateAnswer(ethers.parseEther("1.3"));
+
+      expect(await loanContract.isUndercollateralized(1)).to.be.false; // 4 / 2.73 ~ 146%
+      expect(await loanContract.isUndercollateralized(2)).to.be.true; // 3 / 2.73 ~ 110%
+      expect(await loanContract.isUndercollateralized(3)).to.be.true;
+
+      await expect(loanContract.connect(liquidator).liquidateUndercollateralized(1)).to.be.revertedWith(
+        "Loan is healthy"
+      );
+
+      const debt = ethers.parseEther("2.1");
+      const seized = (ethers.parseEther("2.73") * 10500n) / 10000n;
+      for (const [loanId, user] of [[2, user2], [3, user3]]) {
+        await expect(loanContract.connect(liquidator).liquidateUndercollateralized(loanId)).to.changeEtherBalances(
+          [liquidator, user],
+          [seized, 0]
+        );
+        await expect(loanContract.connect(user).claimRefund(ethers.ZeroAddress)).to.changeEtherBalance(
+          user,
+          COLLATERAL_AMOUNT - seized
+        );
+      }
+
+      // Кредитор получил долг токенами, на контракте остался только залог User1
+      expect(await token.balanceOf(liquidator.address)).to.equal(ethers.parseEther("10") - debt * 2n);
+      expect(await ethers.provider.getBalance(loanContract.target)).to.equal(ethers.parseEther("4"));
+      expect((await loanContract.getLoanDetails(1)).active).to.be.true;
+      expect((await loanContract.getLoanDetails(2)).active).to.be.false;
+      expect((await loanContract.getLoanDetails(3)).active).to.be.false;
+    });
+  });
+
+  describe("Liquidity Pool with Several Lenders", function () {
+    it("Lenders earn interest and penalties in proportion to their shares", async function () {
+      const [, , , , , lenderA, lenderB] = await ethers.getSigners();
+      const LoanPool = await ethers.getContractFactory("LoanPool");
+      const pool = await LoanPool.deploy(token.target, "Test Token Pool", "pTST", loanContract.target);
+      await loanContract.connect(owner).setPool(token.target, pool.target);
+
+      // Кредиторы вносят 30 и 10 токенов: доли 3:1 (у долей 24 знака — 18 знаков токена и DECIMALS_OFFSET)
+      for (const [lender, amount] of [[lenderA, ethers.parseEther("30")], [lenderB, ethers.parseEther("10")]]) {
+        await token.connect(owner).transfer(lender.address, amount);
+        await token.connect(lender).approve(pool.target, amount);
+        await pool.connect(lender).deposit(amount, lender.address);
+      }
+      expect(await pool.balanceOf(lenderA.address)).to.equal(ethers.parseUnits("30", 24));
+      expect(await pool.balanceOf(lenderB.address)).to.equal(ethers.parseUnits("10", 24));
+
+      // Займы 20 и 10 токенов выдаются из пула, а не со счета владельца
+      const ownerTokens = await token.balanceOf(owner.address);
+      await loanContract.connect(user1).borrow(token.target, ethers.parseEther("20"), 0, { value: ethers.parseEther("30") });
+      await loanContract.connect(user2).borrow(token.target, ethers.parseEther("10"), 0, { value: ethers.parseEther("15") });
+      expect(await token.balanceOf(owner.address)).to.equal(ownerTokens);
+      expect(await pool.availableLiquidity()).to.equal(ethers.parseEther("10"));
+
+      // Пока займы не погашены, вывести можно только свободную ликвидность
+      expect(await pool.maxWithdraw(lenderA.address)).to.equal(ethers.parseEther("10"));
+      await expect(
+        pool.connect(lenderA).withdraw(ethers.parseEther("20"), lenderA.address, lenderA.address)
+      ).to.be.revertedWithCustomError(pool, "ERC4626ExceededMaxWithdraw");
+
+      await token.connect(user1).approve(loanContract.target, ethers.parseEther("50"));
+      await token.connect(user2).approve(loanContract.target, ethers.parseEther("50"));
+
+      // Первый платеж обоих заемщиков с просрочкой 10 дней, остальные вовремя
+      for (let i = 0; i < LOAN_DURATION_MONTHS; i++) {
+        await advanceDays(i === 0 ? 40 : 30);
+        await loanContract.connect(user1).makeMonthlyPayment(1);
+        await loanContract.connect(user2).makeMonthlyPayment(2);
+      }
+      expect(await pool.totalBorrowed()).to.equal(0);
+
+      // Доход пула: проценты 1 + 0.5 и штрафы 0.0175 + 0.00875
+      const income = ethers.parseEther("1.52625");
+      expect(await pool.totalAssets()).to.equal(ethers.parseEther("40") + income);
+
+      for (const [lender, deposit] of [[lenderA, ethers.parseEther("30")], [lenderB, ethers.parseEther("10")]]) {
+        const shares = await pool.balanceOf(lender.address);
+        const before = await token.balanceOf(lender.address);
+        await pool.connect(lender).redeem(shares, lender.address, lender.address);
+        const earned = (await token.balanceOf(lender.address)) - before - deposit;
+        expect(earned).to.be.closeTo((income * deposit) / ethers.parseEther("40"), 10n);
+      }
+    });
+  });
+
+  describe("Multiple Loans per User", function () {
+    let token2, priceFeed2;
+
+    beforeEach(async function () {
+      // Второй разрешенный токен
+      token2 = await MockToken.deploy("Second Token", "TS2", ethers.parseEther("1000"));
+      await token2.waitForDeployment();
+      await token2.connect(owner).approve(loanContract.target, ethers.parseEther("1000"));
+      await loanContract.connect(owner).setTokenAllowed(token2.target, true);
+      priceFeed2 = await MockAggregator.deploy(18, TOKEN_PRICE);
+      await loanContract.connect(owner).setPriceFeed(token2.target, priceFeed2.target);
+      await token2.connect(owner).transfer(user1.address, ethers.parseEther("50"));
+    });
+
+    it("User1 holds one loan per token and services them independently", async function () {
+      // Займы: 1 - user1/token, 2 - user2/token, 3 - user1/token2
+      await loanContract.connect(user1).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await loanContract.connect(user2).borrow(token.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT });
+      await expect(
+        loanContract.connect(user1).borrow(token2.target, LOAN_AMOUNT, 0, { value: COLLATERAL_AMOUNT })
+      )
+        .to.emit(loanContract, "LoanIssued")
+        .withArgs(3, user1.address, token2.target, LOAN_AMOUNT, COLLATERAL_AMOUNT, LOAN_DURATION_MONTHS);
+
+      expect(await loanContract.getBorrowerLoans(user1.address)).to.deep.equal([1n, 3n]);
+      expect(await loanContract.getBorrowerLoans(user2.address)).to.deep.equal([2n]);
+
+      await token.connect(user1).approve(loanContract.target, ethers.parseEther("50"));
+      await token2.connect(user1).approve(loanContract.target, ethers.parseEther("50"));
+
+      // Платеж по займу 1 в token, по займу 3 в token2
+      await advanceDays(30);
+      const monthlyPayment = (await loanContract.getLoanDetails(1)).monthlyPayment;
+      await expect(loanContract.connect(user1).makeMonthlyPayment(1)).to.changeTokenBalances(
+        token,
+        [user1, owner],
+        [-monthlyPayment, monthlyPayment]
+      );
+      await expect(loanContract.connect(user1).makeMonthlyPayment(3)).to.changeTokenBalances(
+        token2,
+        [user1, owner],
+        [-monthlyPayment, monthlyPayment]
+      );
+
+      // Чужой займ оплатить нельзя
+      await expect(loanContract.connect(user1).makeMonthlyPayment(2)).to.be.revertedWith("Not loan borrower");
+
+      // Займ 3 просрочен и ликвидирован, займ 1 продолжает обслуживаться
+      await advanceDays(61);
+      await loanContract.connect(user1).makeMonthlyPayment(1);
+      await priceFeed2.updateAnswer(TOKEN_PRICE);
+      await expect(loanContract.connect(owner).liquidate(3))
+        .to.emit(loanContract, "CollateralLiquidated")
+        .withArgs(3, user1.address, LIQUIDATION_SEIZED, COLLATERAL_AMOUNT - LIQUIDATION_SEIZED);
+
+      const loan1 = await loanContract.getLoanDetails(1);
+      const loan3 = await loanContract.getLoanDetails(3);
+      expect(loan1.paymentsMade).to.equal(2);
+      expect(loan1.active).to.be.true;
+      expect(loan3.paymentsMade).to.equal(1);
+      expect(loan3.active).to.be.false;
+
+      const history = await loanContract.getLoanHistory(user1.address);
+      expect(history.map((loan) => loan.id)).to.deep.equal([3n]);
+      expect(history[0].token).to.equal(token2.target);
+
+      // Залог ликвидированного займа ушел владельцу, остаток ждет вывода заемщиком,
+      // залог остальных займов остается на контракте
+      expect(await ethers.provider.getBalance(loanContract.target)).to.equal(
+        COLLATERAL_AMOUNT * 3n - LIQUIDATION_SEIZED
+      );
+    });
+  });
+
+  describe("Scripted Timelines", function () {
+    it("Late payments, collateral changes and liquidation of one loan", async function () {
+      const fixture = await loadFixture(scenarioFixture);
+      const { loanIds, steps } = await runScenario(fixture, {
+        loans: { alice: { borrower: "user1", amount: "2", collateral: "3" } },
+        timeline: [
+          { day: 0, borrow: "alice" },
+          { day: 30, pay: "alice" },
+          { day: 40, pay: "alice", reverts: "Payment not due yet" },
+          { day: 65, pay: "alice" }, // 5 дней просрочки
+          { day: 70, addCollateral: "alice", amount: "1" },
+          // Долг 1.75 требует залога 2.625 ETH
+          { day: 71, withdrawCollateral: "alice", amount: "1.5", reverts: "Insufficient collateral" },
+          { day: 71, withdrawCollateral: "alice", amount: "1" },
+          { day: 100, liquidate: "alice", reverts: "Not enough overdue time" },
+          { day: 126, liquidate: "alice" },
+          { day: 130, pay: "alice", reverts: "No active loan" },
+          { day: 131, claimRefund: "alice" },
+          { day: 132, claimRefund: "alice", reverts: "Nothing to claim" },
+        ],
+      });
+
+      expect(loanIds.alice).to.equal(1n);
+      expect(steps.filter((step) => step.reverted)).to.have.length(5);
+      expect(steps[8].events).to.deep.equal(["CollateralLiquidated"]);
+      expect(steps[10].events).to.deep.equal(["RefundClaimed"]);
+      expect((await fixture.loanContract.getLoan(1)).paymentsMade).to.equal(2);
+    });
+
+    it("Several borrowers with prepayment, early repayment and a price change", async function () {
+      const fixture = await loadFixture(scenarioFixture);
+      const { loanIds } = await runScenario(fixture, {
+        loans: {
+          alice: { borrower: "user1", amount: "2", collateral: "3" },
+          bob: { borrower: "user2", amount: "4", collateral: "7" },
+          carol: { borrower: "user3", amount: "2", collateral: "2.9" },
+        },
+        timeline: [
+          { day: 0, borrow: "alice" },
+          { day: 0, borrow: "bob" },
+          { day: 0, borrow: "carol", reverts: "Insufficient collateral" },
+          { day: 10, prepay: "bob", amount: "1" },
+          { day: 15, setPrice: "1.5" },
+          // Залог bob 7 ETH при долге 3.15 токена по 1.5 ETH меньше требуемых 7.0875 ETH
+          { day: 20, withdrawCollateral: "bob", amount: "0.1", reverts: "Insufficient collateral" },
+          { day: 30, pay: "alice" },
+          { day: 31, pay: "bob" },
+          { day: 45, repay: "alice" },
+          { day: 45, prepay: "bob", amount: "5", reverts: "Invalid prepayment amount" },
+          { day: 95, liquidate: "bob" },
+          { day: 96, claimRefund: "bob" },
+        ],
+      });
+
+      expect(loanIds).to.deep.equal({ alice: 1n, bob: 2n });
+      expect(await ethers.provider.getBalance(fixture.loanContract.target)).to.equal(0n);
+    });
+
+    it("Grace period, deferral and restructuring move the penalty and the liquidation threshold", async function () {
+      const fixture = await loadFixture(scenarioFixture);
+      const { steps } = await runScenario(fixture, {
+        loans: { alice: { borrower: "user1", amount: "2", collateral: "3" } },
+        timeline: [
+          { day: 0, borrow: "alice" },
+          // Штраф начисляется с 40-го дня вместо 30-го, ликвидация возможна после 70-го
+          { day: 35, grace: "alice", days: 10 },
+          { day: 35, grace: "alice", days: 0, reverts: "Invalid grace period" },
+          { day: 65, liquidate: "alice", reverts: "Not enough overdue time" },
+          { day: 65, pay: "alice" },
+          // Следующий платеж переносится с 95-го на 155-й день
+          { day: 70, defer: "alice", count: 2 },
+          { day: 70, defer: "alice", count: 0, reverts: "Invalid deferral" },
+          { day: 100, pay: "alice", reverts: "Payment not due yet" },
+          { day: 100, prepay: "alice", amount: "0.5" },
+          { day: 110, restructure: "alice", extraPayments: 6 },
+          { day: 110, restructure: "alice", extraPayments: 30, reverts: "Invalid restructuring" },
+          { day: 160, prepay: "alice", amount: "0.1", reverts: "Installment overdue" },
+          { day: 185, liquidate: "alice", reverts: "Not enough overdue time" },
+          { day: 186, liquidate: "alice" },
+          { day: 187, claimRefund: "alice" },
+        ],
+      });
+
+      expect(steps[1].events).to.deep.equal(["GracePeriodGranted"]);
+      expect(steps[5].events).to.deep.equal(["PaymentsDeferred"]);
+      expect(steps[9].events).to.deep.equal(["LoanRestructured"]);
+      expect(steps[13].events).to.deep.equal(["CollateralLiquidated"]);
+      const loan = await fixture.loanContract.getLoan(1);
+      expect(loan.paymentsMade).to.equal(1);
+      expect(loan.paymentsRequired).to.equal(18);
+    });
+  });
+
+  describe("Randomized Timelines", function () {
+    const LOANS = {
+      alice: { borrower: "user1", amount: "2", collateral: "3" },
+      bob: { borrower: "user2", amount: "3", collateral: "6" },
+      carol: { borrower: "user3", amount: "1", collateral: "1.6" },
+    };
+    const gap = fc.integer({ min: 0, max: 40 }); // дней после предыдущего шага
+    const loan = fc.constantFrom(...Object.keys(LOANS));
+
+    const stepArbitrary = fc.oneof(
+      fc.record({ gap, loan, action: fc.constantFrom("pay", "repay", "liquidate", "claimRefund") }),
+      fc.record({
+        gap,
+        loan,
+        action: fc.constantFrom("prepay", "addCollateral", "withdrawCollateral"),
+        amount: fc.constantFrom("0", "0.1", "0.5", "1", "2"),
+      }),
+      fc.record({ gap, loan, action: fc.constant("grace"), days: fc.constantFrom(0, 5, 30) }),
+      fc.record({ gap, loan, action: fc.constant("defer"), count: fc.constantFrom(0, 1, 2) }),
+      fc.record({ gap, loan, action: fc.constant("restructure"), extraPayments: fc.constantFrom(0, 3, 30) }),
+      fc.record({ gap, action: fc.constant("setPrice"), price: fc.constantFrom("0.8", "1", "1.2") })
+    );
+
+    // Все займы выдаются в день 0, затем шаги идут в порядке генерации
+    function toTimeline(commands) {
+      const timeline = Object.keys(LOANS).map((name) => ({ day: 0, borrow: name }));
+      let day = 0;
+      for (const command of commands) {
+        day += command.gap;
+        if (command.action === "setPrice") {
+          timeline.push({ day, setPrice: command.price });
+        } else {
+          const { action, loan: name, gap: _gap, ...params } = command;
+          timeline.push({ day, [action]: name, ...params });
+        }
+      }
+      return timeline;
+    }
+
+    it("Should keep collateral accounting consistent for random multi-user timelines", async function () {
+      await fc.assert(
+        fc.asyncProperty(fc.array(stepArbitrary, { minLength: 1, maxLength: 12 }), async (commands) => {
+          const fixture = await loadFixture(scenarioFixture);
+          await runScenario(fixture, { loans: LOANS, timeline: toTimeline(commands), strict: false });
+        }),
+        { numRuns: 10 }
+      );
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// Общие фикстуры тестов CollateralizedLoan для loadFixture:
+// деплой токена, ценового фида и контракта займа за прокси, одобрение токенов владельцем и разрешение токена.
+
+const { ethers, network } = require("hardhat");
+const { LoanClient } = require("../../sdk/LoanClient");
+
+const INTEREST_RATE = 500; // 5%
+const PENALTY_RATE = 10; // 0.1% в день
+const LOAN_DURATION_MONTHS = 12;
+const MIN_LOAN_AMOUNT = ethers.parseEther("1"); // 1 токен
+const LOAN_AMOUNT = ethers.parseEther("1"); // Займ заемщика в фикстурах и тестах: 1 токен
+const COLLATERAL_AMOUNT = ethers.parseEther("1.5"); // 1.5 ETH (150% от LOAN_AMOUNT)
+const TOKEN_PRICE = ethers.parseEther("1"); // 1 токен = 1 ETH
+const DAY = 24 * 60 * 60;
+
+/**
+ * Деплой CollateralizedLoan за прокси UUPS: реализация, LoanProxy и вызов initialize.
+ * Возвращает контракт по адресу прокси; развернувший аккаунт — владелец со всеми ролями
+ */
+async function deployLoanContract(interestRate, penaltyRatePerDay, loanDurationMonths, minLoanAmount) {
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const implementation = await CollateralizedLoan.deploy();
+  const initialize = CollateralizedLoan.interface.encodeFunctionData("initialize", [
+    interestRate,
+    penaltyRatePerDay,
+    loanDurationMonths,
+    minLoanAmount,
+  ]);
+  const LoanProxy = await ethers.getContractFactory("LoanProxy");
+  const proxy = await LoanProxy.deploy(implementation.target, initialize);
+  return CollateralizedLoan.attach(proxy.target);
+}
+
+/**
+ * Контракт займа с разрешенным токеном TST и фидом TOKEN/ETH.
+ * Владелец одобрил контракту 1000 токенов для выдачи займов.
+ */
+async function deployLoanFixture() {
+  const signers = await ethers.getSigners();
+  const [owner, borrower, addr1] = signers;
+
+  const MockToken = await ethers.getContractFactory("MockERC20");
+  const token = await MockToken.deploy("Test Token", "TST", ethers.parseEther("1000"));
+
+  const MockAggregator = await ethers.getContractFactory("MockV3Aggregator");
+  const priceFeed = await MockAggregator.deploy(18, TOKEN_PRICE);
+
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const loanContract = await deployLoanContract(INTEREST_RATE, PENALTY_RATE, LOAN_DURATION_MONTHS, MIN_LOAN_AMOUNT);
+
+  await token.connect(owner).approve(loanContract.target, ethers.parseEther("1000"));
+  await loanContract.connect(owner).setTokenAllowed(token.target, true);
+  await loanContract.connect(owner).setPriceFeed(token.target, priceFeed.target);
+
+  return {
+    CollateralizedLoan,
+    MockToken,
+    MockAggregator,
+    loanContract,
+    token,
+    priceFeed,
+    owner,
+    borrower,
+    addr1,
+    signers,
+  };
+}
+
+/**
+ * Клиенты SDK владельца (adminClient) и заемщика (borrowerClient); у заемщика 10 токенов для платежей
+ */
+async function clientFixture() {
+  const fixture = await deployLoanFixture();
+  const { loanContract, token, owner, borrower } = fixture;
+  await token.connect(owner).transfer(borrower.address, ethers.parseEther("10"));
+
+  const adminClient = new LoanClient(owner, loanContract.target);
+  return { ...fixture, adminClient, borrowerClient: adminClient.connect(borrower) };
+}
+
+/**
+ * Займ 1 заемщика на LOAN_AMOUNT под COLLATERAL_AMOUNT ETH, выданный через клиент SDK
+ */
+async function borrowedFixture() {
+  const fixture = await clientFixture();
+  await fixture.borrowerClient.borrow(fixture.token.target, LOAN_AMOUNT, COLLATERAL_AMOUNT);
+  return fixture;
+}
+
+/**
+ * Фикстура нескольких заемщиков: у user1..user3 по 50 токенов для платежей
+ */
+async function multiUserFixture() {
+  const fixture = await deployLoanFixture();
+  const [owner, user1, user2, user3, liquidator] = fixture.signers;
+  for (const user of [user1, user2, user3]) {
+    await fixture.token.connect(owner).transfer(user.address, ethers.parseEther("50"));
+  }
+  return { ...fixture, user1, user2, user3, liquidator };
+}
+
+/**
+ * Фикстура сценариев: заемщики user1..user3 заранее одобрили контракту платежи
+ */
+async function scenarioFixture() {
+  const fixture = await multiUserFixture();
+  for (const user of [fixture.user1, fixture.user2, fixture.user3]) {
+    await fixture.token.connect(user).approve(fixture.loanContract.target, ethers.MaxUint256);
+  }
+  return fixture;
+}
+
+/**
+ * Сдвиг времени на days дней с майнингом блока
+ */
+async function advanceDays(days) {
+  await network.provider.send("evm_increaseTime", [days * DAY]);
+  await network.provider.send("evm_mine");
+}
+
+module.exports = {
+  INTEREST_RATE,
+  PENALTY_RATE,
+  LOAN_DURATION_MONTHS,
+  MIN_LOAN_AMOUNT,
+  LOAN_AMOUNT,
+  COLLATERAL_AMOUNT,
+  TOKEN_PRICE,
+  DAY,
+  deployLoanContract,
+  deployLoanFixture,
+  clientFixture,
+  borrowedFixture,
+  multiUserFixture,
+  scenarioFixture,
+  advanceDays,
+};
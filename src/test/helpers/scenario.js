@@ -0,0 +1,448 @@
+// Сценарии займов для тестов: тест описывает займы и шаги по дням, а раннер
+// выставляет время блока каждого шага, предсказывает результат по состоянию контракта
+// до шага (события, переводы токенов и ETH или причину revert) и проверяет его.
+// После каждого шага проверяются инварианты контракта (checkInvariants).
+//
+//   await runScenario(fixture, {
+//     loans: { alice: { borrower: "user1", amount: "2", collateral: "3" } },
+//     timeline: [
+//       { day: 0, borrow: "alice" },
+//       { day: 30, pay: "alice" },
+//       { day: 65, pay: "alice" }, // 5 дней просрочки
+//       { day: 95, grace: "alice", days: 10 }, // штраф со 105-го дня, ликвидация после 135-го
+//       { day: 136, liquidate: "alice" },
+//       { day: 137, claimRefund: "alice" }, // остаток залога после ликвидации
+//     ],
+//   });
+
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const { LoanError, toLoanError } = require("../../sdk/errors");
+const {
+  SECONDS_PER_DAY,
+  BASIS_POINTS,
+  PAYMENT_PERIOD,
+  amountDueAt,
+  calculateLoanTerms,
+} = require("../../sdk/schedule");
+
+const ACTIONS = [
+  "borrow",
+  "pay",
+  "prepay",
+  "repay",
+  "addCollateral",
+  "withdrawCollateral",
+  "liquidate",
+  "claimRefund",
+  "grace",
+  "defer",
+  "restructure",
+  "setPrice",
+];
+
+function stepAction(step) {
+  const actions = ACTIONS.filter((action) => action in step);
+  if (actions.length !== 1) {
+    throw new Error(`Scenario step must have exactly one of ${ACTIONS.join(", ")}: ${JSON.stringify(step)}`);
+  }
+  return actions[0];
+}
+
+/**
+ * Причина revert из ошибки вызова view-функции
+ */
+function revertReason(error, contract) {
+  const loanError = toLoanError(error, contract.interface);
+  if (!(loanError instanceof LoanError)) {
+    throw error;
+  }
+  return loanError.reason;
+}
+
+/**
+ * Начало начисления штрафа, как _penaltyStart контракта: срок платежа или окончание льготного периода
+ */
+function penaltyStart(loan) {
+  const due = loan.lastPaymentTime + PAYMENT_PERIOD;
+  return loan.graceEnd > due ? loan.graceEnd : due;
+}
+
+/**
+ * Штраф за просрочку на момент timestamp, как _accruedPenalty контракта
+ */
+function accruedPenalty(loan, timestamp) {
+  return amountDueAt({
+    monthlyPayment: loan.monthlyPayment,
+    penaltyRatePerDay: loan.terms.penaltyRatePerDay,
+    lastPaymentTime: loan.lastPaymentTime,
+    timestamp,
+    graceEnd: loan.graceEnd,
+  }).penalty;
+}
+
+/**
+ * Транзакции шагов. Ликвидацию, льготный период, отсрочку и реструктуризацию отправляет владелец,
+ * остальные действия — заемщик займа
+ */
+const SENDERS = {
+  borrow: ({ loanContract, token }, { spec, borrower }) =>
+    loanContract
+      .connect(borrower)
+      .borrow(token.target, ethers.parseEther(spec.amount), spec.productId || 0, {
+        value: ethers.parseEther(spec.collateral),
+      }),
+  pay: ({ loanContract }, { loanId, borrower }) => loanContract.connect(borrower).makeMonthlyPayment(loanId),
+  prepay: ({ loanContract }, { loanId, borrower, step }) =>
+    loanContract.connect(borrower).prepay(loanId, ethers.parseEther(step.amount)),
+  repay: ({ loanContract }, { loanId, borrower }) => loanContract.connect(borrower).repayInFull(loanId),
+  addCollateral: ({ loanContract }, { loanId, borrower, step }) =>
+    loanContract.connect(borrower).addCollateral(loanId, { value: ethers.parseEther(step.amount) }),
+  withdrawCollateral: ({ loanContract }, { loanId, borrower, step }) =>
+    loanContract.connect(borrower).withdrawCollateral(loanId, ethers.parseEther(step.amount)),
+  liquidate: ({ loanContract, owner }, { loanId }) => loanContract.connect(owner).liquidate(loanId),
+  claimRefund: ({ loanContract }, { borrower }) => loanContract.connect(borrower).claimRefund(ethers.ZeroAddress),
+  grace: ({ loanContract, owner }, { loanId, step }) => loanContract.connect(owner).grantGracePeriod(loanId, step.days),
+  defer: ({ loanContract, owner }, { loanId, step }) => loanContract.connect(owner).deferPayments(loanId, step.count),
+  restructure: ({ loanContract, owner }, { loanId, step }) =>
+    loanContract.connect(owner).restructureLoan(loanId, step.extraPayments),
+};
+
+/**
+ * Предсказания шагов по состоянию контракта до шага и времени блока timestamp:
+ * { revert } или ожидаемые события и изменения балансов токена и ETH.
+ * Для займов, кроме borrow и claimRefund, вызываются только с активным займом loan.
+ */
+const PREDICTIONS = {
+  async borrow({ loanContract, token, owner }, { spec, borrower }) {
+    const amount = ethers.parseEther(spec.amount);
+    const collateral = ethers.parseEther(spec.collateral);
+    if (collateral === 0n) {
+      return { revert: "ETH collateral required" };
+    }
+    if (amount < (await loanContract.minLoanAmount())) {
+      return { revert: "Amount below minimum" };
+    }
+    const product = await loanContract.getProduct(spec.productId || 0);
+    if (!product.active) {
+      return { revert: "Product not available" };
+    }
+    const value = await loanContract.getTokenValueInEth(token.target, amount);
+    if (collateral < (value * product.minCollateralRatio) / BASIS_POINTS) {
+      return { revert: "Insufficient collateral" };
+    }
+
+    const loanId = await loanContract.nextLoanId();
+    return {
+      loanId,
+      events: [["LoanIssued", loanId, borrower.address, token.target, amount, collateral, product.durationMonths]],
+      tokens: [[borrower, amount], [owner, -amount]],
+      ether: [[borrower, -collateral], [loanContract, collateral]],
+    };
+  },
+
+  async pay({ loanContract, owner }, { loan, borrower, timestamp }) {
+    // После отсрочки время последнего платежа может быть в будущем
+    if (timestamp < loan.lastPaymentTime + PAYMENT_PERIOD) {
+      return { revert: "Payment not due yet" };
+    }
+    const last = loan.paymentsMade + 1n === loan.paymentsRequired;
+    const amount = (last ? loan.totalDebt : loan.monthlyPayment) + accruedPenalty(loan, timestamp);
+    const events = [["PaymentMade", loan.id, borrower.address, amount, loan.paymentsMade + 1n]];
+    const ether = [];
+    if (last) {
+      events.push(["LoanFullyRepaid", loan.id, borrower.address, loan.totalPaid + amount]);
+      ether.push([borrower, loan.collateral], [loanContract, -loan.collateral]);
+    }
+    return { events, tokens: [[borrower, -amount], [receiver(loan, owner), amount]], ether };
+  },
+
+  async prepay({ loanContract, owner }, { loan, borrower, step, timestamp }) {
+    if (timestamp > penaltyStart(loan)) {
+      return { revert: "Installment overdue" };
+    }
+    const amount = ethers.parseEther(step.amount);
+    let quote;
+    try {
+      quote = await loanContract.quotePrepayment(loan.id, amount);
+    } catch (e) {
+      return { revert: revertReason(e, loanContract) };
+    }
+    return {
+      events: [["PrepaymentMade", loan.id, borrower.address, quote.payment, amount, quote.interestWaived, anyValue]],
+      tokens: [[borrower, -quote.payment], [receiver(loan, owner), quote.payment]],
+      ether: [],
+    };
+  },
+
+  async repay({ loanContract, owner }, { loan, borrower, timestamp }) {
+    const earlyRepaymentFee = await loanContract.earlyRepaymentFee();
+    const interestWaived =
+      ((loan.totalDebt - loan.principalOutstanding) * (BASIS_POINTS - earlyRepaymentFee)) / BASIS_POINTS;
+    const payoff = loan.totalDebt - interestWaived + accruedPenalty(loan, timestamp);
+    return {
+      events: [["LoanRepaidEarly", loan.id, borrower.address, payoff, interestWaived]],
+      tokens: [[borrower, -payoff], [receiver(loan, owner), payoff]],
+      ether: [[borrower, loan.collateral], [loanContract, -loan.collateral]],
+    };
+  },
+
+  async addCollateral({ loanContract }, { loan, borrower, step }) {
+    const amount = ethers.parseEther(step.amount);
+    if (amount === 0n) {
+      return { revert: "ETH collateral required" };
+    }
+    return {
+      events: [["CollateralAdded", loan.id, borrower.address, amount, loan.collateral + amount]],
+      tokens: [],
+      ether: [[borrower, -amount], [loanContract, amount]],
+    };
+  },
+
+  async withdrawCollateral({ loanContract }, { loan, borrower, step }) {
+    const amount = ethers.parseEther(step.amount);
+    if (amount === 0n || amount > loan.collateral) {
+      return { revert: "Invalid withdrawal amount" };
+    }
+    const debtValue = await loanContract.getTokenValueInEth(loan.token, loan.totalDebt);
+    const remaining = loan.collateral - amount;
+    if (remaining < (debtValue * loan.terms.minCollateralRatio) / BASIS_POINTS) {
+      return { revert: "Insufficient collateral" };
+    }
+    return {
+      events: [["CollateralWithdrawn", loan.id, borrower.address, amount, remaining]],
+      tokens: [],
+      ether: [[borrower, amount], [loanContract, -amount]],
+    };
+  },
+
+  async liquidate({ loanContract, owner }, { loan, borrower, timestamp }) {
+    // Порог просрочки отсчитывается от начала штрафа: льготный период и отсрочка сдвигают его
+    const threshold = (await loanContract.LIQUIDATION_THRESHOLD_DAYS()) * SECONDS_PER_DAY - PAYMENT_PERIOD;
+    if (timestamp <= penaltyStart(loan) + threshold) {
+      return { revert: "Not enough overdue time" };
+    }
+    const fee = (loan.totalDebt * (await loanContract.liquidationFee())) / BASIS_POINTS;
+    const claim = loan.totalDebt + accruedPenalty(loan, timestamp) + fee;
+    const claimValue = await loanContract.getTokenValueInEth(loan.token, claim);
+    const seized = claimValue < loan.collateral ? claimValue : loan.collateral;
+    const refunded = loan.collateral - seized;
+    // Займ из пула владелец выкупает: оставшийся долг переводится в пул
+    const tokens = loan.pool === ethers.ZeroAddress ? [] : [[owner, -loan.totalDebt], [loan.pool, loan.totalDebt]];
+    // Остаток залога зачисляется заемщику и остается на контракте до claimRefund
+    return {
+      events: [["CollateralLiquidated", loan.id, borrower.address, seized, refunded]],
+      tokens,
+      ether: [[owner, seized], [borrower, 0n], [loanContract, -seized]],
+    };
+  },
+
+  async claimRefund({ loanContract }, { borrower }) {
+    const amount = await loanContract.refunds(borrower.address, ethers.ZeroAddress);
+    if (amount === 0n) {
+      return { revert: "Nothing to claim" };
+    }
+    return {
+      events: [["RefundClaimed", borrower.address, ethers.ZeroAddress, amount]],
+      tokens: [],
+      ether: [[borrower, amount], [loanContract, -amount]],
+    };
+  },
+
+  async grace(fixture, { loan, step }) {
+    const days = BigInt(step.days);
+    if (days === 0n) {
+      return { revert: "Invalid grace period" };
+    }
+    const graceEnd = penaltyStart(loan) + days * SECONDS_PER_DAY;
+    return { events: [["GracePeriodGranted", loan.id, days, graceEnd]], tokens: [], ether: [] };
+  },
+
+  async defer({ loanContract }, { loan, step }) {
+    const count = BigInt(step.count);
+    if (count === 0n || count > (await loanContract.MAX_LOAN_DURATION_MONTHS())) {
+      return { revert: "Invalid deferral" };
+    }
+    const nextPaymentDue = loan.lastPaymentTime + (count + 1n) * PAYMENT_PERIOD;
+    return { events: [["PaymentsDeferred", loan.id, count, nextPaymentDue]], tokens: [], ether: [] };
+  },
+
+  async restructure({ loanContract }, { loan, step }) {
+    const extraPayments = BigInt(step.extraPayments);
+    const paymentsRequired = loan.paymentsRequired + extraPayments;
+    if (extraPayments === 0n || paymentsRequired > (await loanContract.MAX_LOAN_DURATION_MONTHS())) {
+      return { revert: "Invalid restructuring" };
+    }
+    if ((loan.terms.amortizing ? loan.principalOutstanding : loan.totalDebt) === 0n) {
+      return { revert: "Invalid restructuring" };
+    }
+    const remaining = paymentsRequired - loan.paymentsMade;
+    let { monthlyPayment, totalDebt } = loan;
+    if (loan.terms.amortizing) {
+      ({ monthlyPayment, totalDebt } = calculateLoanTerms({
+        amount: loan.principalOutstanding,
+        interestRate: loan.terms.interestRate,
+        loanDurationMonths: remaining,
+        amortizing: true,
+      }));
+    } else {
+      monthlyPayment = totalDebt / remaining;
+    }
+    return {
+      events: [["LoanRestructured", loan.id, paymentsRequired, monthlyPayment, totalDebt]],
+      tokens: [],
+      ether: [],
+    };
+  },
+};
+
+// Платежи по займу из пула уходят в пул, иначе — владельцу
+function receiver(loan, owner) {
+  return loan.pool === ethers.ZeroAddress ? owner : loan.pool;
+}
+
+/**
+ * Инварианты контракта после любого шага:
+ *   - ETH на контракте равен сумме залогов активных займов и невыведенных возвратов после ликвидаций;
+ *   - токены не задерживаются на контракте;
+ *   - у активного займа остаток основной суммы не больше долга и платежи не исчерпаны,
+ *     у закрытого — долг и основная сумма погашены полностью.
+ */
+async function checkInvariants({ loanContract, token }) {
+  const nextLoanId = await loanContract.nextLoanId();
+  let activeCollateral = 0n;
+  const borrowers = new Set();
+  for (let loanId = 1n; loanId < nextLoanId; loanId++) {
+    const loan = await loanContract.getLoan(loanId);
+    borrowers.add(loan.borrower);
+    if (loan.active) {
+      activeCollateral += loan.collateral;
+      expect(loan.principalOutstanding, `loan ${loanId} principal`).to.be.lte(loan.totalDebt);
+      expect(loan.principalOutstanding, `loan ${loanId} principal`).to.be.lte(loan.principal);
+      expect(loan.paymentsMade, `loan ${loanId} payments`).to.be.lt(loan.paymentsRequired);
+    } else {
+      expect(loan.principalOutstanding, `closed loan ${loanId} principal`).to.equal(0n);
+      expect(loan.totalDebt, `closed loan ${loanId} debt`).to.equal(0n);
+    }
+  }
+  let refunds = 0n;
+  for (const borrower of borrowers) {
+    refunds += await loanContract.refunds(borrower, ethers.ZeroAddress);
+  }
+  expect(await ethers.provider.getBalance(loanContract.target), "contract ETH").to.equal(activeCollateral + refunds);
+  expect(await token.balanceOf(loanContract.target), "contract tokens").to.equal(0n);
+}
+
+/**
+ * Выполнение сценария. День шага отсчитывается от начала сценария; шаги одного дня
+ * идут с интервалом в 2 секунды. Перед каждым шагом цена фида обновляется, чтобы она не устаревала.
+ *
+ * Шаг — { day, <действие>: <имя займа>, amount?, reverts? }. Действия: borrow, pay, prepay (amount в токенах),
+ * repay, addCollateral и withdrawCollateral (amount в ETH), liquidate, claimRefund (возврат остатка залога
+ * заемщику займа), grace (days — льготный период в днях), defer (count — число отложенных платежей),
+ * restructure (extraPayments — число дополнительных платежей); setPrice: "<цена токена в ETH>".
+ * Займы описываются в loans: { borrower: <имя аккаунта фикстуры>, amount, collateral, productId? }.
+ * В строгом режиме (по умолчанию) предсказанный revert должен совпасть с reverts шага,
+ * а шаг без reverts должен пройти; strict: false допускает любые предсказанные revert (для фаззинга).
+ *
+ * Возвращает идентификаторы займов по именам и шаги с временем блока и результатом.
+ */
+async function runScenario(fixture, { loans = {}, timeline, strict = true, invariants = true }) {
+  const { loanContract, token, priceFeed } = fixture;
+  const account = (name) => {
+    if (!fixture[name]) {
+      throw new Error(`Unknown scenario account: ${name}`);
+    }
+    return fixture[name];
+  };
+
+  const loanIds = {};
+  const steps = [];
+  let price = (await priceFeed.latestRoundData()).answer;
+  const start = BigInt((await ethers.provider.getBlock("latest")).timestamp) + 2n;
+  let previous = start - 2n;
+
+  for (const step of timeline) {
+    const action = stepAction(step);
+    const target = start + BigInt(step.day) * SECONDS_PER_DAY;
+    if (steps.length && step.day < steps[steps.length - 1].day) {
+      throw new Error(`Scenario steps must be ordered by day: ${JSON.stringify(step)}`);
+    }
+    const timestamp = target > previous + 2n ? target : previous + 2n;
+    previous = timestamp;
+
+    if (action === "setPrice") {
+      price = ethers.parseEther(step.setPrice);
+      await network.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+      await priceFeed.updateAnswer(price);
+      steps.push({ ...step, action, timestamp });
+      continue;
+    }
+
+    await network.provider.send("evm_setNextBlockTimestamp", [Number(timestamp - 1n)]);
+    await priceFeed.updateAnswer(price);
+
+    const name = step[action];
+    const spec = loans[name];
+    if (!spec) {
+      throw new Error(`Unknown scenario loan: ${name}`);
+    }
+    const args = { spec, step, timestamp, borrower: account(spec.borrower), loanId: loanIds[name] };
+    let prediction;
+    if (action === "borrow") {
+      prediction = await PREDICTIONS.borrow(fixture, args);
+    } else {
+      if (args.loanId === undefined) {
+        throw new Error(`Scenario loan ${name} is not issued`);
+      }
+      const loan = await loanContract.getLoan(args.loanId);
+      prediction =
+        loan.active || action === "claimRefund"
+          ? await PREDICTIONS[action](fixture, { ...args, loan })
+          : { revert: "No active loan" };
+    }
+
+    const label = `day ${step.day} ${action} ${name}`;
+    if (strict) {
+      expect(prediction.revert, `${label}: revert`).to.equal(step.reverts);
+    }
+
+    await network.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+    if (prediction.revert) {
+      await expect(SENDERS[action](fixture, args), label).to.be.revertedWith(prediction.revert);
+      steps.push({ ...step, action, timestamp, reverted: prediction.revert });
+    } else {
+      const tx = await SENDERS[action](fixture, args);
+      for (const [event, ...eventArgs] of prediction.events) {
+        await expect(tx, `${label}: ${event}`).to.emit(loanContract, event).withArgs(...eventArgs);
+      }
+      if (prediction.tokens.length) {
+        await expect(tx, `${label}: token balances`).to.changeTokenBalances(
+          token,
+          prediction.tokens.map(([holder]) => holder),
+          prediction.tokens.map(([, amount]) => amount)
+        );
+      }
+      if (prediction.ether.length) {
+        await expect(tx, `${label}: ETH balances`).to.changeEtherBalances(
+          prediction.ether.map(([holder]) => holder),
+          prediction.ether.map(([, amount]) => amount)
+        );
+      }
+      if (action === "borrow") {
+        loanIds[name] = prediction.loanId;
+      }
+      steps.push({ ...step, action, timestamp, events: prediction.events.map(([event]) => event) });
+    }
+
+    if (invariants) {
+      await checkInvariants(fixture);
+    }
+  }
+
+  return { loanIds, steps };
+}
+
+module.exports = { runScenario, checkInvariants };